@@ -1,45 +1,178 @@
-import React, { useState } from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
+import TrendChart from './TrendChart';
+import DocumentViewer from './DocumentViewer';
+import LoginForm from './LoginForm';
+import ReviewPanel from './ReviewPanel';
+import ReviewQueue from './ReviewQueue';
+
+// Remember the appeal being worked on so a page refresh can restore it
+const CURRENT_APPEAL_KEY = 'ckdAppeals.currentAppealId';
+// Signed-in token and user, kept for the browser tab's session only
+const AUTH_KEY = 'ckdAppeals.auth';
+
+// Formats the server reads: scans and faxes with OCR, C-CDA XML from its
+// coded entries. Checked by extension, since some browsers send no type for
+// .rtf or .xml files.
+const ACCEPTED_EXTENSIONS = ['.pdf', '.txt', '.docx', '.html', '.htm', '.rtf', '.xml', '.cda', '.png', '.jpg', '.jpeg', '.tif', '.tiff'];
+const isAcceptedFile = (file) => ACCEPTED_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext));
+
+// One point per date from an extracted lab series, oldest first
+const datedPoints = (series) => {
+  const byDate = new Map();
+  (series || []).forEach((o) => {
+    if (o.date && typeof o.value === 'number' && !byDate.has(o.date)) {
+      byDate.set(o.date, { date: o.date, value: o.value });
+    }
+  });
+  return Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date));
+};
 
 function App() {
   // API base: set REACT_APP_API_URL for local dev (e.g. http://localhost:3001),
   // otherwise default to '/api' so deployed app calls the serverless endpoints.
   const API_BASE = process.env.REACT_APP_API_URL || '/api';
-  const [file, setFile] = useState(null);
+  const [auth, setAuth] = useState(() => JSON.parse(window.sessionStorage.getItem(AUTH_KEY) || 'null'));
+  const [files, setFiles] = useState([]);
   const [uploading, setUploading] = useState(false);
   const [uploadResult, setUploadResult] = useState(null);
   const [analyzing, setAnalyzing] = useState(false);
   const [analysisResult, setAnalysisResult] = useState(null);
   const [activeTab, setActiveTab] = useState('upload');
+  // Citation highlighted in the document viewer
+  const [citation, setCitation] = useState(null);
+
+  const [appealId, setAppealId] = useState(() => window.localStorage.getItem(CURRENT_APPEAL_KEY));
+  // Conditions the backend handles; an empty selection lets it detect the condition
+  const [conditionPacks, setConditionPacks] = useState([]);
+  const [selectedPack, setSelectedPack] = useState('');
 
   // Max upload size for Vercel serverless functions ~4.5MB;
   const MAX_UPLOAD_BYTES = 4.5 * 1024 * 1024;
 
-  const handleFileChange = (e) => {
-    const selectedFile = e.target.files[0];
-    if (selectedFile && (selectedFile.type === 'application/pdf' || selectedFile.type === 'text/plain')) {
-      if (selectedFile.size > MAX_UPLOAD_BYTES) {
-        alert(`Selected file is too large (${(selectedFile.size/1024/1024).toFixed(2)} MB). Maximum allowed is ${(MAX_UPLOAD_BYTES/1024/1024).toFixed(2)} MB for this deployment.`);
-        setFile(null);
+  const signIn = (signedIn) => {
+    window.sessionStorage.setItem(AUTH_KEY, JSON.stringify(signedIn));
+    setAuth(signedIn);
+  };
+
+  const signOut = useCallback(() => {
+    window.sessionStorage.removeItem(AUTH_KEY);
+    setAuth(null);
+  }, []);
+
+  // API request as the signed-in user; an expired or revoked token signs out
+  const apiFetch = useCallback(async (path, options = {}) => {
+    const response = await fetch(`${API_BASE}${path}`, {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${auth && auth.token}` },
+    });
+    if (response.status === 401) signOut();
+    return response;
+  }, [API_BASE, auth, signOut]);
+
+  useEffect(() => {
+    if (!auth) return;
+    apiFetch('/condition-packs')
+      .then(response => (response.ok ? response.json() : { packs: [] }))
+      .then(result => setConditionPacks(result.packs))
+      .catch(error => console.error('Condition packs error details:', error));
+  }, [apiFetch, auth]);
+
+  // Show an appeal's latest document and decision, as when restoring the
+  // stored appeal on load or opening one from the review queue
+  const loadAppeal = useCallback(async (storedId) => {
+    try {
+      const response = await apiFetch(`/appeals/${storedId}`);
+      if (response.status === 401) return;
+      if (!response.ok) {
+        window.localStorage.removeItem(CURRENT_APPEAL_KEY);
+        setAppealId(null);
         return;
       }
-      setFile(selectedFile);
-    } else {
-      alert('Please select a PDF or text file');
+      const { appeal } = await response.json();
+      window.localStorage.setItem(CURRENT_APPEAL_KEY, String(appeal.id));
+      setAppealId(String(appeal.id));
+      setCitation(null);
+      setUploadResult(null);
+      setAnalysisResult(null);
+      const latestDocument = appeal.documents[appeal.documents.length - 1];
+      const latestDecision = appeal.decisions[appeal.decisions.length - 1];
+      if (latestDocument) {
+        const mergedResponse = await apiFetch(`/appeals/${storedId}/clinical-data`);
+        const merged = mergedResponse.ok ? await mergedResponse.json() : null;
+        setUploadResult({
+          appealId: appeal.id,
+          documentId: latestDocument.id,
+          filename: latestDocument.filename,
+          extractedText: latestDocument.extractedText,
+          expandedData: latestDocument.expandedData,
+          clinicalData: merged ? merged.clinicalData : latestDocument.clinicalData,
+          conditionPack: { id: appeal.conditionPack },
+          conditionDetection: appeal.conditionDetection,
+          appealDocuments: appeal.documents.map(doc => ({ id: doc.id, filename: doc.filename, extractedText: doc.extractedText, pageStarts: doc.pageStarts, ocr: doc.ocr })),
+        });
+        setActiveTab('results');
+      }
+      if (latestDecision) {
+        setAnalysisResult({ decision: latestDecision });
+        setActiveTab('decision');
+      }
+    } catch (error) {
+      console.error('Restore appeal error details:', error);
+    }
+  }, [apiFetch]);
+
+  // Restore the latest document and decision of the stored appeal on load
+  useEffect(() => {
+    const storedId = window.localStorage.getItem(CURRENT_APPEAL_KEY);
+    if (!storedId || !auth) return;
+    loadAppeal(storedId);
+  }, [auth, loadAppeal]);
+
+  const startNewAppeal = () => {
+    window.localStorage.removeItem(CURRENT_APPEAL_KEY);
+    setAppealId(null);
+    setFiles([]);
+    setUploadResult(null);
+    setAnalysisResult(null);
+    setCitation(null);
+    setSelectedPack('');
+    setActiveTab('upload');
+  };
+
+  // Several documents (denial letter, labs, notes) can be uploaded together
+  const handleFileChange = (e) => {
+    const selectedFiles = Array.from(e.target.files);
+    if (selectedFiles.length === 0) return;
+    if (selectedFiles.some(f => !isAcceptedFile(f))) {
+      alert('Please select PDF, text, Word (DOCX), HTML, RTF, C-CDA (XML) or image (PNG, JPEG, TIFF) files only');
+      return;
+    }
+    const totalSize = selectedFiles.reduce((sum, f) => sum + f.size, 0);
+    if (totalSize > MAX_UPLOAD_BYTES) {
+      alert(`Selected files are too large (${(totalSize/1024/1024).toFixed(2)} MB). Maximum allowed is ${(MAX_UPLOAD_BYTES/1024/1024).toFixed(2)} MB per upload for this deployment.`);
+      setFiles([]);
+      return;
     }
+    setFiles(selectedFiles);
   };
 
   const handleUpload = async () => {
-    if (!file) {
+    if (files.length === 0) {
       alert('Please select a file first');
       return;
     }
 
     setUploading(true);
     const formData = new FormData();
-    formData.append('document', file);
+    files.forEach(f => formData.append('documents', f));
+    if (appealId) {
+      formData.append('appealId', appealId);
+    } else if (selectedPack) {
+      formData.append('conditionPack', selectedPack);
+    }
 
     try {
-      const response = await fetch(`${API_BASE}/upload`, {
+      const response = await apiFetch('/upload', {
         method: 'POST',
         body: formData,
       });
@@ -55,7 +188,11 @@ function App() {
       }
 
       if (response.ok) {
+        window.localStorage.setItem(CURRENT_APPEAL_KEY, String(result.appealId));
+        setAppealId(String(result.appealId));
         setUploadResult(result);
+        setAnalysisResult(null);
+        setCitation(null);
         setActiveTab('results');
       } else {
         alert('Upload failed: ' + (result.error || JSON.stringify(result)));
@@ -77,15 +214,16 @@ function App() {
 
     setAnalyzing(true);
     try {
-      const response = await fetch(`${API_BASE}/analyze`, {
+      const response = await apiFetch('/analyze', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({
-          clinicalData: uploadResult.clinicalData,
-          extractedText: uploadResult.extractedText,
-        }),
+        // The server decides an appeal from its stored documents, so the
+        // text only needs sending when there is no appeal
+        body: JSON.stringify(uploadResult.appealId
+          ? { appealId: uploadResult.appealId, documentId: uploadResult.documentId }
+          : { clinicalData: uploadResult.clinicalData, extractedText: uploadResult.extractedText }),
       });
 
       const raw = await response.text();
@@ -123,6 +261,86 @@ function App() {
     }
   };
 
+  // Which document a merged value came from, shown when the appeal has several
+  const sourceNote = (lab) => {
+    const source = uploadResult && uploadResult.clinicalData.sources && uploadResult.clinicalData.sources[lab];
+    if (!source || !(uploadResult.clinicalData.documentCount > 1)) return null;
+    return <span className="ml-2 text-xs text-gray-500">({source.filename})</span>;
+  };
+
+  // Link from a value to the passage it was read from
+  const citeLink = (cited, label) => {
+    if (!cited) return null;
+    return (
+      <button
+        type="button"
+        onClick={() => setCitation(cited)}
+        title={cited.snippet}
+        className="ml-2 text-xs text-blue-600 hover:underline"
+      >
+        {label || (cited.page ? `p.${cited.page}` : 'source')}
+      </button>
+    );
+  };
+  const labCitation = (lab) => citeLink(uploadResult && uploadResult.clinicalData.citations && uploadResult.clinicalData.citations[lab]);
+
+  const documentViewer = citation && uploadResult && (
+    <DocumentViewer
+      documents={uploadResult.appealDocuments || [{ id: uploadResult.documentId, filename: uploadResult.filename, extractedText: uploadResult.extractedText }]}
+      citation={citation}
+      onClose={() => setCitation(null)}
+    />
+  );
+
+  // Pack of the current appeal, or the default pack before anything is uploaded
+  const currentPack = uploadResult && uploadResult.conditionPack
+    ? conditionPacks.find(p => p.id === uploadResult.conditionPack.id) || uploadResult.conditionPack
+    : conditionPacks.find(p => p.default);
+
+  // Reviewers and supervisors work the review queue
+  const canReview = Boolean(auth) && (auth.user.roles.includes('reviewer') || auth.user.roles.includes('supervisor'));
+
+  // Pages OCR was unsure of, for the reviewer to check against the original
+  const lowConfidenceOcr = ((uploadResult && uploadResult.appealDocuments) || [])
+    .filter(doc => doc.ocr && doc.ocr.lowConfidencePages.length > 0)
+    .map(doc => ({
+      filename: doc.filename,
+      pages: doc.ocr.pages.filter(p => p.lowConfidence)
+    }));
+
+  const ocrWarning = lowConfidenceOcr.length > 0 && (
+    <div className="bg-yellow-50 border border-yellow-300 p-4 rounded-lg mb-6">
+      <h3 className="text-md font-medium text-yellow-900 mb-2">Low-Confidence OCR</h3>
+      <p className="text-sm text-yellow-900 mb-2">These scanned pages were hard to read; check their values against the original document.</p>
+      <ul className="space-y-1">
+        {lowConfidenceOcr.map((doc) => (
+          <li key={doc.filename} className="text-sm text-yellow-900">
+            • {doc.filename}: {doc.pages.map(p => `page ${p.page} (${p.confidence === null ? 'unreadable' : `${p.confidence}%`})`).join(', ')}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+
+  const detectionNote = (detection) => {
+    if (!detection) return null;
+    if (detection.method === 'explicit') return 'selected for this appeal';
+    if (detection.method === 'default') return 'default; no condition terms found in the record';
+    return `detected from: ${(detection.matchedTerms || []).join(', ')}`;
+  };
+
+  const complianceColors = {
+    met: 'text-green-700',
+    respected: 'text-green-700',
+    missed: 'text-red-700',
+    overdue: 'text-red-700',
+    undocumented: 'text-gray-500'
+  };
+
+  if (!auth) {
+    return <LoginForm apiBase={API_BASE} onSignIn={signIn} />;
+  }
+
   return (
     <div className="min-h-screen bg-gray-50">
       {/* Header */}
@@ -133,8 +351,10 @@ function App() {
               <h1 className="text-2xl font-bold text-gray-900">CKD Appeals AI</h1>
               <span className="ml-2 px-2 py-1 text-xs bg-blue-100 text-blue-800 rounded-full">POC</span>
             </div>
-            <div className="text-sm text-gray-500">
-              Chronic Kidney Disease Appeal Analysis
+            <div className="flex items-center space-x-4 text-sm text-gray-500">
+              <span>{currentPack && currentPack.name ? `${currentPack.name} Appeal Analysis` : 'Appeal Analysis'}</span>
+              <span>{auth.user.name} ({auth.user.roles.join(', ')})</span>
+              <button onClick={signOut} className="text-blue-600 hover:underline">Sign out</button>
             </div>
           </div>
         </div>
@@ -179,6 +399,18 @@ function App() {
                 Decision Analysis
               </button>
             )}
+            {canReview && (
+              <button
+                onClick={() => setActiveTab('queue')}
+                className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                  activeTab === 'queue'
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                Review Queue
+              </button>
+            )}
           </nav>
         </div>
 
@@ -188,36 +420,74 @@ function App() {
             <div className="max-w-xl mx-auto">
               <h2 className="text-lg font-medium text-gray-900 mb-4">Upload Patient Document</h2>
               <p className="text-sm text-gray-600 mb-6">
-                Upload a PDF or text file containing patient medical records for CKD appeal analysis.
+                Upload PDF, text, Word (DOCX), HTML, RTF, C-CDA (XML) or scanned image (PNG, JPEG, TIFF) files containing patient medical records for appeal analysis; scanned pages are read with OCR, and C-CDA results, problems and medications are read from their coded entries. Select several at once to add a whole appeal packet; clinical data is merged across every document in the appeal.
               </p>
+
+              {appealId && (
+                <div className="flex justify-between items-center bg-blue-50 p-3 rounded-md mb-4">
+                  <p className="text-sm text-blue-800">
+                    New documents will be added to <strong>Appeal #{appealId}</strong>
+                  </p>
+                  <button
+                    onClick={startNewAppeal}
+                    className="text-sm font-medium text-blue-700 hover:text-blue-900"
+                  >
+                    Start new appeal
+                  </button>
+                </div>
+              )}
               
               <div className="space-y-4">
+                {!appealId && conditionPacks.length > 0 && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Condition
+                    </label>
+                    <select
+                      value={selectedPack}
+                      onChange={(e) => setSelectedPack(e.target.value)}
+                      className="block w-full text-sm border border-gray-300 rounded-md py-2 px-3"
+                    >
+                      <option value="">Auto-detect from the documents</option>
+                      {conditionPacks.map((pack) => (
+                        <option key={pack.id} value={pack.id}>{pack.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
                 <div>
                   <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Select Document
+                    Select Documents
                   </label>
                   <input
                     type="file"
-                    accept=".pdf,.txt"
+                    accept={ACCEPTED_EXTENSIONS.join(',')}
+                    multiple
                     onChange={handleFileChange}
                     className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
                   />
                 </div>
                 
-                {file && (
+                {files.length > 0 && (
                   <div className="bg-gray-50 p-3 rounded-md">
-                    <p className="text-sm text-gray-700">
-                      <strong>Selected file:</strong> {file.name} ({(file.size / 1024 / 1024).toFixed(2)} MB)
-                    </p>
+                    <p className="text-sm text-gray-700 mb-1"><strong>Selected files:</strong></p>
+                    <ul className="space-y-1">
+                      {files.map((f) => (
+                        <li key={f.name} className="text-sm text-gray-700">
+                          {f.name} ({(f.size / 1024 / 1024).toFixed(2)} MB)
+                        </li>
+                      ))}
+                    </ul>
                   </div>
                 )}
                 
                 <button
                   onClick={handleUpload}
-                  disabled={!file || uploading}
+                  disabled={files.length === 0 || uploading}
                   className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
                 >
-                  {uploading ? 'Uploading...' : 'Upload and Process Document'}
+                  {uploading ? 'Uploading...' : files.length > 1 ? `Upload and Process ${files.length} Documents` : 'Upload and Process Document'}
                 </button>
               </div>
             </div>
@@ -229,45 +499,149 @@ function App() {
           <div className="bg-white shadow rounded-lg p-6">
             <h2 className="text-lg font-medium text-gray-900 mb-4">Document Processing Results</h2>
             
+            {uploadResult.appealDocuments && uploadResult.appealDocuments.length > 1 && (
+              <p className="text-sm text-gray-600 mb-4">
+                Merged from {uploadResult.appealDocuments.length} documents: {uploadResult.appealDocuments.map(doc => doc.filename).join(', ')}
+              </p>
+            )}
+            
+            {currentPack && currentPack.name && (
+              <p className="text-sm text-gray-600 mb-4">
+                Condition: <strong>{currentPack.name}</strong>
+                {uploadResult.conditionDetection && (
+                  <span className="text-gray-500"> ({detectionNote(uploadResult.conditionDetection)})</span>
+                )}
+              </p>
+            )}
+            
+            {ocrWarning}
+            
+            {uploadResult.clinicalData.conflicts && uploadResult.clinicalData.conflicts.length > 0 && (
+              <div className="bg-yellow-50 border border-yellow-300 p-4 rounded-lg mb-6">
+                <h3 className="text-md font-medium text-yellow-900 mb-2">Conflicting Clinical Findings</h3>
+                <ul className="space-y-1">
+                  {uploadResult.clinicalData.conflicts.map((conflict, index) => (
+                    <li key={index} className="text-sm text-yellow-900">
+                      • {conflict.description}
+                      {conflict.values.map((value, i) => <span key={i}>{citeLink(value.citation, value.filename)}</span>)}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
               {/* Clinical Data */}
               <div className="bg-gray-50 p-4 rounded-lg">
                 <h3 className="text-md font-medium text-gray-900 mb-3">Extracted Clinical Data</h3>
                 <div className="space-y-2">
+                  {uploadResult.clinicalData.ckdStage && (
+                    <div className="pb-2 mb-2 border-b border-gray-200">
+                      <div className="flex justify-between items-center">
+                        <span className="text-sm text-gray-600">CKD Stage:</span>
+                        <span className="px-2 py-0.5 text-sm font-semibold bg-blue-100 text-blue-800 rounded-full">
+                          {uploadResult.clinicalData.ckdStage.label}
+                        </span>
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">{uploadResult.clinicalData.ckdStage.description}</p>
+                      {uploadResult.clinicalData.ckdStage.meetsCkdDefinition === false && (
+                        <p className="text-xs text-yellow-700 mt-1">No albuminuria documented: G1/G2 alone does not meet the definition of CKD</p>
+                      )}
+                    </div>
+                  )}
+                  {uploadResult.clinicalData.stage && (
+                    <div className="pb-2 mb-2 border-b border-gray-200">
+                      <div className="flex justify-between items-center">
+                        <span className="text-sm text-gray-600">Stage:</span>
+                        <span className="px-2 py-0.5 text-sm font-semibold bg-blue-100 text-blue-800 rounded-full">
+                          {uploadResult.clinicalData.stage.label}
+                        </span>
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">
+                        {uploadResult.clinicalData.stage.description}
+                        {uploadResult.clinicalData.stage.range && ` (${uploadResult.clinicalData.stage.range})`}
+                      </p>
+                    </div>
+                  )}
+                  {currentPack && (currentPack.extractors || []).map((extractor) => (
+                    uploadResult.clinicalData[extractor.name] !== null && uploadResult.clinicalData[extractor.name] !== undefined && (
+                      <div key={extractor.name} className="flex justify-between">
+                        <span className="text-sm text-gray-600">{extractor.label}:</span>
+                        <span className="text-sm font-medium">
+                          {uploadResult.clinicalData[extractor.name]}{extractor.unit ? ` ${extractor.unit}` : ''}
+                          {sourceNote(extractor.name)}
+                          {labCitation(extractor.name)}
+                        </span>
+                      </div>
+                    )
+                  ))}
                   {uploadResult.clinicalData.gfr && (
                     <div className="flex justify-between">
                       <span className="text-sm text-gray-600">GFR:</span>
-                      <span className="text-sm font-medium">{uploadResult.clinicalData.gfr} mL/min/1.73m²</span>
+                      <span className="text-sm font-medium">
+                        {uploadResult.clinicalData.gfr} mL/min/1.73m²
+                        {sourceNote('gfr')}
+                        {labCitation('gfr')}
+                        {uploadResult.clinicalData.gfrSource === 'calculated' && (
+                          <span className="ml-2 px-2 py-0.5 text-xs bg-yellow-100 text-yellow-800 rounded-full">
+                            Calculated ({uploadResult.clinicalData.gfrCalculation.equation}), not reported
+                          </span>
+                        )}
+                      </span>
+                    </div>
+                  )}
+                  {!uploadResult.clinicalData.gfr && uploadResult.clinicalData.gfrCalculation && uploadResult.clinicalData.gfrCalculation.missing.length > 0 && (
+                    <div className="flex justify-between">
+                      <span className="text-sm text-gray-600">GFR:</span>
+                      <span className="text-sm text-gray-500">
+                        Not reported; cannot calculate without {uploadResult.clinicalData.gfrCalculation.missing.join(' and ')}
+                      </span>
+                    </div>
+                  )}
+                  {(uploadResult.clinicalData.age || uploadResult.clinicalData.sex) && (
+                    <div className="flex justify-between">
+                      <span className="text-sm text-gray-600">Age / Sex:</span>
+                      <span className="text-sm font-medium">
+                        {uploadResult.clinicalData.age || '—'} / {uploadResult.clinicalData.sex || '—'}
+                        {uploadResult.clinicalData.demographics && uploadResult.clinicalData.demographics.citations &&
+                          citeLink(uploadResult.clinicalData.demographics.citations.age || uploadResult.clinicalData.demographics.citations.dateOfBirth)}
+                      </span>
                     </div>
                   )}
                   {uploadResult.clinicalData.creatinine && (
                     <div className="flex justify-between">
                       <span className="text-sm text-gray-600">Creatinine:</span>
-                      <span className="text-sm font-medium">{uploadResult.clinicalData.creatinine} mg/dL</span>
+                      <span className="text-sm font-medium">{uploadResult.clinicalData.creatinine} mg/dL{sourceNote('creatinine')}{labCitation('creatinine')}</span>
                     </div>
                   )}
                   {uploadResult.clinicalData.bun && (
                     <div className="flex justify-between">
                       <span className="text-sm text-gray-600">BUN:</span>
-                      <span className="text-sm font-medium">{uploadResult.clinicalData.bun} mg/dL</span>
+                      <span className="text-sm font-medium">{uploadResult.clinicalData.bun} mg/dL{sourceNote('bun')}{labCitation('bun')}</span>
                     </div>
                   )}
                   {uploadResult.clinicalData.proteinuria && (
                     <div className="flex justify-between">
                       <span className="text-sm text-gray-600">Proteinuria:</span>
-                      <span className="text-sm font-medium">{uploadResult.clinicalData.proteinuria} g/day</span>
+                      <span className="text-sm font-medium">{uploadResult.clinicalData.proteinuria} g/day{sourceNote('proteinuria')}{labCitation('proteinuria')}</span>
+                    </div>
+                  )}
+                  {uploadResult.clinicalData.uacr && (
+                    <div className="flex justify-between">
+                      <span className="text-sm text-gray-600">UACR:</span>
+                      <span className="text-sm font-medium">{uploadResult.clinicalData.uacr} mg/g{sourceNote('uacr')}{labCitation('uacr')}</span>
                     </div>
                   )}
                   {uploadResult.clinicalData.bloodPressure && (
                     <div className="flex justify-between">
                       <span className="text-sm text-gray-600">Blood Pressure:</span>
-                      <span className="text-sm font-medium">{uploadResult.clinicalData.bloodPressure} mmHg</span>
+                      <span className="text-sm font-medium">{uploadResult.clinicalData.bloodPressure} mmHg{sourceNote('bloodPressure')}{labCitation('bloodPressure')}</span>
                     </div>
                   )}
                   {uploadResult.clinicalData.diabetes && (
                     <div className="flex justify-between">
                       <span className="text-sm text-gray-600">Diabetes:</span>
-                      <span className="text-sm font-medium text-green-600">Present</span>
+                      <span className="text-sm font-medium text-green-600">Present{citeLink(uploadResult.clinicalData.diabetesCitation)}</span>
                     </div>
                   )}
                   {uploadResult.clinicalData.complications.length > 0 && (
@@ -276,7 +650,22 @@ function App() {
                       <ul className="mt-1 space-y-1">
                         {uploadResult.clinicalData.complications.map((comp, index) => (
                           <li key={index} className="text-sm font-medium text-red-600 ml-4">
-                            • {comp.name}
+                            • {comp.name}{citeLink(comp.citation)}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                  {uploadResult.clinicalData.problems && uploadResult.clinicalData.problems.length > 0 && (
+                    <div>
+                      <span className="text-sm text-gray-600">Problem list:</span>
+                      <ul className="mt-1 space-y-1">
+                        {uploadResult.clinicalData.problems.map((problem, index) => (
+                          <li key={index} className={`text-sm ml-4 ${problem.status === 'resolved' ? 'text-gray-400' : 'font-medium text-gray-900'}`}>
+                            • {problem.name}
+                            {problem.code && <span className="text-xs text-gray-500"> ({problem.codeSystem} {problem.code})</span>}
+                            {problem.status === 'resolved' && ' (resolved)'}
+                            {citeLink(problem.citation)}
                           </li>
                         ))}
                       </ul>
@@ -294,6 +683,16 @@ function App() {
                       <div key={index} className="text-sm">
                         <span className="font-medium text-blue-600">{expansion.abbreviation}</span>
                         <span className="text-gray-600"> → {expansion.fullName}</span>
+                        {expansion.count > 1 && <span className="text-xs text-gray-500"> ×{expansion.count}</span>}
+                        {expansion.ambiguous && (
+                          <span
+                            className="ml-1 text-xs text-yellow-700"
+                            title={expansion.positions[0].candidates.map(c => `${c.meaning}: ${c.score}`).join(', ')}
+                          >
+                            ({expansion.positions.every(p => p.resolvedBy === 'default') ? 'default meaning' : 'from context'})
+                          </span>
+                        )}
+                        {citeLink(expansion.citation)}
                       </div>
                     ))}
                     {uploadResult.expandedData.expansions.length > 5 && (
@@ -308,6 +707,95 @@ function App() {
               </div>
             </div>
 
+            {/* Kidney Function Trend */}
+            {uploadResult.clinicalData.gfrTrend && (
+              <div className="mt-6 bg-gray-50 p-4 rounded-lg">
+                <h3 className="text-md font-medium text-gray-900 mb-3">Kidney Function Trend</h3>
+                {uploadResult.clinicalData.gfrTrend.sufficientData ? (
+                  <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                    <div>
+                      <div className="text-sm text-gray-600 mb-1">
+                        eGFR{uploadResult.clinicalData.gfrTrend.calculated && ' (calculated from creatinine)'}
+                      </div>
+                      <TrendChart points={uploadResult.clinicalData.gfrTrend.points} unit="mL/min/1.73m²" />
+                      <div className="grid grid-cols-2 gap-2 mt-2 text-sm">
+                        <div>
+                          <span className="text-gray-600">Slope:</span>
+                          <span className="ml-2 font-medium">{uploadResult.clinicalData.gfrTrend.slopePerYear} /year</span>
+                        </div>
+                        <div>
+                          <span className="text-gray-600">Decline:</span>
+                          <span className="ml-2 font-medium">{uploadResult.clinicalData.gfrTrend.percentDecline}%</span>
+                        </div>
+                      </div>
+                    </div>
+                    <div>
+                      <div className="text-sm text-gray-600 mb-1">Creatinine</div>
+                      <TrendChart points={datedPoints(uploadResult.clinicalData.labSeries && uploadResult.clinicalData.labSeries.creatinine)} unit="mg/dL" color="#9333ea" />
+                    </div>
+                  </div>
+                ) : (
+                  <p className="text-sm text-gray-500">
+                    {uploadResult.clinicalData.gfrTrend.observationCount} dated eGFR result(s) found; at least two are needed for a trend.
+                  </p>
+                )}
+                {uploadResult.clinicalData.gfrTrend.flags.length > 0 && (
+                  <div className="space-y-2 mt-4">
+                    {uploadResult.clinicalData.gfrTrend.flags.map((flag) => (
+                      <div key={flag.criterion} className="text-sm bg-white p-2 rounded border-l-4 border-yellow-500">
+                        <span className="font-medium">{flag.criterion}:</span> {flag.evidence}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Medications */}
+            {uploadResult.clinicalData.medications && uploadResult.clinicalData.medications.length > 0 && (
+              <div className="mt-6 bg-gray-50 p-4 rounded-lg">
+                <h3 className="text-md font-medium text-gray-900 mb-3">Medications</h3>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-600">
+                      <th className="pb-1 font-normal">Drug</th>
+                      <th className="pb-1 font-normal">Dose</th>
+                      <th className="pb-1 font-normal">Route</th>
+                      <th className="pb-1 font-normal">Frequency</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {uploadResult.clinicalData.medications.map((med) => (
+                      <tr key={med.drug} className={med.status === 'discontinued' ? 'text-gray-400 line-through' : 'text-gray-900'}>
+                        <td className="py-1">
+                          <span className="font-medium">{med.drug}</span>
+                          <span className="text-xs text-gray-500"> ({med.className})</span>
+                          {citeLink(med.citation)}
+                        </td>
+                        <td className="py-1">{med.dose || '—'}</td>
+                        <td className="py-1" title={med.routeDescription || undefined}>{med.route || '—'}</td>
+                        <td className="py-1" title={med.frequencyDescription || undefined}>{med.frequency || '—'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {uploadResult.clinicalData.medicationAlerts && uploadResult.clinicalData.medicationAlerts.length > 0 && (
+                  <div className="space-y-2 mt-4">
+                    {uploadResult.clinicalData.medicationAlerts.map((alert, index) => (
+                      <div
+                        key={index}
+                        className={`text-sm bg-white p-2 rounded border-l-4 ${alert.severity === 'contraindicated' || alert.severity === 'avoid' ? 'border-red-500' : 'border-yellow-500'}`}
+                      >
+                        <span className="font-medium">{alert.severity.replace(/_/g, ' ')}:</span> {alert.medication} at {alert.basis}. {alert.guidance}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {documentViewer}
+
             <div className="mt-6">
               <button
                 onClick={handleAnalyze}
@@ -325,6 +813,8 @@ function App() {
           <div className="bg-white shadow rounded-lg p-6">
             <h2 className="text-lg font-medium text-gray-900 mb-4">Decision Analysis</h2>
             
+            {ocrWarning}
+            
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
               {/* Decision Result */}
               <div className="bg-gray-50 p-4 rounded-lg">
@@ -353,12 +843,140 @@ function App() {
                   {analysisResult.decision.rationale.map((reason, index) => (
                     <div key={index} className="text-sm bg-white p-2 rounded border-l-4 border-blue-500">
                       {reason}
+                      {((analysisResult.decision.rationaleCitations && analysisResult.decision.rationaleCitations[index]) || []).map((id) => {
+                        const evidence = (analysisResult.decision.evidence || []).find(e => e.id === id);
+                        return evidence ? <span key={id}>{citeLink(evidence, id)}</span> : null;
+                      })}
                     </div>
                   ))}
                 </div>
               </div>
             </div>
 
+            {documentViewer}
+
+            {/* LLM and rules verdicts */}
+            {analysisResult.decision.verdicts && (
+              <div className="mt-6 bg-gray-50 p-4 rounded-lg">
+                <h3 className="text-md font-medium text-gray-900 mb-3">Verdict Reconciliation</h3>
+                {analysisResult.decision.reconciliation && (
+                  <p className="text-sm text-gray-700 mb-3">{analysisResult.decision.reconciliation.reason}</p>
+                )}
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                  <div className="bg-white p-3 rounded border">
+                    <div className="text-sm text-gray-600 mb-1">LLM verdict</div>
+                    {analysisResult.decision.verdicts.llm ? (
+                      <div className={`inline-block border rounded px-2 py-1 text-sm font-medium ${getDecisionColor(analysisResult.decision.verdicts.llm.decision)}`}>
+                        {analysisResult.decision.verdicts.llm.decision} ({(analysisResult.decision.verdicts.llm.confidence * 100).toFixed(0)}%)
+                      </div>
+                    ) : (
+                      <div className="text-sm text-gray-500">Unavailable</div>
+                    )}
+                  </div>
+                  <div className="bg-white p-3 rounded border">
+                    <div className="text-sm text-gray-600 mb-1">Rules engine verdict</div>
+                    <div className={`inline-block border rounded px-2 py-1 text-sm font-medium ${getDecisionColor(analysisResult.decision.verdicts.rules.decision)}`}>
+                      {analysisResult.decision.verdicts.rules.decision} ({(analysisResult.decision.verdicts.rules.confidence * 100).toFixed(0)}%)
+                    </div>
+                    {analysisResult.decision.verdicts.rules.firedRules.length > 0 && (
+                      <ul className="mt-2 space-y-1">
+                        {analysisResult.decision.verdicts.rules.firedRules.map((rule) => (
+                          <li key={rule.id} className="text-xs text-gray-700">
+                            • {rule.outcome} [{rule.evidence}]: {rule.criterion}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                </div>
+              </div>
+            )}
+
+            <ReviewPanel
+              key={analysisResult.decision.id}
+              decision={analysisResult.decision}
+              user={auth.user}
+              apiFetch={apiFetch}
+              onReviewed={(result) => setAnalysisResult(prev => ({
+                ...prev,
+                decision: {
+                  ...prev.decision,
+                  humanDecision: result.decision.humanDecision,
+                  reviewStatus: result.decision.reviewStatus,
+                  review: result.decision.review,
+                },
+              }))}
+            />
+
+            {/* PHI replaced before the provider call */}
+            {analysisResult.decision.deidentification && (
+              <div className="mt-6 bg-gray-50 p-4 rounded-lg">
+                <h3 className="text-md font-medium text-gray-900 mb-3">De-identification</h3>
+                <p className="text-sm text-gray-700 mb-2">
+                  {analysisResult.decision.deidentification.mode === 'strict'
+                    ? 'Strict mode: only structured clinical data was sent to the AI provider.'
+                    : 'Identifiers were replaced with placeholders before the record was sent to the AI provider.'}
+                </p>
+                {analysisResult.decision.deidentification.placeholders.length > 0 && (
+                  <ul className="space-y-1">
+                    {analysisResult.decision.deidentification.placeholders.map((p) => (
+                      <li key={p.placeholder} className="text-xs text-gray-700">
+                        • {p.placeholder} = {p.original} ({p.occurrences}×)
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+
+            {/* Guideline compliance */}
+            {analysisResult.decision.compliance && (
+              <div className="mt-6 bg-gray-50 p-4 rounded-lg">
+                <h3 className="text-md font-medium text-gray-900 mb-3">Guideline Compliance</h3>
+                <p className="text-sm text-gray-700 mb-3">
+                  {analysisResult.decision.compliance.summary.targetsMet} target(s) met, {analysisResult.decision.compliance.summary.targetsMissed} missed, {analysisResult.decision.compliance.summary.targetsUndocumented} undocumented
+                </p>
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                  <div className="bg-white p-3 rounded border">
+                    <div className="text-sm text-gray-600 mb-2">Treatment targets</div>
+                    <ul className="space-y-1">
+                      {analysisResult.decision.compliance.targets.filter(t => t.status !== 'not_applicable').map((target) => (
+                        <li key={target.id} className="text-xs text-gray-700 flex justify-between">
+                          <span>{target.label} (target {target.target})</span>
+                          <span className={`${complianceColors[target.status]} font-medium`}>
+                            {target.status === 'undocumented' ? 'Undocumented' : `${target.value} ${target.status === 'met' ? 'met' : 'missed'}`}
+                          </span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                  <div className="bg-white p-3 rounded border">
+                    <div className="text-sm text-gray-600 mb-2">
+                      Monitoring {analysisResult.decision.compliance.monitoring.schedule ? `(${analysisResult.decision.compliance.monitoring.schedule.replace(/_/g, ' ')})` : ''}
+                    </div>
+                    {analysisResult.decision.compliance.monitoring.items.length > 0 ? (
+                      <ul className="space-y-1">
+                        {analysisResult.decision.compliance.monitoring.items.filter(i => i.status !== 'not_applicable').map((item) => (
+                          <li key={item.item} className="text-xs text-gray-700 flex justify-between">
+                            <span>{item.item.replace(/_/g, ' ')} ({item.frequency.toLowerCase()})</span>
+                            <span className={`${complianceColors[item.status]} font-medium`}>
+                              {item.status === 'undocumented' ? 'No dated results' : `${item.status === 'respected' ? 'On schedule' : 'Overdue'}, longest gap ${item.longestGapDays} days`}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    ) : (
+                      <p className="text-xs text-gray-500">No CKD stage, so no monitoring schedule applies</p>
+                    )}
+                  </div>
+                </div>
+                {[...analysisResult.decision.compliance.nonCompliance.evidence.map(e => `Documented non-adherence: "${e}"`),
+                  ...analysisResult.decision.compliance.alternativeTreatments.evidence].map((note, index) => (
+                  <p key={index} className="text-xs text-red-700 mt-2">• {note}</p>
+                ))}
+              </div>
+            )}
+
             {/* Additional Decision Information */}
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mt-6">
               {/* Key Factors */}
@@ -406,10 +1024,25 @@ function App() {
                     {analysisResult.decision.extractedTextLength} characters
                   </span>
                 </div>
+                {analysisResult.decision.retrieval && (
+                  <div className="col-span-2">
+                    <span className="text-gray-600">Passages Reviewed:</span>
+                    <span className="ml-2 font-medium">
+                      {analysisResult.decision.retrieval.passages.length} of {analysisResult.decision.retrieval.chunkCount}
+                    </span>
+                    {analysisResult.decision.retrieval.passages.map((passage) => (
+                      <span key={passage.id} title={passage.criteria.join('; ')}>{citeLink(passage, passage.id)}</span>
+                    ))}
+                  </div>
+                )}
               </div>
             </div>
           </div>
         )}
+
+        {activeTab === 'queue' && canReview && (
+          <ReviewQueue user={auth.user} apiFetch={apiFetch} onOpen={loadAppeal} />
+        )}
       </main>
     </div>
   );
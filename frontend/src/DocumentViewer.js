@@ -0,0 +1,67 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+// Full extracted text of the appeal's documents with the cited passage
+// highlighted: documents = [{ id, filename, extractedText }],
+// citation = { start, end, page, documentId }
+function DocumentViewer({ documents, citation, onClose }) {
+  const [documentId, setDocumentId] = useState(null);
+  const markRef = useRef(null);
+
+  // Follow the citation to its document; uncited views open the first one
+  useEffect(() => {
+    if (citation && citation.documentId) {
+      setDocumentId(citation.documentId);
+    } else if (documents && documents.length > 0) {
+      setDocumentId(documents[0].id);
+    }
+  }, [citation, documents]);
+
+  useEffect(() => {
+    if (markRef.current) {
+      markRef.current.scrollIntoView({ block: 'center', behavior: 'smooth' });
+    }
+  }, [citation, documentId]);
+
+  if (!documents || documents.length === 0) return null;
+
+  const doc = documents.find(d => d.id === documentId) || documents[0];
+  const text = doc.extractedText || '';
+  const highlighted = citation && (!citation.documentId || citation.documentId === doc.id) &&
+    Number.isInteger(citation.start) && citation.start >= 0 && citation.end <= text.length;
+
+  return (
+    <div className="mt-6 bg-gray-50 p-4 rounded-lg">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-md font-medium text-gray-900">
+          Source Document
+          {highlighted && citation.page && <span className="ml-2 text-sm font-normal text-gray-500">page {citation.page}</span>}
+        </h3>
+        <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-700">Close</button>
+      </div>
+      {documents.length > 1 && (
+        <div className="flex flex-wrap gap-2 mb-3">
+          {documents.map(d => (
+            <button
+              key={d.id}
+              onClick={() => setDocumentId(d.id)}
+              className={`px-2 py-1 text-xs rounded border ${d.id === doc.id ? 'bg-blue-100 border-blue-500 text-blue-800' : 'bg-white border-gray-300 text-gray-700'}`}
+            >
+              {d.filename}
+            </button>
+          ))}
+        </div>
+      )}
+      <pre className="bg-white border rounded p-3 text-xs text-gray-800 whitespace-pre-wrap max-h-96 overflow-y-auto">
+        {highlighted ? (
+          <>
+            {text.substring(0, citation.start)}
+            <mark ref={markRef} className="bg-yellow-200">{text.substring(citation.start, citation.end)}</mark>
+            {text.substring(citation.end)}
+          </>
+        ) : text}
+      </pre>
+    </div>
+  );
+}
+
+export default DocumentViewer;
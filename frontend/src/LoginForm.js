@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+
+// Sign-in with a local username and password; onSignIn gets { token, user }
+function LoginForm({ apiBase, onSignIn }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [signingIn, setSigningIn] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSigningIn(true);
+    setError(null);
+    try {
+      const response = await fetch(`${apiBase}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password }),
+      });
+      const result = await response.json();
+      if (response.ok) {
+        onSignIn({ token: result.token, user: result.user });
+      } else {
+        setError(result.error || 'Sign-in failed');
+      }
+    } catch (err) {
+      setError('Sign-in failed: ' + (err.message || err));
+    } finally {
+      setSigningIn(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+      <form onSubmit={handleSubmit} className="bg-white shadow rounded-lg p-8 w-full max-w-sm">
+        <h1 className="text-2xl font-bold text-gray-900 mb-6">CKD Appeals AI</h1>
+        <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="username">Username</label>
+        <input
+          id="username"
+          type="text"
+          autoComplete="username"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          className="w-full border border-gray-300 rounded-md px-3 py-2 mb-4"
+        />
+        <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor="password">Password</label>
+        <input
+          id="password"
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          className="w-full border border-gray-300 rounded-md px-3 py-2 mb-4"
+        />
+        {error && <p className="text-sm text-red-700 mb-4">{error}</p>}
+        <button
+          type="submit"
+          disabled={signingIn || !username || !password}
+          className="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+        >
+          {signingIn ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default LoginForm;
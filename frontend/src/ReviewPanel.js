@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+
+const STATUS_LABELS = {
+  awaiting_review: 'Awaiting review',
+  awaiting_sign_off: 'Override awaiting supervisor sign-off',
+  accepted: 'Accepted by reviewer',
+  overridden: 'Overridden and signed off',
+};
+
+// Human review of the decision: accept or override it with a reason, and a
+// supervisor's sign-off of overrides. onReviewed gets the server's response.
+function ReviewPanel({ decision, user, apiFetch, onReviewed }) {
+  const [action, setAction] = useState('accept');
+  const [overrideDecision, setOverrideDecision] = useState(decision.decision === 'APPROVE' ? 'REJECT' : 'APPROVE');
+  const [reason, setReason] = useState('');
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const canReview = user.roles.includes('reviewer') || user.roles.includes('supervisor');
+  const canSignOff = user.roles.includes('supervisor');
+  const review = decision.review;
+  // The AI handed the case over; the reviewer has to decide it
+  const mustOverride = decision.decision !== 'APPROVE' && decision.decision !== 'REJECT';
+  const reviewable = !decision.humanDecision && decision.reviewStatus !== 'awaiting_sign_off';
+
+  const submit = async (path, body) => {
+    setSubmitting(true);
+    try {
+      const response = await apiFetch(`/appeals/${decision.appealId}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const result = await response.json();
+      if (response.ok) {
+        setReason('');
+        setComment('');
+        onReviewed(result);
+      } else {
+        alert('Review failed: ' + (result.error || JSON.stringify(result)));
+      }
+    } catch (error) {
+      alert('Review failed: ' + (error.message || error));
+      console.error('Review error details:', error);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleReview = (e) => {
+    e.preventDefault();
+    const overriding = mustOverride || action === 'override';
+    submit('/review', overriding
+      ? { action: 'override', decision: overrideDecision, reason }
+      : { action: 'accept', reason });
+  };
+
+  if (!decision.appealId) return null;
+
+  return (
+    <div className="mt-6 bg-gray-50 p-4 rounded-lg">
+      <h3 className="text-md font-medium text-gray-900 mb-3">Human Review</h3>
+      <p className="text-sm text-gray-700 mb-3">
+        {STATUS_LABELS[decision.reviewStatus] || 'No review required'}
+        {decision.humanDecision && <> — final decision: <strong>{decision.humanDecision}</strong> (AI: {decision.decision})</>}
+      </p>
+
+      {review && (
+        <div className="bg-white p-3 rounded border text-sm text-gray-700 mb-3 space-y-1">
+          <div>
+            {review.reviewer} {review.action === 'accept' ? 'accepted' : `overrode ${review.aiDecision} with ${review.decision}`} on {new Date(review.reviewedAt).toLocaleString()}
+          </div>
+          {review.reason && <div>Reason: {review.reason}</div>}
+          {review.signOff && (
+            <div>
+              {review.signOff.supervisor} {review.signOff.approved ? 'signed off' : 'returned'} the override
+              {review.signOff.comment ? `: ${review.signOff.comment}` : ''}
+            </div>
+          )}
+        </div>
+      )}
+
+      {canReview && reviewable && (
+        <form onSubmit={handleReview} className="bg-white p-3 rounded border space-y-3">
+          {!mustOverride && (
+            <div className="flex space-x-4 text-sm">
+              <label><input type="radio" checked={action === 'accept'} onChange={() => setAction('accept')} className="mr-1" />Accept {decision.decision}</label>
+              <label><input type="radio" checked={action === 'override'} onChange={() => setAction('override')} className="mr-1" />Override</label>
+            </div>
+          )}
+          {(mustOverride || action === 'override') && (
+            <select
+              value={overrideDecision}
+              onChange={(e) => setOverrideDecision(e.target.value)}
+              className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+            >
+              <option value="APPROVE">APPROVE</option>
+              <option value="REJECT">REJECT</option>
+            </select>
+          )}
+          <textarea
+            value={reason}
+            onChange={(e) => setReason(e.target.value)}
+            placeholder={mustOverride || action === 'override' ? 'Reason for the override (required)' : 'Note (optional)'}
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+            rows={2}
+          />
+          <button
+            type="submit"
+            disabled={submitting || ((mustOverride || action === 'override') && !reason.trim())}
+            className="bg-blue-600 text-white py-2 px-4 rounded-md text-sm hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+          >
+            {submitting ? 'Submitting...' : 'Submit review'}
+          </button>
+        </form>
+      )}
+
+      {canSignOff && decision.reviewStatus === 'awaiting_sign_off' && review && review.reviewer !== user.username && (
+        <div className="bg-white p-3 rounded border space-y-3">
+          <textarea
+            value={comment}
+            onChange={(e) => setComment(e.target.value)}
+            placeholder="Comment (required to return the override)"
+            className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+            rows={2}
+          />
+          <div className="flex space-x-3">
+            <button
+              onClick={() => submit('/review/sign-off', { approve: true, comment })}
+              disabled={submitting}
+              className="bg-green-600 text-white py-2 px-4 rounded-md text-sm hover:bg-green-700 disabled:bg-gray-400"
+            >
+              Sign off override
+            </button>
+            <button
+              onClick={() => submit('/review/sign-off', { approve: false, comment })}
+              disabled={submitting || !comment.trim()}
+              className="bg-white border border-gray-300 text-gray-700 py-2 px-4 rounded-md text-sm hover:bg-gray-50 disabled:text-gray-400"
+            >
+              Return to reviewer
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ReviewPanel;
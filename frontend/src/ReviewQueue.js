@@ -0,0 +1,141 @@
+import React, { useCallback, useEffect, useState } from 'react';
+
+const STATUS_LABELS = {
+  awaiting_review: 'Awaiting review',
+  awaiting_sign_off: 'Awaiting sign-off',
+};
+
+// Turnaround deadline states of open appeals
+const SLA_COLORS = {
+  on_track: 'text-gray-500',
+  at_risk: 'text-yellow-700',
+  overdue: 'text-red-700',
+};
+
+// Appeals waiting for a reviewer or a supervisor's sign-off. Reviewers take
+// unassigned appeals; supervisors may assign them to anyone. onOpen gets the
+// appeal id.
+function ReviewQueue({ user, apiFetch, onOpen }) {
+  const [filter, setFilter] = useState('');
+  const [queue, setQueue] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const canAssign = user.roles.includes('supervisor');
+
+  const loadQueue = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await apiFetch(`/review-queue${filter ? `?assignedTo=${filter}` : ''}`);
+      const result = await response.json();
+      if (response.ok) {
+        setQueue(result);
+      } else {
+        alert('Loading the review queue failed: ' + (result.error || JSON.stringify(result)));
+      }
+    } catch (error) {
+      console.error('Review queue error details:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiFetch, filter]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  const assign = async (appealId, assignee) => {
+    const response = await apiFetch(`/appeals/${appealId}/assign`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ assignee }),
+    });
+    if (!response.ok) {
+      const result = await response.json();
+      alert('Assignment failed: ' + (result.error || JSON.stringify(result)));
+    }
+    loadQueue();
+  };
+
+  const assignTo = (appealId) => {
+    const assignee = window.prompt('Assign to (username; leave empty to unassign)');
+    if (assignee !== null) assign(appealId, assignee.trim() || null);
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-lg font-medium text-gray-900">Review Queue</h2>
+        <select
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+        >
+          <option value="">All appeals</option>
+          <option value="me">Assigned to me</option>
+          <option value="unassigned">Unassigned</option>
+        </select>
+      </div>
+      {queue && (
+        <p className="text-sm text-gray-600 mb-4">
+          Decisions the AI sent to REVIEW or made with less than {Math.round(queue.confidenceThreshold * 100)}% confidence, and overrides waiting for sign-off, oldest first.
+        </p>
+      )}
+      {loading && !queue && <p className="text-sm text-gray-500">Loading...</p>}
+      {queue && queue.items.length === 0 && <p className="text-sm text-gray-500">Nothing is waiting for review.</p>}
+      {queue && queue.items.length > 0 && (
+        <table className="min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600 border-b">
+              <th className="py-2 pr-4">Appeal</th>
+              <th className="py-2 pr-4">AI decision</th>
+              <th className="py-2 pr-4">Status</th>
+              <th className="py-2 pr-4">Due</th>
+              <th className="py-2 pr-4">Assigned to</th>
+              <th className="py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {queue.items.map((item) => (
+              <tr key={item.appeal.id} className="border-b align-top">
+                <td className="py-2 pr-4">
+                  #{item.appeal.id}{item.appeal.reference ? ` ${item.appeal.reference}` : ''}
+                  <div className="text-xs text-gray-500">{new Date(item.decision.timestamp).toLocaleString()}</div>
+                </td>
+                <td className="py-2 pr-4">
+                  {item.decision.decision} ({(item.decision.confidence * 100).toFixed(0)}%)
+                  {item.reasons.map((reason) => (
+                    <div key={reason} className="text-xs text-gray-500">{reason}</div>
+                  ))}
+                </td>
+                <td className="py-2 pr-4">
+                  {STATUS_LABELS[item.queueStatus]}
+                  {item.review && item.review.signOff && !item.review.signOff.approved && (
+                    <div className="text-xs text-gray-500">Returned: {item.review.signOff.comment}</div>
+                  )}
+                </td>
+                <td className="py-2 pr-4">
+                  {new Date(item.appeal.sla.dueAt).toLocaleString()}
+                  <div className={`text-xs ${SLA_COLORS[item.appeal.sla.state] || 'text-gray-500'}`}>
+                    {item.appeal.sla.urgency}, {item.appeal.sla.state.replace('_', ' ')}
+                  </div>
+                </td>
+                <td className="py-2 pr-4">{item.appeal.assignedTo || '—'}</td>
+                <td className="py-2 space-x-3 whitespace-nowrap">
+                  {!item.appeal.assignedTo && (
+                    <button onClick={() => assign(item.appeal.id, user.username)} className="text-blue-600 hover:underline">Take</button>
+                  )}
+                  {canAssign && (
+                    <button onClick={() => assignTo(item.appeal.id)} className="text-blue-600 hover:underline">Assign</button>
+                  )}
+                  <button onClick={() => onOpen(item.appeal.id)} className="text-blue-600 hover:underline">Open</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+export default ReviewQueue;
@@ -0,0 +1,44 @@
+import React from 'react';
+
+// Minimal SVG line chart for dated lab values: points = [{ date, value }]
+function TrendChart({ points, unit, color = '#2563eb', height = 180 }) {
+  if (!points || points.length < 2) {
+    return <p className="text-sm text-gray-500">Not enough dated results to chart a trend</p>;
+  }
+
+  const width = 480;
+  const padding = { top: 16, right: 16, bottom: 32, left: 40 };
+  const times = points.map(p => new Date(p.date).getTime());
+  const values = points.map(p => p.value);
+  const minTime = Math.min(...times);
+  const maxTime = Math.max(...times);
+  const minValue = Math.min(...values);
+  const maxValue = Math.max(...values);
+  const valueRange = maxValue - minValue || 1;
+  const yMin = Math.max(0, minValue - valueRange * 0.1);
+  const yMax = maxValue + valueRange * 0.1;
+
+  const x = (t) => padding.left + ((t - minTime) / (maxTime - minTime || 1)) * (width - padding.left - padding.right);
+  const y = (v) => padding.top + (1 - (v - yMin) / (yMax - yMin)) * (height - padding.top - padding.bottom);
+  const path = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(times[i]).toFixed(1)},${y(p.value).toFixed(1)}`).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full" role="img" aria-label={`Trend chart (${unit})`}>
+      <line x1={padding.left} y1={height - padding.bottom} x2={width - padding.right} y2={height - padding.bottom} stroke="#d1d5db" />
+      <line x1={padding.left} y1={padding.top} x2={padding.left} y2={height - padding.bottom} stroke="#d1d5db" />
+      <text x={padding.left - 6} y={y(yMax) + 4} textAnchor="end" fontSize="10" fill="#6b7280">{yMax.toFixed(0)}</text>
+      <text x={padding.left - 6} y={y(yMin) + 4} textAnchor="end" fontSize="10" fill="#6b7280">{yMin.toFixed(0)}</text>
+      <path d={path} fill="none" stroke={color} strokeWidth="2" />
+      {points.map((p, i) => (
+        <g key={p.date}>
+          <circle cx={x(times[i])} cy={y(p.value)} r="3.5" fill={color} />
+          <text x={x(times[i])} y={y(p.value) - 8} textAnchor="middle" fontSize="10" fill="#374151">{p.value}</text>
+          <text x={x(times[i])} y={height - padding.bottom + 14} textAnchor="middle" fontSize="9" fill="#6b7280">{p.date}</text>
+        </g>
+      ))}
+      <text x={width - padding.right} y={padding.top} textAnchor="end" fontSize="10" fill="#6b7280">{unit}</text>
+    </svg>
+  );
+}
+
+export default TrendChart;
@@ -4,29 +4,138 @@ const { Sequelize, DataTypes } = require('sequelize');
 const pg = require('pg');
 const pgHstore = require('pg-hstore');
 const multer = require('multer');
-const pdfParse = require('pdf-parse');
+const { extractPdfText } = require('./lib/pdfText');
+const { createOcrEngine, summarizeOcr } = require('./lib/ocr');
+const { documentFormat, docxToText, htmlToText, rtfToText } = require('./lib/documentFormats');
+const { parseCcda } = require('./lib/ccda');
+const { LAB_LOINC_CODES, structuredFindings } = require('./lib/structuredRecord');
+const { parseFhirBundle, decisionBundle } = require('./lib/fhir');
 const cors = require('cors');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { defineModels, createInMemoryModels } = require('./lib/models');
+const { createAuditLog, createModelAuditStore, createFileAuditStore } = require('./lib/auditLog');
+const {
+  ROLES,
+  hasPermission,
+  rolesWithPermission,
+  parseRoles,
+  hashPassword,
+  verifyPassword,
+  createAuthenticator
+} = require('./lib/auth');
+const { createDevIdentityProvider } = require('./lib/devIdentityProvider');
+const { loadConditionPacks, renderPrompt } = require('./lib/conditionPacks');
+const {
+  SECTIONS: KNOWLEDGE_BASE_SECTIONS,
+  createKnowledgeBaseVersions,
+  createModelKnowledgeBaseStore,
+  createFileKnowledgeBaseStore
+} = require('./lib/knowledgeBase');
+const { createProvider } = require('./lib/llm');
+const { generateStructuredDecision } = require('./lib/llm/structuredOutput');
+const { createDeidentifier } = require('./lib/deidentify');
+const { loadKeyring, createFieldCipher } = require('./lib/fieldEncryption');
+const { RETENTION_ACTIONS, retentionDueAt, purgedFields, anonymizedFields, purgedDecisionFields, anonymizedDecisionFields, purgedAppealFields, anonymizedAppealFields } = require('./lib/retention');
+const { reviewReasons, reviewStatus, reviewDecision, signOffOverride } = require('./lib/review');
+const { APPEAL_STATUSES, MANUAL_STATUSES, MANUAL_STATUS_PERMISSIONS, OPEN_STATUSES, URGENCY_TYPES, TURNAROUND_HOURS, transitionError, forwardSteps, slaStatus } = require('./lib/lifecycle');
+const { evaluateRules } = require('./lib/rulesEngine');
+const { reconcileDecisions } = require('./lib/reconcile');
+const { extractLabSeries, latestObservation } = require('./lib/labSeries');
+const { analyzeGfrTrend } = require('./lib/trends');
+const { extractDemographics } = require('./lib/demographics');
+const { resolveEquation, estimateGfrSeries } = require('./lib/egfr');
+const { stageCkd, stageByThresholds } = require('./lib/staging');
+const { checkCompliance } = require('./lib/compliance');
+const { extractMedications, describeMedication, checkRenalDosing, summarizeOptimalManagement } = require('./lib/medications');
+const { findingsFromClinicalData, mergeFindings, describeConflict } = require('./lib/mergeFindings');
+const { LAB_LABELS, citeFindings, buildEvidence, evidenceForFacts, citedEvidenceIds } = require('./lib/citations');
+const { expandAbbreviations } = require('./lib/abbreviations');
+const { chunkText, synonymsFromAbbreviations, createBm25Index, retrievePassages } = require('./lib/retrieval');
 
 // Load environment variables from .env (if present)
 require('dotenv').config();
 
-// Initialize Gemini Pro (require valid API key)
-const _googleApiKey = process.env.GOOGLE_API_KEY;
-if (!_googleApiKey) {
-  console.error('Missing GOOGLE_API_KEY environment variable. Set it in .env or your environment and restart the server.');
+// Initialize the LLM provider (Gemini, OpenAI-compatible or offline mock)
+let llm;
+try {
+  llm = createProvider();
+  console.log(`LLM provider: ${llm.name} (${llm.model})`);
+} catch (err) {
+  console.error('Invalid LLM provider configuration:', err.message);
+  process.exit(1);
+}
+
+// How many times a schema-invalid LLM response is sent back for repair
+if (process.env.LLM_MAX_REPAIR_ATTEMPTS !== undefined && !/^\s*\d+\s*$/.test(process.env.LLM_MAX_REPAIR_ATTEMPTS)) {
+  console.error('Invalid LLM_MAX_REPAIR_ATTEMPTS; expected a whole number of 0 or more');
+  process.exit(1);
+}
+const LLM_MAX_REPAIR_ATTEMPTS = process.env.LLM_MAX_REPAIR_ATTEMPTS !== undefined
+  ? parseInt(process.env.LLM_MAX_REPAIR_ATTEMPTS, 10)
+  : 2;
+
+// What of the record reaches the LLM provider: 'redact' replaces PHI in the
+// clinical data and passages with placeholders; 'strict' also withholds the
+// passages and evidence quotes, so only the structured clinical data is sent
+const DEIDENTIFICATION_MODES = ['redact', 'strict'];
+const DEIDENTIFICATION_MODE = process.env.DEIDENTIFICATION_MODE || 'redact';
+if (!DEIDENTIFICATION_MODES.includes(DEIDENTIFICATION_MODE)) {
+  console.error(`Invalid DEIDENTIFICATION_MODE "${DEIDENTIFICATION_MODE}"; expected one of ${DEIDENTIFICATION_MODES.join(', ')}`);
   process.exit(1);
 }
 
-const genAI = new GoogleGenerativeAI(_googleApiKey);
-const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash-lite' });
+// Decisions below this confidence join the review queue, as REVIEW ones do
+const REVIEW_CONFIDENCE_THRESHOLD = process.env.REVIEW_CONFIDENCE_THRESHOLD !== undefined
+  ? parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD)
+  : 0.7;
+if (!(REVIEW_CONFIDENCE_THRESHOLD >= 0 && REVIEW_CONFIDENCE_THRESHOLD <= 1)) {
+  console.error('Invalid REVIEW_CONFIDENCE_THRESHOLD; expected a number between 0 and 1');
+  process.exit(1);
+}
+
+// Open appeals with less than this fraction of their turnaround time left are
+// at risk of missing their deadline
+const SLA_AT_RISK_FRACTION = process.env.SLA_AT_RISK_FRACTION !== undefined
+  ? parseFloat(process.env.SLA_AT_RISK_FRACTION)
+  : 0.2;
+if (!(SLA_AT_RISK_FRACTION > 0 && SLA_AT_RISK_FRACTION < 1)) {
+  console.error('Invalid SLA_AT_RISK_FRACTION; expected a number between 0 and 1');
+  process.exit(1);
+}
+// Minutes between checks escalating missed deadlines; 0 turns them off
+const SLA_CHECK_INTERVAL_MINUTES = process.env.SLA_CHECK_INTERVAL_MINUTES !== undefined
+  ? parseFloat(process.env.SLA_CHECK_INTERVAL_MINUTES)
+  : 15;
+
+// LLM output quality counters, reported by /metrics
+const llmMetrics = {
+  validDecisions: 0,
+  repairedDecisions: 0,
+  validationFailures: 0,
+  exhaustedRetries: 0,
+  failuresByError: {},
+  recentFailures: []
+};
+
+function recordLlmValidationFailure({ attempt, errors }) {
+  llmMetrics.validationFailures++;
+  for (const error of errors) {
+    llmMetrics.failuresByError[error] = (llmMetrics.failuresByError[error] || 0) + 1;
+  }
+  llmMetrics.recentFailures.unshift({ timestamp: new Date().toISOString(), attempt, errors });
+  llmMetrics.recentFailures.length = Math.min(llmMetrics.recentFailures.length, 20);
+  console.warn(`LLM output failed validation (attempt ${attempt}):`, errors.join('; '));
+}
 
 const app = express();
-app.use(express.json({ limit: '5mb' }));
-// CORS: honor explicit origin if provided
-const corsOrigin = process.env.CORS_ORIGIN || '*';
+// FHIR clients send application/fhir+json
+app.use(express.json({ limit: '5mb', type: ['application/json', 'application/fhir+json'] }));
+// CORS: the frontend's origin, or a comma-separated list of origins
+const corsOrigin = process.env.CORS_ORIGIN === '*'
+  ? '*'
+  : (process.env.CORS_ORIGIN || 'http://localhost:3000').split(',').map(origin => origin.trim());
 const corsOptions = {
   origin: corsOrigin,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
@@ -35,6 +144,82 @@ const corsOptions = {
 app.use(cors(corsOptions));
 const PORT = process.env.PORT || 3001;
 
+// Authentication (see lib/auth.js). Local tokens are signed with
+// AUTH_JWT_SECRET; without one a random secret is used and tokens stop
+// working when the server restarts, which production does not allow.
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+if (IS_PRODUCTION && !process.env.AUTH_JWT_SECRET) {
+  throw new Error('AUTH_JWT_SECRET must be set in production');
+}
+const AUTH_TOKEN_TTL = process.env.AUTH_TOKEN_TTL || '8h';
+const OIDC_ROLES_CLAIM = process.env.OIDC_ROLES_CLAIM || 'roles';
+const MIN_PASSWORD_LENGTH = 12;
+
+// Stand-in OpenID Connect provider at /dev-idp (AUTH_DEV_IDP=true, never in
+// production). It is the trusted provider unless OIDC_ISSUER names another.
+if (process.env.AUTH_DEV_IDP === 'true' && IS_PRODUCTION) {
+  console.warn('AUTH_DEV_IDP is ignored in production');
+}
+const devIdp = process.env.AUTH_DEV_IDP === 'true' && !IS_PRODUCTION
+  ? createDevIdentityProvider({
+    issuer: process.env.AUTH_DEV_IDP_ISSUER || `http://localhost:${PORT}/dev-idp`,
+    audience: process.env.OIDC_AUDIENCE || null,
+    rolesClaim: OIDC_ROLES_CLAIM,
+    tokenTtl: AUTH_TOKEN_TTL
+  })
+  : null;
+const oidcIssuer = process.env.OIDC_ISSUER || (devIdp ? devIdp.issuer : null);
+
+const authenticator = createAuthenticator({
+  secret: process.env.AUTH_JWT_SECRET || crypto.randomBytes(32).toString('hex'),
+  tokenTtl: AUTH_TOKEN_TTL,
+  findUser: username => models.User.findOne({ where: { username } }),
+  oidc: oidcIssuer
+    ? { issuer: oidcIssuer, audience: process.env.OIDC_AUDIENCE || null, rolesClaim: OIDC_ROLES_CLAIM }
+    : null
+});
+
+// Routes open without a token; every other route needs a valid bearer token
+const PUBLIC_ROUTES = ['/', '/health', '/auth/login'];
+
+app.use(async (req, res, next) => {
+  if (PUBLIC_ROUTES.includes(req.path) || (devIdp && req.path.startsWith('/dev-idp/'))) {
+    return next();
+  }
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  if (!match) {
+    return res.status(401).json({
+      error: 'Authentication required'
+    });
+  }
+  try {
+    req.user = await authenticator.verify(match[1]);
+  } catch (err) {
+    return res.status(401).json({
+      error: `Invalid token: ${err.message}`
+    });
+  }
+  next();
+});
+
+// Why a user without the permission is turned away
+function permissionError(permission) {
+  const roles = rolesWithPermission(permission);
+  return `Forbidden: requires the ${roles.length > 1 ? `${roles.slice(0, -1).join(', ')} or ${roles[roles.length - 1]}` : roles[0]} role`;
+}
+
+// Route guard: the signed-in user must hold a role with the permission
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (hasPermission(req.user, permission)) {
+      return next();
+    }
+    res.status(403).json({
+      error: permissionError(permission)
+    });
+  };
+}
+
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
 const upload = multer({ 
@@ -43,54 +228,208 @@ const upload = multer({
     fileSize: 4.5 * 1024 * 1024 // align with Vercel default limits
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/pdf' || file.mimetype === 'text/plain') {
+    if (documentFormat(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Only PDF and text files are allowed'), false);
+      cb(new Error('Only PDF, text, Word (DOCX), HTML, RTF, C-CDA (XML) and image (PNG, JPEG, TIFF) files are allowed'), false);
     }
   }
 });
 
-// Load knowledge base with caching
-let knowledgeBase = null;
-let knowledgeBaseCache = null;
-let lastLoadTime = 0;
+// OCR for image uploads and PDF pages without a text layer. Pages read with
+// less than OCR_MIN_CONFIDENCE (0-100) are flagged for the reviewer.
+const ocr = createOcrEngine({
+  lang: process.env.OCR_LANG || 'eng',
+  langPath: process.env.OCR_LANG_PATH || undefined,
+  cachePath: process.env.OCR_CACHE_PATH || undefined
+});
+const OCR_MIN_CONFIDENCE = process.env.OCR_MIN_CONFIDENCE !== undefined
+  ? parseFloat(process.env.OCR_MIN_CONFIDENCE)
+  : 80;
+
+// Prefix of the identifier systems and extension URLs in FHIR exports
+const FHIR_SYSTEM_BASE = process.env.FHIR_SYSTEM_BASE || 'https://ckd-appeals.example.org/fhir';
+
+// Equation used to estimate GFR from creatinine when none is reported
+const EGFR_EQUATION = resolveEquation(process.env.EGFR_EQUATION);
+
+// Condition packs: terminology, extractors, staging, criteria and prompt
+// template for each condition handled, one directory per pack
+const CONDITION_PACKS_DIR = process.env.CONDITION_PACKS_DIR || path.join(__dirname, 'conditions');
+const conditionPacks = loadConditionPacks(CONDITION_PACKS_DIR);
+
+// Load each pack's knowledge base with caching
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
+// pack id -> { content, version, loadedAt }. The version is null until the
+// version store has been read, when content is the pack's file as shipped.
+const knowledgeBaseCache = new Map();
+const knowledgeBaseRefreshes = new Map();
+
+// Knowledge base history: database table when connected, local JSONL file
+// otherwise. One history per pack, set up alongside the appeal models below.
+const KB_VERSIONS_PATH = process.env.KB_VERSIONS_PATH || path.join(__dirname, 'knowledge-base-versions.jsonl');
+let knowledgeBaseVersions = null;
+
+function readKnowledgeBaseFile(pack) {
+  return JSON.parse(fs.readFileSync(pack.knowledgeBasePath, 'utf8'));
+}
 
-function loadKnowledgeBase() {
+function loadKnowledgeBase(pack = conditionPacks.defaultPack) {
   const now = Date.now();
+  const cached = knowledgeBaseCache.get(pack.id);
   
   // Return cached version if still valid
-  if (knowledgeBaseCache && (now - lastLoadTime) < CACHE_DURATION) {
-    return knowledgeBaseCache;
+  if (cached && (now - cached.loadedAt) < CACHE_DURATION) {
+    return cached.content;
+  }
+  
+  // Once versions are available, the current one is fetched in the
+  // background and the cache keeps serving until it arrives
+  if (cached && knowledgeBaseVersions) {
+    refreshKnowledgeBase(pack).catch(err => console.error(`Error refreshing ${pack.id} knowledge base:`, err));
+    return cached.content;
   }
   
   try {
-    const kbPath = path.join(__dirname, 'knowledge-base.json');
     const startTime = Date.now();
-    knowledgeBase = JSON.parse(fs.readFileSync(kbPath, 'utf8'));
+    const content = readKnowledgeBaseFile(pack);
     const loadTime = Date.now() - startTime;
     
     // Cache the loaded knowledge base
-    knowledgeBaseCache = knowledgeBase;
-    lastLoadTime = now;
+    knowledgeBaseCache.set(pack.id, { content, version: null, loadedAt: now });
     
-    console.log(`Knowledge base loaded successfully in ${loadTime}ms`);
-    return knowledgeBase;
+    console.log(`Knowledge base for ${pack.id} loaded successfully in ${loadTime}ms`);
+    return content;
   } catch (error) {
-    console.error('Error loading knowledge base:', error);
-    knowledgeBase = { ckd_terminology: { abbreviations: {} }, clinical_guidelines: {}, appeal_criteria: {} };
-    return knowledgeBase;
+    console.error(`Error loading ${pack.id} knowledge base:`, error);
+    return {
+      terminology: { abbreviations: {}, stages: {}, complications: {} },
+      clinical_guidelines: {},
+      appeal_criteria: { approval_indicators: {}, rejection_indicators: {}, review_required: {} }
+    };
+  }
+}
+
+// Version of the knowledge base loadKnowledgeBase is serving for a pack
+function knowledgeBaseVersionOf(pack) {
+  const cached = knowledgeBaseCache.get(pack.id);
+  return cached ? cached.version : null;
+}
+
+// Replace a pack's cached knowledge base with its current stored version
+// (seeding version 1 from the pack's file the first time)
+function refreshKnowledgeBase(pack) {
+  if (!knowledgeBaseRefreshes.has(pack.id)) {
+    knowledgeBaseRefreshes.set(pack.id, knowledgeBaseVersions.get(pack.id).current()
+      .then(entry => useKnowledgeBaseVersion(pack, entry))
+      .finally(() => knowledgeBaseRefreshes.delete(pack.id)));
+  }
+  return knowledgeBaseRefreshes.get(pack.id);
+}
+
+// Apply a change to a pack's shipped knowledge-base.json as a new version,
+// unless the knowledge base has been edited since it was seeded; then the
+// edits stand and a warning says the file was not applied
+async function syncShippedKnowledgeBase(pack) {
+  const result = await knowledgeBaseVersions.get(pack.id).syncSeed();
+  if (result.status === 'updated') {
+    console.log(`Knowledge base for ${pack.id} updated from ${pack.knowledgeBasePath} as version ${result.version.version}`);
+    await auditLog.append({
+      action: 'knowledge_base_updated',
+      actor: 'system:knowledge-base',
+      conditionPack: pack.id,
+      version: result.version.version,
+      message: result.version.message,
+      rollbackOf: null,
+      changes: result.version.diff.map(c => `${c.op} ${c.path}`)
+    });
+  } else if (result.status === 'diverged') {
+    console.warn(`${pack.knowledgeBasePath} has changed since version ${result.seededVersion} was seeded from it, but the ${pack.id} knowledge base has been edited since (now version ${result.version.version}); the file was not applied. Commit its changes through PUT /knowledge-base to use them.`);
+  } else if (result.status === 'invalid') {
+    console.warn(`${pack.knowledgeBasePath} has changed but fails validation and was not applied: ${result.errors.join('; ')}`);
+  }
+}
+
+function refreshKnowledgeBases() {
+  return Promise.all(conditionPacks.list().map(pack =>
+    syncShippedKnowledgeBase(pack).then(() => refreshKnowledgeBase(pack))));
+}
+
+function useKnowledgeBaseVersion(pack, entry) {
+  knowledgeBaseCache.set(pack.id, { content: entry.content, version: entry.version, loadedAt: Date.now() });
+  return entry;
+}
+
+function useKnowledgeBaseStore(store) {
+  knowledgeBaseVersions = new Map(conditionPacks.list().map(pack =>
+    [pack.id, createKnowledgeBaseVersions(store, { pack: pack.id, seed: () => readKnowledgeBaseFile(pack) })]));
+}
+
+// Initialize knowledge bases
+for (const pack of conditionPacks.list()) {
+  loadKnowledgeBase(pack);
+}
+
+// Field-level encryption of stored documents (see lib/fieldEncryption.js).
+// Keys come from ENCRYPTION_KEYS or, with ENCRYPTION_KEY_SOURCE=file, from
+// the file at ENCRYPTION_KEY_FILE. Without keys documents are stored in
+// plain text, which production does not allow.
+const ENCRYPTION_KEY_SOURCE = process.env.ENCRYPTION_KEY_SOURCE || 'env';
+const encryptionKeyring = loadKeyring(ENCRYPTION_KEY_SOURCE);
+if (!encryptionKeyring) {
+  if (IS_PRODUCTION) {
+    throw new Error('ENCRYPTION_KEYS must be set in production');
   }
+  console.warn('No encryption keys configured; documents are stored unencrypted');
 }
+const fieldCipher = encryptionKeyring ? createFieldCipher(encryptionKeyring) : null;
 
-// Initialize knowledge base
-knowledgeBase = loadKnowledgeBase();
+// Retention: documents older than RETENTION_PERIOD_DAYS are purged or
+// anonymized (RETENTION_ACTION), checked every RETENTION_SWEEP_INTERVAL_HOURS
+// and on POST /admin/retention/run. No period means documents are kept.
+const RETENTION_PERIOD_DAYS = process.env.RETENTION_PERIOD_DAYS
+  ? parseFloat(process.env.RETENTION_PERIOD_DAYS)
+  : null;
+const RETENTION_ACTION = process.env.RETENTION_ACTION || 'purge';
+if (!RETENTION_ACTIONS.includes(RETENTION_ACTION)) {
+  throw new Error(`Invalid RETENTION_ACTION "${RETENTION_ACTION}"; expected one of ${RETENTION_ACTIONS.join(', ')}`);
+}
+const RETENTION_SWEEP_INTERVAL_HOURS = process.env.RETENTION_SWEEP_INTERVAL_HOURS !== undefined
+  ? parseFloat(process.env.RETENTION_SWEEP_INTERVAL_HOURS)
+  : 24;
+// How far ahead the retention report lists documents coming due
+const RETENTION_UPCOMING_DAYS = 30;
 
 // Initialize Sequelize with Supabase PostgreSQL
 let sequelize = null;
-let Task = null;
-let usingInMemoryTasks = false;
+// Model registry shared by the routes. Populated in place so that switching to
+// the in-memory fallback after a failed connection is visible everywhere.
+const models = {};
+let usingInMemoryStore = false;
+
+// Audit trail: database table when connected, local JSONL file otherwise
+const AUDIT_LOG_PATH = process.env.AUDIT_LOG_PATH || path.join(__dirname, 'audit-log.jsonl');
+let auditLog = null;
+
+function useInMemoryStore() {
+  usingInMemoryStore = true;
+  Object.assign(models, createInMemoryModels());
+  auditLog = createAuditLog(createFileAuditStore(AUDIT_LOG_PATH));
+  useKnowledgeBaseStore(createFileKnowledgeBaseStore(KB_VERSIONS_PATH));
+  refreshKnowledgeBases().catch(err => console.error('Error loading knowledge base versions:', err));
+  ensureBootstrapAdmin().catch(err => console.error('Error creating bootstrap admin:', err));
+}
+
+// With no users yet, create the admin named by AUTH_ADMIN_USERNAME and
+// AUTH_ADMIN_PASSWORD so there is someone to create the others. Called once
+// per store: after the database is synced, or on falling back to memory.
+async function ensureBootstrapAdmin() {
+  const username = process.env.AUTH_ADMIN_USERNAME;
+  const password = process.env.AUTH_ADMIN_PASSWORD;
+  if (!username || !password || await models.User.count() > 0) return;
+  await models.User.create({ username, name: username, passwordHash: hashPassword(password), roles: ['admin'], active: true });
+  console.log(`Created bootstrap admin user ${username}`);
+}
 
 // Get Supabase configuration from environment variables
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -143,29 +482,10 @@ try {
     sequelize = new Sequelize(connectionConfig);
   }
 
-  // Define the Task Model using Sequelize
-  Task = sequelize.define('Task', {
-    id: {
-      type: DataTypes.INTEGER,
-      autoIncrement: true,
-      primaryKey: true
-    },
-    title: {
-      type: DataTypes.STRING,
-      allowNull: false
-    },
-    description: {
-      type: DataTypes.TEXT,
-      allowNull: true
-    },
-    completed: {
-      type: DataTypes.BOOLEAN,
-      defaultValue: false
-    }
-  }, {
-    timestamps: true,
-    tableName: 'tasks'
-  });
+  // Define the appeal models using Sequelize
+  Object.assign(models, defineModels(sequelize, { cipher: fieldCipher }));
+  auditLog = createAuditLog(createModelAuditStore(models.AuditEntry, models.AuditHead));
+  useKnowledgeBaseStore(createModelKnowledgeBaseStore(models.KnowledgeBaseVersion));
 
   // Test database connection and sync (non-fatal in serverless)
   sequelize.authenticate()
@@ -174,96 +494,37 @@ try {
       return sequelize.sync({ alter: true });
     })
     .then(() => {
-      console.log('Database synced successfully. Tasks table created/updated.');
+      console.log('Database synced successfully. Appeal tables created/updated.');
+      return refreshKnowledgeBases();
     })
+    .then(ensureBootstrapAdmin)
     .catch(err => {
-      console.warn('Database connection failed - using in-memory tasks:', err.message);
-      usingInMemoryTasks = true;
-      // Create in-memory Task store fallback
-      (function createInMemoryTaskStore() {
-        const store = new Map();
-        let idSeq = 1;
-
-        Task = {
-          create: async (data) => {
-            const id = idSeq++;
-            const now = new Date();
-            const task = {
-              id,
-              title: data.title,
-              description: data.description || null,
-              completed: data.completed || false,
-              createdAt: now,
-              updatedAt: now,
-              update: async function (upd) {
-                if (upd.title !== undefined) this.title = upd.title;
-                if (upd.description !== undefined) this.description = upd.description;
-                if (upd.completed !== undefined) this.completed = upd.completed;
-                this.updatedAt = new Date();
-                store.set(this.id, this);
-                return this;
-              },
-              destroy: async function () {
-                store.delete(this.id);
-              }
-            };
-            store.set(id, task);
-            return task;
-          },
-          findAll: async () => Array.from(store.values()).sort((a, b) => b.createdAt - a.createdAt),
-          findByPk: async (id) => store.get(Number(id)) || null
-        };
-      })();
+      console.warn('Database connection failed - using in-memory store:', err.message);
+      useInMemoryStore();
     });
 
   console.log('Sequelize (PostgreSQL/Supabase) initialized');
 } catch (err) {
   // Fallback to in-memory store if database connection fails
   console.warn('PostgreSQL/Sequelize initialization failed - falling back to in-memory store. Error:', err.message);
-  usingInMemoryTasks = true;
-
-  // Simple in-memory Task store that mirrors the minimal Sequelize API used by the routes
-  (function createInMemoryTaskStore() {
-    const store = new Map();
-    let idSeq = 1;
-
-    Task = {
-      create: async (data) => {
-        const id = idSeq++;
-        const now = new Date();
-        const task = {
-          id,
-          title: data.title,
-          description: data.description || null,
-          completed: data.completed || false,
-          createdAt: now,
-          updatedAt: now,
-          // instance methods expected by some handlers
-          update: async function (upd) {
-            if (upd.title !== undefined) this.title = upd.title;
-            if (upd.description !== undefined) this.description = upd.description;
-            if (upd.completed !== undefined) this.completed = upd.completed;
-            this.updatedAt = new Date();
-            store.set(this.id, this);
-            return this;
-          },
-          destroy: async function () {
-            store.delete(this.id);
-          }
-        };
-        store.set(id, task);
-        return task;
-      },
-      findAll: async (opts) => {
-        // mimic ordering by createdAt DESC if requested
-        const arr = Array.from(store.values()).sort((a, b) => b.createdAt - a.createdAt);
-        return arr;
-      },
-      findByPk: async (id) => {
-        return store.get(Number(id)) || null;
-      }
-    };
-  })();
+  useInMemoryStore();
+}
+
+// Who is acting on a request: the signed-in user. Recorded on every audit entry.
+function getActor(req) {
+  return req.user ? req.user.username : 'anonymous';
+}
+
+// Serialize a local user for API responses; the password hash is never returned
+function serializeUser(user) {
+  return {
+    username: user.username,
+    name: user.name,
+    roles: user.roles || [],
+    active: user.active,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt
+  };
 }
 
 // Basic route for testing
@@ -280,13 +541,32 @@ app.get('/health', (req, res) => {
     uptime: process.uptime(),
     memory: process.memoryUsage(),
     knowledgeBase: {
-      loaded: !!knowledgeBase,
-      cacheValid: knowledgeBaseCache && (Date.now() - lastLoadTime) < CACHE_DURATION,
-      lastLoadTime: new Date(lastLoadTime).toISOString()
+      store: knowledgeBaseVersions ? knowledgeBaseVersions.get(conditionPacks.defaultPack.id).storeKind : null,
+      packs: Object.fromEntries(conditionPacks.list().map(pack => {
+        const cached = knowledgeBaseCache.get(pack.id);
+        return [pack.id, {
+          loaded: !!cached,
+          version: cached ? cached.version : null,
+          cacheValid: !!cached && (Date.now() - cached.loadedAt) < CACHE_DURATION,
+          lastLoadTime: cached ? new Date(cached.loadedAt).toISOString() : null
+        }];
+      }))
     },
       database: {
         connected: !!sequelize,
-        usingInMemoryTasks: !!usingInMemoryTasks
+        usingInMemoryStore: !!usingInMemoryStore
+      },
+      audit: {
+        store: auditLog.storeKind
+      },
+      ocr: {
+        engine: ocr.engine,
+        language: ocr.lang,
+        minConfidence: OCR_MIN_CONFIDENCE
+      },
+      llm: {
+        provider: llm.name,
+        model: llm.model
       }
   };
   
@@ -303,8 +583,15 @@ app.get('/metrics', (req, res) => {
       cpu: process.cpuUsage()
     },
     knowledgeBase: {
-      cacheHitRate: knowledgeBaseCache ? 'cached' : 'fresh_load',
-      lastLoadTime: new Date(lastLoadTime).toISOString()
+      cacheHitRate: knowledgeBaseCache.size > 0 ? 'cached' : 'fresh_load',
+      packs: Object.fromEntries(Array.from(knowledgeBaseCache, ([id, cached]) =>
+        [id, { version: cached.version, lastLoadTime: new Date(cached.loadedAt).toISOString() }]))
+    },
+    llm: {
+      provider: llm.name,
+      model: llm.model,
+      maxRepairAttempts: LLM_MAX_REPAIR_ATTEMPTS,
+      ...llmMetrics
     },
     version: '1.0.0'
   };
@@ -312,605 +599,2926 @@ app.get('/metrics', (req, res) => {
   res.json(metrics);
 });
 
-// RAG function to expand medical abbreviations and terms
-function expandMedicalTerms(text) {
-  const expandedText = text;
-  const expansions = [];
-  const currentKB = loadKnowledgeBase(); // Use cached version
-  const abbreviations = currentKB.ckd_terminology.abbreviations;
-  
-  // Find and expand abbreviations
-  for (const [abbr, fullName] of Object.entries(abbreviations)) {
-    const regex = new RegExp(`\\b${abbr}\\b`, 'gi');
-    if (regex.test(text)) {
-      expansions.push({
-        abbreviation: abbr,
-        fullName: fullName,
-        context: text.match(regex)[0]
+// Checked instead when there is no such user, or the user has no password
+// (signs in through OpenID Connect), so those sign-ins take as long as a
+// wrong password and response times do not reveal which usernames exist
+const DUMMY_PASSWORD_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// POST /auth/login - Exchange a local user's username and password for a
+// bearer token
+app.post('/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (!username || !password) {
+      return res.status(400).json({
+        error: 'username and password are required'
       });
     }
-  }
-  
-  return {
-    originalText: text,
-    expandedText: expandedText,
-    expansions: expansions
-  };
-}
-
-// Extract clinical data from text
-function extractClinicalData(text) {
-  const clinicalData = {
-    gfr: null,
-    creatinine: null,
-    bun: null,
-    proteinuria: null,
-    bloodPressure: null,
-    diabetes: null,
-    complications: []
-  };
-  
-  // Extract GFR values
-  const gfrMatch = text.match(/(?:GFR|eGFR|glomerular filtration rate)[:\s]*([0-9]+(?:\.[0-9]+)?)\s*(?:mL\/min\/1\.73m²|ml\/min\/1\.73m2)/i);
-  if (gfrMatch) {
-    clinicalData.gfr = parseFloat(gfrMatch[1]);
-  }
-  
-  // Extract creatinine values
-  const crMatch = text.match(/(?:creatinine|Cr)[:\s]*([0-9]+(?:\.[0-9]+)?)\s*(?:mg\/dL|mg\/dl)/i);
-  if (crMatch) {
-    clinicalData.creatinine = parseFloat(crMatch[1]);
-  }
-  
-  // Extract BUN values
-  const bunMatch = text.match(/(?:BUN|blood urea nitrogen)[:\s]*([0-9]+(?:\.[0-9]+)?)\s*(?:mg\/dL|mg\/dl)/i);
-  if (bunMatch) {
-    clinicalData.bun = parseFloat(bunMatch[1]);
-  }
-  
-  // Extract proteinuria
-  const proteinMatch = text.match(/(?:proteinuria|protein)[:\s]*([0-9]+(?:\.[0-9]+)?)\s*(?:g\/day|g\/24h)/i);
-  if (proteinMatch) {
-    clinicalData.proteinuria = parseFloat(proteinMatch[1]);
-  }
-  
-  // Extract blood pressure
-  const bpMatch = text.match(/(?:blood pressure|BP)[:\s]*([0-9]+)\/([0-9]+)\s*(?:mmHg|mm Hg)/i);
-  if (bpMatch) {
-    clinicalData.bloodPressure = `${bpMatch[1]}/${bpMatch[2]}`;
-  }
-  
-  // Check for diabetes
-  if (text.match(/\b(diabetes|DM|T1DM|T2DM)\b/i)) {
-    clinicalData.diabetes = true;
-  }
-  
-  // Check for complications
-  const currentKB = loadKnowledgeBase(); // Use cached version
-  const complications = currentKB.ckd_terminology.complications;
-  for (const [complication, details] of Object.entries(complications)) {
-    if (text.toLowerCase().includes(complication.toLowerCase())) {
-      clinicalData.complications.push({
-        name: complication,
-        description: details.description
+    
+    const user = await models.User.findOne({ where: { username: String(username) } });
+    const passwordMatches = verifyPassword(password, (user && user.passwordHash) || DUMMY_PASSWORD_HASH);
+    if (!user || !user.active || !user.passwordHash || !passwordMatches) {
+      await auditLog.append({ action: 'login_failed', actor: String(username) });
+      return res.status(401).json({
+        error: 'Invalid username or password'
       });
     }
+    
+    const { token, expiresAt } = authenticator.issueToken(user);
+    await auditLog.append({ action: 'login', actor: user.username });
+    res.status(200).json({
+      message: 'Signed in successfully',
+      token,
+      expiresAt,
+      user: serializeUser(user)
+    });
+    
+  } catch (error) {
+    console.error('Error signing in:', error);
+    res.status(500).json({
+      error: 'Internal server error while signing in'
+    });
   }
-  
-  return clinicalData;
-}
+});
+
+// GET /auth/me - The signed-in user and their roles
+app.get('/auth/me', (req, res) => {
+  res.status(200).json({
+    message: 'User retrieved successfully',
+    user: req.user
+  });
+});
 
-// POST /upload - Upload and process documents
-app.post('/upload', upload.single('document'), async (req, res) => {
+// GET /auth/users - Local users
+app.get('/auth/users', requirePermission('users:manage'), async (req, res) => {
   try {
-    // Immediate heartbeat for debugging slow responses
-    console.log('Upload hit:', {
-      hasFile: !!req.file,
-      mime: req.file?.mimetype,
-      size: req.file?.size
+    const users = await models.User.findAll({ order: [['username', 'ASC']] });
+    res.status(200).json({
+      message: 'Users retrieved successfully',
+      roles: ROLES,
+      users: users.map(serializeUser)
     });
-    if (!req.file) {
+    
+  } catch (error) {
+    console.error('Error retrieving users:', error);
+    res.status(500).json({
+      error: 'Internal server error while retrieving users'
+    });
+  }
+});
+
+// POST /auth/users - Create a local user
+app.post('/auth/users', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const { username, name, password } = req.body;
+    const roles = parseRoles(req.body.roles);
+    
+    if (!username || !/^[A-Za-z0-9._@-]{2,64}$/.test(username)) {
       return res.status(400).json({
-        error: 'No file uploaded'
+        error: 'username must be 2-64 letters, digits or . _ @ -'
       });
     }
-    
-    let extractedText = '';
-    
-    if (req.file.mimetype === 'application/pdf') {
-      // Process PDF
-      const pdfData = await pdfParse(req.file.buffer);
-      extractedText = pdfData.text;
-    } else if (req.file.mimetype === 'text/plain') {
-      // Process text file
-      extractedText = req.file.buffer.toString('utf8');
+    if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
     }
-    
-    if (!extractedText.trim()) {
+    if (!roles || roles.length === 0) {
       return res.status(400).json({
-        error: 'No text content found in the uploaded file'
+        error: `roles must list one or more of: ${ROLES.join(', ')}`
+      });
+    }
+    if (await models.User.findOne({ where: { username } })) {
+      return res.status(409).json({
+        error: 'A user with that username already exists'
       });
     }
     
-    // Process the extracted text
-    const expandedData = expandMedicalTerms(extractedText);
-    const clinicalData = extractClinicalData(extractedText);
-    
-    // Create audit log entry
-    const auditEntry = {
-      timestamp: new Date().toISOString(),
-      action: 'document_upload',
-      filename: req.file.originalname,
-      fileSize: req.file.size,
-      extractedTextLength: extractedText.length,
-      expansionsFound: expandedData.expansions.length,
-      clinicalDataExtracted: Object.keys(clinicalData).filter(key => clinicalData[key] !== null && clinicalData[key] !== false).length
-    };
+    const user = await models.User.create({
+      username,
+      name: name ? String(name).trim() : username,
+      passwordHash: hashPassword(password),
+      roles,
+      active: true
+    });
+    await auditLog.append({
+      action: 'user_created',
+      actor: getActor(req),
+      username,
+      roles
+    });
     
-    const payload = {
-      message: 'Document processed successfully',
-      filename: req.file.originalname,
-      extractedText: extractedText.substring(0, 500) + (extractedText.length > 500 ? '...' : ''),
-      expandedData: expandedData,
-      clinicalData: clinicalData,
-      auditEntry: auditEntry
-    };
-    console.log('Upload success:', { filename: payload.filename, len: extractedText.length });
-    res.status(200).json(payload);
+    res.status(201).json({
+      message: 'User created successfully',
+      user: serializeUser(user)
+    });
     
   } catch (error) {
-    console.error('Error processing document:', error);
+    console.error('Error creating user:', error);
     res.status(500).json({
-      error: 'Error processing document: ' + error.message
+      error: 'Internal server error while creating user'
     });
   }
 });
 
-// POST /analyze - Analyze clinical data and generate decision using Gemini Pro
-app.post('/analyze', async (req, res) => {
+// PUT /auth/users/:username - Change a local user's name, password, roles
+// or active flag
+app.put('/auth/users/:username', requirePermission('users:manage'), async (req, res) => {
   try {
-    const { clinicalData, extractedText } = req.body;
+    const user = await models.User.findOne({ where: { username: req.params.username } });
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found'
+      });
+    }
     
-    if (!clinicalData || !extractedText) {
+    const { name, password, active } = req.body;
+    const updateData = {};
+    
+    if (name !== undefined) {
+      updateData.name = name ? String(name).trim() : user.username;
+    }
+    
+    if (password !== undefined) {
+      if (String(password).length < MIN_PASSWORD_LENGTH) {
+        return res.status(400).json({
+          error: `password must be at least ${MIN_PASSWORD_LENGTH} characters`
+        });
+      }
+      updateData.passwordHash = hashPassword(password);
+    }
+    
+    if (req.body.roles !== undefined) {
+      const roles = parseRoles(req.body.roles);
+      if (!roles || roles.length === 0) {
+        return res.status(400).json({
+          error: `roles must list one or more of: ${ROLES.join(', ')}`
+        });
+      }
+      updateData.roles = roles;
+    }
+    
+    if (active !== undefined) {
+      updateData.active = Boolean(active);
+    }
+    
+    // Admins cannot lock themselves out
+    if (user.username === getActor(req) &&
+      (updateData.active === false || (updateData.roles && !updateData.roles.includes('admin')))) {
       return res.status(400).json({
-        error: 'Clinical data and extracted text are required'
+        error: 'You cannot deactivate yourself or remove your own admin role'
       });
     }
     
-    // Prepare context for Gemini Pro
-    const clinicalContext = {
-      gfr: clinicalData.gfr,
-      creatinine: clinicalData.creatinine,
-      bun: clinicalData.bun,
-      proteinuria: clinicalData.proteinuria,
-      bloodPressure: clinicalData.bloodPressure,
-      diabetes: clinicalData.diabetes,
-      complications: clinicalData.complications.map(c => c.name)
-    };
+    await user.update(updateData);
+    await auditLog.append({
+      action: 'user_updated',
+      actor: getActor(req),
+      username: user.username,
+      // Which fields changed; the password itself is never logged
+      changes: Object.keys(updateData).map(key => (key === 'passwordHash' ? 'password' : key)),
+      ...(updateData.roles ? { roles: updateData.roles } : {}),
+      ...(updateData.active !== undefined ? { active: updateData.active } : {})
+    });
     
-    // Create structured prompt for Gemini Pro
-    const prompt = `
-You are an expert medical reviewer specializing in Chronic Kidney Disease (CKD) insurance appeals. Your task is to analyze the provided clinical data and make a tri-state decision for a CKD appeal.
-
-CLINICAL DATA:
-${JSON.stringify(clinicalContext, null, 2)}
-
-EXTRACTED TEXT (first 500 characters):
-${extractedText.substring(0, 500)}
+    res.status(200).json({
+      message: 'User updated successfully',
+      user: serializeUser(user)
+    });
+    
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(500).json({
+      error: 'Internal server error while updating user'
+    });
+  }
+});
 
-CKD APPEAL DECISION CRITERIA:
-- APPROVE: GFR < 15 mL/min/1.73m², significant proteinuria (>3.5 g/day), severe complications, or clear progression despite optimal management
-- REJECT: GFR > 60 mL/min/1.73m² without complications, reversible causes, insufficient documentation, or adequate response to therapy
-- REVIEW: GFR 15-59 mL/min/1.73m², moderate proteinuria (1-3.5 g/day), incomplete records, or conflicting findings
+// Development identity provider (AUTH_DEV_IDP=true): an OpenID Connect
+// discovery document, its signing keys and a token endpoint that signs in as
+// any username with any roles, no password asked
+if (devIdp) {
+  app.get('/dev-idp/.well-known/openid-configuration', (req, res) => {
+    res.status(200).json(devIdp.discovery());
+  });
+  
+  app.get('/dev-idp/jwks', (req, res) => {
+    res.status(200).json(devIdp.jwks());
+  });
+  
+  app.post('/dev-idp/token', (req, res) => {
+    const { username, name } = req.body || {};
+    const roles = parseRoles((req.body || {}).roles);
+    if (!username || !roles || roles.length === 0) {
+      return res.status(400).json({
+        error: `username and roles (one or more of: ${ROLES.join(', ')}) are required`
+      });
+    }
+    const { token, expiresIn } = devIdp.issueToken({ username: String(username), name, roles });
+    res.status(200).json({
+      access_token: token,
+      token_type: 'Bearer',
+      expires_in: expiresIn
+    });
+  });
+}
 
-Please provide your analysis in the following JSON format:
-{
-  "decision": "APPROVE|REJECT|REVIEW",
-  "confidence": 0.0-1.0,
-  "rationale": ["reason1", "reason2", "reason3"],
-  "key_factors": ["factor1", "factor2"],
-  "recommendations": ["recommendation1", "recommendation2"]
+// Condition pack an appeal is processed with
+function packForAppeal(appeal) {
+  return (appeal && conditionPacks.get(appeal.conditionPack)) || conditionPacks.defaultPack;
 }
 
-Focus on evidence-based decision making and provide clear rationale for your classification.
-`;
+function unknownPackMessage() {
+  return `Unknown condition pack. Use one of: ${conditionPacks.list().map(p => p.id).join(', ')}`;
+}
 
-    let decisionMetadata;
-    let auditEntry;
-    
-    try {
-      // Call Gemini Pro API
-      const result = await model.generateContent(prompt);
-      const response = await result.response;
-      const text = await response.text();
-
-      // Helper: try to extract JSON from AI text (strip markdown/code fences)
-      function extractJSONFromText(t) {
-        if (!t || typeof t !== 'string') throw new SyntaxError('AI response is not text');
-        // Remove common markdown code fences
-        let cleaned = t.replace(/```\s*json\s*/gi, '');
-        cleaned = cleaned.replace(/```/g, '');
-        cleaned = cleaned.trim();
-
-        // Try to locate the first JSON object in the cleaned string
-        const firstBrace = cleaned.indexOf('{');
-        const lastBrace = cleaned.lastIndexOf('}');
-        if (firstBrace !== -1 && lastBrace !== -1 && lastBrace >= firstBrace) {
-          const candidate = cleaned.substring(firstBrace, lastBrace + 1);
-          try {
-            return JSON.parse(candidate);
-          } catch (e) {
-            // fallthrough to other heuristics
-          }
-        }
+// What detection found, as stored on the appeal: the chosen pack, whether it
+// was detected or fell back to the default, and every pack's score
+function describeDetection({ pack, method, scores }) {
+  return {
+    pack: pack.id,
+    method,
+    matchedTerms: scores[pack.id].matched,
+    scores: Object.fromEntries(Object.entries(scores).map(([id, s]) => [id, s.score]))
+  };
+}
 
-        // Try to extract inside a ```json ... ``` block if present
-        const mdJson = t.match(/```json([\s\S]*?)```/i);
-        if (mdJson && mdJson[1]) {
-          const inner = mdJson[1].trim();
-          try { return JSON.parse(inner); } catch (e) {}
-        }
+function serializePack(pack) {
+  return {
+    id: pack.id,
+    name: pack.name,
+    shortName: pack.shortName,
+    description: pack.description,
+    default: pack.isDefault,
+    staging: pack.staging,
+    extractors: pack.extractors.map(e => ({ name: e.name, label: e.label, unit: e.unit || null, loinc: e.loinc })),
+    knowledgeBaseVersion: knowledgeBaseVersionOf(pack)
+  };
+}
 
-        // As a last resort, throw with the raw text attached for debugging
-        const err = new SyntaxError('Unable to parse JSON from AI response');
-        err.raw = t;
-        throw err;
-      }
+// GET /condition-packs - Conditions the service can process
+app.get('/condition-packs', (req, res) => {
+  try {
+    const packs = conditionPacks.list();
+    res.status(200).json({
+      message: 'Condition packs retrieved successfully',
+      defaultPack: conditionPacks.defaultPack.id,
+      count: packs.length,
+      packs: packs.map(serializePack)
+    });
+  } catch (error) {
+    console.error('Error retrieving condition packs:', error);
+    res.status(500).json({
+      error: 'Internal server error while retrieving condition packs'
+    });
+  }
+});
 
-      // Parse Gemini Pro response (robust extraction)
-      const aiResponse = extractJSONFromText(text);
-      
-      decisionMetadata = {
-        decision: aiResponse.decision,
-        confidence: aiResponse.confidence,
-        rationale: aiResponse.rationale,
-        keyFactors: aiResponse.key_factors,
-        recommendations: aiResponse.recommendations,
-        timestamp: new Date().toISOString(),
-        clinicalData: clinicalData,
-        extractedTextLength: extractedText.length,
-        aiModel: 'gemini-pro'
-      };
-      
-      auditEntry = {
-        timestamp: new Date().toISOString(),
-        action: 'ai_decision_generated',
-        decision: aiResponse.decision,
-        confidence: aiResponse.confidence,
-        rationale: aiResponse.rationale,
-        clinicalData: clinicalData,
-        aiModel: 'gemini-pro'
+// Evidence labels for the values a pack extracts, as buildEvidence expects them
+function extractorLabels(pack) {
+  return Object.fromEntries(pack.extractors.map(e => [e.name, [e.label, e.unit]]));
+}
+
+// Expand abbreviations in place ("GFR [Glomerular Filtration Rate]"), with
+// each ambiguous abbreviation resolved from its context
+function expandMedicalTerms(text, pageStarts = null, pack = conditionPacks.defaultPack) {
+  const currentKB = loadKnowledgeBase(pack); // Use cached version
+  const { expandedText, expansions } = expandAbbreviations(text, currentKB.terminology.abbreviations, pageStarts);
+  
+  return {
+    originalText: text,
+    expandedText: expandedText,
+    expansions: expansions
+  };
+}
+
+// Findings read directly from one document's text. Everything derived from
+// them (calculated eGFR, trend, stage, dosing alerts) is left to
+// deriveClinicalData so findings from several documents can be merged first.
+// Each finding carries a citation: its character span, PDF page and snippet.
+// C-CDA documents and FHIR bundles are read from their coded entries
+// (structuredData) instead.
+function extractFindings(text, pageStarts = null, pack = conditionPacks.defaultPack, structuredData = null) {
+  const currentKB = loadKnowledgeBase(pack); // Use cached version
+  
+  if (structuredData) {
+    return citeFindings(structuredFindings(structuredData, currentKB, pack.extractors), text, pageStarts);
+  }
+  
+  // Every dated lab result in the document, plus the values the pack extracts
+  const labSeries = extractLabSeries(text, pack.extractors);
+  
+  // Age and sex, computed as of the most recent lab date when only a DOB is given
+  const labDates = Object.values(labSeries).flat().map(o => o.date).filter(Boolean).sort();
+  const demographics = extractDemographics(text, labDates[labDates.length - 1]);
+  
+  // Check for complications
+  const complications = [];
+  for (const [complication, details] of Object.entries(currentKB.terminology.complications)) {
+    const index = text.toLowerCase().indexOf(complication.toLowerCase());
+    if (index !== -1) {
+      complications.push({
+        name: complication,
+        description: details.description,
+        index: index,
+        end: index + complication.length
+      });
+    }
+  }
+  
+  // Check for diabetes
+  const diabetesMatch = text.match(/\b(diabetes|DM|T1DM|T2DM)\b/i);
+  
+  return citeFindings({
+    labSeries,
+    demographics,
+    diabetes: diabetesMatch ? true : null,
+    diabetesSpan: diabetesMatch ? { start: diabetesMatch.index, end: diabetesMatch.index + diabetesMatch[0].length } : null,
+    complications,
+    medications: extractMedications(text, currentKB)
+  }, text, pageStarts);
+}
+
+// Build clinicalData from findings
+function deriveClinicalData(findings, pack = conditionPacks.defaultPack) {
+  const clinicalData = {
+    gfr: null,
+    creatinine: null,
+    bun: null,
+    proteinuria: null,
+    uacr: null,
+    bloodPressure: null,
+    hba1c: null,
+    hemoglobin: null,
+    ldl: null,
+    calcium: null,
+    phosphorus: null,
+    pth: null,
+    vitaminD: null,
+    ferritin: null,
+    ironSaturation: null,
+    diabetes: findings.diabetes,
+    diabetesCitation: findings.diabetesCitation || null,
+    complications: findings.complications,
+    // Coded problem list, read from C-CDA documents and FHIR bundles only
+    problems: findings.problems || []
+  };
+  
+  // The headline value is the most recent result; merged results also say
+  // which document it came from, and every value cites the text it was read from
+  const labSeries = { gfr: [], creatinine: [], ...findings.labSeries };
+  clinicalData.labSeries = labSeries;
+  clinicalData.sources = {};
+  clinicalData.citations = {};
+  
+  for (const lab of Object.keys(labSeries)) {
+    const latest = latestObservation(labSeries[lab]);
+    if (latest) {
+      clinicalData[lab] = latest.value;
+      if (latest.source) {
+        clinicalData.sources[lab] = { ...latest.source, date: latest.date };
+      }
+      if (latest.citation) {
+        clinicalData.citations[lab] = latest.citation;
+      }
+    }
+  }
+  
+  const demographics = findings.demographics;
+  clinicalData.demographics = demographics;
+  clinicalData.age = demographics.age;
+  clinicalData.sex = demographics.sex;
+  
+  // When no GFR is reported, estimate it from creatinine and label it as such
+  clinicalData.gfrSource = labSeries.gfr.length > 0 ? 'reported' : null;
+  if (labSeries.gfr.length === 0 && labSeries.creatinine.length > 0) {
+    const estimate = estimateGfrSeries(labSeries.creatinine, demographics, EGFR_EQUATION);
+    clinicalData.gfrCalculation = estimate.summary;
+    if (estimate.series.length > 0) {
+      labSeries.gfr = estimate.series;
+      const latest = latestObservation(estimate.series);
+      clinicalData.gfr = latest.value;
+      clinicalData.gfrSource = 'calculated';
+      // A calculated eGFR cites the creatinine result it was calculated from
+      if (latest.citation) {
+        clinicalData.citations.gfr = latest.citation;
+      }
+    }
+  }
+  
+  const currentKB = loadKnowledgeBase(pack); // Use cached version
+  
+  // eGFR slope, decline and progression flags over the dated results
+  clinicalData.gfrTrend = analyzeGfrTrend(labSeries.gfr, currentKB.clinical_guidelines.progression_criteria);
+  
+  // The pack's staging: KDIGO G and A categories from the latest GFR and
+  // albuminuria for CKD, or categories of one extracted value
+  stageClinicalData(pack, currentKB, clinicalData);
+  
+  // Medication list, renal dosing alerts and evidence of optimal management
+  clinicalData.medications = findings.medications;
+  clinicalData.medicationAlerts = checkRenalDosing(currentKB, clinicalData.medications, clinicalData);
+  clinicalData.optimalManagement = summarizeOptimalManagement(currentKB, clinicalData.medications);
+  
+  return clinicalData;
+}
+
+// Sets clinicalData.ckdStage (kdigo) or clinicalData.stage (thresholds)
+function stageClinicalData(pack, kb, clinicalData) {
+  clinicalData.ckdStage = pack.staging.method === 'kdigo' ? stageCkd(kb, clinicalData) : null;
+  clinicalData.stage = pack.staging.method === 'thresholds' ? stageByThresholds(kb, clinicalData, pack.staging) : null;
+}
+
+// Fields of submitted clinical data the analysis reads, by type
+const CLINICAL_NUMBER_FIELDS = ['gfr', 'creatinine', 'bun', 'proteinuria', 'uacr', 'hba1c', 'hemoglobin', 'ldl', 'calcium', 'phosphorus', 'pth', 'vitaminD', 'ferritin', 'ironSaturation', 'age'];
+const CLINICAL_STRING_FIELDS = ['bloodPressure', 'sex', 'gfrSource'];
+const CLINICAL_LIST_FIELDS = ['complications', 'medications', 'problems', 'conflicts'];
+const CLINICAL_OBJECT_FIELDS = ['labSeries', 'citations', 'sources', 'demographics', 'gfrTrend', 'optimalManagement'];
+
+const isPlainObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isSet = value => value !== undefined && value !== null;
+
+// Clinical data sent to /analyze without documents comes from the client, so
+// the fields the analysis reads are checked and missing lists and objects
+// default to empty. Returns { clinicalData }, or { error } naming the first
+// field that is the wrong type.
+function normalizeClinicalData(submitted) {
+  if (!isPlainObject(submitted)) return { error: 'clinicalData must be an object' };
+  const wrongType = (field, type) => ({ error: `clinicalData.${field} must be ${type}` });
+  
+  const number = CLINICAL_NUMBER_FIELDS.find(field => isSet(submitted[field]) && !(typeof submitted[field] === 'number' && isFinite(submitted[field])));
+  if (number) return wrongType(number, 'a number');
+  const string = CLINICAL_STRING_FIELDS.find(field => isSet(submitted[field]) && typeof submitted[field] !== 'string');
+  if (string) return wrongType(string, 'a string');
+  const list = CLINICAL_LIST_FIELDS.find(field => isSet(submitted[field]) && !Array.isArray(submitted[field]));
+  if (list) return wrongType(list, 'an array');
+  const object = CLINICAL_OBJECT_FIELDS.find(field => isSet(submitted[field]) && !isPlainObject(submitted[field]));
+  if (object) return wrongType(object, 'an object');
+  
+  const labSeries = submitted.labSeries || {};
+  const series = Object.keys(labSeries).find(lab => !Array.isArray(labSeries[lab]) || !labSeries[lab].every(isPlainObject));
+  if (series) return wrongType(`labSeries.${series}`, 'an array of observations');
+  // Complications may be given by name
+  const complications = (submitted.complications || []).map(c => (typeof c === 'string' ? { name: c } : c));
+  if (!complications.every(c => isPlainObject(c) && typeof c.name === 'string')) {
+    return wrongType('complications', 'names or objects with a name');
+  }
+  const medications = submitted.medications || [];
+  if (!medications.every(m => isPlainObject(m) && typeof m.drug === 'string')) {
+    return wrongType('medications', 'objects with a drug');
+  }
+  if (submitted.gfrTrend && isSet(submitted.gfrTrend.flags) && !Array.isArray(submitted.gfrTrend.flags)) {
+    return wrongType('gfrTrend.flags', 'an array');
+  }
+  
+  return {
+    clinicalData: {
+      ...submitted,
+      labSeries,
+      citations: submitted.citations || {},
+      sources: submitted.sources || {},
+      demographics: submitted.demographics || {},
+      complications,
+      medications,
+      problems: submitted.problems || [],
+      conflicts: submitted.conflicts || [],
+      gfrTrend: submitted.gfrTrend ? { flags: [], ...submitted.gfrTrend } : null
+    }
+  };
+}
+
+// Extract clinical data from text, or from a C-CDA document's structuredData
+function extractClinicalData(text, pageStarts = null, pack = conditionPacks.defaultPack, structuredData = null) {
+  return deriveClinicalData(extractFindings(text, pageStarts, pack, structuredData), pack);
+}
+
+// Clinical data for a whole appeal: findings from every document merged,
+// with the source of each value and any disagreements between documents
+async function mergeAppealClinicalData(appeal) {
+  const documents = (await models.AppealDocument.findAll({
+    where: { appealId: appeal.id },
+    order: [['createdAt', 'ASC']]
+  })).filter(doc => !isPurged(doc));
+  const { findings, conflicts } = mergeFindings(documents.map(doc => ({
+    documentId: doc.id,
+    filename: doc.filename,
+    findings: findingsFromClinicalData(doc.clinicalData)
+  })));
+  
+  const clinicalData = deriveClinicalData(findings, packForAppeal(appeal));
+  clinicalData.documentCount = documents.length;
+  clinicalData.conflicts = conflicts;
+  return {
+    clinicalData,
+    documents,
+    // Rules and the prompt read the packet as one text, labelled by document
+    extractedText: documents
+      .map(doc => `--- ${doc.filename} ---\n${doc.extractedText || ''}`)
+      .join('\n\n')
+  };
+}
+
+// How many passages are retrieved per appeal criterion, and the total size
+// of the passages the prompt may carry
+const RETRIEVAL_PASSAGES_PER_CRITERION = 2;
+const RETRIEVAL_MAX_PROMPT_CHARS = 12000;
+
+// Passages of the record most relevant to each appeal criterion in the
+// knowledge base, ranked with BM25 over every document's chunks. Abbreviations
+// from the knowledge base match their expansions.
+function retrieveCriterionPassages(kb, documents) {
+  const chunks = documents.flatMap(doc =>
+    (doc.chunks || chunkText(doc.extractedText || '', { pageStarts: doc.pageStarts }))
+      .map(chunk => ({ ...chunk, documentId: doc.id, filename: doc.filename })));
+  const criteria = [
+    ...Object.values(kb.appeal_criteria.approval_indicators),
+    ...Object.values(kb.appeal_criteria.rejection_indicators),
+    ...Object.values(kb.appeal_criteria.review_required)
+  ].flat();
+  const index = createBm25Index(chunks, { synonyms: synonymsFromAbbreviations(kb.terminology.abbreviations) });
+  const result = retrievePassages(index, criteria, {
+    perCriterion: RETRIEVAL_PASSAGES_PER_CRITERION,
+    maxChars: RETRIEVAL_MAX_PROMPT_CHARS
+  });
+  return { chunkCount: chunks.length, ...result };
+}
+
+// Text content of an uploaded file, with the offset each PDF page starts at,
+// the confidence of any page read with OCR and, for C-CDA documents, the
+// coded entries as structuredData. `error` says why a file gave no text.
+async function extractText(file) {
+  const fromText = (text, extra = {}) => ({ text, pageStarts: null, ocrPages: [], structuredData: null, error: null, ...extra });
+  const format = documentFormat(file);
+  if (format === 'pdf') {
+    // Process PDF; scanned pages go through OCR
+    return fromText('', await extractPdfText(file.buffer, { ocr }));
+  } else if (format === 'text') {
+    // Process text file
+    return fromText(file.buffer.toString('utf8'));
+  } else if (format === 'image') {
+    // A scanned page or fax saved as an image
+    try {
+      const { text, confidence } = await ocr.recognize(file.buffer);
+      return fromText(text.trim(), { ocrPages: [{ page: 1, confidence }] });
+    } catch (err) {
+      return fromText('', { ocrPages: [{ page: 1, confidence: null, error: err.message }] });
+    }
+  } else if (format === 'docx') {
+    // Word letters; paragraphs and table cells become lines
+    try {
+      return fromText(await docxToText(file.buffer));
+    } catch (err) {
+      return fromText('', { error: `Could not read Word document: ${err.message}` });
+    }
+  } else if (format === 'html') {
+    return fromText(htmlToText(file.buffer.toString('utf8')));
+  } else if (format === 'rtf') {
+    // RTF is ASCII; other characters are written as escapes
+    return fromText(rtfToText(file.buffer.toString('latin1')));
+  } else if (format === 'ccda') {
+    // EHR exports: values come from the coded entries, not the text
+    try {
+      const { text, structured } = parseCcda(file.buffer.toString('utf8'));
+      return fromText(text, { structuredData: structured });
+    } catch (err) {
+      return fromText('', { error: err.message });
+    }
+  }
+  return fromText('');
+}
+
+// Expansions from several documents, each meaning of an abbreviation listed
+// once with its count and positions across all of them
+function combineExpandedData(expanded) {
+  const expansions = [];
+  for (const { documentId, filename, expandedData } of expanded) {
+    for (const expansion of expandedData.expansions) {
+      const positions = expansion.positions.map(position => ({ ...position, documentId }));
+      const existing = expansions.find(e => e.abbreviation === expansion.abbreviation && e.fullName === expansion.fullName);
+      if (existing) {
+        existing.count += expansion.count;
+        existing.positions.push(...positions);
+      } else {
+        expansions.push({
+          ...expansion,
+          positions,
+          citation: expansion.citation ? { ...expansion.citation, documentId, filename } : null
+        });
+      }
+    }
+  }
+  return {
+    originalText: expanded.map(e => e.expandedData.originalText).join('\n\n'),
+    expandedText: expanded.map(e => e.expandedData.expandedText).join('\n\n'),
+    expansions
+  };
+}
+
+// The appeal an upload or import adds to (null to open a new one) and the
+// condition pack it asks for, or the status and error to reply with
+async function resolveUploadTarget({ appealId, conditionPack, urgency }) {
+  let appeal = null;
+  if (appealId) {
+    const id = parseInt(appealId);
+    if (isNaN(id)) {
+      return { status: 400, error: 'Invalid appeal ID. Must be a number.' };
+    }
+    appeal = await models.Appeal.findByPk(id);
+    if (!appeal) {
+      return { status: 404, error: 'Appeal not found' };
+    }
+    if (!OPEN_STATUSES.includes(appeal.status)) {
+      return { status: 409, error: `Appeal is ${appeal.status}; documents can no longer be added` };
+    }
+  }
+  if (urgency !== undefined && !URGENCY_TYPES.includes(urgency)) {
+    return { status: 400, error: `urgency must be one of: ${URGENCY_TYPES.join(', ')}` };
+  }
+  
+  let requestedPack = null;
+  if (conditionPack) {
+    requestedPack = conditionPacks.get(conditionPack);
+    if (!requestedPack) {
+      return { status: 400, error: unknownPackMessage() };
+    }
+    if (appeal && appeal.conditionPack && appeal.conditionPack !== requestedPack.id) {
+      return {
+        status: 409,
+        error: `Appeal is processed with the ${appeal.conditionPack} condition pack; change it with PUT /appeals/${appeal.id}`
       };
-      
-    } catch (aiError) {
-      if (aiError && aiError.raw) {
-        console.error('Gemini Pro API parsing error. Raw AI output:\n', aiError.raw);
+    }
+  }
+  return { appeal, requestedPack, urgency };
+}
+
+// Store documents that have been read into the target appeal, opening one
+// with reference, patientName and urgency when none was given, and audit
+// each one as action. processed items are { file, extractedText, pageStarts,
+// structuredData, ocr, auditDetails }. Returns the response /upload and
+// /fhir/import send.
+async function storeDocuments(req, { appeal, requestedPack, urgency }, processed, { action, reference, patientName }) {
+  // The appeal keeps the pack it was first given; otherwise the pack is
+  // the one requested, or detected from this upload's text
+  let conditionDetection = null;
+  if (!appeal || !appeal.conditionPack) {
+    conditionDetection = requestedPack
+      ? { pack: requestedPack.id, method: 'explicit' }
+      : describeDetection(conditionPacks.detect(processed.map(p => p.extractedText).join('\n\n')));
+  }
+  if (!appeal) {
+    appeal = await models.Appeal.create({
+      reference: reference ? String(reference).trim() : null,
+      patientName: patientName ? String(patientName).trim() : null,
+      urgency: urgency || 'standard',
+      conditionPack: conditionDetection.pack,
+      conditionDetection: conditionDetection
+    });
+  } else if (conditionDetection) {
+    await appeal.update({ conditionPack: conditionDetection.pack, conditionDetection: conditionDetection });
+  }
+  const pack = packForAppeal(appeal);
+  for (const p of processed) {
+    p.expandedData = expandMedicalTerms(p.extractedText, p.pageStarts, pack);
+    p.clinicalData = extractClinicalData(p.extractedText, p.pageStarts, pack, p.structuredData);
+  }
+  
+  const documents = [];
+  let auditEntry = null;
+  for (const { file, extractedText, pageStarts, structuredData, ocr: ocrSummary, expandedData, clinicalData, auditDetails } of processed) {
+    const document = await models.AppealDocument.create({
+      appealId: appeal.id,
+      filename: file.originalname,
+      mimeType: file.mimetype,
+      fileSize: file.size,
+      content: file.buffer,
+      extractedText: extractedText,
+      pageStarts: pageStarts,
+      ocr: ocrSummary,
+      structuredData: structuredData,
+      chunks: chunkText(extractedText, { pageStarts }),
+      expandedData: expandedData,
+      clinicalData: clinicalData
+    });
+    
+    // Record the upload in the audit trail, by document id and type: a
+    // filename often carries the patient's name
+    auditEntry = await auditLog.append({
+      action,
+      actor: getActor(req),
+      appealId: appeal.id,
+      documentId: document.id,
+      conditionPack: pack.id,
+      mimeType: file.mimetype,
+      fileSize: file.size,
+      extractedTextLength: extractedText.length,
+      ...(ocrSummary ? { ocrPages: ocrSummary.pages.length, lowConfidencePages: ocrSummary.lowConfidencePages } : {}),
+      expansionsFound: expandedData.expansions.length,
+      clinicalDataExtracted: Object.keys(clinicalData).filter(key => clinicalData[key] !== null && clinicalData[key] !== false).length,
+      ...(auditDetails || {})
+    });
+    
+    documents.push({
+      documentId: document.id,
+      filename: file.originalname,
+      // Full text, so citation offsets can be highlighted in the document viewer
+      extractedText: extractedText,
+      pageStarts: pageStarts,
+      ocr: ocrSummary,
+      clinicalData: clinicalData,
+      auditEntry: auditEntry
+    });
+  }
+  
+  // clinicalData covers every document in the appeal, including earlier uploads
+  const merged = await mergeAppealClinicalData(appeal);
+  const combinedText = processed.map(p => p.extractedText).join('\n\n');
+  const last = documents[documents.length - 1];
+  
+  return {
+    message: documents.length === 1 ? 'Document processed successfully' : `${documents.length} documents processed successfully`,
+    appealId: appeal.id,
+    conditionPack: serializePack(pack),
+    conditionDetection: appeal.conditionDetection,
+    documentId: last.documentId,
+    filename: last.filename,
+    extractedText: combinedText,
+    expandedData: combineExpandedData(processed.map((p, i) => ({
+      documentId: documents[i].documentId,
+      filename: documents[i].filename,
+      expandedData: p.expandedData
+    }))),
+    clinicalData: merged.clinicalData,
+    documents: documents,
+    appealDocuments: merged.documents.map(doc => ({
+      id: doc.id,
+      filename: doc.filename,
+      extractedText: doc.extractedText,
+      pageStarts: doc.pageStarts || null,
+      ocr: doc.ocr || null
+    })),
+    auditEntry: auditEntry
+  };
+}
+
+const MAX_FILES_PER_UPLOAD = 20;
+
+// POST /upload - Upload and process documents. Accepts one file as `document`
+// or several as `documents`; all of them go into the same appeal.
+app.post('/upload', requirePermission('documents:upload'), upload.fields([
+  { name: 'document', maxCount: 1 },
+  { name: 'documents', maxCount: MAX_FILES_PER_UPLOAD }
+]), async (req, res) => {
+  try {
+    const files = [...((req.files && req.files.document) || []), ...((req.files && req.files.documents) || [])];
+    // Immediate heartbeat for debugging slow responses. Filenames often
+    // carry patient names, so only types and sizes are logged
+    console.log('Upload hit:', {
+      files: files.map(f => ({ mime: f.mimetype, size: f.size }))
+    });
+    if (files.length === 0) {
+      return res.status(400).json({
+        error: 'No file uploaded'
+      });
+    }
+    
+    // Attach to an existing appeal when one is given, otherwise open a new one
+    const target = await resolveUploadTarget(req.body);
+    if (target.error) {
+      return res.status(target.status).json({
+        error: target.error
+      });
+    }
+    
+    // Read every file before storing anything so one bad file rejects the batch
+    const processed = [];
+    for (const file of files) {
+      const { text: extractedText, pageStarts, ocrPages, structuredData, error } = await extractText(file);
+      if (!extractedText.trim()) {
+        const ocrError = ocrPages.find(p => p.error);
+        const reason = error || (ocrError ? `OCR failed: ${ocrError.error}` : null);
+        return res.status(400).json({
+          error: `No text content found in the uploaded file ${file.originalname}` + (reason ? ` (${reason})` : '')
+        });
       }
-      console.error('Gemini Pro API error:', aiError);
-      
-      // Fallback to rule-based decision logic
-      let decision = 'REVIEW';
-      let confidence = 0.5;
-      let rationale = [];
-      
-      // Check GFR-based criteria
-      if (clinicalData.gfr) {
-        if (clinicalData.gfr < 15) {
-          decision = 'APPROVE';
-          confidence = 0.9;
-          rationale.push(`GFR of ${clinicalData.gfr} mL/min/1.73m² indicates end-stage renal disease`);
-        } else if (clinicalData.gfr >= 60) {
-          decision = 'REJECT';
-          confidence = 0.8;
-          rationale.push(`GFR of ${clinicalData.gfr} mL/min/1.73m² indicates normal or mildly reduced kidney function`);
-        } else {
-          decision = 'REVIEW';
-          confidence = 0.6;
-          rationale.push(`GFR of ${clinicalData.gfr} mL/min/1.73m² requires additional clinical context`);
-        }
+      processed.push({ file, extractedText, pageStarts, structuredData, ocr: summarizeOcr(ocr, ocrPages, OCR_MIN_CONFIDENCE) });
+    }
+    
+    const payload = await storeDocuments(req, target, processed, {
+      action: 'document_upload',
+      reference: req.body.reference,
+      patientName: req.body.patientName
+    });
+    console.log('Upload success:', {
+      appealId: payload.appealId,
+      documents: payload.documents.map((d, i) => ({ id: d.documentId, mime: processed[i].file.mimetype, size: processed[i].file.size })),
+      conflicts: payload.clinicalData.conflicts.length
+    });
+    res.status(200).json(payload);
+    
+  } catch (error) {
+    console.error('Error processing document:', error);
+    res.status(500).json({
+      error: 'Error processing document: ' + error.message
+    });
+  }
+});
+
+// Fields /fhir/import takes alongside the Bundle, as /upload takes form fields
+const FHIR_IMPORT_FIELDS = ['appealId', 'conditionPack', 'reference', 'patientName', 'urgency'];
+
+// POST /fhir/import - Import a FHIR R4 Bundle of Observation, Condition and
+// MedicationStatement resources, as /upload does for files. The body is the
+// Bundle, or { bundle, appealId, conditionPack, reference, patientName,
+// urgency }. They are never read from the URL, where patient names would end
+// up in access logs.
+app.post('/fhir/import', requirePermission('documents:upload'), async (req, res) => {
+  try {
+    const inUrl = FHIR_IMPORT_FIELDS.filter(field => req.query[field] !== undefined);
+    if (inUrl.length > 0) {
+      return res.status(400).json({
+        error: `Send ${inUrl.join(', ')} in the request body as { bundle, ${inUrl.join(', ')} }, not in the URL`
+      });
+    }
+    const wrapped = Boolean(req.body) && req.body.resourceType === undefined && req.body.bundle !== undefined;
+    const bundle = wrapped ? req.body.bundle : req.body;
+    const options = wrapped ? req.body : {};
+    
+    let record;
+    try {
+      record = parseFhirBundle(bundle);
+    } catch (err) {
+      return res.status(400).json({
+        error: err.message
+      });
+    }
+    
+    const target = await resolveUploadTarget(options);
+    if (target.error) {
+      return res.status(target.status).json({
+        error: target.error
+      });
+    }
+    
+    // The Bundle is kept as the document's content
+    const buffer = Buffer.from(JSON.stringify(bundle));
+    const file = {
+      originalname: `fhir-bundle-${bundle.id || Date.now()}.json`,
+      mimetype: 'application/fhir+json',
+      size: buffer.length,
+      buffer
+    };
+    const patient = record.structured.patient;
+    const payload = await storeDocuments(req, target, [{
+      file,
+      extractedText: record.text,
+      pageStarts: null,
+      structuredData: record.structured,
+      ocr: null,
+      auditDetails: { skippedResources: record.skipped }
+    }], {
+      action: 'fhir_import',
+      reference: options.reference,
+      patientName: options.patientName || (patient && patient.name)
+    });
+    
+    res.status(200).json({
+      ...payload,
+      message: 'FHIR Bundle imported successfully',
+      skippedResources: record.skipped
+    });
+    
+  } catch (error) {
+    console.error('Error importing FHIR bundle:', error);
+    res.status(500).json({
+      error: 'Internal server error while importing FHIR bundle'
+    });
+  }
+});
+
+// Output contract appended to every pack's prompt ({{responseFormat}});
+// structuredOutput.js validates the reply against it
+const RESPONSE_FORMAT_INSTRUCTIONS = `Please provide your analysis in the following JSON format:
+{
+  "decision": "APPROVE|REJECT|REVIEW",
+  "confidence": 0.0-1.0,
+  "rationale": ["reason1", "reason2", "reason3"],
+  "key_factors": ["factor1", "factor2"],
+  "recommendations": ["recommendation1", "recommendation2"]
+}
+
+Mention any medicationAlerts in your rationale. Each rationale item must cite the evidence spans it relies on by id, e.g. "GFR of 12 indicates kidney failure [E1]" or "[E2, E4]"; only cite ids listed in evidence. Focus on evidence-based decision making and provide clear rationale for your classification.`;
+
+// POST /analyze - Analyze clinical data and generate decision using the configured LLM
+app.post('/analyze', requirePermission('appeals:analyze'), async (req, res) => {
+  try {
+    const { appealId, documentId, conditionPack } = req.body;
+    let { clinicalData, extractedText } = req.body;
+    
+    // Decisions are stored against the appeal when one is given
+    let appeal = null;
+    if (appealId !== undefined && appealId !== null) {
+      appeal = await models.Appeal.findByPk(parseInt(appealId));
+      if (!appeal) {
+        return res.status(404).json({
+          error: 'Appeal not found'
+        });
       }
-      
-      // Check proteinuria
-      if (clinicalData.proteinuria) {
-        if (clinicalData.proteinuria > 3.5) {
-          decision = 'APPROVE';
-          confidence = Math.max(confidence, 0.85);
-          rationale.push(`Significant proteinuria of ${clinicalData.proteinuria} g/day indicates severe kidney damage`);
-        } else if (clinicalData.proteinuria < 1.0) {
-          if (decision === 'APPROVE') {
-            decision = 'REVIEW';
-            confidence = 0.7;
-          }
-          rationale.push(`Mild proteinuria of ${clinicalData.proteinuria} g/day may not require immediate intervention`);
-        }
+      if (!OPEN_STATUSES.includes(appeal.status)) {
+        return res.status(409).json({
+          error: `Appeal is ${appeal.status} and can no longer be analyzed`
+        });
       }
-      
-      // Check complications
-      if (clinicalData.complications && clinicalData.complications.length > 0) {
-        decision = 'APPROVE';
-        confidence = Math.max(confidence, 0.8);
-        rationale.push(`Presence of complications: ${clinicalData.complications.map(c => c.name).join(', ')}`);
+    }
+    
+    // An appeal is decided with its own condition pack; text sent without one
+    // uses the pack requested, or the one detected below
+    let pack = appeal ? packForAppeal(appeal) : null;
+    let conditionDetection = appeal ? appeal.conditionDetection : null;
+    if (conditionPack) {
+      const requestedPack = conditionPacks.get(conditionPack);
+      if (!requestedPack) {
+        return res.status(400).json({
+          error: unknownPackMessage()
+        });
+      }
+      if (pack && pack.id !== requestedPack.id) {
+        return res.status(409).json({
+          error: `Appeal is processed with the ${pack.id} condition pack; change it with PUT /appeals/${appeal.id}`
+        });
+      }
+      pack = requestedPack;
+      conditionDetection = conditionDetection || { pack: pack.id, method: 'explicit' };
+    }
+    
+    // An appeal with documents is decided on its whole packet, merged server-side
+    let documents = [];
+    if (appeal) {
+      const merged = await mergeAppealClinicalData(appeal);
+      if (merged.documents.length > 0) {
+        clinicalData = merged.clinicalData;
+        extractedText = merged.extractedText;
+        documents = merged.documents;
+      }
+    }
+    
+    if (!clinicalData || !extractedText) {
+      return res.status(400).json({
+        error: 'Clinical data and extracted text are required'
+      });
+    }
+    if (typeof extractedText !== 'string') {
+      return res.status(400).json({
+        error: 'extractedText must be a string'
+      });
+    }
+    if (documents.length === 0) {
+      const normalized = normalizeClinicalData(clinicalData);
+      if (normalized.error) {
+        return res.status(400).json({
+          error: normalized.error
+        });
+      }
+      clinicalData = normalized.clinicalData;
+    }
+    
+    if (!pack) {
+      const detection = conditionPacks.detect(extractedText);
+      pack = detection.pack;
+      conditionDetection = describeDetection(detection);
+    }
+    
+    // Re-stage from the submitted values so the stage always matches them
+    const currentKB = loadKnowledgeBase(pack);
+    const decisionKnowledgeBaseVersion = knowledgeBaseVersionOf(pack);
+    stageClinicalData(pack, currentKB, clinicalData);
+    
+    // Dosing alerts depend on the eGFR, so they are re-checked the same way
+    clinicalData.medicationAlerts = checkRenalDosing(currentKB, clinicalData.medications, clinicalData);
+    
+    // Treatment targets and stage monitoring intervals, checked against the dated labs
+    const compliance = checkCompliance(currentKB, clinicalData, extractedText);
+    clinicalData.compliance = compliance;
+    
+    // Numbered source spans (E1, E2, ...) the rationale can cite
+    const evidence = buildEvidence(clinicalData, extractorLabels(pack));
+    
+    // Passages of the full record relevant to each criterion; text sent
+    // without an appeal is chunked as a single document
+    const retrieval = retrieveCriterionPassages(currentKB, documents.length > 0
+      ? documents
+      : [{ id: null, filename: null, extractedText: extractedText, pageStarts: null }]);
+    
+    // PHI is replaced with placeholders before anything reaches the provider.
+    // Names, dates of birth and identifiers are learned from the whole record
+    // first, so they are redacted even in passages that do not carry their
+    // label. Documents are named by placeholder, as filenames often carry
+    // the patient's name.
+    const deidentifier = createDeidentifier({
+      names: [appeal && appeal.patientName, ...documents.map(doc => doc.structuredData && doc.structuredData.patient && doc.structuredData.patient.name)],
+      datesOfBirth: documents.map(doc => doc.structuredData && doc.structuredData.patient && doc.structuredData.patient.dateOfBirth)
+    });
+    deidentifier.learn(extractedText);
+    const documentLabel = source => source.documentId || source.filename
+      ? deidentifier.documentLabel(source.documentId, source.filename)
+      : null;
+    
+    // Prepare context for the LLM; the stage leads, raw values back it up
+    const clinicalContext = {
+      condition: pack.name,
+      stage: clinicalData.stage
+        ? {
+          label: clinicalData.stage.label,
+          code: clinicalData.stage.code,
+          description: clinicalData.stage.description,
+          basis: clinicalData.stage.basis,
+          value: clinicalData.stage.value
+        }
+        : undefined,
+      ckdStage: clinicalData.ckdStage
+        ? {
+          label: clinicalData.ckdStage.label,
+          gCategory: clinicalData.ckdStage.gCategory,
+          aCategory: clinicalData.ckdStage.aCategory,
+          description: clinicalData.ckdStage.description,
+          meetsCkdDefinition: clinicalData.ckdStage.meetsCkdDefinition
+        }
+        : null,
+      gfr: clinicalData.gfr,
+      gfrSource: clinicalData.gfrSource,
+      gfrEquation: clinicalData.gfrSource === 'calculated' && clinicalData.gfrCalculation
+        ? clinicalData.gfrCalculation.equation
+        : undefined,
+      age: clinicalData.age,
+      sex: clinicalData.sex,
+      creatinine: clinicalData.creatinine,
+      bun: clinicalData.bun,
+      proteinuria: clinicalData.proteinuria,
+      uacr: clinicalData.uacr,
+      bloodPressure: clinicalData.bloodPressure,
+      // Values the condition pack extracts, such as LVEF
+      ...Object.fromEntries(pack.extractors.map(e => [e.name, clinicalData[e.name] ?? null])),
+      diabetes: clinicalData.diabetes,
+      complications: clinicalData.complications.map(c => c.name),
+      gfrTrend: clinicalData.gfrTrend && clinicalData.gfrTrend.sufficientData
+        ? {
+          points: clinicalData.gfrTrend.points,
+          slopePerYear: clinicalData.gfrTrend.slopePerYear,
+          percentDecline: clinicalData.gfrTrend.percentDecline,
+          flags: clinicalData.gfrTrend.flags.map(f => f.criterion)
+        }
+        : null,
+      medications: (clinicalData.medications || [])
+        .map(m => `${describeMedication(m)} (${m.className}${m.status === 'discontinued' ? ', discontinued' : ''})`),
+      medicationAlerts: clinicalData.medicationAlerts.map(a => a.message),
+      conflicts: (clinicalData.conflicts || []).map(c => describeConflict(c, documentLabel)),
+      optimalManagement: clinicalData.optimalManagement ? clinicalData.optimalManagement.classes : [],
+      compliance: {
+        targetsMet: compliance.targets.filter(t => t.status === 'met').map(t => t.label),
+        targetsMissed: compliance.targets.filter(t => t.status === 'missed')
+          .map(t => `${t.label} ${t.value} (target ${t.target})${t.therapyDocumented ? `, on ${t.therapyDocumented}` : ', no treatment documented'}`),
+        targetsUndocumented: compliance.targets.filter(t => t.status === 'undocumented').map(t => t.label),
+        monitoringOverdue: compliance.monitoring.items.filter(i => i.status === 'overdue')
+          .map(i => `${i.item}: ${i.longestGapDays} day gap (guideline ${i.frequency.toLowerCase()})`),
+        documentedNonAdherence: compliance.nonCompliance.evidence
+      },
+      evidence: evidence.map(e => ({
+        id: e.id,
+        field: e.field,
+        value: e.label,
+        source: [documentLabel(e), e.page ? `page ${e.page}` : null].filter(Boolean).join(', ') || undefined,
+        quote: e.snippet
+      }))
+    };
+    
+    const passageText = retrieval.passages.length > 0
+      ? retrieval.passages
+        .map(p => {
+          const source = [documentLabel(p), p.page ? `page ${p.page}` : null].filter(Boolean).join(', ');
+          return `[${p.id}]${source ? ` ${source}` : ''}\n${p.text.trim()}`;
+        })
+        .join('\n\n')
+      : 'No passages matched the appeal criteria.';
+    const criterionPassages = retrieval.byCriterion
+      .filter(c => c.passages.length > 0)
+      .map(c => `- ${c.criterion}: ${c.passages.join(', ')}`)
+      .join('\n') || '- none';
+    
+    const strict = DEIDENTIFICATION_MODE === 'strict';
+    const providerContext = deidentifier.redactValues(strict
+      ? { ...clinicalContext, evidence: clinicalContext.evidence.map(({ id, field, value }) => ({ id, field, value })) }
+      : clinicalContext);
+    
+    // Prompt from the condition pack's template
+    const prompt = renderPrompt(pack.promptTemplate, {
+      clinicalData: JSON.stringify(providerContext, null, 2),
+      chunkCount: retrieval.chunkCount,
+      passages: strict
+        ? 'Record passages are withheld; decide from the structured clinical data.'
+        : deidentifier.redact(passageText),
+      criterionPassages: strict ? '- none' : criterionPassages,
+      responseFormat: RESPONSE_FORMAT_INSTRUCTIONS
+    });
+
+    // Rules always run; the LLM runs alongside and the two are reconciled
+    const ruleResult = evaluateRules(currentKB, clinicalData, extractedText);
+    if (ruleResult.errors.length > 0) {
+      console.warn('Rules engine skipped invalid rules:', ruleResult.errors);
+    }
+    const rulesVerdict = {
+      decision: ruleResult.decision,
+      confidence: ruleResult.confidence,
+      rationale: ruleResult.rationale,
+      basis: ruleResult.basis,
+      firedRules: ruleResult.firedRules,
+      rulesEvaluated: ruleResult.rulesEvaluated
+    };
+    
+    let llmVerdict = null;
+    let llmError = null;
+    
+    try {
+      // Call the configured LLM provider, validating (and repairing) its output
+      const { value: aiResponse, attempts, validationErrors } = await generateStructuredDecision(llm, prompt, {
+        context: providerContext,
+        maxRetries: LLM_MAX_REPAIR_ATTEMPTS,
+        onValidationFailure: recordLlmValidationFailure
+      });
+      llmMetrics.validDecisions++;
+      if (attempts > 1) llmMetrics.repairedDecisions++;
+      
+      // Placeholders the model wrote back are shown as the original values
+      llmVerdict = {
+        decision: aiResponse.decision,
+        confidence: aiResponse.confidence,
+        rationale: deidentifier.reidentifyValues(aiResponse.rationale),
+        keyFactors: deidentifier.reidentifyValues(aiResponse.key_factors || []),
+        recommendations: deidentifier.reidentifyValues(aiResponse.recommendations || []),
+        aiModel: llm.model,
+        aiProvider: llm.name,
+        attempts: attempts,
+        repairedValidationErrors: validationErrors
+      };
+      
+    } catch (aiError) {
+      if (aiError && aiError.validationErrors) {
+        llmMetrics.exhaustedRetries++;
+      }
+      if (aiError && aiError.raw) {
+        console.error(`${llm.name} parsing error. Raw AI output:\n`, aiError.raw);
+      }
+      console.error(`${llm.name} API error:`, aiError);
+      llmError = aiError;
+    }
+    
+    const reconciliation = reconcileDecisions({
+      llm: llmVerdict,
+      rules: rulesVerdict,
+      policy: currentKB.appeal_criteria.reconciliation
+    });
+    
+    // Rationale follows the LLM when its decision stands; otherwise the rules
+    // rationale is used, prefixed with the reason the LLM was overruled
+    const llmStands = llmVerdict && (reconciliation.source === 'agreement' || reconciliation.source === 'llm');
+    const rationale = llmStands
+      ? [...llmVerdict.rationale]
+      : [reconciliation.reason, ...rulesVerdict.rationale];
+    
+    // Rule rationale cites the evidence behind the facts each rule matched
+    const ruleCitations = new Map(ruleResult.firedRules.map((rule, i) =>
+      [rulesVerdict.rationale[i], evidenceForFacts(rule.facts, evidence)]));
+    
+    // Renal dosing alerts are always part of the rationale
+    for (const alert of clinicalData.medicationAlerts) {
+      const line = `Medication alert: ${alert.message}`;
+      if (!rationale.includes(line)) rationale.push(line);
+      ruleCitations.set(line, evidence
+        .filter(e => e.field === 'gfr' || (e.field === 'medications' && e.label.startsWith(`Medication: ${alert.drug}`)))
+        .map(e => e.id));
+    }
+    
+    // Evidence ids behind each rationale item, in the same order
+    const rationaleCitations = rationale.map(item => {
+      const cited = citedEvidenceIds(item, evidence);
+      return cited.length > 0 ? cited : ruleCitations.get(item) || [];
+    });
+    
+    const decisionMetadata = {
+      decision: reconciliation.decision,
+      confidence: reconciliation.confidence,
+      rationale: rationale,
+      rationaleCitations: rationaleCitations,
+      evidence: evidence,
+      keyFactors: llmVerdict
+        ? llmVerdict.keyFactors
+        : ['Rule-based fallback due to AI API error', ...ruleResult.firedRules.map(r => r.criterion)],
+      recommendations: llmVerdict ? llmVerdict.recommendations : ['Consider manual review'],
+      timestamp: new Date().toISOString(),
+      clinicalData: clinicalData,
+      extractedTextLength: extractedText.length,
+      aiModel: llmVerdict ? llm.model : 'rule-based-fallback',
+      aiProvider: llmVerdict ? llm.name : null,
+      verdicts: {
+        llm: llmVerdict,
+        rules: rulesVerdict
+      },
+      reconciliation: {
+        source: reconciliation.source,
+        reason: reconciliation.reason,
+        agreement: reconciliation.agreement,
+        llmConfidence: reconciliation.llmConfidence,
+        rulesConfidence: reconciliation.rulesConfidence
+      },
+      compliance: compliance,
+      conditionPack: pack.id,
+      conditionDetection: conditionDetection,
+      knowledgeBaseVersion: decisionKnowledgeBaseVersion,
+      medicationAlerts: clinicalData.medicationAlerts,
+      // What was redacted before the provider call, with the original values;
+      // stored encrypted with the decision (see PHI_FIELDS in models.js)
+      deidentification: {
+        mode: DEIDENTIFICATION_MODE,
+        placeholders: deidentifier.mapping()
+      },
+      // No human has reviewed a new decision yet
+      humanDecision: null,
+      reviewStatus: reviewStatus({ decision: reconciliation.decision, confidence: reconciliation.confidence }, REVIEW_CONFIDENCE_THRESHOLD),
+      review: null,
+      // Which passages of the record the LLM was shown, and for which criteria
+      retrieval: {
+        chunkCount: retrieval.chunkCount,
+        passages: retrieval.passages.map(({ id, documentId, filename, page, start, end, score, criteria }) =>
+          ({ id, documentId, filename, page, start, end, score, criteria })),
+        byCriterion: retrieval.byCriterion
+      }
+    };
+    
+    // The audit log is append-only and never purged, so it holds no PHI: the
+    // rationale is redacted again and the evidence is reduced to its spans
+    const auditEntry = {
+      timestamp: new Date().toISOString(),
+      action: llmVerdict ? 'ai_decision_generated' : 'rule_based_decision_generated',
+      decision: decisionMetadata.decision,
+      confidence: decisionMetadata.confidence,
+      rationale: deidentifier.redactValues(decisionMetadata.rationale),
+      rationaleCitations: rationaleCitations,
+      evidence: evidence.map(({ id, field, documentId, page, start, end }) => ({ id, field, documentId, page, start, end })),
+      aiModel: decisionMetadata.aiModel,
+      aiProvider: decisionMetadata.aiProvider,
+      llmDecision: llmVerdict ? llmVerdict.decision : null,
+      llmAttempts: llmVerdict ? llmVerdict.attempts : null,
+      repairedValidationErrors: llmVerdict ? llmVerdict.repairedValidationErrors : undefined,
+      retrievedPassages: decisionMetadata.retrieval.passages.map(({ id, documentId, start, end }) => ({ id, documentId, start, end })),
+      rulesDecision: rulesVerdict.decision,
+      firedRules: ruleResult.firedRules.map(r => ({ id: r.id, outcome: r.outcome, evidence: r.evidence })),
+      reconciliation: decisionMetadata.reconciliation,
+      conditionPack: pack.id,
+      knowledgeBaseVersion: decisionKnowledgeBaseVersion,
+      // Placeholders and counts only, not the values they replaced
+      deidentification: {
+        mode: DEIDENTIFICATION_MODE,
+        redactions: deidentifier.summary()
+      },
+      error: llmError ? llmError.message : undefined,
+      validationErrors: llmError ? llmError.validationErrors : undefined
+    };
+    
+    if (appeal) {
+      const stored = await models.AppealDecision.create({
+        appealId: appeal.id,
+        documentId: documentId ? parseInt(documentId) : null,
+        decision: decisionMetadata.decision,
+        confidence: decisionMetadata.confidence,
+        rationale: decisionMetadata.rationale,
+        rationaleCitations: rationaleCitations,
+        evidence: evidence,
+        keyFactors: decisionMetadata.keyFactors,
+        recommendations: decisionMetadata.recommendations,
+        aiModel: decisionMetadata.aiModel,
+        aiProvider: decisionMetadata.aiProvider || null,
+        clinicalData: clinicalData,
+        extractedTextLength: extractedText.length,
+        verdicts: decisionMetadata.verdicts,
+        reconciliation: decisionMetadata.reconciliation,
+        compliance: compliance,
+        conditionPack: pack.id,
+        knowledgeBaseVersion: decisionKnowledgeBaseVersion,
+        deidentification: decisionMetadata.deidentification
+      });
+      // A new AI decision needs its own review
+      await appeal.update({ latestDecision: decisionMetadata.decision, finalDecision: null });
+      
+      decisionMetadata.id = stored.id;
+      decisionMetadata.appealId = appeal.id;
+      auditEntry.appealId = appeal.id;
+      auditEntry.decisionId = stored.id;
+    }
+    
+    const recordedAuditEntry = await auditLog.append({
+      ...auditEntry,
+      actor: getActor(req)
+    });
+    
+    // Analyzing an appeal takes its documents as complete; a decision that
+    // needs a human puts it in review. Analyzing again only moves it forward.
+    if (appeal) {
+      await advanceAppeal(appeal, decisionMetadata.reviewStatus ? 'in_review' : 'analyzed', getActor(req), { decisionId: decisionMetadata.id });
+    }
+    
+    res.status(200).json({
+      message: 'Analysis completed successfully',
+      decision: decisionMetadata,
+      auditEntry: recordedAuditEntry
+    });
+    
+  } catch (error) {
+    console.error('Error analyzing clinical data:', error);
+    res.status(500).json({
+      error: 'Error analyzing clinical data: ' + error.message
+    });
+  }
+});
+
+// Condition pack a knowledge base route works on: ?pack=, or the default pack
+function knowledgeBasePack(req, res) {
+  const pack = req.query.pack === undefined ? conditionPacks.defaultPack : conditionPacks.get(req.query.pack);
+  if (!pack) {
+    res.status(404).json({ error: unknownPackMessage() });
+  }
+  return pack;
+}
+
+// GET /knowledge-base - Get knowledge base information
+app.get('/knowledge-base', (req, res) => {
+  try {
+    const pack = knowledgeBasePack(req, res);
+    if (!pack) return;
+    const currentKB = loadKnowledgeBase(pack); // Use cached version
+    const cached = knowledgeBaseCache.get(pack.id);
+    const countOf = section => Object.keys(section || {}).length;
+    res.status(200).json({
+      message: 'Knowledge base retrieved successfully',
+      pack: pack.id,
+      terminology: {
+        abbreviationCount: countOf(currentKB.terminology.abbreviations),
+        stageCount: countOf(currentKB.terminology.stages),
+        complicationCount: countOf(currentKB.terminology.complications)
+      },
+      guidelines: {
+        monitoringFrequency: countOf(currentKB.clinical_guidelines.monitoring_frequency),
+        treatmentTargets: countOf(currentKB.clinical_guidelines.treatment_targets),
+        medicationAdjustments: countOf(currentKB.clinical_guidelines.medication_adjustments)
+      },
+      appealCriteria: {
+        approvalIndicators: Object.keys(currentKB.appeal_criteria.approval_indicators).length,
+        rejectionIndicators: Object.keys(currentKB.appeal_criteria.rejection_indicators).length,
+        reviewRequired: Object.keys(currentKB.appeal_criteria.review_required).length,
+        rules: (currentKB.appeal_criteria.rules || []).length
+      },
+      version: knowledgeBaseVersionOf(pack),
+      cache: {
+        cached: !!cached && (Date.now() - cached.loadedAt) < CACHE_DURATION,
+        lastLoadTime: cached ? new Date(cached.loadedAt).toISOString() : null
+      }
+    });
+  } catch (error) {
+    console.error('Error retrieving knowledge base:', error);
+    res.status(500).json({
+      error: 'Error retrieving knowledge base: ' + error.message
+    });
+  }
+});
+
+function serializeKnowledgeBaseVersion(entry, { includeContent = false } = {}) {
+  return {
+    pack: entry.pack,
+    version: entry.version,
+    createdAt: entry.createdAt,
+    author: entry.author,
+    message: entry.message,
+    rollbackOf: entry.rollbackOf,
+    seeded: entry.seeded,
+    changeCount: (entry.diff || []).length,
+    diff: entry.diff || [],
+    ...(includeContent ? { content: entry.content } : {})
+  };
+}
+
+// Store a change as a new version of a pack's knowledge base, switch to it
+// and record it in the audit trail. update gets a copy of the current content.
+async function commitKnowledgeBaseChange(req, pack, update, { message, rollbackOf = null } = {}) {
+  const actor = getActor(req);
+  const result = await knowledgeBaseVersions.get(pack.id).commit(update, {
+    author: actor,
+    message: message ? String(message) : null,
+    rollbackOf
+  });
+  if (result.changed) {
+    useKnowledgeBaseVersion(pack, result.version);
+    await auditLog.append({
+      action: 'knowledge_base_updated',
+      actor,
+      conditionPack: pack.id,
+      version: result.version.version,
+      message: result.version.message,
+      rollbackOf,
+      changes: result.version.diff.map(c => `${c.op} ${c.path}`)
+    });
+  }
+  return result;
+}
+
+function sendKnowledgeBaseChange(res, result, message) {
+  res.status(200).json({
+    message: result.changed ? message : 'No changes; knowledge base version unchanged',
+    changed: result.changed,
+    version: serializeKnowledgeBaseVersion(result.version)
+  });
+}
+
+function sendKnowledgeBaseError(res, error, action) {
+  if (error.validationErrors) {
+    return res.status(400).json({
+      error: 'Knowledge base validation failed',
+      details: error.validationErrors
+    });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({
+    error: `Internal server error while ${action}`
+  });
+}
+
+function parseVersion(value) {
+  const version = parseInt(value);
+  return isNaN(version) || version < 1 ? null : version;
+}
+
+// Object holding a section's entries, created along the way when asked to
+function knowledgeBaseSection(content, section, { create = false } = {}) {
+  let node = content;
+  for (const key of KNOWLEDGE_BASE_SECTIONS[section]) {
+    if (!node[key] && create) node[key] = {};
+    node = node[key];
+    if (!node) return null;
+  }
+  return node;
+}
+
+function unknownSection(res) {
+  res.status(404).json({
+    error: `Unknown knowledge base section. Use one of: ${Object.keys(KNOWLEDGE_BASE_SECTIONS).join(', ')}`
+  });
+}
+
+// GET /knowledge-base/content - Full knowledge base, current or ?version=
+app.get('/knowledge-base/content', async (req, res) => {
+  try {
+    const pack = knowledgeBasePack(req, res);
+    if (!pack) return;
+    let entry;
+    if (req.query.version !== undefined) {
+      const version = parseVersion(req.query.version);
+      if (!version) {
+        return res.status(400).json({ error: 'Invalid version. Must be a positive number.' });
+      }
+      entry = await knowledgeBaseVersions.get(pack.id).get(version);
+      if (!entry) {
+        return res.status(404).json({ error: 'Knowledge base version not found' });
+      }
+    } else {
+      entry = await knowledgeBaseVersions.get(pack.id).current();
+    }
+    res.status(200).json({
+      message: 'Knowledge base content retrieved successfully',
+      pack: pack.id,
+      version: entry.version,
+      content: entry.content
+    });
+  } catch (error) {
+    sendKnowledgeBaseError(res, error, 'retrieving knowledge base content');
+  }
+});
+
+// PUT /knowledge-base - Replace the whole knowledge base
+app.put('/knowledge-base', requirePermission('knowledge-base:write'), async (req, res) => {
+  try {
+    const pack = knowledgeBasePack(req, res);
+    if (!pack) return;
+    const { content, message } = req.body || {};
+    if (!content || typeof content !== 'object' || Array.isArray(content)) {
+      return res.status(400).json({ error: 'Knowledge base content object is required' });
+    }
+    const result = await commitKnowledgeBaseChange(req, pack, () => content, { message: message || 'Replace knowledge base' });
+    sendKnowledgeBaseChange(res, result, 'Knowledge base replaced successfully');
+  } catch (error) {
+    sendKnowledgeBaseError(res, error, 'replacing knowledge base');
+  }
+});
+
+// GET /knowledge-base/versions - Version history, oldest first
+app.get('/knowledge-base/versions', async (req, res) => {
+  try {
+    const pack = knowledgeBasePack(req, res);
+    if (!pack) return;
+    await knowledgeBaseVersions.get(pack.id).current();
+    const versions = await knowledgeBaseVersions.get(pack.id).list();
+    res.status(200).json({
+      message: 'Knowledge base versions retrieved successfully',
+      pack: pack.id,
+      currentVersion: versions.length ? versions[versions.length - 1].version : null,
+      count: versions.length,
+      versions: versions.map(v => serializeKnowledgeBaseVersion(v))
+    });
+  } catch (error) {
+    sendKnowledgeBaseError(res, error, 'retrieving knowledge base versions');
+  }
+});
+
+// GET /knowledge-base/versions/:version - One version with its content and diff
+app.get('/knowledge-base/versions/:version', async (req, res) => {
+  try {
+    const pack = knowledgeBasePack(req, res);
+    if (!pack) return;
+    const version = parseVersion(req.params.version);
+    if (!version) {
+      return res.status(400).json({ error: 'Invalid version. Must be a positive number.' });
+    }
+    const entry = await knowledgeBaseVersions.get(pack.id).get(version);
+    if (!entry) {
+      return res.status(404).json({ error: 'Knowledge base version not found' });
+    }
+    res.status(200).json({
+      message: 'Knowledge base version retrieved successfully',
+      version: serializeKnowledgeBaseVersion(entry, { includeContent: true })
+    });
+  } catch (error) {
+    sendKnowledgeBaseError(res, error, 'retrieving knowledge base version');
+  }
+});
+
+// POST /knowledge-base/versions/:version/rollback - Make an earlier version
+// current again. History is kept: the rollback is itself a new version.
+app.post('/knowledge-base/versions/:version/rollback', requirePermission('knowledge-base:write'), async (req, res) => {
+  try {
+    const pack = knowledgeBasePack(req, res);
+    if (!pack) return;
+    const version = parseVersion(req.params.version);
+    if (!version) {
+      return res.status(400).json({ error: 'Invalid version. Must be a positive number.' });
+    }
+    const target = await knowledgeBaseVersions.get(pack.id).get(version);
+    if (!target) {
+      return res.status(404).json({ error: 'Knowledge base version not found' });
+    }
+    const result = await commitKnowledgeBaseChange(req, pack, () => target.content, {
+      message: (req.body && req.body.message) || `Rollback to version ${version}`,
+      rollbackOf: version
+    });
+    sendKnowledgeBaseChange(res, result, `Knowledge base rolled back to version ${version}`);
+  } catch (error) {
+    sendKnowledgeBaseError(res, error, 'rolling back knowledge base');
+  }
+});
+
+// GET /knowledge-base/:section - Entries of one editable section
+app.get('/knowledge-base/:section', (req, res) => {
+  try {
+    const { section } = req.params;
+    if (!KNOWLEDGE_BASE_SECTIONS[section]) return unknownSection(res);
+    const pack = knowledgeBasePack(req, res);
+    if (!pack) return;
+    const entries = knowledgeBaseSection(loadKnowledgeBase(pack), section) || {};
+    res.status(200).json({
+      message: 'Knowledge base section retrieved successfully',
+      pack: pack.id,
+      section,
+      version: knowledgeBaseVersionOf(pack),
+      count: Object.keys(entries).length,
+      entries
+    });
+  } catch (error) {
+    sendKnowledgeBaseError(res, error, 'retrieving knowledge base section');
+  }
+});
+
+// POST /knowledge-base/:section - Add an entry: { key, value, message }
+app.post('/knowledge-base/:section', requirePermission('knowledge-base:write'), async (req, res) => {
+  try {
+    const { section } = req.params;
+    if (!KNOWLEDGE_BASE_SECTIONS[section]) return unknownSection(res);
+    const pack = knowledgeBasePack(req, res);
+    if (!pack) return;
+    const { key, value, message } = req.body || {};
+    if (!key || typeof key !== 'string' || value === undefined) {
+      return res.status(400).json({ error: 'Entry key and value are required' });
+    }
+    const current = await knowledgeBaseVersions.get(pack.id).current();
+    const entries = knowledgeBaseSection(current.content, section);
+    if (entries && Object.prototype.hasOwnProperty.call(entries, key)) {
+      return res.status(409).json({ error: `Entry "${key}" already exists in ${section}` });
+    }
+    const result = await commitKnowledgeBaseChange(req, pack, content => {
+      knowledgeBaseSection(content, section, { create: true })[key] = value;
+      return content;
+    }, { message: message || `Add ${section} entry ${key}` });
+    res.status(201);
+    sendKnowledgeBaseChange(res, result, 'Knowledge base entry created successfully');
+  } catch (error) {
+    sendKnowledgeBaseError(res, error, 'creating knowledge base entry');
+  }
+});
+
+// GET /knowledge-base/:section/:key - One entry
+app.get('/knowledge-base/:section/:key', (req, res) => {
+  try {
+    const { section, key } = req.params;
+    if (!KNOWLEDGE_BASE_SECTIONS[section]) return unknownSection(res);
+    const pack = knowledgeBasePack(req, res);
+    if (!pack) return;
+    const entries = knowledgeBaseSection(loadKnowledgeBase(pack), section) || {};
+    if (!Object.prototype.hasOwnProperty.call(entries, key)) {
+      return res.status(404).json({ error: 'Knowledge base entry not found' });
+    }
+    res.status(200).json({
+      message: 'Knowledge base entry retrieved successfully',
+      pack: pack.id,
+      section,
+      key,
+      version: knowledgeBaseVersionOf(pack),
+      value: entries[key]
+    });
+  } catch (error) {
+    sendKnowledgeBaseError(res, error, 'retrieving knowledge base entry');
+  }
+});
+
+// PUT /knowledge-base/:section/:key - Replace an entry: { value, message }
+app.put('/knowledge-base/:section/:key', requirePermission('knowledge-base:write'), async (req, res) => {
+  try {
+    const { section, key } = req.params;
+    if (!KNOWLEDGE_BASE_SECTIONS[section]) return unknownSection(res);
+    const pack = knowledgeBasePack(req, res);
+    if (!pack) return;
+    const { value, message } = req.body || {};
+    if (value === undefined) {
+      return res.status(400).json({ error: 'Entry value is required' });
+    }
+    const current = await knowledgeBaseVersions.get(pack.id).current();
+    const entries = knowledgeBaseSection(current.content, section) || {};
+    if (!Object.prototype.hasOwnProperty.call(entries, key)) {
+      return res.status(404).json({ error: 'Knowledge base entry not found' });
+    }
+    const result = await commitKnowledgeBaseChange(req, pack, content => {
+      knowledgeBaseSection(content, section)[key] = value;
+      return content;
+    }, { message: message || `Update ${section} entry ${key}` });
+    sendKnowledgeBaseChange(res, result, 'Knowledge base entry updated successfully');
+  } catch (error) {
+    sendKnowledgeBaseError(res, error, 'updating knowledge base entry');
+  }
+});
+
+// DELETE /knowledge-base/:section/:key - Remove an entry
+app.delete('/knowledge-base/:section/:key', requirePermission('knowledge-base:write'), async (req, res) => {
+  try {
+    const { section, key } = req.params;
+    if (!KNOWLEDGE_BASE_SECTIONS[section]) return unknownSection(res);
+    const pack = knowledgeBasePack(req, res);
+    if (!pack) return;
+    const current = await knowledgeBaseVersions.get(pack.id).current();
+    const entries = knowledgeBaseSection(current.content, section) || {};
+    if (!Object.prototype.hasOwnProperty.call(entries, key)) {
+      return res.status(404).json({ error: 'Knowledge base entry not found' });
+    }
+    const result = await commitKnowledgeBaseChange(req, pack, content => {
+      delete knowledgeBaseSection(content, section)[key];
+      return content;
+    }, { message: (req.body && req.body.message) || `Remove ${section} entry ${key}` });
+    sendKnowledgeBaseChange(res, result, 'Knowledge base entry deleted successfully');
+  } catch (error) {
+    sendKnowledgeBaseError(res, error, 'deleting knowledge base entry');
+  }
+});
+
+// GET /audit - Query the audit trail
+app.get('/audit', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { appealId, action, actor, from, to, limit, offset, order } = req.query;
+    
+    if (appealId !== undefined && isNaN(parseInt(appealId))) {
+      return res.status(400).json({
+        error: 'Invalid appeal ID. Must be a number.'
+      });
+    }
+    
+    for (const [name, value] of [['limit', limit], ['offset', offset]]) {
+      if (value !== undefined && !/^\d+$/.test(value)) {
+        return res.status(400).json({
+          error: `Invalid ${name}. Must be a whole number.`
+        });
+      }
+    }
+    
+    if (order !== undefined && !['asc', 'desc'].includes(order)) {
+      return res.status(400).json({
+        error: 'Invalid order. Use asc or desc.'
+      });
+    }
+    
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value !== undefined && isNaN(new Date(value).getTime())) {
+        return res.status(400).json({
+          error: `Invalid ${name} date. Use an ISO 8601 date or timestamp.`
+        });
+      }
+    }
+    
+    const entries = await auditLog.query({ appealId, action, actor, from, to, limit, offset, order });
+    
+    res.status(200).json({
+      message: 'Audit entries retrieved successfully',
+      count: entries.length,
+      entries: entries
+    });
+    
+  } catch (error) {
+    console.error('Error retrieving audit entries:', error);
+    res.status(500).json({
+      error: 'Internal server error while retrieving audit entries'
+    });
+  }
+});
+
+// GET /audit/verify - Re-check the audit hash chain end to end
+app.get('/audit/verify', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const result = await auditLog.verify();
+    
+    res.status(200).json({
+      message: result.valid ? 'Audit chain verified' : 'Audit chain verification failed',
+      ...result
+    });
+    
+  } catch (error) {
+    console.error('Error verifying audit chain:', error);
+    res.status(500).json({
+      error: 'Internal server error while verifying audit chain'
+    });
+  }
+});
+
+// A purged document keeps only its metadata; there is nothing left to read
+function isPurged(doc) {
+  return Boolean(doc.retention && doc.retention.action === 'purge');
+}
+
+// Documents the retention policy has not reached yet, with the date each is
+// due, oldest first
+async function retentionSchedule() {
+  if (!RETENTION_PERIOD_DAYS) return [];
+  const documents = await models.AppealDocument.findAll({
+    where: { retention: null },
+    attributes: ['id', 'appealId', 'filename', 'mimeType', 'fileSize', 'createdAt'],
+    order: [['createdAt', 'ASC']]
+  });
+  return documents.map(doc => ({
+    documentId: doc.id,
+    appealId: doc.appealId,
+    filename: doc.filename,
+    uploadedAt: new Date(doc.createdAt).toISOString(),
+    dueAt: retentionDueAt(doc.createdAt, RETENTION_PERIOD_DAYS).toISOString()
+  }));
+}
+
+// Decisions whose PHI has not been purged or anonymized yet, with the date
+// they become due, counted from when they were made
+async function decisionRetentionSchedule() {
+  if (!RETENTION_PERIOD_DAYS) return [];
+  const decisions = await models.AppealDecision.findAll({
+    where: { retention: null },
+    attributes: ['id', 'appealId', 'createdAt'],
+    order: [['createdAt', 'ASC']]
+  });
+  return decisions.map(record => ({
+    decisionId: record.id,
+    appealId: record.appealId,
+    madeAt: new Date(record.createdAt).toISOString(),
+    dueAt: retentionDueAt(record.createdAt, RETENTION_PERIOD_DAYS).toISOString()
+  }));
+}
+
+// Appeals whose patient name, reference and notes have not been purged or
+// anonymized yet. An appeal is due once it and everything uploaded or decided
+// for it are, so it goes after its documents and decisions.
+async function appealRetentionSchedule() {
+  if (!RETENTION_PERIOD_DAYS) return [];
+  const appeals = await models.Appeal.findAll({
+    where: { retention: null },
+    attributes: ['id', 'createdAt'],
+    order: [['createdAt', 'ASC']]
+  });
+  const records = [
+    ...await models.AppealDocument.findAll({ attributes: ['appealId', 'createdAt'] }),
+    ...await models.AppealDecision.findAll({ attributes: ['appealId', 'createdAt'] })
+  ];
+  const latest = new Map();
+  records.forEach(record => {
+    const at = new Date(record.createdAt).getTime();
+    if (at > (latest.get(record.appealId) || 0)) latest.set(record.appealId, at);
+  });
+  return appeals.map(appeal => ({
+    appealId: appeal.id,
+    createdAt: new Date(appeal.createdAt).toISOString(),
+    dueAt: retentionDueAt(Math.max(new Date(appeal.createdAt).getTime(), latest.get(appeal.id) || 0), RETENTION_PERIOD_DAYS).toISOString()
+  })).sort((a, b) => a.dueAt.localeCompare(b.dueAt));
+}
+
+// Purge or anonymize every document, decision and appeal that is due,
+// auditing each one. Appeals go last, as their patient name is used to
+// anonymize the rest.
+async function applyRetention(actor) {
+  const now = new Date().toISOString();
+  const due = (await retentionSchedule()).filter(item => item.dueAt <= now);
+  const processed = [];
+  for (const item of due) {
+    const doc = await models.AppealDocument.findByPk(item.documentId);
+    if (!doc || doc.retention) continue;
+    const retention = { action: RETENTION_ACTION, at: new Date().toISOString(), periodDays: RETENTION_PERIOD_DAYS };
+    let redactions;
+    if (RETENTION_ACTION === 'anonymize') {
+      const appeal = await models.Appeal.findByPk(doc.appealId);
+      const anonymized = anonymizedFields(doc, { patientName: appeal ? appeal.patientName : null });
+      await doc.update({ ...anonymized.fields, retention });
+      redactions = anonymized.redactions;
+    } else {
+      await doc.update({ ...purgedFields(), retention });
+    }
+    await auditLog.append({
+      action: RETENTION_ACTION === 'anonymize' ? 'document_anonymized' : 'document_purged',
+      actor,
+      appealId: doc.appealId,
+      documentId: doc.id,
+      uploadedAt: item.uploadedAt,
+      retentionPeriodDays: RETENTION_PERIOD_DAYS,
+      redactions
+    });
+    processed.push({ ...item, action: RETENTION_ACTION });
+  }
+  
+  const dueDecisions = (await decisionRetentionSchedule()).filter(item => item.dueAt <= now);
+  for (const item of dueDecisions) {
+    const record = await models.AppealDecision.findByPk(item.decisionId);
+    if (!record || record.retention) continue;
+    const retention = { action: RETENTION_ACTION, at: new Date().toISOString(), periodDays: RETENTION_PERIOD_DAYS };
+    let redactions;
+    if (RETENTION_ACTION === 'anonymize') {
+      const appeal = await models.Appeal.findByPk(record.appealId);
+      const anonymized = anonymizedDecisionFields(record, { patientName: appeal ? appeal.patientName : null });
+      await record.update({ ...anonymized.fields, retention });
+      redactions = anonymized.redactions;
+    } else {
+      await record.update({ ...purgedDecisionFields(), retention });
+    }
+    await auditLog.append({
+      action: RETENTION_ACTION === 'anonymize' ? 'decision_anonymized' : 'decision_purged',
+      actor,
+      appealId: record.appealId,
+      decisionId: record.id,
+      madeAt: item.madeAt,
+      retentionPeriodDays: RETENTION_PERIOD_DAYS,
+      redactions
+    });
+    processed.push({ ...item, action: RETENTION_ACTION });
+  }
+  
+  const dueAppeals = (await appealRetentionSchedule()).filter(item => item.dueAt <= now);
+  for (const item of dueAppeals) {
+    const appeal = await models.Appeal.findByPk(item.appealId);
+    if (!appeal || appeal.retention) continue;
+    const retention = { action: RETENTION_ACTION, at: new Date().toISOString(), periodDays: RETENTION_PERIOD_DAYS };
+    let redactions;
+    if (RETENTION_ACTION === 'anonymize') {
+      const anonymized = anonymizedAppealFields(appeal);
+      await appeal.update({ ...anonymized.fields, retention });
+      redactions = anonymized.redactions;
+    } else {
+      await appeal.update({ ...purgedAppealFields(), retention });
+    }
+    await auditLog.append({
+      action: RETENTION_ACTION === 'anonymize' ? 'appeal_anonymized' : 'appeal_purged',
+      actor,
+      appealId: appeal.id,
+      createdAt: item.createdAt,
+      retentionPeriodDays: RETENTION_PERIOD_DAYS,
+      redactions
+    });
+    processed.push({ ...item, action: RETENTION_ACTION });
+  }
+  return processed;
+}
+
+// GET /admin/retention - Retention policy, encryption and the documents due
+app.get('/admin/retention', requirePermission('retention:manage'), async (req, res) => {
+  try {
+    const now = new Date();
+    const upcomingUntil = new Date(now.getTime() + RETENTION_UPCOMING_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const schedule = await retentionSchedule();
+    const due = schedule.filter(item => item.dueAt <= now.toISOString());
+    const upcoming = schedule.filter(item => item.dueAt > now.toISOString() && item.dueAt <= upcomingUntil);
+    const decisionsDue = (await decisionRetentionSchedule()).filter(item => item.dueAt <= now.toISOString());
+    const appealsDue = (await appealRetentionSchedule()).filter(item => item.dueAt <= now.toISOString());
+    const retained = await models.AppealDocument.findAll({
+      where: { retention: { [Sequelize.Op.not]: null } },
+      attributes: ['id', 'retention']
+    });
+    const retainedDecisions = await models.AppealDecision.findAll({
+      where: { retention: { [Sequelize.Op.not]: null } },
+      attributes: ['id', 'retention']
+    });
+    const retainedAppeals = await models.Appeal.findAll({
+      where: { retention: { [Sequelize.Op.not]: null } },
+      attributes: ['id', 'retention']
+    });
+    
+    res.status(200).json({
+      message: 'Retention report generated successfully',
+      policy: {
+        periodDays: RETENTION_PERIOD_DAYS,
+        action: RETENTION_ACTION,
+        sweepIntervalHours: RETENTION_PERIOD_DAYS && RETENTION_SWEEP_INTERVAL_HOURS > 0 ? RETENTION_SWEEP_INTERVAL_HOURS : null
+      },
+      // Documents kept in memory are never written to disk, so are not encrypted
+      encryption: {
+        store: usingInMemoryStore ? 'memory' : 'database',
+        enabled: Boolean(fieldCipher) && !usingInMemoryStore,
+        keySource: fieldCipher ? ENCRYPTION_KEY_SOURCE : null,
+        activeKeyId: fieldCipher ? fieldCipher.activeKeyId : null
+      },
+      dueCount: due.length,
+      due,
+      upcomingDays: RETENTION_UPCOMING_DAYS,
+      upcoming,
+      decisionsDueCount: decisionsDue.length,
+      decisionsDue,
+      appealsDueCount: appealsDue.length,
+      appealsDue,
+      processed: {
+        purged: retained.filter(doc => doc.retention.action === 'purge').length,
+        anonymized: retained.filter(doc => doc.retention.action === 'anonymize').length,
+        decisionsPurged: retainedDecisions.filter(record => record.retention.action === 'purge').length,
+        decisionsAnonymized: retainedDecisions.filter(record => record.retention.action === 'anonymize').length,
+        appealsPurged: retainedAppeals.filter(appeal => appeal.retention.action === 'purge').length,
+        appealsAnonymized: retainedAppeals.filter(appeal => appeal.retention.action === 'anonymize').length
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error generating retention report:', error);
+    res.status(500).json({
+      error: 'Internal server error while generating retention report'
+    });
+  }
+});
+
+// POST /admin/retention/run - Apply the retention policy now
+app.post('/admin/retention/run', requirePermission('retention:manage'), async (req, res) => {
+  try {
+    if (!RETENTION_PERIOD_DAYS) {
+      return res.status(400).json({
+        error: 'No retention policy configured; set RETENTION_PERIOD_DAYS'
+      });
+    }
+    const processed = await applyRetention(getActor(req));
+    
+    res.status(200).json({
+      message: `Retention applied to ${processed.filter(item => item.documentId).length} document(s), ${processed.filter(item => item.decisionId).length} decision(s) and ${processed.filter(item => !item.documentId && !item.decisionId).length} appeal(s)`,
+      action: RETENTION_ACTION,
+      processed
+    });
+    
+  } catch (error) {
+    console.error('Error applying retention policy:', error);
+    res.status(500).json({
+      error: 'Internal server error while applying retention policy'
+    });
+  }
+});
+
+// Serialize an appeal record for API responses
+function serializeAppeal(appeal) {
+  return {
+    id: appeal.id,
+    reference: appeal.reference,
+    patientName: appeal.patientName,
+    notes: appeal.notes,
+    status: appeal.status,
+    urgency: appeal.urgency || 'standard',
+    resolvedAt: appeal.resolvedAt || null,
+    sla: slaStatus(appeal, { atRiskFraction: SLA_AT_RISK_FRACTION }),
+    latestDecision: appeal.latestDecision,
+    finalDecision: appeal.finalDecision || null,
+    assignedTo: appeal.assignedTo || null,
+    assignedAt: appeal.assignedAt || null,
+    conditionPack: packForAppeal(appeal).id,
+    conditionDetection: appeal.conditionDetection || null,
+    retention: appeal.retention || null,
+    createdAt: appeal.createdAt,
+    updatedAt: appeal.updatedAt
+  };
+}
+
+// Serialize a stored document. Raw file content is never returned; the full
+// extracted text is, since citations point into it.
+function serializeDocument(doc) {
+  const text = doc.extractedText || '';
+  return {
+    id: doc.id,
+    appealId: doc.appealId,
+    filename: doc.filename,
+    mimeType: doc.mimeType,
+    fileSize: doc.fileSize,
+    extractedText: text,
+    extractedTextLength: text.length,
+    pageStarts: doc.pageStarts || null,
+    ocr: doc.ocr || null,
+    structuredData: doc.structuredData || null,
+    chunkCount: doc.chunks ? doc.chunks.length : null,
+    expandedData: doc.expandedData,
+    clinicalData: doc.clinicalData,
+    retention: doc.retention || null,
+    createdAt: doc.createdAt
+  };
+}
+
+// Serialize a stored decision in the same shape /analyze returns
+function serializeDecision(record) {
+  return {
+    id: record.id,
+    appealId: record.appealId,
+    documentId: record.documentId,
+    decision: record.decision,
+    confidence: record.confidence,
+    rationale: record.rationale || [],
+    rationaleCitations: record.rationaleCitations || [],
+    evidence: record.evidence || [],
+    keyFactors: record.keyFactors || [],
+    recommendations: record.recommendations || [],
+    timestamp: new Date(record.createdAt).toISOString(),
+    clinicalData: record.clinicalData,
+    extractedTextLength: record.extractedTextLength,
+    aiModel: record.aiModel,
+    aiProvider: record.aiProvider,
+    verdicts: record.verdicts,
+    reconciliation: record.reconciliation,
+    compliance: record.compliance,
+    conditionPack: record.conditionPack,
+    knowledgeBaseVersion: record.knowledgeBaseVersion,
+    deidentification: record.deidentification || null,
+    // The human decision, once a review has settled it, next to the AI's
+    humanDecision: record.humanDecision || null,
+    reviewStatus: reviewStatus(record, REVIEW_CONFIDENCE_THRESHOLD),
+    review: record.review || null,
+    retention: record.retention || null
+  };
+}
+
+// The decision an appeal is reviewed on: its latest
+function latestDecisionRecord(appealId) {
+  return models.AppealDecision.findOne({
+    where: { appealId },
+    order: [['createdAt', 'DESC']]
+  });
+}
+
+// Move an appeal to another status and audit it; deciding or closing it
+// stops the turnaround clock. Returns why the lifecycle does not allow the
+// move, or null.
+async function moveAppeal(appeal, to, actor, details = {}) {
+  const from = appeal.status;
+  const error = transitionError(from, to);
+  if (error) return error;
+  
+  await appeal.update({
+    status: to,
+    ...((to === 'decided' || to === 'closed') && !appeal.resolvedAt ? { resolvedAt: new Date() } : {})
+  });
+  await auditLog.append({
+    action: 'appeal_status_changed',
+    actor,
+    appealId: appeal.id,
+    from,
+    to,
+    ...details
+  });
+  return null;
+}
+
+// Why an appeal cannot be moved forward to a status, or null when it can
+const advanceError = (appeal, to) => forwardSteps(appeal.status, to) ? null : transitionError(appeal.status, to);
+
+// Move an appeal forward to a status through the steps before it, e.g. an
+// analyzed appeal through in_review to decided; one already there stays put.
+// Marking the documents complete is not tied to a decision.
+async function advanceAppeal(appeal, to, actor, details = {}) {
+  const steps = forwardSteps(appeal.status, to);
+  if (!steps) return transitionError(appeal.status, to);
+  for (const status of steps) {
+    const error = await moveAppeal(appeal, status, actor, status === 'documents_complete' ? {} : details);
+    if (error) return error;
+  }
+  return null;
+}
+
+// Open appeals past their deadline that have not been escalated yet are
+// escalated once each, into the audit trail. Returns the ones escalated.
+async function escalateBreaches(actor) {
+  const now = new Date();
+  const appeals = await models.Appeal.findAll({
+    where: { status: { [Sequelize.Op.in]: OPEN_STATUSES }, escalatedAt: null }
+  });
+  const escalated = [];
+  for (const appeal of appeals) {
+    const sla = slaStatus(appeal, { now, atRiskFraction: SLA_AT_RISK_FRACTION });
+    if (sla.state !== 'overdue') continue;
+    
+    await appeal.update({ escalatedAt: now });
+    await auditLog.append({
+      action: 'sla_breached',
+      actor,
+      appealId: appeal.id,
+      status: appeal.status,
+      urgency: sla.urgency,
+      dueAt: sla.dueAt,
+      hoursOverdue: -sla.hoursRemaining,
+      assignedTo: appeal.assignedTo || null
+    });
+    escalated.push({ appealId: appeal.id, status: appeal.status, urgency: sla.urgency, dueAt: sla.dueAt, assignedTo: appeal.assignedTo || null });
+  }
+  return escalated;
+}
+
+// POST /appeals - Create new appeal
+app.post('/appeals', requirePermission('appeals:write'), async (req, res) => {
+  try {
+    const { reference, patientName, notes, conditionPack, urgency } = req.body;
+    
+    // Without a pack, the pack is detected from the first upload
+    if (conditionPack && !conditionPacks.get(conditionPack)) {
+      return res.status(400).json({
+        error: unknownPackMessage()
+      });
+    }
+    
+    if (urgency !== undefined && !URGENCY_TYPES.includes(urgency)) {
+      return res.status(400).json({
+        error: `urgency must be one of: ${URGENCY_TYPES.join(', ')}`
+      });
+    }
+    
+    const appeal = await models.Appeal.create({
+      reference: reference ? String(reference).trim() : null,
+      patientName: patientName ? String(patientName).trim() : null,
+      notes: notes ? String(notes).trim() : null,
+      urgency: urgency || 'standard',
+      conditionPack: conditionPack || null,
+      conditionDetection: conditionPack ? { pack: conditionPack, method: 'explicit' } : null
+    });
+    
+    // Return the created appeal with 201 status
+    res.status(201).json({
+      message: 'Appeal created successfully',
+      appeal: serializeAppeal(appeal)
+    });
+    
+  } catch (error) {
+    console.error('Error creating appeal:', error);
+    res.status(500).json({
+      error: 'Internal server error while creating appeal'
+    });
+  }
+});
+
+// GET /appeals - Retrieve all appeals
+app.get('/appeals', requirePermission('appeals:read'), async (req, res) => {
+  try {
+    const appeals = await models.Appeal.findAll({
+      order: [['createdAt', 'DESC']]
+    });
+    
+    res.status(200).json({
+      message: 'Appeals retrieved successfully',
+      count: appeals.length,
+      appeals: appeals.map(serializeAppeal)
+    });
+    
+  } catch (error) {
+    console.error('Error retrieving appeals:', error);
+    res.status(500).json({
+      error: 'Internal server error while retrieving appeals'
+    });
+  }
+});
+
+// GET /appeals/:id - Retrieve an appeal with its documents and decisions
+app.get('/appeals/:id', requirePermission('appeals:read'), async (req, res) => {
+  try {
+    const appealId = parseInt(req.params.id);
+    
+    if (isNaN(appealId)) {
+      return res.status(400).json({
+        error: 'Invalid appeal ID. Must be a number.'
+      });
+    }
+    
+    const appeal = await models.Appeal.findByPk(appealId);
+    
+    if (!appeal) {
+      return res.status(404).json({
+        error: 'Appeal not found'
+      });
+    }
+    
+    const documents = await models.AppealDocument.findAll({
+      where: { appealId },
+      order: [['createdAt', 'ASC']]
+    });
+    const decisions = await models.AppealDecision.findAll({
+      where: { appealId },
+      order: [['createdAt', 'ASC']]
+    });
+    
+    res.status(200).json({
+      message: 'Appeal retrieved successfully',
+      appeal: {
+        ...serializeAppeal(appeal),
+        documents: documents.map(serializeDocument),
+        decisions: decisions.map(serializeDecision)
       }
-      
-      decisionMetadata = {
-        decision: decision,
-        confidence: confidence,
-        rationale: rationale,
-        keyFactors: ['Rule-based fallback due to AI API error'],
-        recommendations: ['Consider manual review'],
-        timestamp: new Date().toISOString(),
-        clinicalData: clinicalData,
-        extractedTextLength: extractedText.length,
-        aiModel: 'rule-based-fallback'
-      };
-      
-      auditEntry = {
-        timestamp: new Date().toISOString(),
-        action: 'rule_based_decision_generated',
-        decision: decision,
-        confidence: confidence,
-        rationale: rationale,
-        clinicalData: clinicalData,
-        aiModel: 'rule-based-fallback',
-        error: aiError.message
-      };
+    });
+    
+  } catch (error) {
+    console.error('Error retrieving appeal:', error);
+    res.status(500).json({
+      error: 'Internal server error while retrieving appeal'
+    });
+  }
+});
+
+// GET /appeals/:id/clinical-data - Clinical data merged across all of an appeal's documents
+app.get('/appeals/:id/clinical-data', requirePermission('appeals:read'), async (req, res) => {
+  try {
+    const appealId = parseInt(req.params.id);
+    
+    if (isNaN(appealId)) {
+      return res.status(400).json({
+        error: 'Invalid appeal ID. Must be a number.'
+      });
+    }
+    
+    const appeal = await models.Appeal.findByPk(appealId);
+    
+    if (!appeal) {
+      return res.status(404).json({
+        error: 'Appeal not found'
+      });
     }
     
+    const merged = await mergeAppealClinicalData(appeal);
+    
     res.status(200).json({
-      message: 'Analysis completed successfully',
-      decision: decisionMetadata,
-      auditEntry: auditEntry
+      message: 'Clinical data merged successfully',
+      appealId: appealId,
+      conditionPack: packForAppeal(appeal).id,
+      documents: merged.documents.map(doc => ({ id: doc.id, filename: doc.filename })),
+      clinicalData: merged.clinicalData
     });
     
   } catch (error) {
-    console.error('Error analyzing clinical data:', error);
+    console.error('Error merging clinical data:', error);
     res.status(500).json({
-      error: 'Error analyzing clinical data: ' + error.message
+      error: 'Internal server error while merging clinical data'
     });
   }
 });
 
-// GET /knowledge-base - Get knowledge base information
-app.get('/knowledge-base', (req, res) => {
+const FHIR_EXPORT_TYPES = ['ClaimResponse', 'Task'];
+
+// LOINC code, label and unit of each value a pack's decisions rest on
+function fhirLabs(pack) {
+  const labels = { ...LAB_LABELS, ...extractorLabels(pack) };
+  const codes = { ...LAB_LOINC_CODES, ...Object.fromEntries(pack.extractors.map(e => [e.name, e.loinc])) };
+  return Object.fromEntries(Object.entries(labels).map(([lab, [label, unit]]) => [
+    lab,
+    { loinc: (codes[lab] || [])[0] || null, label, unit }
+  ]));
+}
+
+// GET /appeals/:id/fhir/:resourceType - The appeal's latest decision as a
+// FHIR Bundle holding a ClaimResponse or Task and its supporting Observations
+app.get('/appeals/:id/fhir/:resourceType', requirePermission('appeals:read'), async (req, res) => {
+  try {
+    const appealId = parseInt(req.params.id);
+    
+    if (isNaN(appealId)) {
+      return res.status(400).json({
+        error: 'Invalid appeal ID. Must be a number.'
+      });
+    }
+    
+    const { resourceType } = req.params;
+    if (!FHIR_EXPORT_TYPES.includes(resourceType)) {
+      return res.status(400).json({
+        error: `Unsupported FHIR resource type. Must be one of: ${FHIR_EXPORT_TYPES.join(', ')}`
+      });
+    }
+    
+    const appeal = await models.Appeal.findByPk(appealId);
+    
+    if (!appeal) {
+      return res.status(404).json({
+        error: 'Appeal not found'
+      });
+    }
+    
+    const record = await latestDecisionRecord(appealId);
+    if (!record) {
+      return res.status(404).json({
+        error: 'Appeal has no decision to export'
+      });
+    }
+    const decision = serializeDecision(record);
+    
+    // Refer to the Patient an imported Bundle described rather than a copy
+    const documents = await models.AppealDocument.findAll({ where: { appealId } });
+    const imported = documents
+      .map(doc => doc.structuredData)
+      .find(data => data && data.format === 'fhir' && data.patient && data.patient.fhirId);
+    
+    const bundle = decisionBundle(resourceType, {
+      appeal,
+      decision,
+      labs: fhirLabs(conditionPacks.get(decision.conditionPack) || packForAppeal(appeal)),
+      patientReference: imported ? `Patient/${imported.patient.fhirId}` : null,
+      systemBase: FHIR_SYSTEM_BASE
+    });
+    
+    await auditLog.append({
+      action: 'fhir_export',
+      actor: getActor(req),
+      appealId,
+      decisionId: decision.id,
+      resourceType,
+      bundleId: bundle.id
+    });
+    
+    res.status(200).type('application/fhir+json').json(bundle);
+    
+  } catch (error) {
+    console.error('Error exporting FHIR bundle:', error);
+    res.status(500).json({
+      error: 'Internal server error while exporting FHIR bundle'
+    });
+  }
+});
+
+// GET /sla - Open appeals past their turnaround deadline, and those at risk
+// of missing it, soonest due first
+app.get('/sla', requirePermission('appeals:read'), async (req, res) => {
   try {
-    const currentKB = loadKnowledgeBase(); // Use cached version
+    const now = new Date();
+    const appeals = await models.Appeal.findAll({
+      where: { status: { [Sequelize.Op.in]: OPEN_STATUSES } }
+    });
+    const tracked = appeals
+      .map(appeal => ({ appeal, sla: slaStatus(appeal, { now, atRiskFraction: SLA_AT_RISK_FRACTION }) }))
+      .sort((a, b) => a.sla.dueAt.localeCompare(b.sla.dueAt));
+    const overdue = tracked.filter(({ sla }) => sla.state === 'overdue').map(({ appeal }) => serializeAppeal(appeal));
+    const atRisk = tracked.filter(({ sla }) => sla.state === 'at_risk').map(({ appeal }) => serializeAppeal(appeal));
+    
     res.status(200).json({
-      message: 'Knowledge base retrieved successfully',
-      terminology: {
-        abbreviationCount: Object.keys(currentKB.ckd_terminology.abbreviations).length,
-        stageCount: Object.keys(currentKB.ckd_terminology.stages).length,
-        complicationCount: Object.keys(currentKB.ckd_terminology.complications).length
-      },
-      guidelines: {
-        monitoringFrequency: Object.keys(currentKB.clinical_guidelines.monitoring_frequency).length,
-        treatmentTargets: Object.keys(currentKB.clinical_guidelines.treatment_targets).length,
-        medicationAdjustments: Object.keys(currentKB.clinical_guidelines.medication_adjustments).length
-      },
-      appealCriteria: {
-        approvalIndicators: Object.keys(currentKB.appeal_criteria.approval_indicators).length,
-        rejectionIndicators: Object.keys(currentKB.appeal_criteria.rejection_indicators).length,
-        reviewRequired: Object.keys(currentKB.appeal_criteria.review_required).length
+      message: 'SLA report generated successfully',
+      policy: {
+        turnaroundHours: TURNAROUND_HOURS,
+        atRiskFraction: SLA_AT_RISK_FRACTION,
+        checkIntervalMinutes: SLA_CHECK_INTERVAL_MINUTES > 0 ? SLA_CHECK_INTERVAL_MINUTES : null
       },
-      cache: {
-        cached: knowledgeBaseCache && (Date.now() - lastLoadTime) < CACHE_DURATION,
-        lastLoadTime: new Date(lastLoadTime).toISOString()
-      }
+      openCount: tracked.length,
+      overdueCount: overdue.length,
+      overdue,
+      atRiskCount: atRisk.length,
+      atRisk
     });
+    
   } catch (error) {
-    console.error('Error retrieving knowledge base:', error);
+    console.error('Error generating SLA report:', error);
     res.status(500).json({
-      error: 'Error retrieving knowledge base: ' + error.message
+      error: 'Internal server error while generating SLA report'
     });
   }
 });
 
-// POST /tasks - Create new task
-app.post('/tasks', async (req, res) => {
+// Review queue entries waiting for someone to act
+const QUEUE_STATUSES = ['awaiting_review', 'awaiting_sign_off'];
+
+// GET /review-queue - Appeals whose latest decision waits for a reviewer or a
+// supervisor's sign-off, longest waiting first
+app.get('/review-queue', requirePermission('appeals:decide'), async (req, res) => {
   try {
-    const { title, description } = req.body;
+    const { assignedTo, status } = req.query;
     
-    // Validate required fields
-    if (!title || title.trim() === '') {
+    if (status !== undefined && !QUEUE_STATUSES.includes(status)) {
       return res.status(400).json({
-        error: 'Title is required and cannot be empty'
+        error: `status must be one of: ${QUEUE_STATUSES.join(', ')}`
       });
     }
     
-    // Create the task
-    const task = await Task.create({
-      title: title.trim(),
-      description: description ? description.trim() : null,
-      completed: false
+    const appeals = await models.Appeal.findAll();
+    const decisions = await models.AppealDecision.findAll({
+      attributes: ['id', 'appealId', 'decision', 'confidence', 'humanDecision', 'review', 'createdAt'],
+      order: [['createdAt', 'ASC']]
     });
+    const latest = new Map(decisions.map(record => [record.appealId, record]));
     
-    // Return the created task with 201 status
-    res.status(201).json({
-      message: 'Task created successfully',
-      task: {
-        id: task.id,
-        title: task.title,
-        description: task.description,
-        completed: task.completed,
-        createdAt: task.createdAt,
-        updatedAt: task.updatedAt
+    // assignedTo=me for the signed-in user, unassigned for nobody
+    const assignee = assignedTo === 'me' ? req.user.username : assignedTo;
+    const items = appeals
+      .map(appeal => ({ appeal, record: latest.get(appeal.id) }))
+      .filter(({ record }) => record && QUEUE_STATUSES.includes(reviewStatus(record, REVIEW_CONFIDENCE_THRESHOLD)))
+      .filter(({ appeal }) => assignee === undefined
+        || (assignee === 'unassigned' ? !appeal.assignedTo : appeal.assignedTo === assignee))
+      .filter(({ record }) => status === undefined || reviewStatus(record, REVIEW_CONFIDENCE_THRESHOLD) === status)
+      .sort((a, b) => new Date(a.record.createdAt) - new Date(b.record.createdAt))
+      .map(({ appeal, record }) => ({
+        appeal: serializeAppeal(appeal),
+        decision: {
+          id: record.id,
+          decision: record.decision,
+          confidence: record.confidence,
+          timestamp: new Date(record.createdAt).toISOString()
+        },
+        queueStatus: reviewStatus(record, REVIEW_CONFIDENCE_THRESHOLD),
+        reasons: record.review ? [] : reviewReasons(record, REVIEW_CONFIDENCE_THRESHOLD),
+        review: record.review || null
+      }));
+    
+    res.status(200).json({
+      message: 'Review queue retrieved successfully',
+      confidenceThreshold: REVIEW_CONFIDENCE_THRESHOLD,
+      count: items.length,
+      items
+    });
+    
+  } catch (error) {
+    console.error('Error retrieving review queue:', error);
+    res.status(500).json({
+      error: 'Internal server error while retrieving review queue'
+    });
+  }
+});
+
+// POST /appeals/:id/assign - Assign an appeal to a reviewer, or unassign it
+// with a null assignee. Reviewers may take unassigned appeals themselves;
+// assigning anyone else, or taking an assigned appeal, needs a supervisor.
+app.post('/appeals/:id/assign', requirePermission('appeals:decide'), async (req, res) => {
+  try {
+    const appealId = parseInt(req.params.id);
+    
+    if (isNaN(appealId)) {
+      return res.status(400).json({
+        error: 'Invalid appeal ID. Must be a number.'
+      });
+    }
+    
+    const { assignee } = req.body || {};
+    if (assignee !== null && (typeof assignee !== 'string' || !assignee.trim())) {
+      return res.status(400).json({
+        error: 'assignee must be a username, or null to unassign'
+      });
+    }
+    const username = assignee ? assignee.trim() : null;
+    
+    const appeal = await models.Appeal.findByPk(appealId);
+    
+    if (!appeal) {
+      return res.status(404).json({
+        error: 'Appeal not found'
+      });
+    }
+    
+    const selfAssigning = username === req.user.username && !appeal.assignedTo;
+    if (!selfAssigning && !hasPermission(req.user, 'appeals:assign')) {
+      const roles = rolesWithPermission('appeals:assign');
+      return res.status(403).json({
+        error: `Forbidden: reviewers may only take unassigned appeals; assigning requires the ${roles.join(' or ')} role`
+      });
+    }
+    
+    // Local users must be able to review; users of the OpenID Connect
+    // provider are not stored, so any name is taken when one is trusted
+    if (username) {
+      const user = await models.User.findOne({ where: { username } });
+      if (user && (!user.active || !hasPermission(user, 'appeals:decide'))) {
+        return res.status(400).json({
+          error: `${username} cannot review appeals`
+        });
+      }
+      if (!user && !oidcIssuer) {
+        return res.status(400).json({
+          error: `Unknown user ${username}`
+        });
       }
+    }
+    
+    const previousAssignee = appeal.assignedTo || null;
+    await appeal.update({ assignedTo: username, assignedAt: username ? new Date() : null });
+    
+    await auditLog.append({
+      action: 'appeal_assigned',
+      actor: getActor(req),
+      appealId,
+      assignee: username,
+      previousAssignee
+    });
+    
+    res.status(200).json({
+      message: username ? `Appeal assigned to ${username}` : 'Appeal unassigned',
+      appeal: serializeAppeal(appeal)
     });
     
   } catch (error) {
-    console.error('Error creating task:', error);
+    console.error('Error assigning appeal:', error);
     res.status(500).json({
-      error: 'Internal server error while creating task'
+      error: 'Internal server error while assigning appeal'
     });
   }
 });
 
-// GET /tasks - Retrieve all tasks
-app.get('/tasks', async (req, res) => {
+// POST /appeals/:id/review - Accept the latest decision, or override it with
+// a reason; overrides wait for a supervisor's sign-off
+app.post('/appeals/:id/review', requirePermission('appeals:decide'), async (req, res) => {
   try {
-    const tasks = await Task.findAll({
-      order: [['createdAt', 'DESC']]
+    const appealId = parseInt(req.params.id);
+    
+    if (isNaN(appealId)) {
+      return res.status(400).json({
+        error: 'Invalid appeal ID. Must be a number.'
+      });
+    }
+    
+    const appeal = await models.Appeal.findByPk(appealId);
+    
+    if (!appeal) {
+      return res.status(404).json({
+        error: 'Appeal not found'
+      });
+    }
+    
+    const record = await latestDecisionRecord(appealId);
+    if (!record) {
+      return res.status(404).json({
+        error: 'Appeal has no decision to review'
+      });
+    }
+    
+    const reviewer = getActor(req);
+    if (appeal.assignedTo && appeal.assignedTo !== reviewer && !hasPermission(req.user, 'appeals:assign')) {
+      return res.status(409).json({
+        error: `Appeal is assigned to ${appeal.assignedTo}`
+      });
+    }
+    
+    const result = reviewDecision(record, req.body || {}, reviewer);
+    if (result.error) {
+      return res.status(result.status).json({
+        error: result.error
+      });
+    }
+    
+    // An accepted decision decides the appeal; an override keeps it in review
+    const nextStatus = result.humanDecision ? 'decided' : 'in_review';
+    const lifecycleError = advanceError(appeal, nextStatus);
+    if (lifecycleError) {
+      return res.status(409).json({
+        error: lifecycleError
+      });
+    }
+    
+    await record.update({ review: result.review, humanDecision: result.humanDecision });
+    await appeal.update({
+      finalDecision: result.humanDecision,
+      // Reviewing an unassigned appeal takes it
+      ...(appeal.assignedTo ? {} : { assignedTo: reviewer, assignedAt: new Date() })
+    });
+    
+    await auditLog.append({
+      action: result.review.action === 'accept' ? 'decision_accepted' : 'decision_overridden',
+      actor: reviewer,
+      appealId,
+      decisionId: record.id,
+      aiDecision: result.review.aiDecision,
+      decision: result.review.decision,
+      reason: result.review.reason,
+      reviewStatus: result.review.status
     });
+    await advanceAppeal(appeal, nextStatus, reviewer, { decisionId: record.id });
     
     res.status(200).json({
-      message: 'Tasks retrieved successfully',
-      count: tasks.length,
-      tasks: tasks.map(task => ({
-        id: task.id,
-        title: task.title,
-        description: task.description,
-        completed: task.completed,
-        createdAt: task.createdAt,
-        updatedAt: task.updatedAt
-      }))
+      message: result.humanDecision
+        ? `Decision accepted: ${result.humanDecision}`
+        : `Override to ${result.review.decision} submitted for supervisor sign-off`,
+      appeal: serializeAppeal(appeal),
+      decision: serializeDecision(record)
+    });
+    
+  } catch (error) {
+    console.error('Error reviewing decision:', error);
+    res.status(500).json({
+      error: 'Internal server error while reviewing decision'
+    });
+  }
+});
+
+// POST /appeals/:id/review/sign-off - Approve a pending override, making it
+// the final decision, or return it to the review queue with a comment
+app.post('/appeals/:id/review/sign-off', requirePermission('appeals:override'), async (req, res) => {
+  try {
+    const appealId = parseInt(req.params.id);
+    
+    if (isNaN(appealId)) {
+      return res.status(400).json({
+        error: 'Invalid appeal ID. Must be a number.'
+      });
+    }
+    
+    const appeal = await models.Appeal.findByPk(appealId);
+    
+    if (!appeal) {
+      return res.status(404).json({
+        error: 'Appeal not found'
+      });
+    }
+    
+    const record = await latestDecisionRecord(appealId);
+    if (!record) {
+      return res.status(404).json({
+        error: 'Appeal has no decision to sign off'
+      });
+    }
+    
+    const supervisor = getActor(req);
+    const result = signOffOverride(record, req.body || {}, supervisor);
+    if (result.error) {
+      return res.status(result.status).json({
+        error: result.error
+      });
+    }
+    
+    const nextStatus = result.humanDecision ? 'decided' : 'in_review';
+    const lifecycleError = advanceError(appeal, nextStatus);
+    if (lifecycleError) {
+      return res.status(409).json({
+        error: lifecycleError
+      });
+    }
+    
+    await record.update({ review: result.review, humanDecision: result.humanDecision });
+    await appeal.update({ finalDecision: result.humanDecision });
+    
+    await auditLog.append({
+      action: result.review.signOff.approved ? 'override_signed_off' : 'override_returned',
+      actor: supervisor,
+      appealId,
+      decisionId: record.id,
+      reviewer: result.review.reviewer,
+      aiDecision: result.review.aiDecision,
+      decision: result.review.decision,
+      comment: result.review.signOff.comment
+    });
+    await advanceAppeal(appeal, nextStatus, supervisor, { decisionId: record.id });
+    
+    res.status(200).json({
+      message: result.humanDecision
+        ? `Override signed off: ${result.humanDecision}`
+        : 'Override returned to the review queue',
+      appeal: serializeAppeal(appeal),
+      decision: serializeDecision(record)
     });
     
   } catch (error) {
-    console.error('Error retrieving tasks:', error);
+    console.error('Error signing off override:', error);
     res.status(500).json({
-      error: 'Internal server error while retrieving tasks'
+      error: 'Internal server error while signing off override'
     });
   }
 });
 
-// GET /tasks/:id - Retrieve a specific task by ID
-app.get('/tasks/:id', async (req, res) => {
+// POST /appeals/:id/status - Move an appeal along its lifecycle by hand:
+// documents_complete, or letter_sent and closed for those who may decide it.
+// Analysis and review set the other statuses.
+app.post('/appeals/:id/status', requirePermission('appeals:write'), async (req, res) => {
   try {
-    const taskId = parseInt(req.params.id);
+    const appealId = parseInt(req.params.id);
+    
+    if (isNaN(appealId)) {
+      return res.status(400).json({
+        error: 'Invalid appeal ID. Must be a number.'
+      });
+    }
     
-    if (isNaN(taskId)) {
+    const { status, note } = req.body || {};
+    if (!MANUAL_STATUSES.includes(status)) {
       return res.status(400).json({
-        error: 'Invalid task ID. Must be a number.'
+        error: APPEAL_STATUSES.includes(status)
+          ? `${status} is set by analysis and review; status may be set to: ${MANUAL_STATUSES.join(', ')}`
+          : `status must be one of: ${MANUAL_STATUSES.join(', ')}`
+      });
+    }
+    
+    if (!hasPermission(req.user, MANUAL_STATUS_PERMISSIONS[status])) {
+      return res.status(403).json({
+        error: permissionError(MANUAL_STATUS_PERMISSIONS[status])
       });
     }
     
-    const task = await Task.findByPk(taskId);
+    const appeal = await models.Appeal.findByPk(appealId);
     
-    if (!task) {
+    if (!appeal) {
       return res.status(404).json({
-        error: 'Task not found'
+        error: 'Appeal not found'
+      });
+    }
+    
+    if (status === 'documents_complete' && await models.AppealDocument.count({ where: { appealId } }) === 0) {
+      return res.status(409).json({
+        error: 'Appeal has no documents yet'
+      });
+    }
+    
+    const error = await moveAppeal(appeal, status, getActor(req), {
+      note: typeof note === 'string' && note.trim() ? note.trim() : null
+    });
+    if (error) {
+      return res.status(409).json({
+        error
       });
     }
     
     res.status(200).json({
-      message: 'Task retrieved successfully',
-      task: {
-        id: task.id,
-        title: task.title,
-        description: task.description,
-        completed: task.completed,
-        createdAt: task.createdAt,
-        updatedAt: task.updatedAt
-      }
+      message: `Appeal is now ${status}`,
+      appeal: serializeAppeal(appeal)
     });
     
   } catch (error) {
-    console.error('Error retrieving task:', error);
+    console.error('Error changing appeal status:', error);
     res.status(500).json({
-      error: 'Internal server error while retrieving task'
+      error: 'Internal server error while changing appeal status'
     });
   }
 });
 
-// PUT /tasks/:id - Update an existing task
-app.put('/tasks/:id', async (req, res) => {
+// PUT /appeals/:id - Update an existing appeal
+app.put('/appeals/:id', requirePermission('appeals:write'), async (req, res) => {
   try {
-    const taskId = parseInt(req.params.id);
-    const { title, description, completed } = req.body;
+    const appealId = parseInt(req.params.id);
+    const { reference, patientName, notes, conditionPack, urgency } = req.body;
     
-    if (isNaN(taskId)) {
+    if (isNaN(appealId)) {
       return res.status(400).json({
-        error: 'Invalid task ID. Must be a number.'
+        error: 'Invalid appeal ID. Must be a number.'
       });
     }
     
-    // Find the task
-    const task = await Task.findByPk(taskId);
+    // Find the appeal
+    const appeal = await models.Appeal.findByPk(appealId);
     
-    if (!task) {
+    if (!appeal) {
       return res.status(404).json({
-        error: 'Task not found'
+        error: 'Appeal not found'
       });
     }
     
     // Prepare update data (only update provided fields)
     const updateData = {};
     
-    if (title !== undefined) {
-      if (!title || title.trim() === '') {
+    if (reference !== undefined) {
+      updateData.reference = reference ? String(reference).trim() : null;
+    }
+    
+    if (patientName !== undefined) {
+      updateData.patientName = patientName ? String(patientName).trim() : null;
+    }
+    
+    if (notes !== undefined) {
+      updateData.notes = notes ? String(notes).trim() : null;
+    }
+    
+    // A new urgency moves the deadline, so a missed one is escalated afresh
+    const previousUrgency = appeal.urgency || 'standard';
+    if (urgency !== undefined) {
+      if (!URGENCY_TYPES.includes(urgency)) {
         return res.status(400).json({
-          error: 'Title cannot be empty if provided'
+          error: `urgency must be one of: ${URGENCY_TYPES.join(', ')}`
         });
       }
-      updateData.title = title.trim();
-    }
-    
-    if (description !== undefined) {
-      updateData.description = description ? description.trim() : null;
+      if (urgency !== previousUrgency) {
+        updateData.urgency = urgency;
+        updateData.escalatedAt = null;
+      }
     }
     
-    if (completed !== undefined) {
-      if (typeof completed !== 'boolean') {
+    const previousPack = packForAppeal(appeal);
+    let pack = null;
+    if (conditionPack !== undefined) {
+      pack = conditionPacks.get(conditionPack);
+      if (!pack) {
         return res.status(400).json({
-          error: 'Completed must be a boolean value'
+          error: unknownPackMessage()
         });
       }
-      updateData.completed = completed;
+      updateData.conditionPack = pack.id;
+      updateData.conditionDetection = { pack: pack.id, method: 'explicit' };
     }
     
-    // Update the task
-    await task.update(updateData);
+    // Update the appeal
+    await appeal.update(updateData);
     
-    // Return the updated task
-    res.status(200).json({
-      message: 'Task updated successfully',
-      task: {
-        id: task.id,
-        title: task.title,
-        description: task.description,
-        completed: task.completed,
-        createdAt: task.createdAt,
-        updatedAt: task.updatedAt
+    if (updateData.urgency) {
+      await auditLog.append({
+        action: 'urgency_changed',
+        actor: getActor(req),
+        appealId,
+        from: previousUrgency,
+        to: updateData.urgency
+      });
+    }
+    
+    // Documents already uploaded are read again with the new pack's
+    // terminology and extractors
+    if (pack && pack.id !== previousPack.id) {
+      const documents = (await models.AppealDocument.findAll({ where: { appealId } })).filter(doc => !isPurged(doc));
+      for (const doc of documents) {
+        await doc.update({
+          expandedData: expandMedicalTerms(doc.extractedText || '', doc.pageStarts, pack),
+          clinicalData: extractClinicalData(doc.extractedText || '', doc.pageStarts, pack, doc.structuredData)
+        });
       }
+      await auditLog.append({
+        action: 'condition_pack_changed',
+        actor: getActor(req),
+        appealId,
+        from: previousPack.id,
+        to: pack.id,
+        documentsReprocessed: documents.length
+      });
+    }
+    
+    // Return the updated appeal
+    res.status(200).json({
+      message: 'Appeal updated successfully',
+      appeal: serializeAppeal(appeal)
     });
     
   } catch (error) {
-    console.error('Error updating task:', error);
+    console.error('Error updating appeal:', error);
     res.status(500).json({
-      error: 'Internal server error while updating task'
+      error: 'Internal server error while updating appeal'
     });
   }
 });
 
-// DELETE /tasks/:id - Delete an existing task
-app.delete('/tasks/:id', async (req, res) => {
+// DELETE /appeals/:id - Delete an appeal along with its documents and decisions
+app.delete('/appeals/:id', requirePermission('appeals:delete'), async (req, res) => {
   try {
-    const taskId = parseInt(req.params.id);
+    const appealId = parseInt(req.params.id);
     
-    if (isNaN(taskId)) {
+    if (isNaN(appealId)) {
       return res.status(400).json({
-        error: 'Invalid task ID. Must be a number.'
+        error: 'Invalid appeal ID. Must be a number.'
       });
     }
     
-    // Find the task
-    const task = await Task.findByPk(taskId);
+    // Find the appeal
+    const appeal = await models.Appeal.findByPk(appealId);
     
-    if (!task) {
+    if (!appeal) {
       return res.status(404).json({
-        error: 'Task not found'
+        error: 'Appeal not found'
       });
     }
     
-    // Delete the task
-    await task.destroy();
+    // Delete children explicitly so the in-memory store behaves like the
+    // cascading foreign keys in Postgres
+    await models.AppealDecision.destroy({ where: { appealId } });
+    await models.AppealDocument.destroy({ where: { appealId } });
+    await appeal.destroy();
     
     // Return 204 No Content status on successful deletion
     res.status(204).send();
     
   } catch (error) {
-    console.error('Error deleting task:', error);
+    console.error('Error deleting appeal:', error);
     res.status(500).json({
-      error: 'Internal server error while deleting task'
+      error: 'Internal server error while deleting appeal'
     });
   }
 });
@@ -923,22 +3531,65 @@ async function start() {
       console.log('Database connection established successfully.');
 
       await sequelize.sync();
-      console.log('Database synced successfully. Tasks table created/updated.');
+      console.log('Database synced successfully. Appeal tables created/updated.');
+      await refreshKnowledgeBases();
+      // The bootstrap admin is created by the connection check at load time
     } else {
-      console.log('Skipping database initialization; using in-memory task store');
+      console.log('Skipping database initialization; using in-memory store');
+    }
+
+    // Scheduled retention sweeps, recorded in the audit trail as the system
+    if (RETENTION_PERIOD_DAYS && RETENTION_SWEEP_INTERVAL_HOURS > 0) {
+      const sweep = () => applyRetention('system:retention')
+        .then(processed => {
+          if (processed.length > 0) console.log(`Retention applied to ${processed.length} document(s), decision(s) or appeal(s)`);
+        })
+        .catch(err => console.error('Error applying retention policy:', err));
+      sweep();
+      setInterval(sweep, RETENTION_SWEEP_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+    }
+    
+    // Missed turnaround deadlines are escalated by the system as well
+    if (SLA_CHECK_INTERVAL_MINUTES > 0) {
+      const check = () => escalateBreaches('system:sla')
+        .then(escalated => escalated.forEach(item =>
+          console.warn(`SLA breached: appeal ${item.appealId} (${item.urgency}, ${item.status}) was due ${item.dueAt}`)))
+        .catch(err => console.error('Error escalating SLA breaches:', err));
+      check();
+      setInterval(check, SLA_CHECK_INTERVAL_MINUTES * 60 * 1000).unref();
     }
 
     app.listen(PORT, () => {
       console.log(`Server is running on port ${PORT}`);
       console.log(`Health check: http://localhost:${PORT}/health`);
-      console.log(`Knowledge base: GET http://localhost:${PORT}/knowledge-base`);
+      console.log(`Sign in: POST http://localhost:${PORT}/auth/login`);
+      console.log(`Users: GET/POST http://localhost:${PORT}/auth/users`);
+      if (devIdp) {
+        console.log(`Development identity provider: POST http://localhost:${PORT}/dev-idp/token`);
+      }
+      console.log(`Condition packs: GET http://localhost:${PORT}/condition-packs`);
+      console.log(`Knowledge base: GET http://localhost:${PORT}/knowledge-base?pack=:id`);
+      console.log(`Knowledge base versions: GET http://localhost:${PORT}/knowledge-base/versions`);
+      console.log(`Knowledge base entries: GET/POST http://localhost:${PORT}/knowledge-base/:section`);
       console.log(`Upload document: POST http://localhost:${PORT}/upload`);
+      console.log(`Import FHIR bundle: POST http://localhost:${PORT}/fhir/import`);
       console.log(`Analyze data: POST http://localhost:${PORT}/analyze`);
-      console.log(`Create task: POST http://localhost:${PORT}/tasks`);
-      console.log(`Get all tasks: GET http://localhost:${PORT}/tasks`);
-      console.log(`Get task by ID: GET http://localhost:${PORT}/tasks/:id`);
-      console.log(`Update task: PUT http://localhost:${PORT}/tasks/:id`);
-      console.log(`Delete task: DELETE http://localhost:${PORT}/tasks/:id`);
+      console.log(`Audit trail: GET http://localhost:${PORT}/audit`);
+      console.log(`Verify audit chain: GET http://localhost:${PORT}/audit/verify`);
+      console.log(`Retention report: GET http://localhost:${PORT}/admin/retention`);
+      console.log(`Create appeal: POST http://localhost:${PORT}/appeals`);
+      console.log(`Get all appeals: GET http://localhost:${PORT}/appeals`);
+      console.log(`Get appeal by ID: GET http://localhost:${PORT}/appeals/:id`);
+      console.log(`SLA report: GET http://localhost:${PORT}/sla`);
+      console.log(`Change appeal status: POST http://localhost:${PORT}/appeals/:id/status`);
+      console.log(`Review queue: GET http://localhost:${PORT}/review-queue`);
+      console.log(`Assign appeal: POST http://localhost:${PORT}/appeals/:id/assign`);
+      console.log(`Review decision: POST http://localhost:${PORT}/appeals/:id/review`);
+      console.log(`Sign off override: POST http://localhost:${PORT}/appeals/:id/review/sign-off`);
+      console.log(`Merged clinical data: GET http://localhost:${PORT}/appeals/:id/clinical-data`);
+      console.log(`Export decision as FHIR: GET http://localhost:${PORT}/appeals/:id/fhir/:resourceType`);
+      console.log(`Update appeal: PUT http://localhost:${PORT}/appeals/:id`);
+      console.log(`Delete appeal: DELETE http://localhost:${PORT}/appeals/:id`);
     });
   } catch (err) {
     console.error('Startup error:', err);
@@ -951,4 +3602,4 @@ if (require.main === module) {
   start();
 }
 
-module.exports = { sequelize, Task, app, start };
+module.exports = { sequelize, models, app, start };
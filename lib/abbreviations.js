@@ -0,0 +1,136 @@
+// In-text abbreviation expansion. Entries in terminology.abbreviations
+// are either a single meaning ("GFR": "Glomerular Filtration Rate") or a list
+// of candidate meanings, each with the context words that point to it
+// ("PT": [{ "meaning": "Prothrombin Time", "context": ["INR", ...] }, ...]).
+// The first candidate is the default when the context does not decide.
+
+const { createCitation } = require('./citations');
+
+// How far either side of an abbreviation context words are looked for when
+// its own sentence has none
+const CONTEXT_WINDOW = 120;
+
+function meaningsOf(entry) {
+  if (Array.isArray(entry)) {
+    return entry.map(candidate => (typeof candidate === 'string'
+      ? { meaning: candidate, context: [] }
+      : { meaning: candidate.meaning, context: candidate.context || [] }));
+  }
+  return [{ meaning: entry, context: [] }];
+}
+
+// Default meaning, for callers that need a single description
+function primaryMeaning(entry) {
+  const meanings = meaningsOf(entry);
+  return meanings.length > 0 ? meanings[0].meaning : null;
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Abbreviations are matched case-sensitively ("Ca" is calcium, "CA-125" a
+// tumour marker). Mixed-case keys of three or more characters also match
+// in capitals ("EGFR", "HBA1C"). Keys spelling out their own meaning
+// ("Ferritin") are ordinary words and are not expanded.
+function buildVariants(abbreviations) {
+  const variants = new Map();
+  for (const [key, entry] of Object.entries(abbreviations || {})) {
+    if (meaningsOf(entry).every(m => m.meaning.toLowerCase() === key.toLowerCase())) continue;
+    variants.set(key, key);
+    if (key.length >= 3 && key !== key.toUpperCase() && !variants.has(key.toUpperCase())) {
+      variants.set(key.toUpperCase(), key);
+    }
+  }
+  return variants;
+}
+
+// Single letters ("P", "K") only count as abbreviations in front of a value
+const followedByValue = (text, end) => /^\s*[:=]?\s*\d/.test(text.substring(end, end + 8));
+
+// Start and end of the sentence (or line) around an occurrence, looking no
+// further than CONTEXT_WINDOW characters either way
+function sentenceAround(text, start, end) {
+  const offset = Math.max(0, start - CONTEXT_WINDOW);
+  const before = text.substring(offset, start);
+  const boundary = Math.max(before.lastIndexOf('\n'), ...Array.from(before.matchAll(/[.!?]\s/g), m => m.index + 1));
+  const after = text.substring(end, end + CONTEXT_WINDOW).search(/[.!?](\s|$)|\n/);
+  return {
+    from: boundary === -1 ? offset : offset + boundary + 1,
+    to: after === -1 ? Math.min(text.length, end + CONTEXT_WINDOW) : end + after
+  };
+}
+
+function contextScore(window, terms) {
+  return terms.filter(term => new RegExp(`(?<![A-Za-z0-9])${escapeRegex(term)}(?![A-Za-z0-9])`, 'i').test(window)).length;
+}
+
+// Meaning of one occurrence: the candidate with most context words in the
+// same sentence, or failing that within CONTEXT_WINDOW characters
+function resolveMeaning(text, start, end, meanings) {
+  if (meanings.length === 1) return { meaning: meanings[0].meaning, resolvedBy: 'single_meaning', candidates: null };
+  const sentence = sentenceAround(text, start, end);
+  const windows = [
+    `${text.substring(sentence.from, start)} ${text.substring(end, sentence.to)}`,
+    `${text.substring(Math.max(0, start - CONTEXT_WINDOW), start)} ${text.substring(end, end + CONTEXT_WINDOW)}`
+  ];
+  let candidates = [];
+  for (const window of windows) {
+    candidates = meanings.map(m => ({ meaning: m.meaning, score: contextScore(window, m.context) }));
+    const best = candidates.reduce((top, c) => (c.score > top.score ? c : top), candidates[0]);
+    if (best.score > 0) return { meaning: best.meaning, resolvedBy: 'context', candidates };
+  }
+  return { meaning: meanings[0].meaning, resolvedBy: 'default', candidates };
+}
+
+// Every occurrence of every abbreviation, with its resolved meaning. The
+// expanded text adds the meaning in brackets after the first occurrence of
+// each abbreviation/meaning pair: "GFR [Glomerular Filtration Rate] 28".
+function expandAbbreviations(text, abbreviations, pageStarts = null) {
+  const variants = buildVariants(abbreviations);
+  const expansions = [];
+  if (!text || variants.size === 0) return { expandedText: text || '', expansions };
+
+  // Longest first so "CKD-EPI" wins over "CKD"
+  const alternatives = Array.from(variants.keys()).sort((a, b) => b.length - a.length).map(escapeRegex);
+  const pattern = new RegExp(`(?<![A-Za-z0-9])(${alternatives.join('|')})(?![A-Za-z0-9])`, 'g');
+  const insertions = [];
+  let m;
+  while ((m = pattern.exec(text)) !== null) {
+    const key = variants.get(m[1]);
+    const start = m.index;
+    const end = start + m[1].length;
+    if (key.length === 1 && !followedByValue(text, end)) continue;
+
+    const resolved = resolveMeaning(text, start, end, meaningsOf(abbreviations[key]));
+    let expansion = expansions.find(e => e.abbreviation === key && e.fullName === resolved.meaning);
+    if (!expansion) {
+      expansion = {
+        abbreviation: key,
+        fullName: resolved.meaning,
+        context: m[1],
+        count: 0,
+        positions: [],
+        ambiguous: resolved.candidates !== null,
+        citation: createCitation(text, start, end, pageStarts)
+      };
+      expansions.push(expansion);
+      insertions.push({ at: end, text: ` [${resolved.meaning}]` });
+    }
+    expansion.count++;
+    expansion.positions.push({
+      start,
+      end,
+      resolvedBy: resolved.resolvedBy,
+      ...(resolved.candidates ? { candidates: resolved.candidates } : {})
+    });
+  }
+
+  let expandedText = text;
+  for (const insertion of insertions.sort((a, b) => b.at - a.at)) {
+    expandedText = expandedText.substring(0, insertion.at) + insertion.text + expandedText.substring(insertion.at);
+  }
+  return { expandedText, expansions: expansions.sort((a, b) => a.positions[0].start - b.positions[0].start) };
+}
+
+module.exports = { meaningsOf, primaryMeaning, expandAbbreviations };
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { Op } = require('sequelize');
+const { matchesWhere } = require('./memoryStore');
+
+// Append-only, hash-chained audit trail. Every entry carries the hash of the
+// entry before it, so editing or removing any stored line breaks the chain
+// and is reported by verify(). Removing entries from the end leaves a shorter
+// chain that is still intact, so the latest sequence and hash (the head) are
+// also stored apart from the log and verify() checks the chain reaches them.
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// JSON with sorted keys so the same entry always hashes the same way
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const keys = Object.keys(value).filter(k => value[k] !== undefined).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function computeHash(entry) {
+  return crypto.createHash('sha256').update(canonicalize({
+    sequence: entry.sequence,
+    timestamp: entry.timestamp,
+    action: entry.action,
+    appealId: entry.appealId,
+    actor: entry.actor,
+    details: entry.details,
+    previousHash: entry.previousHash
+  })).digest('hex');
+}
+
+// Translate query-string filters into a where clause both stores understand
+function buildWhere(filters = {}) {
+  const where = {};
+  if (filters.appealId !== undefined && filters.appealId !== '') {
+    where.appealId = parseInt(filters.appealId);
+  }
+  if (filters.action) {
+    where.action = { [Op.in]: String(filters.action).split(',').map(a => a.trim()) };
+  }
+  if (filters.actor) {
+    where.actor = filters.actor;
+  }
+  if (filters.from || filters.to) {
+    where.timestamp = {};
+    if (filters.from) where.timestamp[Op.gte] = new Date(filters.from).toISOString();
+    if (filters.to) where.timestamp[Op.lte] = new Date(filters.to).toISOString();
+  }
+  return where;
+}
+
+function toPlainEntry(row) {
+  return {
+    sequence: row.sequence,
+    timestamp: row.timestamp,
+    action: row.action,
+    appealId: row.appealId === undefined ? null : row.appealId,
+    actor: row.actor,
+    details: row.details,
+    previousHash: row.previousHash,
+    hash: row.hash
+  };
+}
+
+// Audit entries stored through a Sequelize model (see AuditEntry and
+// AuditHead in models.js)
+function createModelAuditStore(model, headModel) {
+  return {
+    kind: 'database',
+    last: async () => {
+      const row = await model.findOne({ order: [['sequence', 'DESC']] });
+      return row ? toPlainEntry(row) : null;
+    },
+    insert: async (entry) => {
+      await model.create(entry);
+    },
+    head: async () => {
+      const row = await headModel.findByPk(1);
+      return row ? { sequence: row.sequence, hash: row.hash } : null;
+    },
+    // Only ever moves forward, should another server instance have got there first
+    setHead: async ({ sequence, hash }) => {
+      const [, created] = await headModel.findOrCreate({ where: { id: 1 }, defaults: { sequence, hash } });
+      if (!created) {
+        await headModel.update({ sequence, hash }, { where: { id: 1, sequence: { [Op.lt]: sequence } } });
+      }
+    },
+    find: async (where, { limit, offset, order = 'asc' } = {}) => {
+      const rows = await model.findAll({ where, order: [['sequence', order === 'desc' ? 'DESC' : 'ASC']], limit, offset });
+      return rows.map(toPlainEntry);
+    }
+  };
+}
+
+// Audit entries stored as one JSON object per line in a local file, with the
+// head in a small file next to it. This process is the only writer, so the
+// last entry is read once and then kept in memory.
+function createFileAuditStore(filePath, headPath = `${filePath}.head`) {
+  let lastEntry;
+
+  async function readFile(target) {
+    try {
+      return await fs.promises.readFile(target, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async function readAll() {
+    const raw = await readFile(filePath);
+    return raw ? raw.split('\n').filter(line => line.trim()).map(line => JSON.parse(line)) : [];
+  }
+
+  return {
+    kind: 'file',
+    filePath,
+    last: async () => {
+      if (lastEntry === undefined) {
+        const entries = await readAll();
+        lastEntry = entries.length ? entries[entries.length - 1] : null;
+      }
+      return lastEntry;
+    },
+    insert: async (entry) => {
+      await fs.promises.appendFile(filePath, JSON.stringify(entry) + '\n', { flag: 'a' });
+      lastEntry = entry;
+    },
+    head: async () => {
+      const raw = await readFile(headPath);
+      return raw ? JSON.parse(raw) : null;
+    },
+    // Written whole and renamed into place, so a crash never leaves half a head
+    setHead: async ({ sequence, hash }) => {
+      await fs.promises.writeFile(`${headPath}.tmp`, JSON.stringify({ sequence, hash }) + '\n');
+      await fs.promises.rename(`${headPath}.tmp`, headPath);
+    },
+    find: async (where, { limit, offset = 0, order = 'asc' } = {}) => {
+      const rows = (await readAll()).filter(e => matchesWhere(e, where));
+      if (order === 'desc') rows.reverse();
+      return rows.slice(offset, limit ? offset + limit : undefined);
+    }
+  };
+}
+
+function createAuditLog(store) {
+  // Appends are serialized so concurrent requests cannot fork the chain
+  let tail = Promise.resolve();
+
+  function append({ action, appealId = null, actor = 'anonymous', timestamp, ...details }) {
+    const run = tail.then(async () => {
+      const previous = await store.last();
+      const entry = {
+        sequence: previous ? previous.sequence + 1 : 1,
+        timestamp: timestamp || new Date().toISOString(),
+        action,
+        appealId: appealId === undefined ? null : appealId,
+        actor,
+        details: JSON.parse(JSON.stringify(details)),
+        previousHash: previous ? previous.hash : GENESIS_HASH
+      };
+      entry.hash = computeHash(entry);
+      await store.insert(entry);
+      await store.setHead(entry);
+      return entry;
+    });
+    tail = run.catch(() => {});
+    return run;
+  }
+
+  // Oldest first, unless a limit is given: then the most recent entries come
+  // first, so limit=50 is the last 50. order ('asc' or 'desc') overrides
+  // either, and offset skips that many entries in that order.
+  async function query(filters = {}) {
+    const limit = filters.limit ? parseInt(filters.limit) : undefined;
+    const offset = filters.offset ? parseInt(filters.offset) : undefined;
+    const order = filters.order || (limit ? 'desc' : 'asc');
+    return store.find(buildWhere(filters), { limit, offset, order });
+  }
+
+  // Walk the whole chain, recomputing every hash and link, and check that it
+  // reaches the recorded head. Entries past the head (written just before a
+  // crash, say) are still checked as part of the chain.
+  async function verify() {
+    const entries = await store.find({});
+    const head = await store.head();
+    let previousHash = GENESIS_HASH;
+    for (let i = 0; i < entries.length; i++) {
+      const entry = entries[i];
+      const fail = (reason) => ({ valid: false, checked: i, total: entries.length, brokenAt: entry.sequence, reason });
+      if (entry.sequence !== i + 1) {
+        return fail(`Expected sequence ${i + 1} but found ${entry.sequence}`);
+      }
+      if (entry.previousHash !== previousHash) {
+        return fail('Previous hash does not match the preceding entry');
+      }
+      if (computeHash(entry) !== entry.hash) {
+        return fail('Entry content does not match its hash');
+      }
+      previousHash = entry.hash;
+    }
+    const truncated = reason => ({ valid: false, checked: entries.length, total: entries.length, brokenAt: entries.length + 1, reason });
+    if (!head) {
+      if (entries.length > 0) return truncated('No head is recorded for the log, so entries may have been removed from its end');
+    } else if (entries.length < head.sequence) {
+      return truncated(`The log ends at sequence ${entries.length} but its head is at ${head.sequence}; entries were removed from the end`);
+    } else if (entries[head.sequence - 1].hash !== head.hash) {
+      return { valid: false, checked: entries.length, total: entries.length, brokenAt: head.sequence, reason: 'Entry does not match the recorded head' };
+    }
+    return { valid: true, checked: entries.length, total: entries.length, headHash: previousHash, head };
+  }
+
+  return { append, query, verify, storeKind: store.kind };
+}
+
+module.exports = {
+  GENESIS_HASH,
+  canonicalize,
+  computeHash,
+  createAuditLog,
+  createModelAuditStore,
+  createFileAuditStore
+};
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Authentication and role-based access. Every request but a few public ones
+// carries a bearer JWT: either issued by POST /auth/login for a local user
+// (HS256, signed with the server's secret) or by an OpenID Connect provider
+// (verified against the keys it publishes). The caller's roles decide which
+// routes it may use.
+
+const ROLES = ['intake', 'reviewer', 'supervisor', 'admin'];
+
+// What each role may do; a user may hold several roles
+const ROLE_PERMISSIONS = {
+  intake: ['appeals:read', 'appeals:write', 'documents:upload'],
+  reviewer: ['appeals:read', 'appeals:write', 'appeals:analyze', 'appeals:decide'],
+  supervisor: ['appeals:read', 'appeals:write', 'appeals:analyze', 'appeals:decide', 'appeals:assign', 'appeals:override', 'appeals:delete', 'audit:read'],
+  admin: ['knowledge-base:write', 'audit:read', 'users:manage', 'retention:manage']
+};
+
+// Issuer of the tokens /auth/login hands out
+const LOCAL_ISSUER = 'ckd-appeals';
+
+// How long to wait before fetching a provider's keys again for an unknown key id
+const JWKS_REFETCH_INTERVAL = 60 * 1000;
+
+const hasPermission = (user, permission) =>
+  Boolean(user) && user.roles.some(role => (ROLE_PERMISSIONS[role] || []).includes(permission));
+
+const rolesWithPermission = permission => ROLES.filter(role => ROLE_PERMISSIONS[role].includes(permission));
+
+// Known roles from a list, or null when it names one that is not
+function parseRoles(roles) {
+  if (!Array.isArray(roles) || roles.some(role => !ROLES.includes(role))) return null;
+  return Array.from(new Set(roles));
+}
+
+// Passwords are stored as scrypt$<salt>$<hash>, base64
+const SCRYPT_KEY_LENGTH = 64;
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+async function fetchJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+  return response.json();
+}
+
+// Signing keys of an OpenID Connect provider, read from the jwks_uri of its
+// discovery document on first use and again when a token names a key id not
+// seen before (keys rotate), at most once a minute
+function createJwksCache(issuer) {
+  let keys = null;
+  let fetchedAt = 0;
+
+  async function refresh() {
+    const discovery = await fetchJson(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`);
+    const { keys: jwks } = await fetchJson(discovery.jwks_uri);
+    keys = new Map((jwks || [])
+      .filter(key => key.use !== 'enc')
+      .map(key => [key.kid || null, crypto.createPublicKey({ key, format: 'jwk' })]));
+    fetchedAt = Date.now();
+  }
+
+  return {
+    async getKey(kid) {
+      if (!keys || (!keys.has(kid || null) && Date.now() - fetchedAt > JWKS_REFETCH_INTERVAL)) {
+        await refresh();
+      }
+      const key = keys.get(kid || null) || (!kid && keys.size === 1 ? keys.values().next().value : null);
+      if (!key) throw new Error('token is signed with an unknown key');
+      return key;
+    }
+  };
+}
+
+// Issues and verifies tokens. findUser(username) returns the stored local
+// user; local tokens take the user's current roles from it, so role changes
+// and deactivation apply without waiting for the token to expire. oidc is
+// { issuer, audience, rolesClaim } when an OpenID Connect provider is trusted.
+function createAuthenticator({ secret, tokenTtl = '8h', findUser, oidc = null }) {
+  const jwks = oidc ? createJwksCache(oidc.issuer) : null;
+
+  function issueToken(user) {
+    const token = jwt.sign({ name: user.name || user.username, roles: user.roles }, secret, {
+      algorithm: 'HS256',
+      issuer: LOCAL_ISSUER,
+      subject: user.username,
+      expiresIn: tokenTtl
+    });
+    return { token, expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString() };
+  }
+
+  async function verifyLocal(token) {
+    const claims = jwt.verify(token, secret, { algorithms: ['HS256'], issuer: LOCAL_ISSUER });
+    const user = await findUser(claims.sub);
+    if (!user || !user.active) throw new Error('user is unknown or deactivated');
+    return { username: user.username, name: user.name || user.username, roles: user.roles || [], issuer: LOCAL_ISSUER };
+  }
+
+  async function verifyOidc(token, header) {
+    const key = await jwks.getKey(header.kid);
+    const claims = jwt.verify(token, key, {
+      algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'ES512', 'PS256'],
+      issuer: oidc.issuer,
+      ...(oidc.audience ? { audience: oidc.audience } : {})
+    });
+    // Providers may send roles this service does not know; those are ignored
+    const roles = [].concat(claims[oidc.rolesClaim] || []).filter(role => ROLES.includes(role));
+    return {
+      username: claims.preferred_username || claims.email || claims.sub,
+      name: claims.name || claims.preferred_username || claims.sub,
+      roles,
+      issuer: oidc.issuer
+    };
+  }
+
+  // The user a bearer token stands for; rejects when it is not valid
+  async function verify(token) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.payload || typeof decoded.payload !== 'object') {
+      throw new Error('malformed token');
+    }
+    if (decoded.payload.iss === LOCAL_ISSUER) return verifyLocal(token);
+    if (oidc && decoded.payload.iss === oidc.issuer) return verifyOidc(token, decoded.header);
+    throw new Error('token is from an untrusted issuer');
+  }
+
+  return { issueToken, verify };
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  rolesWithPermission,
+  parseRoles,
+  hashPassword,
+  verifyPassword,
+  createAuthenticator
+};
@@ -0,0 +1,282 @@
+const { DOMParser } = require('@xmldom/xmldom');
+const { toIsoDate } = require('./labSeries');
+const { renderRecord } = require('./structuredRecord');
+
+// HL7 CDA / C-CDA clinical documents. The coded entries of the results,
+// problems and medications sections are read as structured data, so values
+// need no pattern matching; other sections keep their narrative text.
+
+const HL7_NAMESPACE = 'urn:hl7-org:v3';
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+
+const CODE_SYSTEMS = {
+  '2.16.840.1.113883.6.1': 'LOINC',
+  '2.16.840.1.113883.6.96': 'SNOMED CT',
+  '2.16.840.1.113883.6.90': 'ICD-10-CM',
+  '2.16.840.1.113883.6.103': 'ICD-9-CM',
+  '2.16.840.1.113883.6.88': 'RxNorm'
+};
+
+// Sections by LOINC section code, or C-CDA template id when uncoded
+const SECTIONS = {
+  results: { codes: ['30954-2'], templates: ['2.16.840.1.113883.10.20.22.2.3.1', '2.16.840.1.113883.10.20.22.2.3'] },
+  problems: { codes: ['11450-4'], templates: ['2.16.840.1.113883.10.20.22.2.5.1', '2.16.840.1.113883.10.20.22.2.5'] },
+  medications: { codes: ['10160-0'], templates: ['2.16.840.1.113883.10.20.22.2.1.1', '2.16.840.1.113883.10.20.22.2.1'] }
+};
+
+const INACTIVE_MEDICATION_STATUSES = ['completed', 'aborted', 'cancelled', 'suspended', 'nullified'];
+
+const isElement = (node, name) => node && node.nodeType === 1 && (!name || node.localName === name);
+
+function children(element, name) {
+  if (!element) return [];
+  return Array.from(element.childNodes).filter(node => isElement(node, name));
+}
+
+// First element down a path of child names
+function child(element, ...names) {
+  let current = element;
+  for (const name of names) {
+    current = children(current, name)[0];
+    if (!current) return null;
+  }
+  return current;
+}
+
+function descendants(element, name) {
+  return element ? Array.from(element.getElementsByTagNameNS(HL7_NAMESPACE, name)) : [];
+}
+
+const attr = (element, name) => (element && element.getAttribute(name)) || null;
+
+const normalize = text => (text || '').replace(/\s+/g, ' ').trim();
+
+// Types are written with a prefix of the document's choosing ("xsi:type"="PQ")
+function xsiType(element) {
+  const type = element && element.getAttributeNS(XSI_NAMESPACE, 'type');
+  return type ? type.split(':').pop() : null;
+}
+
+// HL7 timestamps are YYYYMMDD[HHMM[SS]][+ZZZZ]; dates are all that is kept
+function hl7Date(value) {
+  if (!value || value.length < 8) return null;
+  return toIsoDate(value.substring(0, 4), value.substring(4, 6), value.substring(6, 8));
+}
+
+// The point in time an entry applies to: effectiveTime/@value or its low bound
+function effectiveDate(element) {
+  const time = child(element, 'effectiveTime');
+  return hl7Date(attr(time, 'value') || attr(child(time, 'low'), 'value'));
+}
+
+function describeCode(code) {
+  if (!code) return { code: null, codeSystem: null, name: null };
+  const system = attr(code, 'codeSystem');
+  return {
+    code: attr(code, 'code'),
+    codeSystem: CODE_SYSTEMS[system] || attr(code, 'codeSystemName') || system,
+    name: attr(code, 'displayName') || normalize((child(code, 'originalText') || {}).textContent) || null
+  };
+}
+
+// The LOINC code of an element, from the code itself or a translation
+function loincCode(code) {
+  for (const candidate of [code, ...children(code, 'translation')]) {
+    if (attr(candidate, 'codeSystem') === '2.16.840.1.113883.6.1') return attr(candidate, 'code');
+  }
+  return null;
+}
+
+function sectionKind(section) {
+  const code = attr(child(section, 'code'), 'code');
+  const templates = children(section, 'templateId').map(t => attr(t, 'root'));
+  for (const [kind, { codes, templates: ids }] of Object.entries(SECTIONS)) {
+    if (codes.includes(code) || templates.some(id => ids.includes(id))) return kind;
+  }
+  return null;
+}
+
+// Human-readable section narrative: paragraphs, list items and table rows on
+// their own lines, table cells separated by spaces
+function narrativeText(element) {
+  let text = '';
+  const walk = (node) => {
+    if (node.nodeType === 3) {
+      text += node.nodeValue.replace(/\s+/g, ' ');
+      return;
+    }
+    if (!isElement(node)) return;
+    const name = node.localName;
+    if (name === 'br') {
+      text += '\n';
+      return;
+    }
+    const block = ['paragraph', 'item', 'tr', 'list', 'table', 'caption'].includes(name);
+    if (block) text += '\n';
+    if (name === 'td' || name === 'th') text += ' ';
+    Array.from(node.childNodes).forEach(walk);
+    if (block) text += '\n';
+  };
+  if (element) Array.from(element.childNodes).forEach(walk);
+  return text.split('\n').map(line => line.replace(/ +/g, ' ').trim()).filter(Boolean).join('\n');
+}
+
+function readResult(observation, organizerDate) {
+  const code = child(observation, 'code');
+  const value = child(observation, 'value');
+  const described = describeCode(code);
+  const result = {
+    loinc: loincCode(code),
+    name: described.name || described.code,
+    date: effectiveDate(observation) || organizerDate,
+    value: null,
+    unit: null,
+    text: null
+  };
+  if (xsiType(value) === 'PQ') {
+    const number = parseFloat(attr(value, 'value'));
+    result.value = isNaN(number) ? null : number;
+    result.unit = attr(value, 'unit');
+  } else if (value) {
+    result.text = attr(value, 'displayName') || attr(value, 'value') || normalize(value.textContent) || null;
+  }
+  return result;
+}
+
+function readResults(section) {
+  const results = [];
+  for (const entry of children(section, 'entry')) {
+    for (const organizer of children(entry, 'organizer')) {
+      const organizerDate = effectiveDate(organizer);
+      for (const component of children(organizer, 'component')) {
+        const observation = child(component, 'observation');
+        if (observation) results.push(readResult(observation, organizerDate));
+      }
+    }
+    for (const observation of children(entry, 'observation')) {
+      results.push(readResult(observation, null));
+    }
+  }
+  return results;
+}
+
+// Problem concern acts wrap one problem observation each. A problem is
+// resolved when the observation has an end date or the concern is completed.
+function readProblems(section) {
+  const problems = [];
+  for (const entry of children(section, 'entry')) {
+    const act = child(entry, 'act');
+    const observations = act
+      ? children(act, 'entryRelationship').map(r => child(r, 'observation')).filter(Boolean)
+      : children(entry, 'observation');
+    for (const observation of observations) {
+      const value = child(observation, 'value');
+      const described = describeCode(value);
+      if (!described.name && !described.code) continue;
+      const time = child(observation, 'effectiveTime');
+      const resolved = hl7Date(attr(child(time, 'high'), 'value'));
+      const completed = act && attr(child(act, 'statusCode'), 'code') === 'completed';
+      problems.push({
+        name: described.name || described.code,
+        code: described.code,
+        codeSystem: described.codeSystem,
+        onset: hl7Date(attr(time, 'value') || attr(child(time, 'low'), 'value')),
+        resolved,
+        status: resolved || completed ? 'resolved' : 'active'
+      });
+    }
+  }
+  return problems;
+}
+
+const PERIOD_FREQUENCIES = { '24 h': 'daily', '1 d': 'daily', '12 h': 'twice daily', '8 h': 'three times daily', '6 h': 'four times daily', '1 wk': 'weekly', '7 d': 'weekly' };
+
+function readFrequency(substanceAdministration) {
+  const periodic = children(substanceAdministration, 'effectiveTime').find(t => xsiType(t) === 'PIVL_TS');
+  const period = child(periodic, 'period');
+  if (!period) return null;
+  const key = `${attr(period, 'value')} ${attr(period, 'unit')}`;
+  return PERIOD_FREQUENCIES[key] || `every ${key}`;
+}
+
+function readMedications(section) {
+  const medications = [];
+  for (const entry of children(section, 'entry')) {
+    for (const administration of children(entry, 'substanceAdministration')) {
+      const material = child(administration, 'consumable', 'manufacturedProduct', 'manufacturedMaterial');
+      const code = child(material, 'code');
+      const described = describeCode(code);
+      const name = described.name || normalize((child(material, 'name') || {}).textContent) || null;
+      if (!name) continue;
+      const dose = child(administration, 'doseQuantity');
+      const doseUnit = attr(dose, 'unit');
+      medications.push({
+        name,
+        rxnorm: described.codeSystem === 'RxNorm' ? described.code : null,
+        dose: attr(dose, 'value') ? `${attr(dose, 'value')}${doseUnit && doseUnit !== '1' ? ` ${doseUnit}` : ''}` : null,
+        route: attr(child(administration, 'routeCode'), 'displayName'),
+        frequency: readFrequency(administration),
+        start: effectiveDate(administration),
+        status: INACTIVE_MEDICATION_STATUSES.includes(attr(child(administration, 'statusCode'), 'code')) ? 'discontinued' : 'active'
+      });
+    }
+  }
+  return medications;
+}
+
+function readPatient(clinicalDocument) {
+  const patient = child(clinicalDocument, 'recordTarget', 'patientRole', 'patient');
+  if (!patient) return null;
+  const name = child(patient, 'name');
+  const gender = attr(child(patient, 'administrativeGenderCode'), 'code');
+  return {
+    name: name ? normalize([...children(name, 'given'), ...children(name, 'family')].map(n => n.textContent).join(' ')) || null : null,
+    dateOfBirth: hl7Date(attr(child(patient, 'birthTime'), 'value')),
+    sex: gender === 'F' ? 'female' : gender === 'M' ? 'male' : null
+  };
+}
+
+// Parse a C-CDA document. Returns the rendered text and the structured data
+// stored with the document (see structuredRecord.js); throws when the XML is
+// not a CDA ClinicalDocument.
+function parseCcda(xml) {
+  let doc;
+  let fatalError = null;
+  try {
+    doc = new DOMParser({
+      onError: (level, message) => {
+        if (level === 'fatalError' && !fatalError) fatalError = message;
+      }
+    }).parseFromString(xml, 'text/xml');
+  } catch (err) {
+    throw new Error(`Invalid XML: ${fatalError || err.message}`);
+  }
+  const root = doc.documentElement;
+  if (!isElement(root, 'ClinicalDocument') || root.namespaceURI !== HL7_NAMESPACE) {
+    throw new Error('XML files must be HL7 CDA ClinicalDocuments');
+  }
+
+  const sections = [];
+  for (const section of descendants(root, 'section')) {
+    const kind = sectionKind(section);
+    const title = normalize((child(section, 'title') || {}).textContent);
+    const entries = kind === 'results' ? readResults(section)
+      : kind === 'problems' ? readProblems(section)
+        : kind === 'medications' ? readMedications(section)
+          : [];
+    // Sections without coded entries keep their narrative for retrieval
+    sections.push(entries.length > 0
+      ? { kind, title, entries }
+      : { title, narrative: narrativeText(child(section, 'text')) });
+  }
+
+  return renderRecord({
+    format: 'ccda',
+    title: normalize((child(root, 'title') || {}).textContent) || 'Clinical document',
+    date: hl7Date(attr(child(root, 'effectiveTime'), 'value')),
+    patient: readPatient(root),
+    sections
+  });
+}
+
+module.exports = { parseCcda };
@@ -0,0 +1,139 @@
+// Evidence citations. Extracted values keep the character range they were
+// read from; a citation adds the PDF page and a snippet of surrounding text so
+// reviewers can trace every value, and every rationale item, to the record.
+
+const SNIPPET_CONTEXT = 60;
+
+// Page number of a character offset, given the offset each page starts at
+function pageForOffset(pageStarts, offset) {
+  if (!pageStarts || pageStarts.length === 0) return null;
+  let page = 1;
+  for (let i = 0; i < pageStarts.length; i++) {
+    if (offset >= pageStarts[i]) page = i + 1;
+  }
+  return page;
+}
+
+function createCitation(text, start, end, pageStarts) {
+  if (typeof start !== 'number' || typeof end !== 'number') return null;
+  const from = Math.max(0, start - SNIPPET_CONTEXT);
+  const to = Math.min(text.length, end + SNIPPET_CONTEXT);
+  const snippet = text.substring(from, to).replace(/\s+/g, ' ').trim();
+  return {
+    start,
+    end,
+    page: pageForOffset(pageStarts, start),
+    quote: text.substring(start, end),
+    snippet: `${from > 0 ? '…' : ''}${snippet}${to < text.length ? '…' : ''}`
+  };
+}
+
+// Attach citations to everything extractFindings read from one document
+function citeFindings(findings, text, pageStarts) {
+  const cite = (start, end) => createCitation(text, start, end, pageStarts);
+
+  for (const observations of Object.values(findings.labSeries)) {
+    for (const observation of observations) {
+      observation.citation = cite(observation.index, observation.end);
+    }
+  }
+  for (const item of [...findings.complications, ...findings.medications, ...(findings.problems || [])]) {
+    item.citation = cite(item.index, item.end);
+  }
+
+  const spans = findings.demographics.spans || {};
+  findings.demographics.citations = {};
+  for (const [field, span] of Object.entries(spans)) {
+    findings.demographics.citations[field] = cite(span.start, span.end);
+  }
+  if (findings.diabetesSpan) {
+    findings.diabetesCitation = cite(findings.diabetesSpan.start, findings.diabetesSpan.end);
+  }
+  return findings;
+}
+
+// Labels for the evidence catalog, by clinicalData field
+const LAB_LABELS = {
+  gfr: ['GFR', 'mL/min/1.73m²'],
+  creatinine: ['Creatinine', 'mg/dL'],
+  bun: ['BUN', 'mg/dL'],
+  proteinuria: ['Proteinuria', 'g/day'],
+  uacr: ['UACR', 'mg/g'],
+  bloodPressure: ['Blood pressure', 'mmHg'],
+  hba1c: ['HbA1c', '%'],
+  hemoglobin: ['Hemoglobin', 'g/dL'],
+  ldl: ['LDL', 'mg/dL'],
+  calcium: ['Calcium', 'mg/dL'],
+  phosphorus: ['Phosphorus', 'mg/dL'],
+  pth: ['PTH', 'pg/mL'],
+  vitaminD: ['Vitamin D', 'ng/mL'],
+  ferritin: ['Ferritin', 'ng/mL'],
+  ironSaturation: ['Iron saturation', '%']
+};
+
+// Numbered list of cited values (E1, E2, ...) that the prompt shows the LLM
+// and that rationale items refer back to. extraLabels adds the values a
+// condition pack extracts, as { name: [label, unit] }.
+function buildEvidence(clinicalData = {}, extraLabels = {}) {
+  const evidence = [];
+  const add = (field, label, citation) => {
+    if (!citation) return;
+    evidence.push({ id: `E${evidence.length + 1}`, field, label, ...citation });
+  };
+
+  for (const [lab, [name, unit]] of Object.entries({ ...LAB_LABELS, ...extraLabels })) {
+    const citation = (clinicalData.citations || {})[lab];
+    if (clinicalData[lab] !== null && clinicalData[lab] !== undefined && citation) {
+      const calculated = lab === 'gfr' && clinicalData.gfrSource === 'calculated';
+      add(lab, `${name} ${clinicalData[lab]}${unit ? ` ${unit}` : ''}${calculated ? ' (calculated from this creatinine)' : ''}`, citation);
+    }
+  }
+  if (clinicalData.stage) add('stage', clinicalData.stage.label, clinicalData.stage.citation);
+  const demographicCitations = (clinicalData.demographics && clinicalData.demographics.citations) || {};
+  if (clinicalData.age !== null && clinicalData.age !== undefined) {
+    add('age', `Age ${clinicalData.age}`, demographicCitations.age || demographicCitations.dateOfBirth);
+  }
+  if (clinicalData.sex) add('sex', `Sex ${clinicalData.sex}`, demographicCitations.sex);
+  if (clinicalData.diabetes) add('diabetes', 'Diabetes', clinicalData.diabetesCitation);
+  for (const complication of clinicalData.complications || []) {
+    add('complications', `Complication: ${complication.name}`, complication.citation);
+  }
+  for (const medication of clinicalData.medications || []) {
+    add('medications', `Medication: ${medication.drug}${medication.status === 'discontinued' ? ' (discontinued)' : ''}`, medication.citation);
+  }
+  return evidence;
+}
+
+// Rule facts and the clinicalData fields whose evidence supports them
+const FACT_FIELDS = {
+  gfr: ['gfr'],
+  ckdStage: ['gfr', 'uacr', 'proteinuria'],
+  gfrTrend: ['gfr'],
+  creatinine: ['creatinine'],
+  proteinuria: ['proteinuria'],
+  uacr: ['uacr'],
+  systolic: ['bloodPressure'],
+  diastolic: ['bloodPressure'],
+  complications: ['complications'],
+  complicationCount: ['complications'],
+  diabetes: ['diabetes'],
+  medicationClasses: ['medications'],
+  optimalManagement: ['medications']
+};
+
+function evidenceForFacts(facts, evidence) {
+  // Facts without an entry (values a condition pack extracts) are their own field
+  const fields = new Set(Object.keys(facts || {}).flatMap(fact => FACT_FIELDS[fact.split('.')[0]] || [fact.split('.')[0]]));
+  return evidence.filter(e => fields.has(e.field)).map(e => e.id);
+}
+
+// Evidence ids cited in a rationale item as [E3] or [E3, E5]
+function citedEvidenceIds(item, evidence) {
+  const ids = new Set();
+  for (const group of String(item).match(/\[(E\d+(?:\s*,\s*E\d+)*)\]/g) || []) {
+    for (const id of group.match(/E\d+/g)) ids.add(id);
+  }
+  return Array.from(ids).filter(id => evidence.some(e => e.id === id));
+}
+
+module.exports = { LAB_LABELS, pageForOffset, createCitation, citeFindings, buildEvidence, evidenceForFacts, citedEvidenceIds };
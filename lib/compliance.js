@@ -0,0 +1,210 @@
+// Guideline compliance report: the latest dated labs are checked against
+// clinical_guidelines.treatment_targets, and the dates between results are
+// checked against the monitoring_frequency for the patient's CKD stage.
+// Target and interval text is parsed from the knowledge base as written
+// ("<130/80 mmHg", "10-12 g/dL", "Every 3-6 months").
+
+const { latestObservation } = require('./labSeries');
+const { affirmedMatches } = require('./negation');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_MONTH = 30.44;
+
+const hasComplication = (clinicalData, name) =>
+  (clinicalData.complications || []).some(c => (typeof c === 'string' ? c : c.name) === name);
+const heavyProteinuria = clinicalData => typeof clinicalData.proteinuria === 'number' && clinicalData.proteinuria >= 1;
+
+// Which target applies to which lab, and to whom. `therapy` keys into
+// clinical_guidelines.target_therapies.
+const TARGETS = [
+  { id: 'blood_pressure', label: 'Blood pressure', target: 'blood_pressure.target', lab: 'bloodPressure', therapy: 'blood_pressure', appliesWhen: cd => !heavyProteinuria(cd) },
+  { id: 'blood_pressure_proteinuria', label: 'Blood pressure (proteinuria)', target: 'blood_pressure.proteinuria', lab: 'bloodPressure', therapy: 'blood_pressure', appliesWhen: heavyProteinuria },
+  { id: 'hba1c', label: 'HbA1c', target: 'diabetes.hba1c', lab: 'hba1c', therapy: 'hba1c', appliesWhen: cd => cd.diabetes === true },
+  { id: 'ldl', label: 'LDL cholesterol', target: 'lipid_management.ldl', lab: 'ldl', therapy: 'ldl' },
+  { id: 'hemoglobin', label: 'Hemoglobin', target: 'anemia.hemoglobin', lab: 'hemoglobin', therapy: 'hemoglobin', appliesWhen: cd => hasComplication(cd, 'anemia') },
+  { id: 'iron_saturation', label: 'Iron saturation', target: 'anemia.iron_saturation', lab: 'ironSaturation', therapy: 'iron_saturation', appliesWhen: cd => hasComplication(cd, 'anemia') },
+  { id: 'ferritin', label: 'Ferritin', target: 'anemia.ferritin', lab: 'ferritin', therapy: 'ferritin', appliesWhen: cd => hasComplication(cd, 'anemia') },
+  { id: 'calcium', label: 'Calcium', target: 'mineral_bone.calcium', lab: 'calcium', therapy: 'calcium' },
+  { id: 'phosphorus', label: 'Phosphorus', target: 'mineral_bone.phosphorus', lab: 'phosphorus', therapy: 'phosphorus' },
+  { id: 'pth', label: 'PTH', target: 'mineral_bone.pth', lab: 'pth', therapy: 'pth' },
+  { id: 'vitamin_d', label: 'Vitamin D', target: 'mineral_bone.vitamin_d', lab: 'vitaminD', therapy: 'vitamin_d' }
+];
+
+// Labs that count as monitoring for each monitoring_frequency item
+const MONITORING_LABS = {
+  gfr: ['gfr', 'creatinine'],
+  albuminuria: ['uacr', 'proteinuria'],
+  blood_pressure: ['bloodPressure'],
+  diabetes_control: ['hba1c'],
+  anemia: ['hemoglobin'],
+  mineral_bone: ['calcium', 'phosphorus', 'pth']
+};
+
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value ? value[key] : undefined), object);
+}
+
+// "<130/80 mmHg", "<7.0%", ">20%", "10-12 g/dL" and
+// "2-9 times upper limit of normal" (with the PTH upper limit from the KB)
+function parseTarget(text, kb) {
+  if (typeof text !== 'string') return null;
+  const bp = text.match(/^<\s*(\d+)\/(\d+)/);
+  if (bp) return { systolicBelow: parseInt(bp[1]), diastolicBelow: parseInt(bp[2]) };
+  const below = text.match(/^<\s*([0-9.]+)/);
+  if (below) return { below: parseFloat(below[1]) };
+  const above = text.match(/^>\s*([0-9.]+)/);
+  if (above) return { above: parseFloat(above[1]) };
+  const multiple = text.match(/^([0-9.]+)-([0-9.]+) times upper limit of normal/i);
+  if (multiple) {
+    const uln = parseFloat(getPath(kb, 'clinical_guidelines.treatment_targets.mineral_bone.pth_upper_limit_of_normal'));
+    if (!uln) return null;
+    return { min: parseFloat(multiple[1]) * uln, max: parseFloat(multiple[2]) * uln };
+  }
+  const range = text.match(/^([0-9.]+)-([0-9.]+)/);
+  if (range) return { min: parseFloat(range[1]), max: parseFloat(range[2]) };
+  return null;
+}
+
+function meetsTarget(observation, target) {
+  if (target.systolicBelow !== undefined) {
+    return observation.systolic < target.systolicBelow && observation.diastolic < target.diastolicBelow;
+  }
+  const value = observation.value;
+  if (target.below !== undefined) return value < target.below;
+  if (target.above !== undefined) return value > target.above;
+  return value >= target.min && value <= target.max;
+}
+
+// Longest acceptable interval in days: "Annually", "Monthly",
+// "Every 3 months", "Every 3-6 months" (the upper bound). "As needed" has none.
+function parseInterval(text) {
+  if (typeof text !== 'string') return null;
+  if (/annual/i.test(text)) return Math.round(12 * DAYS_PER_MONTH);
+  if (/^monthly/i.test(text)) return Math.round(DAYS_PER_MONTH);
+  const every = text.match(/every\s+(?:(\d+)-)?(\d+)\s+months?/i);
+  if (every) return Math.round(parseInt(every[2]) * DAYS_PER_MONTH);
+  return null;
+}
+
+// monitoring_frequency keys look like CKD_Stage_1_2 or CKD_Stage_4
+function scheduleForStage(kb, ckdStage) {
+  if (!ckdStage || !ckdStage.gCategory) return null;
+  const number = ckdStage.gCategory.match(/^G(\d)/)[1];
+  const schedules = getPath(kb, 'clinical_guidelines.monitoring_frequency') || {};
+  const key = Object.keys(schedules).find(name => name.split('_').includes(number));
+  return key ? { key, items: schedules[key] } : null;
+}
+
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+
+function termPattern(terms) {
+  const escaped = terms.map(t => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`\\b(${escaped.join('|')})\\b`, 'i');
+}
+
+function checkTargets(kb, clinicalData, text) {
+  const targets = getPath(kb, 'clinical_guidelines.treatment_targets') || {};
+  const therapies = getPath(kb, 'clinical_guidelines.target_therapies') || {};
+  const series = clinicalData.labSeries || {};
+
+  return TARGETS.map(definition => {
+    const targetText = getPath(targets, definition.target);
+    const result = { id: definition.id, label: definition.label, target: targetText || null };
+    const parsed = parseTarget(targetText, kb);
+    if (!parsed || (definition.appliesWhen && !definition.appliesWhen(clinicalData))) {
+      return { ...result, status: 'not_applicable' };
+    }
+
+    const latest = latestObservation(series[definition.lab]);
+    if (!latest) return { ...result, status: 'undocumented' };
+
+    const status = meetsTarget(latest, parsed) ? 'met' : 'missed';
+    const terms = therapies[definition.therapy] || [];
+    const therapyMatch = terms.length > 0 ? text.match(termPattern(terms)) : null;
+    return {
+      ...result,
+      status,
+      value: latest.value,
+      date: latest.date || null,
+      therapyDocumented: therapyMatch ? therapyMatch[0] : null
+    };
+  });
+}
+
+// Intervals are measured across the span of the record, from its earliest to
+// its most recent date, rather than up to today, since appeals are reviewed
+// long after the records were written
+function checkMonitoring(kb, clinicalData) {
+  const schedule = scheduleForStage(kb, clinicalData.ckdStage);
+  if (!schedule) return { schedule: null, since: null, asOf: null, items: [] };
+
+  const series = clinicalData.labSeries || {};
+  const allDates = Object.values(series).flat().map(o => o.date).filter(Boolean).sort();
+  const since = allDates.length ? allDates[0] : null;
+  const asOf = allDates.length ? allDates[allDates.length - 1] : null;
+
+  const items = Object.entries(schedule.items).map(([item, frequency]) => {
+    const maxIntervalDays = parseInterval(frequency);
+    const labs = MONITORING_LABS[item];
+    const result = { item, frequency, maxIntervalDays };
+    if (!labs || maxIntervalDays === null || (item === 'diabetes_control' && clinicalData.diabetes !== true)) {
+      return { ...result, status: 'not_applicable' };
+    }
+
+    const dates = Array.from(new Set(labs.flatMap(lab => (series[lab] || []).map(o => o.date)).filter(Boolean))).sort();
+    if (dates.length === 0) return { ...result, status: 'undocumented', observationCount: 0 };
+
+    let longestGapDays = Math.max(daysBetween(since, dates[0]), daysBetween(dates[dates.length - 1], asOf));
+    for (let i = 1; i < dates.length; i++) {
+      longestGapDays = Math.max(longestGapDays, daysBetween(dates[i - 1], dates[i]));
+    }
+    return {
+      ...result,
+      status: longestGapDays <= maxIntervalDays ? 'respected' : 'overdue',
+      observationCount: dates.length,
+      lastDate: dates[dates.length - 1],
+      longestGapDays
+    };
+  });
+
+  return { schedule: schedule.key, since, asOf, items };
+}
+
+function checkCompliance(kb, clinicalData = {}, text = '') {
+  const targets = checkTargets(kb, clinicalData, text || '');
+  const monitoring = checkMonitoring(kb, clinicalData);
+
+  const indicators = getPath(kb, 'clinical_guidelines.non_adherence_indicators') || [];
+  // "denies missed doses" is not non-adherence
+  const nonAdherence = indicators.length > 0 ? affirmedMatches(text || '', termPattern(indicators)).map(m => m[0]) : [];
+
+  const missedWithoutTherapy = targets.filter(t => t.status === 'missed' && !t.therapyDocumented);
+  const overdue = monitoring.items.filter(i => i.status === 'overdue');
+  const count = status => targets.filter(t => t.status === status).length;
+
+  return {
+    targets,
+    monitoring,
+    summary: {
+      targetsMet: count('met'),
+      targetsMissed: count('missed'),
+      targetsUndocumented: count('undocumented'),
+      monitoringOverdue: overdue.length,
+      monitoringRespected: monitoring.items.some(i => i.status === 'respected' || i.status === 'overdue')
+        ? overdue.length === 0
+        : null
+    },
+    // Feeds "Non-compliance with medical recommendations"
+    nonCompliance: {
+      documented: nonAdherence.length > 0,
+      evidence: Array.from(new Set(nonAdherence.map(m => m.toLowerCase())))
+    },
+    // Feeds "Alternative treatments not attempted"
+    alternativeTreatments: {
+      notAttemptedCount: missedWithoutTherapy.length,
+      evidence: missedWithoutTherapy.map(t => `${t.label} ${t.value} misses target ${t.target} with no treatment documented`)
+    }
+  };
+}
+
+module.exports = { TARGETS, MONITORING_LABS, parseTarget, parseInterval, checkCompliance };
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+
+// Condition packs. Each subdirectory of the packs directory holds one
+// condition: a pack.json manifest, the knowledge base that seeds its
+// terminology, guidelines and criteria, and the prompt template for its
+// appeals. The manifest also declares how the condition is recognised in a
+// record, any extra values to extract and how the condition is staged.
+//
+//   {
+//     "id": "heart-failure",
+//     "name": "Heart Failure",
+//     "knowledgeBase": "knowledge-base.json",
+//     "promptTemplate": "prompt.txt",
+//     "detection": { "terms": ["heart failure", "LVEF", ...] },
+//     "extractors": [{ "name": "lvef", "label": "LVEF", "terms": [...], "units": ["%"], "loinc": ["10230-1"] }],
+//     "staging": { "method": "thresholds", "basis": "lvef", "label": "Heart failure type" }
+//   }
+
+const STAGING_METHODS = ['kdigo', 'thresholds', 'none'];
+
+// Placeholders every prompt template must contain. /analyze also fills
+// {{passages}}, {{chunkCount}} and {{criterionPassages}}.
+const REQUIRED_PLACEHOLDERS = ['clinicalData', 'responseFormat'];
+
+const CONNECTOR = '(?:[:\\s=]|\\bof\\b|\\bwas\\b|\\bis\\b)*';
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Extractor definitions become patterns for extractLabSeries: either a
+// regex whose first group is the value, or terms followed by a number and
+// one of the units. `values` maps captured text to numbers ("III" -> 3).
+function compileExtractor(definition, packId) {
+  if (!definition.name || !definition.label) {
+    throw new Error(`Condition pack ${packId}: every extractor needs a name and label`);
+  }
+  let source;
+  if (definition.pattern) {
+    source = definition.pattern;
+  } else if (Array.isArray(definition.terms) && definition.terms.length > 0) {
+    const terms = definition.terms.map(t => `\\b${escapeRegex(t)}`).join('|');
+    const units = (definition.units || []).map(escapeRegex).join('|');
+    source = `(?:${terms})${CONNECTOR}([0-9]+(?:\\.[0-9]+)?)${units ? `\\s*(?:${units})` : ''}`;
+  } else {
+    throw new Error(`Condition pack ${packId}: extractor ${definition.name} needs a pattern or terms`);
+  }
+  let regex;
+  try {
+    regex = new RegExp(source, definition.caseSensitive ? 'g' : 'gi');
+  } catch (err) {
+    throw new Error(`Condition pack ${packId}: extractor ${definition.name} has an invalid pattern: ${err.message}`);
+  }
+  const values = definition.values || null;
+  return {
+    name: definition.name,
+    label: definition.label,
+    unit: definition.unit || (definition.units || [])[0] || '',
+    // LOINC codes the value is reported under in C-CDA results
+    loinc: definition.loinc || [],
+    pattern: regex,
+    parse: m => {
+      if (m[1] === undefined) return null;
+      if (values) {
+        const mapped = values[m[1].toUpperCase()];
+        return mapped === undefined ? null : { value: mapped, reported: m[1] };
+      }
+      const value = parseFloat(m[1]);
+      return isNaN(value) ? null : { value };
+    }
+  };
+}
+
+function readManifest(directory, packId) {
+  const manifestPath = path.join(directory, 'pack.json');
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+  if (manifest.id !== packId) {
+    throw new Error(`Condition pack in ${packId}/ declares id "${manifest.id}"; the id must match the directory name`);
+  }
+  if (!manifest.name) {
+    throw new Error(`Condition pack ${packId}: name is required`);
+  }
+
+  const knowledgeBasePath = path.join(directory, manifest.knowledgeBase || 'knowledge-base.json');
+  if (!fs.existsSync(knowledgeBasePath)) {
+    throw new Error(`Condition pack ${packId}: knowledge base ${knowledgeBasePath} not found`);
+  }
+
+  const promptTemplate = fs.readFileSync(path.join(directory, manifest.promptTemplate || 'prompt.txt'), 'utf8');
+  for (const placeholder of REQUIRED_PLACEHOLDERS) {
+    if (!promptTemplate.includes(`{{${placeholder}}}`)) {
+      throw new Error(`Condition pack ${packId}: prompt template is missing {{${placeholder}}}`);
+    }
+  }
+
+  const staging = manifest.staging || { method: 'none' };
+  if (!STAGING_METHODS.includes(staging.method)) {
+    throw new Error(`Condition pack ${packId}: unknown staging method "${staging.method}". Use ${STAGING_METHODS.join(', ')}.`);
+  }
+  if (staging.method === 'thresholds' && !staging.basis) {
+    throw new Error(`Condition pack ${packId}: threshold staging needs a basis value`);
+  }
+
+  return {
+    id: packId,
+    name: manifest.name,
+    shortName: manifest.shortName || manifest.name,
+    description: manifest.description || null,
+    isDefault: manifest.default === true,
+    knowledgeBasePath,
+    promptTemplate,
+    detectionTerms: (manifest.detection && manifest.detection.terms) || [],
+    extractors: (manifest.extractors || []).map(definition => compileExtractor(definition, packId)),
+    staging
+  };
+}
+
+// Occurrences of the detection terms. Terms written in capitals ("HFrEF",
+// "CKD") match case-sensitively, other terms in any case. Overlapping
+// matches count once, for the longest term, so "chronic kidney disease" is
+// not also counted as "kidney disease".
+function detectionScore(pack, text) {
+  const found = [];
+  for (const term of pack.detectionTerms) {
+    const flags = term === term.toLowerCase() ? 'gi' : 'g';
+    for (const match of text.matchAll(new RegExp(`(?<![A-Za-z0-9])${escapeRegex(term)}(?![A-Za-z0-9])`, flags))) {
+      found.push({ term, start: match.index, end: match.index + match[0].length });
+    }
+  }
+  found.sort((a, b) => (b.end - b.start) - (a.end - a.start) || a.start - b.start);
+
+  const counted = [];
+  for (const match of found) {
+    if (!counted.some(other => match.start < other.end && other.start < match.end)) counted.push(match);
+  }
+  const matched = pack.detectionTerms.filter(term => counted.some(match => match.term === term));
+  return { score: counted.length, matched };
+}
+
+// Every pack in a directory. Exactly one must be the default, used when an
+// appeal names no pack and none is detected.
+function loadConditionPacks(directory) {
+  const packs = new Map();
+  for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+    if (!entry.isDirectory() || !fs.existsSync(path.join(directory, entry.name, 'pack.json'))) continue;
+    packs.set(entry.name, readManifest(path.join(directory, entry.name), entry.name));
+  }
+
+  const defaults = Array.from(packs.values()).filter(p => p.isDefault);
+  if (defaults.length !== 1) {
+    throw new Error(`Exactly one condition pack in ${directory} must be marked "default": true (found ${defaults.length})`);
+  }
+  const defaultPack = defaults[0];
+
+  // The pack whose terms occur most often in the text. Ties go to the
+  // default pack, which is also used when no pack's terms occur at all.
+  function detect(text) {
+    const scores = {};
+    let best = null;
+    for (const pack of packs.values()) {
+      const { score, matched } = detectionScore(pack, text || '');
+      scores[pack.id] = { score, matched };
+      if (score > 0 && (!best || score > scores[best.id].score)) best = pack;
+    }
+    if (!best) {
+      return { pack: defaultPack, method: 'default', scores };
+    }
+    const pack = scores[defaultPack.id].score === scores[best.id].score ? defaultPack : best;
+    return { pack, method: 'detected', scores };
+  }
+
+  return {
+    defaultPack,
+    get: id => packs.get(id) || null,
+    list: () => Array.from(packs.values()),
+    detect
+  };
+}
+
+// Fill {{placeholder}} slots in a pack's prompt template
+function renderPrompt(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (slot, name) =>
+    (values[name] === undefined ? slot : String(values[name])));
+}
+
+module.exports = { loadConditionPacks, renderPrompt };
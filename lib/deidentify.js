@@ -0,0 +1,260 @@
+const { findDates } = require('./labSeries');
+
+// PHI de-identification for text sent to an LLM provider. Patient names,
+// dates of birth, record and member numbers, SSNs, phone numbers, email and
+// street addresses are replaced with placeholders such as [NAME_1]. A value
+// keeps its placeholder everywhere it appears, so the model can still tell
+// that two passages are about the same person, and placeholders in what the
+// model writes back are mapped to the originals for display. Documents are
+// named by placeholders such as [DOC_1] rather than by filename. Service dates
+// and clinical values are left alone; decisions depend on them.
+
+const NAME_WORD = '[A-Z][a-zA-Z\'’-]+';
+// Capitalized words that follow a name on a header line rather than being part of it
+const NOT_NAME_WORDS = ['DOB', 'MRN', 'Age', 'Sex', 'Gender', 'Date', 'DOS', 'Male', 'Female', 'ID', 'Member', 'Phone', 'Address'];
+const NAME = `${NAME_WORD}(?: (?!(?:${NOT_NAME_WORDS.join('|')})\\b)(?:${NAME_WORD}|[A-Z]\\.)){0,3}`;
+const NAME_LABELS = '[Pp]atient(?: [Nn]ame)?|PATIENT(?: NAME)?|[Pp]t(?: [Nn]ame)?|Name|NAME|[Mm]ember(?: [Nn]ame)?|[Ii]nsured|[Bb]eneficiary|[Ss]ubscriber';
+
+const STREET_TYPES = 'Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Ter|Circle|Cir|Parkway|Pkwy|Highway|Hwy';
+const CITY_STATE_ZIP = '(?:[A-Z][a-z]+ ){0,2}[A-Z][a-z]+,? [A-Z]{2}(?: \\d{5}(?:-\\d{4})?)?';
+
+// Pattern detectors; where a pattern has a group, only the group is replaced
+// and the label before it is kept for the model
+const PATTERNS = [
+  { type: 'NAME', regex: new RegExp(`\\b(?:${NAME_LABELS})\\s*:\\s*(${NAME})`, 'gd') },
+  { type: 'NAME', regex: new RegExp(`\\b(?:Mr|Mrs|Ms|Miss|Mx)\\.? (${NAME_WORD}(?: ${NAME_WORD})?)`, 'gd') },
+  // A name heading a record without a label, as in "Jane Doe, DOB: ..."
+  { type: 'NAME', regex: new RegExp(`\\b(${NAME_WORD}(?: (?:${NAME_WORD}|[A-Z]\\.)){1,3}),? (?=DOB\\b|D\\.O\\.B\\.|Date of [Bb]irth\\b)`, 'gd') },
+  { type: 'MRN', regex: /\b(?:MRN|Medical Record (?:Number|No\.?|#)|Record #|Chart (?:Number|No\.?|#))\s*[:#]?\s*((?=[A-Z0-9-]*\d)[A-Z0-9][A-Z0-9-]{3,})\b/gid },
+  { type: 'ID', regex: /\b(?:Member|Subscriber|Policy|Insurance|Account|Acct|Claim|Group|Patient) ?(?:ID|Number|No\.?|#)\s*[:#]?\s*((?=[A-Z0-9-]*\d)[A-Z0-9][A-Z0-9-]{3,})\b/gid },
+  { type: 'SSN', regex: /\b\d{3}-\d{2}-\d{4}\b/g },
+  { type: 'PHONE', regex: /(?:\+1[ .-]?)?(?:\(\d{3}\) ?|\b\d{3}[ .-])\d{3}[ .-]\d{4}\b/g },
+  { type: 'EMAIL', regex: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  {
+    type: 'ADDRESS',
+    regex: new RegExp(`\\b\\d{1,6}(?: [NSEW]\\.?)? (?:[A-Z][a-z]+ ){0,3}[A-Z][a-z]+ (?:${STREET_TYPES})\\b\\.?(?:,? (?:Apt|Apartment|Suite|Ste|Unit|#)\\.? ?[A-Z0-9-]+)?(?:,? ${CITY_STATE_ZIP})?`, 'g')
+  },
+  { type: 'ADDRESS', regex: new RegExp(`\\b(?:[A-Z][a-z]+ ){0,2}[A-Z][a-z]+, [A-Z]{2} \\d{5}(?:-\\d{4})?\\b`, 'g') }
+];
+
+const PLACEHOLDER = /\[(NAME|DOB|MRN|ID|SSN|PHONE|EMAIL|ADDRESS|DOC)_(\d+)\]/g;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const normalize = text => text.replace(/\s+/g, ' ').trim();
+
+// Words of a name that identify the person on their own
+const nameParts = name => normalize(name).split(' ').filter(part => /^[A-Za-z'’-]{2,}$/.test(part));
+
+// A de-identifier for one request. names and datesOfBirth (ISO) are known
+// from the record's structured data; more are learned from labelled text.
+function createDeidentifier({ names = [], datesOfBirth = [] } = {}) {
+  const entries = new Map();
+  const counts = {};
+  const people = [];
+  const birthDates = new Set();
+  // Record numbers, IDs and other values found by pattern, keyed by type and
+  // value, so they are also found where their label is not in view
+  const identifiers = new Map();
+
+  function placeholderFor(type, key, original) {
+    const id = `${type}:${key}`;
+    if (!entries.has(id)) {
+      counts[type] = (counts[type] || 0) + 1;
+      entries.set(id, { placeholder: `[${type}_${counts[type]}]`, type, original, occurrences: 0 });
+    }
+    return entries.get(id);
+  }
+
+  // A name joins the person whose name contains all of its parts ("Doe"
+  // or "Doe John" for John Doe), otherwise it is a new person
+  function addName(name) {
+    const parts = nameParts(name);
+    if (parts.length === 0) return;
+    const lower = parts.map(part => part.toLowerCase());
+    const person = people.find(p => lower.every(part => p.parts.has(part)));
+    if (person) return;
+    const merged = people.find(p => Array.from(p.parts).every(part => lower.includes(part)));
+    if (merged) {
+      lower.forEach(part => merged.parts.add(part));
+      merged.names.push(parts);
+    } else {
+      people.push({ key: String(people.length + 1), original: normalize(name), parts: new Set(lower), names: [parts] });
+    }
+  }
+
+  // Full names (with an optional middle initial, or "Last, First") before single parts
+  function personRegex(person) {
+    const word = part => `(?:${escapeRegExp(part)}|${escapeRegExp(part.toUpperCase())})`;
+    const full = person.names.filter(parts => parts.length > 1).flatMap(parts => [
+      parts.map(word).join('(?:\\s+[A-Z]\\.?)?\\s+'),
+      `${word(parts[parts.length - 1])},\\s*${parts.slice(0, -1).map(word).join('\\s+')}`
+    ]);
+    const single = Array.from(new Set(person.names.flat())).map(word);
+    return new RegExp(`\\b(?:${[...full, ...single].join('|')})\\b`, 'g');
+  }
+
+  function addIdentifier(type, value) {
+    const original = normalize(value);
+    const id = `${type}:${original.toLowerCase()}`;
+    if (!identifiers.has(id)) {
+      identifiers.set(id, { type, original, regex: identifierRegex(original) });
+    }
+  }
+
+  // A value as a whole token, in any case and spacing
+  const identifierRegex = value => new RegExp(
+    `(?<![A-Za-z0-9])${value.split(' ').map(escapeRegExp).join('\\s+')}(?![A-Za-z0-9])`, 'gi');
+
+  names.filter(Boolean).forEach(addName);
+  datesOfBirth.filter(Boolean).forEach(date => birthDates.add(date));
+
+  // Names, dates of birth and identifiers such as an MRN given with a label,
+  // so they can be redacted wherever else they appear, including text read
+  // before them and snippets that start after the label
+  function learn(text) {
+    if (!text) return;
+    for (const { type, regex } of PATTERNS) {
+      regex.lastIndex = 0;
+      let m;
+      while ((m = regex.exec(text)) !== null) {
+        if (type === 'NAME') {
+          addName(m[1]);
+        } else {
+          addIdentifier(type, m[1] !== undefined ? m[1] : m[0]);
+        }
+      }
+    }
+    for (const date of findDates(text, { includeBirthDates: true })) {
+      if (date.birthDate) birthDates.add(date.date);
+    }
+  }
+
+  // PHI spans in text: { start, end, type, key, original }, not overlapping
+  function findPhi(text) {
+    const found = [];
+    for (const { type, regex } of PATTERNS) {
+      regex.lastIndex = 0;
+      let m;
+      while ((m = regex.exec(text)) !== null) {
+        const [start, end] = m.indices && m.indices[1] ? m.indices[1] : [m.index, m.index + m[0].length];
+        if (type === 'NAME') {
+          addName(text.substring(start, end));
+        } else {
+          addIdentifier(type, text.substring(start, end));
+        }
+      }
+    }
+    for (const { type, original, regex } of identifiers.values()) {
+      regex.lastIndex = 0;
+      let m;
+      while ((m = regex.exec(text)) !== null) {
+        found.push({ start: m.index, end: m.index + m[0].length, type, key: original.toLowerCase(), original });
+      }
+    }
+    for (const person of people) {
+      const regex = personRegex(person);
+      let m;
+      while ((m = regex.exec(text)) !== null) {
+        found.push({ start: m.index, end: m.index + m[0].length, type: 'NAME', key: person.key, original: person.original });
+      }
+    }
+    for (const date of findDates(text, { includeBirthDates: true })) {
+      if (date.birthDate || birthDates.has(date.date)) {
+        birthDates.add(date.date);
+        found.push({ start: date.start, end: date.end, type: 'DOB', key: date.date, original: date.date });
+      }
+    }
+
+    found.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+    const spans = [];
+    for (const span of found) {
+      const last = spans[spans.length - 1];
+      if (last && span.start < last.end) continue;
+      spans.push(span);
+    }
+    return spans;
+  }
+
+  // A snippet cut mid-word may hold part of a value no detector recognises,
+  // so the partial words at its ellipses are dropped
+  const dropPartialWords = text => text.replace(/^…\S*/, '…').replace(/\S*…$/, '…');
+
+  // Text with its PHI replaced, and the replaced spans with their placeholders
+  function replacePhi(text) {
+    const spans = findPhi(text);
+    let result = '';
+    let position = 0;
+    for (const span of spans) {
+      const entry = placeholderFor(span.type, span.key, span.original);
+      entry.occurrences++;
+      span.placeholder = entry.placeholder;
+      result += text.substring(position, span.start) + entry.placeholder;
+      position = span.end;
+    }
+    return { text: result + text.substring(position), spans };
+  }
+
+  function redact(value) {
+    if (typeof value !== 'string' || !value) return value;
+    return replacePhi(dropPartialWords(value)).text;
+  }
+
+  // A whole document, with a function mapping an offset in the original text
+  // to the same place in the redacted one, so page starts and citations can
+  // be moved along with it. An offset inside a replaced value maps to the
+  // start of its placeholder.
+  function redactDocument(text) {
+    const { text: redacted, spans } = replacePhi(text || '');
+    const mapOffset = offset => {
+      let shift = 0;
+      for (const span of spans) {
+        if (offset < span.end) return offset <= span.start ? offset + shift : span.start + shift;
+        shift += span.placeholder.length - (span.end - span.start);
+      }
+      return offset + shift;
+    };
+    return { text: redacted, mapOffset };
+  }
+
+  // Placeholder naming a document in place of its filename, which often
+  // carries the patient's name
+  function documentLabel(documentId, filename) {
+    const entry = placeholderFor('DOC', String(documentId !== null && documentId !== undefined ? documentId : filename), filename || `document ${documentId}`);
+    entry.occurrences++;
+    return entry.placeholder;
+  }
+
+  const byPlaceholder = () => new Map(Array.from(entries.values()).map(e => [e.placeholder, e.original]));
+
+  function reidentify(text) {
+    if (typeof text !== 'string') return text;
+    const originals = byPlaceholder();
+    return text.replace(PLACEHOLDER, placeholder => originals.get(placeholder) || placeholder);
+  }
+
+  // Apply to every string in a value, such as the prompt's clinical context
+  const mapStrings = fn => function apply(value) {
+    if (typeof value === 'string') return fn(value);
+    if (Array.isArray(value)) return value.map(apply);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, apply(v)]));
+    }
+    return value;
+  };
+
+  return {
+    learn,
+    redact,
+    redactValues: mapStrings(redact),
+    redactDocument,
+    documentLabel,
+    reidentify,
+    reidentifyValues: mapStrings(reidentify),
+    // Placeholders with their originals, stored with the decision for display
+    mapping: () => Array.from(entries.values()).map(e => ({ ...e })),
+    // Placeholders without the originals, for the audit trail
+    summary: () => Array.from(entries.values()).map(({ placeholder, type, occurrences }) => ({ placeholder, type, occurrences }))
+  };
+}
+
+module.exports = { createDeidentifier };
@@ -0,0 +1,99 @@
+const { toIsoDate } = require('./labSeries');
+
+// Age and sex as stated in a clinical document. Age comes from an explicit
+// statement ("68-year-old", "Age: 68") or is derived from a labelled date of
+// birth; sex comes from a labelled field first and descriptive words second.
+
+const DOB_PATTERN = /\b(?:DOB|D\.O\.B\.?|date of birth|birth ?date)[:\s]*(\d{4})-(\d{1,2})-(\d{1,2})|\b(?:DOB|D\.O\.B\.?|date of birth|birth ?date)[:\s]*(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})/i;
+
+const AGE_PATTERNS = [
+  /\bage[:\s]+(\d{1,3})\b/i,
+  /\b(\d{1,3})[- ](?:year|yr)s?[- ]old\b/i,
+  /\b(\d{1,3})\s*(?:y\/o|yo|y\.o\.)(?=[\s,.]|[MF]\b)/i
+];
+
+const SEX_LABEL_PATTERN = /\b(?:sex|gender)[:\s]+(female|male|f|m)\b/i;
+const AGE_SEX_SHORTHAND = /\b\d{1,3}\s*(?:y\/o|yo|y\.o\.|-year-old)\s*(F|M)\b/;
+
+function yearsBetween(fromIso, toIso) {
+  const from = new Date(fromIso);
+  const to = new Date(toIso);
+  let years = to.getUTCFullYear() - from.getUTCFullYear();
+  const beforeBirthday = to.getUTCMonth() < from.getUTCMonth() ||
+    (to.getUTCMonth() === from.getUTCMonth() && to.getUTCDate() < from.getUTCDate());
+  if (beforeBirthday) years--;
+  return years;
+}
+
+const span = m => ({ start: m.index, end: m.index + m[0].length });
+
+// Each extractor returns the value and the span of text it was read from
+
+function extractDateOfBirth(text) {
+  const m = text.match(DOB_PATTERN);
+  if (!m) return null;
+  const value = m[1] ? toIsoDate(m[1], m[2], m[3]) : toIsoDate(m[6], m[4], m[5]);
+  return value ? { value, span: span(m) } : null;
+}
+
+function extractSex(text) {
+  const label = text.match(SEX_LABEL_PATTERN);
+  if (label) return { value: label[1].toLowerCase().startsWith('f') ? 'female' : 'male', span: span(label) };
+
+  const shorthand = text.match(AGE_SEX_SHORTHAND);
+  if (shorthand) return { value: shorthand[1] === 'F' ? 'female' : 'male', span: span(shorthand) };
+
+  const female = text.match(/\b(female|woman)\b|\b(Mrs|Ms)\.(?=\s)/i);
+  const male = text.match(/\b(male|man)\b|\bMr\.(?=\s)/i);
+  if (female && !male) return { value: 'female', span: span(female) };
+  if (male && !female) return { value: 'male', span: span(male) };
+  return null;
+}
+
+function extractStatedAge(text) {
+  for (const pattern of AGE_PATTERNS) {
+    const m = text.match(pattern);
+    if (m) {
+      const age = parseInt(m[1]);
+      if (age > 0 && age < 120) return { value: age, span: span(m) };
+    }
+  }
+  return null;
+}
+
+// referenceDate is the date ages are computed at when only a DOB is known
+function extractDemographics(text, referenceDate = new Date().toISOString().substring(0, 10)) {
+  const dateOfBirth = extractDateOfBirth(text);
+  const statedAge = extractStatedAge(text);
+  const sex = extractSex(text);
+  let age = statedAge ? statedAge.value : null;
+  let ageSource = statedAge ? 'stated' : null;
+
+  if (age === null && dateOfBirth) {
+    age = yearsBetween(dateOfBirth.value, referenceDate);
+    ageSource = 'date_of_birth';
+  }
+
+  const spans = {};
+  if (statedAge) spans.age = statedAge.span;
+  if (dateOfBirth) spans.dateOfBirth = dateOfBirth.span;
+  if (sex) spans.sex = sex.span;
+
+  return {
+    age,
+    ageSource,
+    dateOfBirth: dateOfBirth ? dateOfBirth.value : null,
+    sex: sex ? sex.value : null,
+    spans
+  };
+}
+
+// Age on a given date: exact from DOB when known, otherwise the stated age
+function ageOn(demographics, date) {
+  if (demographics.dateOfBirth && date) {
+    return yearsBetween(demographics.dateOfBirth, date);
+  }
+  return demographics.age;
+}
+
+module.exports = { extractDemographics, ageOn, yearsBetween };
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Stand-in OpenID Connect provider for development. It publishes a discovery
+// document and signing keys as a real provider does and issues RS256 tokens
+// for whatever username and roles are asked for, without a password, so the
+// OIDC path can be used without running an identity provider. The key pair is
+// generated at startup, so tokens do not survive a restart. Never enable it in
+// production.
+function createDevIdentityProvider({ issuer, audience = null, rolesClaim = 'roles', tokenTtl = '8h' }) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomUUID();
+
+  return {
+    issuer,
+    discovery: () => ({
+      issuer,
+      jwks_uri: `${issuer}/jwks`,
+      token_endpoint: `${issuer}/token`,
+      id_token_signing_alg_values_supported: ['RS256']
+    }),
+    jwks: () => ({
+      keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }]
+    }),
+    issueToken({ username, name, roles }) {
+      const token = jwt.sign({ preferred_username: username, name: name || username, [rolesClaim]: roles }, privateKey, {
+        algorithm: 'RS256',
+        keyid: kid,
+        issuer,
+        subject: username,
+        expiresIn: tokenTtl,
+        ...(audience ? { audience } : {})
+      });
+      return { token, expiresIn: jwt.decode(token).exp - Math.floor(Date.now() / 1000) };
+    }
+  };
+}
+
+module.exports = { createDevIdentityProvider };
@@ -0,0 +1,187 @@
+const path = require('path');
+const mammoth = require('mammoth');
+const { IMAGE_MIME_TYPES } = require('./ocr');
+
+// Upload formats and plain-text conversion for the ones that are not PDFs,
+// images or C-CDA (see pdfText.js, ocr.js and ccda.js). A format is known by
+// its MIME type, or by the file extension when the browser only sends a
+// generic type, as some do for .rtf and .xml.
+
+const FORMATS = {
+  pdf: { mimeTypes: ['application/pdf'], extensions: ['.pdf'] },
+  text: { mimeTypes: ['text/plain'], extensions: ['.txt'] },
+  image: { mimeTypes: IMAGE_MIME_TYPES, extensions: ['.png', '.jpg', '.jpeg', '.tif', '.tiff'] },
+  docx: { mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'], extensions: ['.docx'] },
+  html: { mimeTypes: ['text/html', 'application/xhtml+xml'], extensions: ['.html', '.htm', '.xhtml'] },
+  rtf: { mimeTypes: ['application/rtf', 'text/rtf'], extensions: ['.rtf'] },
+  ccda: { mimeTypes: ['application/xml', 'text/xml', 'application/hl7-v3+xml', 'application/hl7-cda+xml'], extensions: ['.xml', '.cda'] }
+};
+
+const GENERIC_MIME_TYPES = ['', 'application/octet-stream'];
+
+// 'pdf', 'text', 'image', 'docx', 'html', 'rtf', 'ccda' or null
+function documentFormat({ mimetype, originalname }) {
+  for (const [format, { mimeTypes }] of Object.entries(FORMATS)) {
+    if (mimeTypes.includes(mimetype)) return format;
+  }
+  if (!GENERIC_MIME_TYPES.includes(mimetype || '')) return null;
+  const extension = path.extname(originalname || '').toLowerCase();
+  for (const [format, { extensions }] of Object.entries(FORMATS)) {
+    if (extensions.includes(extension)) return format;
+  }
+  return null;
+}
+
+// Tidy converted text: one space between words, no trailing spaces and at
+// most one blank line between paragraphs
+function normalizeWhitespace(text) {
+  return text
+    .replace(/[ \t\f\v\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+async function docxToText(buffer) {
+  const { value } = await mammoth.extractRawText({ buffer });
+  return normalizeWhitespace(value);
+}
+
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ', ndash: '–', mdash: '—',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', hellip: '…', bull: '•', middot: '·',
+  deg: '°', micro: 'µ', sup2: '²', plusmn: '±', le: '≤', ge: '≥', times: '×', copy: '©', reg: '®'
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.substring(2), 16) : parseInt(name.substring(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return HTML_ENTITIES[name] === undefined ? entity : HTML_ENTITIES[name];
+  });
+}
+
+const BLOCK_TAGS = 'address|article|aside|blockquote|caption|dd|div|dl|dt|footer|h[1-6]|header|hr|ol|p|pre|section|table|tbody|tfoot|thead|tr|ul';
+
+// Visible text of an HTML page. Line breaks in the source are spaces, as in
+// a browser; block elements start new lines and table cells are separated
+// by spaces, so a row such as "eGFR | 18 mL/min/1.73m2" reads as one line.
+function htmlToText(html) {
+  return normalizeWhitespace(decodeEntities(html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|script|style|noscript|template)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/\s+/g, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<\/?(?:td|th)\b[^>]*>/gi, '\t')
+    .replace(new RegExp(`</?(?:${BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n')
+    .replace(/<[^>]*>/g, '')));
+}
+
+// Groups whose text is not part of the document body
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'listtable', 'listoverridetable', 'info', 'pict',
+  'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl', 'footerr', 'footerf',
+  'object', 'themedata', 'colorschememapping', 'datastore', 'latentstyles', 'rsidtbl', 'generator',
+  'xmlnstbl', 'mmathPr', 'fldinst'
+]);
+
+const RTF_CHARACTERS = {
+  par: '\n', line: '\n', sect: '\n\n', page: '\n\n', row: '\n', cell: '\t', tab: '\t',
+  emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”'
+};
+
+// Windows-1252 characters in 0x80-0x9F, written as \'hh escapes
+const CP1252 = {
+  0x80: '€', 0x85: '…', 0x91: '‘', 0x92: '’', 0x93: '“', 0x94: '”', 0x95: '•', 0x96: '–', 0x97: '—', 0x99: '™'
+};
+
+// Text of an RTF document: control words are dropped except the ones that
+// stand for characters, and font tables, pictures and other non-body groups
+// are skipped
+function rtfToText(rtf) {
+  let output = '';
+  // Per group: whether its text is skipped, and how many fallback
+  // characters follow a \u escape (\ucN)
+  const stack = [];
+  let state = { skip: false, unicodeSkip: 1 };
+  let pendingSkip = 0;
+  let i = 0;
+
+  const emit = (text) => {
+    if (state.skip) return;
+    if (pendingSkip > 0) {
+      pendingSkip--;
+      return;
+    }
+    output += text;
+  };
+
+  while (i < rtf.length) {
+    const ch = rtf[i];
+    if (ch === '{') {
+      stack.push(state);
+      state = { ...state };
+      pendingSkip = 0;
+      i++;
+    } else if (ch === '}') {
+      state = stack.pop() || state;
+      pendingSkip = 0;
+      i++;
+    } else if (ch === '\\') {
+      const next = rtf[i + 1];
+      if (next === '\\' || next === '{' || next === '}') {
+        emit(next);
+        i += 2;
+      } else if (next === '\'') {
+        const code = parseInt(rtf.substring(i + 2, i + 4), 16);
+        if (!isNaN(code)) emit(CP1252[code] || String.fromCharCode(code));
+        i += 4;
+      } else if (next === '*') {
+        // \* marks a destination readers may ignore
+        state.skip = true;
+        i += 2;
+      } else if (next === '~') {
+        emit(' ');
+        i += 2;
+      } else if (next === '_') {
+        emit('-');
+        i += 2;
+      } else if (next === '\n' || next === '\r') {
+        emit('\n');
+        i += 2;
+      } else {
+        const m = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.substring(i + 1, i + 40));
+        if (!m) {
+          // Other control symbols (\-, \|, \:) have no text
+          i += 2;
+          continue;
+        }
+        i += 1 + m[0].length;
+        const word = m[1];
+        const param = m[2] === undefined ? null : parseInt(m[2], 10);
+        if (RTF_SKIPPED_DESTINATIONS.has(word)) {
+          state.skip = true;
+        } else if (word === 'uc') {
+          state.unicodeSkip = param === null ? 1 : param;
+        } else if (word === 'u' && param !== null) {
+          emit(String.fromCharCode(param < 0 ? param + 65536 : param));
+          pendingSkip = state.unicodeSkip;
+        } else if (RTF_CHARACTERS[word]) {
+          emit(RTF_CHARACTERS[word]);
+        }
+      }
+    } else if (ch === '\n' || ch === '\r') {
+      // Line breaks in the source are not text
+      i++;
+    } else {
+      emit(ch);
+      i++;
+    }
+  }
+  return normalizeWhitespace(output);
+}
+
+module.exports = { documentFormat, docxToText, htmlToText, rtfToText };
@@ -0,0 +1,98 @@
+// Estimated GFR from serum creatinine, for records that report creatinine
+// but no GFR. Results are always labelled as calculated, never as reported.
+//
+// CKD-EPI 2021 is the race-free refit recommended by the NKF/ASN task force.
+// MDRD (IDMS-traceable, 175 coefficient) is available as an option; its race
+// coefficient is deliberately not applied.
+
+const { ageOn } = require('./demographics');
+
+const EQUATIONS = {
+  'ckd-epi-2021': {
+    label: 'CKD-EPI 2021',
+    compute: ({ creatinine, age, sex }) => {
+      const female = sex === 'female';
+      const kappa = female ? 0.7 : 0.9;
+      const alpha = female ? -0.241 : -0.302;
+      const ratio = creatinine / kappa;
+      return 142 *
+        Math.pow(Math.min(ratio, 1), alpha) *
+        Math.pow(Math.max(ratio, 1), -1.200) *
+        Math.pow(0.9938, age) *
+        (female ? 1.012 : 1);
+    }
+  },
+  mdrd: {
+    label: 'MDRD',
+    compute: ({ creatinine, age, sex }) => 175 *
+      Math.pow(creatinine, -1.154) *
+      Math.pow(age, -0.203) *
+      (sex === 'female' ? 0.742 : 1)
+  }
+};
+
+const DEFAULT_EQUATION = 'ckd-epi-2021';
+
+function resolveEquation(name) {
+  const key = String(name || DEFAULT_EQUATION).toLowerCase().replace(/\s+/g, '-');
+  if (EQUATIONS[key]) return key;
+  if (key === 'ckd-epi' || key === 'ckdepi') return 'ckd-epi-2021';
+  throw new Error(`Unknown eGFR equation "${name}". Use ckd-epi-2021 or mdrd.`);
+}
+
+// Returns eGFR in mL/min/1.73m² rounded to a whole number, or null when
+// the inputs are missing or outside the range the equations were fit on
+function calculateEgfr({ creatinine, age, sex }, equation = DEFAULT_EQUATION) {
+  if (typeof creatinine !== 'number' || creatinine <= 0) return null;
+  if (typeof age !== 'number' || age < 18) return null;
+  if (sex !== 'female' && sex !== 'male') return null;
+  return Math.round(EQUATIONS[resolveEquation(equation)].compute({ creatinine, age, sex }));
+}
+
+function equationLabel(equation) {
+  return EQUATIONS[resolveEquation(equation)].label;
+}
+
+// Estimate a GFR observation for every creatinine result. Each one is marked
+// calculated and keeps the inputs it was derived from.
+function estimateGfrSeries(creatinineSeries, demographics, equation = DEFAULT_EQUATION) {
+  const label = equationLabel(equation);
+  const missing = [];
+  if (demographics.age === null && !demographics.dateOfBirth) missing.push('age');
+  if (!demographics.sex) missing.push('sex');
+
+  const summary = {
+    calculated: false,
+    equation: label,
+    sex: demographics.sex,
+    ageSource: demographics.ageSource,
+    missing
+  };
+  if (missing.length > 0) {
+    return { series: [], summary };
+  }
+
+  const series = [];
+  for (const observation of creatinineSeries) {
+    const age = ageOn(demographics, observation.date);
+    const value = calculateEgfr({ creatinine: observation.value, age, sex: demographics.sex }, equation);
+    if (value !== null) {
+      series.push({
+        value,
+        date: observation.date,
+        index: observation.index,
+        calculated: true,
+        equation: label,
+        creatinine: observation.value,
+        age,
+        ...(observation.source ? { source: observation.source } : {}),
+        ...(observation.citation ? { citation: observation.citation } : {})
+      });
+    }
+  }
+
+  summary.calculated = series.length > 0;
+  return { series, summary };
+}
+
+module.exports = { EQUATIONS, DEFAULT_EQUATION, resolveEquation, calculateEgfr, equationLabel, estimateGfrSeries };
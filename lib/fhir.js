@@ -0,0 +1,390 @@
+const crypto = require('crypto');
+const { latestObservation } = require('./labSeries');
+const { LAB_LOINC_CODES, SYSTOLIC_LOINC, DIASTOLIC_LOINC, renderRecord } = require('./structuredRecord');
+
+// FHIR R4 interchange. Bundles of Observation, Condition and
+// MedicationStatement resources are read into the same structured record as
+// C-CDA documents (see structuredRecord.js); decisions are written back as a
+// ClaimResponse or Task with the Observations they rested on.
+
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+const RXNORM = 'http://www.nlm.nih.gov/research/umls/rxnorm';
+
+const CODE_SYSTEMS = {
+  [LOINC]: 'LOINC',
+  'http://snomed.info/sct': 'SNOMED CT',
+  'http://hl7.org/fhir/sid/icd-10-cm': 'ICD-10-CM',
+  'http://hl7.org/fhir/sid/icd-10': 'ICD-10',
+  'http://hl7.org/fhir/sid/icd-9-cm': 'ICD-9-CM',
+  [RXNORM]: 'RxNorm'
+};
+
+const BLOOD_PRESSURE_PANEL = LAB_LOINC_CODES.bloodPressure[0];
+
+const SKIPPED_OBSERVATION_STATUSES = ['entered-in-error', 'cancelled'];
+const INACTIVE_CONDITION_STATUSES = ['inactive', 'remission', 'resolved'];
+const SKIPPED_CONDITION_VERIFICATIONS = ['entered-in-error', 'refuted'];
+const SKIPPED_MEDICATION_STATUSES = ['entered-in-error', 'not-taken'];
+const INACTIVE_MEDICATION_STATUSES = ['completed', 'stopped', 'on-hold'];
+
+const codingIn = (concept, system) => ((concept && concept.coding) || []).find(c => c.system === system) || null;
+
+// The first coding in a known system, else the first coding
+const primaryCoding = concept => {
+  const codings = (concept && concept.coding) || [];
+  return codings.find(c => CODE_SYSTEMS[c.system]) || codings[0] || null;
+};
+
+const conceptName = concept => {
+  if (!concept) return null;
+  const coding = primaryCoding(concept);
+  return concept.text || (coding && (coding.display || coding.code)) || null;
+};
+
+// First code of a CodeableConcept, e.g. Condition.clinicalStatus
+const conceptCode = concept => ((concept && concept.coding) || []).map(c => c.code).find(Boolean) || null;
+
+// FHIR dates and dateTimes; only full dates are kept
+const fhirDate = value => (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) ? value.substring(0, 10) : null);
+
+const numberOrNull = value => (typeof value === 'number' && isFinite(value) ? value : null);
+
+function readPatient(resource) {
+  const name = (resource.name || [])[0];
+  return {
+    fhirId: resource.id || null,
+    name: name ? name.text || [...(name.given || []), name.family].filter(Boolean).join(' ') || null : null,
+    dateOfBirth: fhirDate(resource.birthDate),
+    sex: ['female', 'male'].includes(resource.gender) ? resource.gender : null
+  };
+}
+
+function readObservation(resource) {
+  if (SKIPPED_OBSERVATION_STATUSES.includes(resource.status)) return null;
+  const loinc = (codingIn(resource.code, LOINC) || {}).code || null;
+  const result = {
+    loinc,
+    name: conceptName(resource.code) || loinc || 'Observation',
+    date: fhirDate(resource.effectiveDateTime || (resource.effectivePeriod || {}).start || resource.issued),
+    value: null,
+    unit: null,
+    text: null
+  };
+  if (LAB_LOINC_CODES.bloodPressure.includes(loinc)) {
+    // A blood pressure panel carries its values as components
+    const component = code => (resource.component || []).find(c => (codingIn(c.code, LOINC) || {}).code === code);
+    result.systolic = numberOrNull(((component(SYSTOLIC_LOINC) || {}).valueQuantity || {}).value);
+    result.diastolic = numberOrNull(((component(DIASTOLIC_LOINC) || {}).valueQuantity || {}).value);
+  } else if (resource.valueQuantity) {
+    result.value = numberOrNull(resource.valueQuantity.value);
+    result.unit = resource.valueQuantity.code || resource.valueQuantity.unit || null;
+  } else if (resource.valueCodeableConcept || resource.valueString) {
+    result.text = resource.valueString || conceptName(resource.valueCodeableConcept);
+  }
+  return result;
+}
+
+// Systolic and diastolic pressures sent as separate Observations become one
+// blood pressure result per date
+function pairBloodPressures(results) {
+  const isPart = r => r.loinc === SYSTOLIC_LOINC || r.loinc === DIASTOLIC_LOINC;
+  const byDate = new Map();
+  for (const result of results.filter(isPart)) {
+    const reading = byDate.get(result.date) || { systolic: null, diastolic: null };
+    reading[result.loinc === SYSTOLIC_LOINC ? 'systolic' : 'diastolic'] = result.value;
+    byDate.set(result.date, reading);
+  }
+  const paired = Array.from(byDate, ([date, reading]) => ({
+    loinc: BLOOD_PRESSURE_PANEL,
+    name: 'Blood pressure',
+    date,
+    value: null,
+    unit: null,
+    text: null,
+    ...reading
+  }));
+  return [...results.filter(r => !isPart(r)), ...paired];
+}
+
+function readCondition(resource) {
+  if (SKIPPED_CONDITION_VERIFICATIONS.includes(conceptCode(resource.verificationStatus))) return null;
+  const name = conceptName(resource.code);
+  if (!name) return null;
+  const coding = primaryCoding(resource.code);
+  const resolved = fhirDate(resource.abatementDateTime || (resource.abatementPeriod || {}).start);
+  return {
+    name,
+    code: coding ? coding.code || null : null,
+    codeSystem: coding ? CODE_SYSTEMS[coding.system] || coding.system || null : null,
+    onset: fhirDate(resource.onsetDateTime || (resource.onsetPeriod || {}).start),
+    resolved,
+    status: resolved || INACTIVE_CONDITION_STATUSES.includes(conceptCode(resource.clinicalStatus)) ? 'resolved' : 'active'
+  };
+}
+
+const REPEAT_FREQUENCIES = { 1: 'daily', 2: 'twice daily', 3: 'three times daily', 4: 'four times daily' };
+
+// Dosage.timing as the frequency words the text extractor uses
+function readFrequency(timing) {
+  if (!timing) return null;
+  const repeat = timing.repeat || {};
+  if (repeat.frequency && (repeat.period || 1) === 1 && repeat.periodUnit === 'd') {
+    return REPEAT_FREQUENCIES[repeat.frequency] || `${repeat.frequency} times daily`;
+  }
+  if (repeat.frequency === 1 && repeat.period === 1 && repeat.periodUnit === 'wk') return 'weekly';
+  if (repeat.period && repeat.periodUnit) return `every ${repeat.period} ${repeat.periodUnit}`;
+  return conceptName(timing.code);
+}
+
+function readMedicationStatement(resource, resolve) {
+  if (SKIPPED_MEDICATION_STATUSES.includes(resource.status)) return null;
+  const medication = resource.medicationReference ? resolve(resource.medicationReference) : null;
+  const concept = resource.medicationCodeableConcept || (medication && medication.code);
+  const name = conceptName(concept);
+  if (!name) return null;
+  const dosage = (resource.dosage || [])[0] || {};
+  const dose = ((dosage.doseAndRate || [])[0] || {}).doseQuantity;
+  const doseUnit = dose && (dose.unit || dose.code);
+  return {
+    name,
+    rxnorm: (codingIn(concept, RXNORM) || {}).code || null,
+    dose: dose && typeof dose.value === 'number' ? `${dose.value}${doseUnit && doseUnit !== '1' ? ` ${doseUnit}` : ''}` : null,
+    route: conceptName(dosage.route),
+    frequency: readFrequency(dosage.timing),
+    start: fhirDate(resource.effectiveDateTime || (resource.effectivePeriod || {}).start),
+    status: INACTIVE_MEDICATION_STATUSES.includes(resource.status) ? 'discontinued' : 'active'
+  };
+}
+
+// Parse a FHIR R4 Bundle. Returns the rendered text and structured data, as
+// parseCcda does, plus the count of each resource type that was not read;
+// throws when the body is not a Bundle or has nothing to read.
+function parseFhirBundle(bundle) {
+  if (!bundle || bundle.resourceType !== 'Bundle') {
+    throw new Error('Request body must be a FHIR Bundle resource');
+  }
+  const resources = (Array.isArray(bundle.entry) ? bundle.entry : [])
+    .filter(entry => entry && entry.resource && entry.resource.resourceType);
+
+  // References within the bundle are by fullUrl or Type/id
+  const resolve = ({ reference } = {}) => {
+    const entry = resources.find(e => e.fullUrl === reference ||
+      `${e.resource.resourceType}/${e.resource.id}` === reference);
+    return entry ? entry.resource : null;
+  };
+
+  let patient = null;
+  const results = [];
+  const problems = [];
+  const medications = [];
+  const skipped = {};
+  for (const { resource } of resources) {
+    const type = resource.resourceType;
+    if (type === 'Patient') {
+      patient = patient || readPatient(resource);
+    } else if (type === 'Observation') {
+      const result = readObservation(resource);
+      if (result) results.push(result);
+    } else if (type === 'Condition') {
+      const problem = readCondition(resource);
+      if (problem) problems.push(problem);
+    } else if (type === 'MedicationStatement') {
+      const medication = readMedicationStatement(resource, resolve);
+      if (medication) medications.push(medication);
+    } else if (type !== 'Medication') {
+      skipped[type] = (skipped[type] || 0) + 1;
+    }
+  }
+  if (results.length + problems.length + medications.length === 0) {
+    throw new Error('Bundle has no Observation, Condition or MedicationStatement resources');
+  }
+
+  const record = renderRecord({
+    format: 'fhir',
+    title: `FHIR Bundle${bundle.id ? ` ${bundle.id}` : ''}`,
+    date: fhirDate(bundle.timestamp || (bundle.meta || {}).lastUpdated),
+    patient,
+    sections: [
+      { kind: 'results', title: 'Observations', entries: pairBloodPressures(results) },
+      { kind: 'problems', title: 'Conditions', entries: problems },
+      { kind: 'medications', title: 'Medication statements', entries: medications }
+    ]
+  });
+  return { ...record, skipped };
+}
+
+// UCUM codes of the units labs are held in; pack extractor units are used as given
+const UCUM_CODES = {
+  gfr: 'mL/min/{1.73_m2}',
+  proteinuria: 'g/d',
+  bloodPressure: 'mm[Hg]'
+};
+
+const DISPOSITIONS = {
+  APPROVE: 'Appeal approved',
+  REJECT: 'Appeal denied',
+  REVIEW: 'Appeal referred for clinical review'
+};
+
+const entryFor = resource => ({ fullUrl: `urn:uuid:${resource.id}`, resource });
+
+function quantity(value, unit, code) {
+  return { value, unit, system: UCUM, code: code || unit };
+}
+
+// Observations for the latest value of each lab in the decision's clinical
+// data that has a LOINC code. labs maps clinicalData fields to
+// { loinc, label, unit }.
+function supportingObservations(clinicalData, labs, subject) {
+  const observations = [];
+  for (const [lab, { loinc, label, unit }] of Object.entries(labs)) {
+    const latest = latestObservation((clinicalData.labSeries || {})[lab]);
+    if (!latest || !loinc) continue;
+    const observation = {
+      resourceType: 'Observation',
+      id: crypto.randomUUID(),
+      status: 'final',
+      category: [{
+        coding: [{
+          system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+          code: lab === 'bloodPressure' ? 'vital-signs' : 'laboratory'
+        }]
+      }],
+      code: { coding: [{ system: LOINC, code: loinc }], text: label },
+      subject,
+      ...(latest.date ? { effectiveDateTime: latest.date } : {})
+    };
+    if (lab === 'bloodPressure') {
+      observation.component = [
+        { code: { coding: [{ system: LOINC, code: SYSTOLIC_LOINC }], text: 'Systolic blood pressure' }, valueQuantity: quantity(latest.systolic, 'mmHg', UCUM_CODES.bloodPressure) },
+        { code: { coding: [{ system: LOINC, code: DIASTOLIC_LOINC }], text: 'Diastolic blood pressure' }, valueQuantity: quantity(latest.diastolic, 'mmHg', UCUM_CODES.bloodPressure) }
+      ];
+    } else if (typeof latest.value === 'number') {
+      observation.valueQuantity = quantity(latest.value, unit, UCUM_CODES[lab]);
+    } else {
+      continue;
+    }
+    if (lab === 'gfr' && clinicalData.gfrSource === 'calculated') {
+      observation.method = { text: `Calculated from serum creatinine${clinicalData.gfrCalculation ? ` (${clinicalData.gfrCalculation.equation})` : ''}` };
+    }
+    observations.push(observation);
+  }
+  return observations;
+}
+
+// Who reviewed a decision and who signed off their override, as
+// [extension name, Task output label, FHIR value type, value] rows; [] when
+// no one has reviewed it
+function reviewFacts(review) {
+  if (!review) return [];
+  const signOff = review.signOff;
+  return [
+    ['reviewer', 'Reviewer', 'valueString', review.reviewer],
+    ['reviewed-at', 'Reviewed at', 'valueDateTime', review.reviewedAt],
+    ['review-action', 'Review action', 'valueCode', review.action],
+    ['review-reason', 'Review reason', 'valueString', review.reason],
+    ...(signOff ? [
+      ['signed-off-by', 'Signed off by', 'valueString', signOff.supervisor],
+      ['signed-off-at', 'Signed off at', 'valueDateTime', signOff.at],
+      ['sign-off-approved', 'Sign-off approved', 'valueBoolean', signOff.approved],
+      ['sign-off-comment', 'Sign-off comment', 'valueString', signOff.comment]
+    ] : [])
+  ].filter(([, , , value]) => value !== null && value !== undefined);
+}
+
+// A decision as a FHIR collection Bundle: a ClaimResponse or Task with the
+// outcome and rationale, the Patient (or a reference to the one imported) and
+// the supporting Observations. The outcome is the reviewer's decision once
+// there is one, with the AI's kept alongside it. systemBase prefixes
+// identifier systems and extension URLs.
+function decisionBundle(resourceType, { appeal, decision, labs, patientReference = null, systemBase }) {
+  const clinicalData = decision.clinicalData || {};
+  const demographics = clinicalData.demographics || {};
+
+  const patient = patientReference ? null : {
+    resourceType: 'Patient',
+    id: crypto.randomUUID(),
+    ...(appeal.patientName ? { name: [{ text: appeal.patientName }] } : {}),
+    ...(demographics.sex ? { gender: demographics.sex } : {}),
+    ...(demographics.dateOfBirth ? { birthDate: demographics.dateOfBirth } : {})
+  };
+  const subject = { reference: patientReference || `urn:uuid:${patient.id}` };
+  const observations = supportingObservations(clinicalData, labs, subject);
+  const observationReferences = observations.map(o => ({ reference: `urn:uuid:${o.id}` }));
+
+  const identifier = [
+    { system: `${systemBase}/appeal`, value: String(appeal.id) },
+    ...(appeal.reference ? [{ system: `${systemBase}/appeal-reference`, value: appeal.reference }] : [])
+  ];
+  // A decision awaiting review or sign-off is still the AI's
+  const outcome = decision.humanDecision || decision.decision;
+  const settled = outcome !== 'REVIEW';
+  const disposition = DISPOSITIONS[outcome] || outcome;
+  const rationale = decision.rationale || [];
+  const review = reviewFacts(decision.review);
+  const signOff = decision.review && decision.review.signOff;
+  const lastModified = (signOff && signOff.at) || (decision.review && decision.review.reviewedAt) || decision.timestamp;
+
+  let main;
+  if (resourceType === 'ClaimResponse') {
+    main = {
+      resourceType: 'ClaimResponse',
+      id: crypto.randomUUID(),
+      identifier,
+      status: 'active',
+      type: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/claim-type', code: 'professional' }] },
+      use: 'claim',
+      patient: subject,
+      created: decision.timestamp,
+      insurer: { display: 'CKD Appeals' },
+      outcome: settled ? 'complete' : 'queued',
+      disposition,
+      processNote: rationale.map((text, i) => ({ number: i + 1, type: 'display', text })),
+      extension: [
+        { url: `${systemBase}/StructureDefinition/appeal-decision`, valueCode: outcome },
+        { url: `${systemBase}/StructureDefinition/ai-decision`, valueCode: decision.decision },
+        { url: `${systemBase}/StructureDefinition/decision-confidence`, valueDecimal: decision.confidence },
+        ...review.map(([name, , type, value]) => ({ url: `${systemBase}/StructureDefinition/${name}`, [type]: value })),
+        ...(decision.conditionPack ? [{ url: `${systemBase}/StructureDefinition/condition-pack`, valueString: decision.conditionPack }] : []),
+        ...observationReferences.map(reference => ({ url: `${systemBase}/StructureDefinition/supporting-observation`, valueReference: reference }))
+      ]
+    };
+  } else {
+    main = {
+      resourceType: 'Task',
+      id: crypto.randomUUID(),
+      identifier,
+      status: settled ? 'completed' : 'ready',
+      businessStatus: {
+        coding: [{ system: `${systemBase}/CodeSystem/appeal-decision`, code: outcome }],
+        text: disposition
+      },
+      intent: 'order',
+      code: { text: 'Appeal review' },
+      description: `Review of appeal ${appeal.reference || appeal.id}`,
+      for: subject,
+      authoredOn: new Date(appeal.createdAt).toISOString(),
+      lastModified,
+      ...(decision.review ? { owner: { display: decision.review.reviewer } } : {}),
+      input: observationReferences.map(reference => ({ type: { text: 'Supporting observation' }, valueReference: reference })),
+      output: [
+        { type: { text: 'Decision' }, valueCode: outcome },
+        { type: { text: 'AI decision' }, valueCode: decision.decision },
+        { type: { text: 'Confidence' }, valueDecimal: decision.confidence },
+        ...review.map(([, label, type, value]) => ({ type: { text: label }, [type]: value })),
+        ...rationale.map(text => ({ type: { text: 'Rationale' }, valueString: text }))
+      ]
+    };
+  }
+
+  return {
+    resourceType: 'Bundle',
+    id: crypto.randomUUID(),
+    type: 'collection',
+    timestamp: new Date().toISOString(),
+    entry: [main, ...(patient ? [patient] : []), ...observations].map(entryFor)
+  };
+}
+
+module.exports = { parseFhirBundle, decisionBundle };
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+// Field-level encryption for PHI stored in the database: uploaded files,
+// their extracted text and its passages. Values are sealed with AES-256-GCM
+// under the active key of a keyring and carry the id of the key used, so keys
+// can be rotated by adding a new one in front while older ones still decrypt.
+// Values written before encryption was enabled are read back unchanged.
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Encrypted text is enc:v1:<key id>:<iv>:<tag>:<ciphertext>, base64 parts;
+// encrypted buffers start with the same header, then the raw bytes
+const TEXT_PREFIX = 'enc:v1:';
+const BUFFER_MAGIC = Buffer.from('ENC1');
+
+// A keyring is a comma- or newline-separated list of <id>:<key> entries, the
+// first being the active key. Keys are 32 bytes, base64 or hex. A single key
+// without an id gets the id "1".
+function parseKeyring(text) {
+  const entries = String(text || '').split(/[,\n]/).map(entry => entry.trim()).filter(Boolean);
+  if (entries.length === 0) throw new Error('no encryption keys given');
+  const keys = new Map();
+  for (const entry of entries) {
+    const separator = entry.indexOf(':');
+    const id = separator > 0 ? entry.substring(0, separator) : '1';
+    const encoded = separator > 0 ? entry.substring(separator + 1) : entry;
+    const key = /^[0-9a-f]{64}$/i.test(encoded) ? Buffer.from(encoded, 'hex') : Buffer.from(encoded, 'base64');
+    if (key.length !== KEY_LENGTH) throw new Error(`encryption key ${id} is not ${KEY_LENGTH} bytes`);
+    if (!/^[\w.-]+$/.test(id)) throw new Error(`encryption key id "${id}" may only use letters, digits, ".", "_" and "-"`);
+    if (keys.has(id)) throw new Error(`encryption key id ${id} is given twice`);
+    keys.set(id, key);
+  }
+  return { activeKeyId: keys.keys().next().value, keys };
+}
+
+// Keyring from the configured source: 'env' reads ENCRYPTION_KEYS, 'file'
+// reads the file at ENCRYPTION_KEY_FILE (for mounted secrets). Returns null
+// when the source has no keys configured.
+function loadKeyring(source, env = process.env) {
+  switch (source) {
+    case 'env':
+      return env.ENCRYPTION_KEYS ? parseKeyring(env.ENCRYPTION_KEYS) : null;
+    case 'file':
+      if (!env.ENCRYPTION_KEY_FILE) throw new Error('ENCRYPTION_KEY_FILE must be set when ENCRYPTION_KEY_SOURCE is file');
+      return parseKeyring(fs.readFileSync(env.ENCRYPTION_KEY_FILE, 'utf8'));
+    default:
+      throw new Error(`unknown encryption key source "${source}"; expected env or file`);
+  }
+}
+
+function createFieldCipher({ activeKeyId, keys }) {
+  function keyFor(id) {
+    const key = keys.get(id);
+    if (!key) throw new Error(`value is encrypted with key ${id}, which is not configured`);
+    return key;
+  }
+
+  function seal(plaintext) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, keys.get(activeKeyId), iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    return { iv, tag: cipher.getAuthTag(), ciphertext };
+  }
+
+  function open(id, iv, tag, ciphertext) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, keyFor(id), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+  }
+
+  const isEncryptedText = value => typeof value === 'string' && value.startsWith(TEXT_PREFIX);
+  const isEncryptedBuffer = value => Buffer.isBuffer(value) && value.subarray(0, BUFFER_MAGIC.length).equals(BUFFER_MAGIC);
+
+  function encryptText(value) {
+    if (value === null || value === undefined || isEncryptedText(value)) return value;
+    const { iv, tag, ciphertext } = seal(Buffer.from(String(value), 'utf8'));
+    return TEXT_PREFIX + [activeKeyId, iv, tag, ciphertext].map(part => Buffer.isBuffer(part) ? part.toString('base64') : part).join(':');
+  }
+
+  function decryptText(value) {
+    if (!isEncryptedText(value)) return value;
+    const [id, iv, tag, ciphertext] = value.substring(TEXT_PREFIX.length).split(':');
+    return open(id, Buffer.from(iv, 'base64'), Buffer.from(tag, 'base64'), Buffer.from(ciphertext, 'base64')).toString('utf8');
+  }
+
+  // ENC1, key id length (1 byte), key id, iv, tag, ciphertext
+  function encryptBuffer(value) {
+    if (!Buffer.isBuffer(value) || isEncryptedBuffer(value)) return value;
+    const { iv, tag, ciphertext } = seal(value);
+    const id = Buffer.from(activeKeyId, 'utf8');
+    return Buffer.concat([BUFFER_MAGIC, Buffer.from([id.length]), id, iv, tag, ciphertext]);
+  }
+
+  function decryptBuffer(value) {
+    if (!isEncryptedBuffer(value)) return value;
+    let offset = BUFFER_MAGIC.length;
+    const idLength = value[offset++];
+    const id = value.subarray(offset, offset += idLength).toString('utf8');
+    const iv = value.subarray(offset, offset += IV_LENGTH);
+    const tag = value.subarray(offset, offset += TAG_LENGTH);
+    return open(id, iv, tag, value.subarray(offset));
+  }
+
+  // JSON values are stored as { encrypted: <encrypted text> } so the column
+  // keeps its type
+  const encryptJson = value => value === null || value === undefined || (value && isEncryptedText(value.encrypted))
+    ? value
+    : { encrypted: encryptText(JSON.stringify(value)) };
+  const decryptJson = value => value && isEncryptedText(value.encrypted) ? JSON.parse(decryptText(value.encrypted)) : value;
+
+  return { activeKeyId, encryptText, decryptText, encryptBuffer, decryptBuffer, encryptJson, decryptJson };
+}
+
+module.exports = { parseKeyring, loadKeyring, createFieldCipher };
@@ -0,0 +1,245 @@
+const fs = require('fs');
+const Ajv = require('ajv');
+const KNOWLEDGE_BASE_SCHEMA = require('../conditions/knowledge-base.schema.json');
+
+// Versioned knowledge bases, one history per condition pack. Every change is
+// stored as a new, immutable version holding the full content, its author
+// and a diff against the version before it; rolling back commits an old
+// version's content again. Versions taken from the pack's shipped
+// knowledge-base.json are marked seeded, so a later change to the file can be
+// told apart from edits made through the API.
+
+const ajv = new Ajv({ allErrors: true });
+const validateSchema = ajv.compile(KNOWLEDGE_BASE_SCHEMA);
+
+// Editable sections and where they live in the knowledge base
+const SECTIONS = {
+  abbreviations: ['terminology', 'abbreviations'],
+  stages: ['terminology', 'stages'],
+  complications: ['terminology', 'complications'],
+  guidelines: ['clinical_guidelines'],
+  criteria: ['appeal_criteria']
+};
+
+// Schema errors plus the checks JSON Schema cannot express
+function validateKnowledgeBase(content) {
+  if (!validateSchema(content)) {
+    return validateSchema.errors.map(e => `${e.instancePath || '/'} ${e.message}`);
+  }
+  const errors = [];
+  const ruleIds = new Set();
+  for (const rule of content.appeal_criteria.rules || []) {
+    if (ruleIds.has(rule.id)) errors.push(`/appeal_criteria/rules duplicate rule id "${rule.id}"`);
+    ruleIds.add(rule.id);
+  }
+  for (const veto of (content.appeal_criteria.reconciliation || {}).rule_vetoes || []) {
+    if (!ruleIds.has(veto.rule)) errors.push(`/appeal_criteria/reconciliation/rule_vetoes unknown rule "${veto.rule}"`);
+  }
+  return errors;
+}
+
+const escapePointer = key => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Changes between two versions as JSON Pointer paths. Arrays are compared
+// as whole values, so reordering a list shows up as one replace.
+function diffContent(before, after, path = '') {
+  if (isObject(before) && isObject(after)) {
+    const changes = [];
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      const childPath = `${path}/${escapePointer(key)}`;
+      if (!(key in after)) {
+        changes.push({ op: 'remove', path: childPath, before: before[key] });
+      } else if (!(key in before)) {
+        changes.push({ op: 'add', path: childPath, after: after[key] });
+      } else {
+        changes.push(...diffContent(before[key], after[key], childPath));
+      }
+    }
+    return changes;
+  }
+  if (JSON.stringify(before) === JSON.stringify(after)) return [];
+  return [{ op: 'replace', path: path || '/', before, after }];
+}
+
+// Versions stored before condition packs kept their terminology under
+// ckd_terminology and belong to the CKD pack
+function upgradeContent(content) {
+  if (!content || !content.ckd_terminology) return content;
+  const { ckd_terminology: terminology, ...rest } = content;
+  return { terminology, ...rest };
+}
+
+function toPlainVersion(row) {
+  return {
+    pack: row.pack || 'ckd',
+    version: row.version,
+    createdAt: row.createdAt,
+    author: row.author,
+    message: row.message,
+    rollbackOf: row.rollbackOf === undefined ? null : row.rollbackOf,
+    // Version 1 was always seeded, including in histories from before the flag
+    seeded: Boolean(row.seeded) || row.version === 1,
+    diff: row.diff,
+    content: upgradeContent(row.content)
+  };
+}
+
+// Versions stored through a Sequelize model (see KnowledgeBaseVersion in models.js)
+function createModelKnowledgeBaseStore(model) {
+  return {
+    kind: 'database',
+    last: async (pack) => {
+      const row = await model.findOne({ where: { pack }, order: [['version', 'DESC']] });
+      return row ? toPlainVersion(row) : null;
+    },
+    get: async (pack, version) => {
+      const row = await model.findOne({ where: { pack, version } });
+      return row ? toPlainVersion(row) : null;
+    },
+    insert: async (entry) => {
+      await model.create(entry);
+    },
+    list: async (pack) => {
+      const rows = await model.findAll({ where: { pack }, order: [['version', 'ASC']] });
+      return rows.map(toPlainVersion);
+    }
+  };
+}
+
+// Versions stored as one JSON object per line in a local file
+function createFileKnowledgeBaseStore(filePath) {
+  async function readAll() {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(filePath, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    return raw.split('\n').filter(line => line.trim()).map(line => toPlainVersion(JSON.parse(line)));
+  }
+  const readPack = async (pack) => (await readAll()).filter(v => v.pack === pack);
+
+  return {
+    kind: 'file',
+    filePath,
+    last: async (pack) => {
+      const versions = await readPack(pack);
+      return versions.length ? versions[versions.length - 1] : null;
+    },
+    get: async (pack, version) => (await readPack(pack)).find(v => v.version === version) || null,
+    insert: async (entry) => {
+      await fs.promises.appendFile(filePath, JSON.stringify(entry) + '\n', { flag: 'a' });
+    },
+    list: readPack
+  };
+}
+
+// History of one pack's knowledge base. seed() supplies the content of
+// version 1 when the pack has no versions yet.
+function createKnowledgeBaseVersions(store, { pack, seed }) {
+  // Commits are serialized so two edits cannot both claim the same version
+  let tail = Promise.resolve();
+
+  function serialize(task) {
+    const run = tail.then(task);
+    tail = run.catch(() => {});
+    return run;
+  }
+
+  async function append(previous, content, { author, message, rollbackOf = null, seeded = false }) {
+    const entry = {
+      pack,
+      version: previous ? previous.version + 1 : 1,
+      createdAt: new Date().toISOString(),
+      author,
+      message: message || null,
+      rollbackOf,
+      seeded,
+      diff: previous ? diffContent(previous.content, content) : [],
+      content
+    };
+    await store.insert(entry);
+    return entry;
+  }
+
+  async function latestOrSeed() {
+    const previous = await store.last(pack);
+    if (previous) return previous;
+    const content = seed();
+    const errors = validateKnowledgeBase(content);
+    if (errors.length > 0) {
+      throw new Error(`Seed knowledge base failed validation: ${errors.join('; ')}`);
+    }
+    return append(null, content, { author: 'system', message: 'Initial version', seeded: true });
+  }
+
+  // Compare the shipped file with the version last seeded from it. A changed
+  // file is committed as a new seeded version when nobody has edited the
+  // knowledge base since; otherwise their edits stand and the result says
+  // the file was not applied. Returns { status, version, ... } with status
+  // unchanged, updated, diverged or invalid.
+  function syncSeed() {
+    return serialize(async () => {
+      const previous = await latestOrSeed();
+      const content = seed();
+      const seeded = (await store.list(pack)).filter(v => v.seeded).pop();
+      if (diffContent(seeded.content, content).length === 0 || diffContent(previous.content, content).length === 0) {
+        return { status: 'unchanged', version: previous };
+      }
+      const errors = validateKnowledgeBase(content);
+      if (errors.length > 0) {
+        return { status: 'invalid', version: previous, seededVersion: seeded.version, errors };
+      }
+      if (previous.version !== seeded.version) {
+        return { status: 'diverged', version: previous, seededVersion: seeded.version };
+      }
+      const version = await append(previous, content, { author: 'system', message: 'Updated from the shipped knowledge-base.json', seeded: true });
+      return { status: 'updated', version, seededVersion: seeded.version };
+    });
+  }
+
+  function current() {
+    return serialize(latestOrSeed);
+  }
+
+  // update receives a copy of the current content and returns the new
+  // content. Throws with validationErrors when the result is invalid;
+  // returns { changed: false } without storing anything when nothing changed.
+  function commit(update, { author, message, rollbackOf = null }) {
+    return serialize(async () => {
+      const previous = await latestOrSeed();
+      const content = update(JSON.parse(JSON.stringify(previous.content)));
+      const errors = validateKnowledgeBase(content);
+      if (errors.length > 0) {
+        const err = new Error(`Knowledge base failed validation: ${errors.join('; ')}`);
+        err.validationErrors = errors;
+        throw err;
+      }
+      if (diffContent(previous.content, content).length === 0) {
+        return { version: previous, changed: false };
+      }
+      return { version: await append(previous, content, { author, message, rollbackOf }), changed: true };
+    });
+  }
+
+  return {
+    current,
+    get: (version) => store.get(pack, version),
+    list: () => store.list(pack),
+    commit,
+    syncSeed,
+    storeKind: store.kind
+  };
+}
+
+module.exports = {
+  KNOWLEDGE_BASE_SCHEMA,
+  SECTIONS,
+  validateKnowledgeBase,
+  diffContent,
+  createKnowledgeBaseVersions,
+  createModelKnowledgeBaseStore,
+  createFileKnowledgeBaseStore
+};
@@ -0,0 +1,172 @@
+// Longitudinal lab extraction. Every matching result in a document is kept,
+// each tied to the date it was reported under, so trends can be computed
+// instead of relying on whichever value happens to appear first.
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_PATTERN = '(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)[a-z]*\\.?';
+
+const DATE_PATTERNS = [
+  // 2024-01-10
+  { regex: /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/g, parse: m => [m[1], m[2], m[3]] },
+  // 01/10/2024, 1/10/24 (US month-first)
+  { regex: /\b(\d{1,2})\/(\d{1,2})\/(\d{4}|\d{2})\b/g, parse: m => [m[3], m[1], m[2]] },
+  // Jan 10, 2024
+  { regex: new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{1,2}),?\\s+(\\d{4})\\b`, 'gi'), parse: m => [m[3], monthNumber(m[1]), m[2]] },
+  // 10 Jan 2024
+  { regex: new RegExp(`\\b(\\d{1,2})\\s+${MONTH_PATTERN},?\\s+(\\d{4})\\b`, 'gi'), parse: m => [m[3], monthNumber(m[2]), m[1]] },
+  // January 2024
+  { regex: new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{4})\\b`, 'gi'), parse: m => [m[2], monthNumber(m[1]), 1] }
+];
+
+// Dates introduced by these labels are not dates of service
+const NON_SERVICE_DATE_LABEL = /(DOB|D\.O\.B\.?|date of birth|birth ?date|born)[:\s]*$/i;
+
+function monthNumber(name) {
+  return MONTHS.indexOf(name.substring(0, 3).toLowerCase()) + 1;
+}
+
+function toIsoDate(year, month, day) {
+  let y = parseInt(year);
+  if (String(year).length === 2) {
+    y += y < 50 ? 2000 : 1900;
+  }
+  const m = parseInt(month);
+  const d = parseInt(day);
+  if (y < 1900 || y > 2100 || m < 1 || m > 12 || d < 1 || d > 31) return null;
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCMonth() !== m - 1) return null;
+  return date.toISOString().substring(0, 10);
+}
+
+// All service dates in the text with their character ranges. With
+// includeBirthDates, dates of birth are kept too, marked birthDate: true.
+function findDates(text, { includeBirthDates = false } = {}) {
+  const found = [];
+  for (const { regex, parse } of DATE_PATTERNS) {
+    regex.lastIndex = 0;
+    let m;
+    while ((m = regex.exec(text)) !== null) {
+      const iso = toIsoDate(...parse(m));
+      if (!iso) continue;
+      const before = text.substring(Math.max(0, m.index - 25), m.index);
+      const birthDate = NON_SERVICE_DATE_LABEL.test(before);
+      if (birthDate && !includeBirthDates) continue;
+      found.push({ date: iso, start: m.index, end: m.index + m[0].length, ...(birthDate ? { birthDate } : {}) });
+    }
+  }
+
+  // Keep the longest match where patterns overlap ("10 Jan 2024" vs "Jan 2024")
+  found.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+  const dates = [];
+  for (const d of found) {
+    const last = dates[dates.length - 1];
+    if (last && d.start < last.end) continue;
+    dates.push(d);
+  }
+  return dates;
+}
+
+// Date a result at `index` was reported under: a date on the same line
+// (preceding first, then following), else the closest preceding date in the
+// document, such as a section heading.
+function dateForIndex(text, dates, index) {
+  const lineStart = text.lastIndexOf('\n', index - 1) + 1;
+  const lineEndRaw = text.indexOf('\n', index);
+  const lineEnd = lineEndRaw === -1 ? text.length : lineEndRaw;
+
+  const preceding = dates.filter(d => d.end <= index);
+  const sameLineBefore = preceding.filter(d => d.start >= lineStart);
+  if (sameLineBefore.length) return sameLineBefore[sameLineBefore.length - 1].date;
+
+  const sameLineAfter = dates.find(d => d.start >= index && d.end <= lineEnd);
+  if (sameLineAfter) return sameLineAfter.date;
+
+  return preceding.length ? preceding[preceding.length - 1].date : null;
+}
+
+const CONNECTOR = '(?:[:\\s=]|\\bof\\b|\\bwas\\b|\\bis\\b)*';
+
+const LAB_PATTERNS = {
+  gfr: new RegExp(`(?:GFR|eGFR|glomerular filtration rate)${CONNECTOR}([0-9]+(?:\\.[0-9]+)?)\\s*(?:mL\\/min\\/1\\.73m²|ml\\/min\\/1\\.73m2|mL\\/min\\/1\\.73 ?m\\^?2)`, 'gi'),
+  creatinine: new RegExp(`(?:creatinine|\\bCr)${CONNECTOR}([0-9]+(?:\\.[0-9]+)?)\\s*(?:mg\\/dL|mg\\/dl)`, 'gi'),
+  bun: new RegExp(`(?:BUN|blood urea nitrogen)${CONNECTOR}([0-9]+(?:\\.[0-9]+)?)\\s*(?:mg\\/dL|mg\\/dl)`, 'gi'),
+  proteinuria: new RegExp(`(?:proteinuria|protein)${CONNECTOR}([0-9]+(?:\\.[0-9]+)?)\\s*(?:g\\/day|g\\/24h)`, 'gi'),
+  bloodPressure: new RegExp(`(?:blood pressure|\\bBP)${CONNECTOR}([0-9]+)\\/([0-9]+)\\s*(?:mmHg|mm Hg)`, 'gi'),
+  uacr: new RegExp(`(?:\\bUACR|\\bACR|urine albumin[- ]to[- ]creatinine ratio|albumin[- \\/](?:to[- ])?creatinine ratio)${CONNECTOR}([0-9]+(?:\\.[0-9]+)?)\\s*(mg\\/g|mg\\/mmol)`, 'gi'),
+  // Labs checked against clinical_guidelines.treatment_targets
+  hba1c: new RegExp(`(?:HbA1c|hemoglobin A1c|\\bA1c)${CONNECTOR}([0-9]+(?:\\.[0-9]+)?)\\s*%`, 'gi'),
+  hemoglobin: new RegExp(`(?:\\bhemoglobin|\\bhaemoglobin|\\bHgb|\\bHb)${CONNECTOR}([0-9]+(?:\\.[0-9]+)?)\\s*(?:g\\/dL|g\\/dl)`, 'gi'),
+  ldl: new RegExp(`(?:\\bLDL(?:-C| cholesterol)?)${CONNECTOR}([0-9]+(?:\\.[0-9]+)?)\\s*(?:mg\\/dL|mg\\/dl)`, 'gi'),
+  calcium: new RegExp(`(?:\\bcalcium|\\bCa)${CONNECTOR}([0-9]+(?:\\.[0-9]+)?)\\s*(?:mg\\/dL|mg\\/dl)`, 'gi'),
+  phosphorus: new RegExp(`(?:phosphorus|phosphate|\\bPhos)${CONNECTOR}([0-9]+(?:\\.[0-9]+)?)\\s*(?:mg\\/dL|mg\\/dl)`, 'gi'),
+  pth: new RegExp(`(?:\\bi?PTH|parathyroid hormone)${CONNECTOR}([0-9]+(?:\\.[0-9]+)?)\\s*(?:pg\\/mL|pg\\/ml)`, 'gi'),
+  vitaminD: new RegExp(`(?:vitamin D|25-?(?:OH|hydroxy) ?(?:vitamin )?D)${CONNECTOR}([0-9]+(?:\\.[0-9]+)?)\\s*(?:ng\\/mL|ng\\/ml)`, 'gi'),
+  ferritin: new RegExp(`ferritin${CONNECTOR}([0-9]+(?:\\.[0-9]+)?)\\s*(?:ng\\/mL|ng\\/ml)`, 'gi'),
+  ironSaturation: new RegExp(`(?:\\bTSAT|transferrin saturation|iron saturation)${CONNECTOR}([0-9]+(?:\\.[0-9]+)?)\\s*%`, 'gi')
+};
+
+// UACR reported in mg/mmol is converted to mg/g (1 mg/mmol = 8.84 mg/g)
+const MG_MMOL_TO_MG_G = 8.84;
+
+function uacrObservation(value, unit) {
+  if (unit.toLowerCase() === 'mg/mmol') {
+    return { value: Math.round(value * MG_MMOL_TO_MG_G * 10) / 10, reportedValue: value, reportedUnit: 'mg/mmol' };
+  }
+  return { value };
+}
+
+// Every dated observation for each lab, in document order. Condition packs
+// add their own values through `extractors` ({ name, pattern, parse }, see
+// conditionPacks.js), dated and cited the same way.
+function extractLabSeries(text, extractors = []) {
+  const dates = findDates(text);
+  const series = {};
+
+  for (const [lab, pattern] of Object.entries(LAB_PATTERNS)) {
+    series[lab] = [];
+    pattern.lastIndex = 0;
+    let m;
+    while ((m = pattern.exec(text)) !== null) {
+      const observation = lab === 'bloodPressure'
+        ? { value: `${m[1]}/${m[2]}`, systolic: parseInt(m[1]), diastolic: parseInt(m[2]) }
+        : lab === 'uacr'
+          ? uacrObservation(parseFloat(m[1]), m[2])
+          : { value: parseFloat(m[1]) };
+      observation.date = dateForIndex(text, dates, m.index);
+      observation.index = m.index;
+      observation.end = m.index + m[0].length;
+      series[lab].push(observation);
+    }
+  }
+
+  for (const { name, pattern, parse } of extractors) {
+    series[name] = [];
+    pattern.lastIndex = 0;
+    let m;
+    while ((m = pattern.exec(text)) !== null) {
+      // Pack patterns are configuration; never loop on an empty match
+      if (m[0].length === 0) {
+        pattern.lastIndex++;
+        continue;
+      }
+      const observation = parse(m);
+      if (!observation) continue;
+      observation.date = dateForIndex(text, dates, m.index);
+      observation.index = m.index;
+      observation.end = m.index + m[0].length;
+      series[name].push(observation);
+    }
+  }
+
+  return series;
+}
+
+// Most recent dated observation, or the first one found when none are dated
+function latestObservation(observations) {
+  if (!observations || observations.length === 0) return null;
+  const dated = observations.filter(o => o.date);
+  if (dated.length === 0) return observations[0];
+  return dated.reduce((latest, o) => (o.date >= latest.date ? o : latest));
+}
+
+module.exports = { findDates, dateForIndex, extractLabSeries, latestObservation, toIsoDate, uacrObservation };
@@ -0,0 +1,111 @@
+// Appeal lifecycle and turnaround deadlines. An appeal moves through
+//   received → documents_complete → analyzed → in_review → decided →
+//   letter_sent → closed
+// and only forward along the transitions below. Analysis and review move it
+// themselves; the other steps are taken by staff. An appeal can be closed
+// early when it is withdrawn. The turnaround clock starts when the appeal is
+// received and stops when it is decided or closed: expedited appeals are due
+// within 72 hours, standard ones within 30 days.
+
+const APPEAL_STATUSES = ['received', 'documents_complete', 'analyzed', 'in_review', 'decided', 'letter_sent', 'closed'];
+
+// Statuses an appeal may move to from each status: the next step, or closed
+// while it is still open
+const TRANSITIONS = {
+  received: ['documents_complete', 'closed'],
+  documents_complete: ['analyzed', 'closed'],
+  analyzed: ['in_review', 'closed'],
+  in_review: ['decided', 'closed'],
+  decided: ['letter_sent'],
+  letter_sent: ['closed'],
+  closed: []
+};
+
+// Statuses set by hand, with the permission needed to set each; the others
+// follow from analysis and review. Sending the letter and closing the appeal
+// are for the people who decide it.
+const MANUAL_STATUS_PERMISSIONS = {
+  documents_complete: 'appeals:write',
+  letter_sent: 'appeals:decide',
+  closed: 'appeals:decide'
+};
+const MANUAL_STATUSES = Object.keys(MANUAL_STATUS_PERMISSIONS);
+
+// Statuses in which the appeal may still take documents and be analyzed
+const OPEN_STATUSES = ['received', 'documents_complete', 'analyzed', 'in_review'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const URGENCY_TYPES = ['standard', 'expedited'];
+const TURNAROUND_HOURS = {
+  standard: 30 * 24,
+  expedited: 72
+};
+
+// Why an appeal cannot move from one status to another, or null when it can
+function transitionError(from, to) {
+  if (!APPEAL_STATUSES.includes(to)) {
+    return `status must be one of: ${APPEAL_STATUSES.join(', ')}`;
+  }
+  const allowed = TRANSITIONS[from] || [];
+  if (!allowed.includes(to)) {
+    return allowed.length > 0
+      ? `An appeal that is ${from} can only move to: ${allowed.join(', ')}`
+      : `An appeal that is ${from} cannot change status`;
+  }
+  return null;
+}
+
+// The statuses an appeal passes through to get from one status to a later
+// one, in order: [] when it is already there, null when the status is behind
+// it. Analysis and review use this to catch an appeal up, e.g. an accepted
+// decision takes an analyzed appeal through in_review to decided.
+function forwardSteps(from, to) {
+  const start = APPEAL_STATUSES.indexOf(from);
+  const end = APPEAL_STATUSES.indexOf(to);
+  if (start === -1 || end < start) return null;
+  return APPEAL_STATUSES.slice(start + 1, end + 1);
+}
+
+// When an appeal received at receivedAt is due
+const slaDueAt = (receivedAt, urgency) =>
+  new Date(new Date(receivedAt).getTime() + (TURNAROUND_HOURS[urgency] || TURNAROUND_HOURS.standard) * HOUR_MS);
+
+// Where an appeal stands against its deadline. Open appeals are on_track,
+// at_risk once less than atRiskFraction of the turnaround time is left, or
+// overdue; decided and closed ones met or missed it.
+function slaStatus(appeal, { now = new Date(), atRiskFraction }) {
+  const urgency = appeal.urgency || 'standard';
+  const dueAt = slaDueAt(appeal.createdAt, urgency);
+  const turnaroundMs = (TURNAROUND_HOURS[urgency] || TURNAROUND_HOURS.standard) * HOUR_MS;
+  let state;
+  if (appeal.resolvedAt) {
+    state = new Date(appeal.resolvedAt) <= dueAt ? 'met' : 'missed';
+  } else if (now > dueAt) {
+    state = 'overdue';
+  } else if (dueAt - now < turnaroundMs * atRiskFraction) {
+    state = 'at_risk';
+  } else {
+    state = 'on_track';
+  }
+  return {
+    urgency,
+    dueAt: dueAt.toISOString(),
+    state,
+    // Negative once overdue; null when the clock has stopped
+    hoursRemaining: appeal.resolvedAt ? null : Math.round((dueAt - now) / HOUR_MS * 10) / 10,
+    escalatedAt: appeal.escalatedAt ? new Date(appeal.escalatedAt).toISOString() : null
+  };
+}
+
+module.exports = {
+  APPEAL_STATUSES,
+  MANUAL_STATUSES,
+  MANUAL_STATUS_PERMISSIONS,
+  OPEN_STATUSES,
+  URGENCY_TYPES,
+  TURNAROUND_HOURS,
+  transitionError,
+  forwardSteps,
+  slaDueAt,
+  slaStatus
+};
@@ -0,0 +1,23 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Google Gemini via the official SDK
+function createGeminiProvider({ apiKey, model = 'gemini-2.0-flash-lite' }) {
+  if (!apiKey) {
+    throw new Error('Gemini provider requires GOOGLE_API_KEY');
+  }
+
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const client = genAI.getGenerativeModel({ model });
+
+  return {
+    name: 'gemini',
+    model,
+    generate: async (prompt) => {
+      const result = await client.generateContent(prompt);
+      const response = await result.response;
+      return response.text();
+    }
+  };
+}
+
+module.exports = { createGeminiProvider };
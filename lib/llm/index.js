@@ -0,0 +1,39 @@
+const { createGeminiProvider } = require('./gemini');
+const { createOpenAICompatibleProvider } = require('./openaiCompatible');
+const { createMockProvider } = require('./mock');
+
+// LLM provider selection. Every provider exposes the same shape:
+//   { name, model, generate(prompt, { context }) -> Promise<string> }
+// where context is the structured clinical data behind the prompt.
+//
+// LLM_PROVIDER picks the provider explicitly (gemini | openai | mock). When it
+// is unset we use Gemini if GOOGLE_API_KEY is present and the mock otherwise,
+// so the server always starts without a key.
+
+function createProvider(env = process.env) {
+  const requested = (env.LLM_PROVIDER || (env.GOOGLE_API_KEY ? 'gemini' : 'mock')).toLowerCase();
+
+  switch (requested) {
+    case 'gemini':
+      return createGeminiProvider({
+        apiKey: env.GOOGLE_API_KEY,
+        model: env.GEMINI_MODEL || undefined
+      });
+    case 'openai':
+    case 'openai-compatible':
+    case 'ollama':
+    case 'vllm':
+      return createOpenAICompatibleProvider({
+        baseUrl: env.LLM_BASE_URL,
+        model: env.LLM_MODEL,
+        apiKey: env.LLM_API_KEY,
+        timeoutMs: env.LLM_TIMEOUT_MS ? parseInt(env.LLM_TIMEOUT_MS) : undefined
+      });
+    case 'mock':
+      return createMockProvider({ fixedResponse: env.LLM_MOCK_RESPONSE });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${requested}". Use gemini, openai or mock.`);
+  }
+}
+
+module.exports = { createProvider };
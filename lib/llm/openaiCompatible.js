@@ -0,0 +1,48 @@
+// Any server speaking the OpenAI chat completions API: a local Ollama
+// (http://localhost:11434/v1), vLLM, LM Studio or a hosted endpoint.
+function createOpenAICompatibleProvider({ baseUrl, model, apiKey, timeoutMs = 60000 }) {
+  if (!baseUrl) {
+    throw new Error('OpenAI-compatible provider requires LLM_BASE_URL');
+  }
+  if (!model) {
+    throw new Error('OpenAI-compatible provider requires LLM_MODEL');
+  }
+
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name: 'openai-compatible',
+    model,
+    generate: async (prompt) => {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers.Authorization = `Bearer ${apiKey}`;
+      }
+
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature: 0
+        }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      if (!response.ok) {
+        const body = await response.text();
+        throw new Error(`LLM endpoint returned ${response.status}: ${body.substring(0, 200)}`);
+      }
+
+      const data = await response.json();
+      const content = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+      if (typeof content !== 'string') {
+        throw new Error('LLM endpoint response did not include message content');
+      }
+      return content;
+    }
+  };
+}
+
+module.exports = { createOpenAICompatibleProvider };
@@ -0,0 +1,133 @@
+const Ajv = require('ajv');
+
+// Structured decision output from the LLM. Responses are parsed, validated
+// against DECISION_SCHEMA and, when invalid, sent back to the model with a
+// repair prompt listing the exact problems, up to a bounded number of retries.
+
+const DECISION_SCHEMA = {
+  type: 'object',
+  required: ['decision', 'confidence', 'rationale'],
+  properties: {
+    decision: { type: 'string', enum: ['APPROVE', 'REJECT', 'REVIEW'] },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    rationale: {
+      type: 'array',
+      minItems: 1,
+      items: { type: 'string', minLength: 1 }
+    },
+    key_factors: { type: 'array', items: { type: 'string' } },
+    recommendations: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateDecision = ajv.compile(DECISION_SCHEMA);
+
+// Try to extract JSON from AI text (strip markdown/code fences)
+function extractJSONFromText(t) {
+  if (!t || typeof t !== 'string') throw new SyntaxError('AI response is not text');
+  // Remove common markdown code fences
+  let cleaned = t.replace(/```\s*json\s*/gi, '');
+  cleaned = cleaned.replace(/```/g, '');
+  cleaned = cleaned.trim();
+
+  // Try to locate the first JSON object in the cleaned string
+  const firstBrace = cleaned.indexOf('{');
+  const lastBrace = cleaned.lastIndexOf('}');
+  if (firstBrace !== -1 && lastBrace !== -1 && lastBrace >= firstBrace) {
+    const candidate = cleaned.substring(firstBrace, lastBrace + 1);
+    try {
+      return JSON.parse(candidate);
+    } catch (e) {
+      // fallthrough to other heuristics
+    }
+  }
+
+  // Try to extract inside a ```json ... ``` block if present
+  const mdJson = t.match(/```json([\s\S]*?)```/i);
+  if (mdJson && mdJson[1]) {
+    const inner = mdJson[1].trim();
+    try { return JSON.parse(inner); } catch (e) {}
+  }
+
+  // As a last resort, throw with the raw text attached for debugging
+  const err = new SyntaxError('Unable to parse JSON from AI response');
+  err.raw = t;
+  throw err;
+}
+
+function formatSchemaErrors(errors) {
+  return errors.map(e => {
+    const location = e.instancePath ? e.instancePath.replace(/^\//, '').replace(/\//g, '.') : 'response';
+    if (e.keyword === 'enum') {
+      return `${location} must be one of ${e.params.allowedValues.join(', ')}`;
+    }
+    if (e.keyword === 'required') {
+      return `response is missing required field "${e.params.missingProperty}"`;
+    }
+    return `${location} ${e.message}`;
+  });
+}
+
+// Parse and validate one raw response. Returns { value } or { errors }.
+function parseDecision(raw) {
+  let value;
+  try {
+    value = extractJSONFromText(raw);
+  } catch (err) {
+    return { errors: ['response is not valid JSON'] };
+  }
+  if (!validateDecision(value)) {
+    return { errors: formatSchemaErrors(validateDecision.errors) };
+  }
+  return { value };
+}
+
+function buildRepairPrompt(originalPrompt, raw, errors) {
+  return `${originalPrompt}
+
+Your previous response could not be accepted because it failed validation:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Previous response:
+${String(raw).substring(0, 2000)}
+
+Respond again with ONLY a corrected JSON object that follows the requested format. Do not include any other text.`;
+}
+
+// Ask the provider for a decision, repairing invalid output up to maxRetries
+// times. onValidationFailure is called with ({ attempt, errors, raw }) for
+// every rejected response so callers can record metrics.
+async function generateStructuredDecision(llm, prompt, { context, maxRetries = 2, onValidationFailure } = {}) {
+  let currentPrompt = prompt;
+  let lastErrors = [];
+  let lastRaw = null;
+
+  for (let attempt = 1; attempt <= maxRetries + 1; attempt++) {
+    const raw = await llm.generate(currentPrompt, { context });
+    const { value, errors } = parseDecision(raw);
+    if (value) {
+      return { value, attempts: attempt, validationErrors: lastErrors };
+    }
+
+    lastErrors = errors;
+    lastRaw = raw;
+    if (onValidationFailure) {
+      onValidationFailure({ attempt, errors, raw });
+    }
+    currentPrompt = buildRepairPrompt(prompt, raw, errors);
+  }
+
+  const err = new Error(`LLM output failed schema validation after ${maxRetries + 1} attempts: ${lastErrors.join('; ')}`);
+  err.raw = lastRaw;
+  err.validationErrors = lastErrors;
+  throw err;
+}
+
+module.exports = {
+  DECISION_SCHEMA,
+  extractJSONFromText,
+  parseDecision,
+  buildRepairPrompt,
+  generateStructuredDecision
+};
@@ -0,0 +1,192 @@
+// Medication extraction and renal dose-safety checks. Drug names, classes
+// and alert thresholds come from clinical_guidelines.medication_classes; the
+// alert wording is the guidance text in clinical_guidelines.medication_adjustments.
+
+const { primaryMeaning } = require('./abbreviations');
+
+const SEVERITY_ORDER = ['contraindicated', 'avoid', 'dose_adjustment', 'reduced_efficacy', 'monitor'];
+
+const DOSE_PATTERN = /(\d+(?:,\d{3})*(?:\.\d+)?)\s*(mg|mcg|µg|g|units?|IU|mL)(?![\w/])/i;
+const ROUTE_ABBREVIATION = /\b(PO|IV|SC|SQ|IM)\b/;
+const ROUTE_WORD = /\b(orally|oral|by mouth|intravenous(?:ly)?|subcutaneous(?:ly)?|intramuscular(?:ly)?)\b/i;
+const FREQUENCY_ABBREVIATION = /\b(QD|OD|BID|TID|QID|QHS|QAM|QPM|PRN|TIW|q\d+h)\b/;
+const FREQUENCY_WORD = /\b((?:once|twice|three times|four times) (?:a |per )?(?:day|daily|week|weekly)|daily|nightly|at bedtime|weekly|monthly|every \d+ (?:hours|days|weeks)|every other (?:day|week)|as needed)\b/i;
+const STOPPED_BEFORE = /\b(discontinued|stopped|held|stop|off)\s+(?:taking\s+)?(?:the\s+)?$/i;
+const STOPPED_AFTER = /^[^.;\n]*?\b(discontinued|stopped|held)\b/i;
+
+// All-caps abbreviations such as ARB or ESA only match in capitals
+const isAbbreviation = term => /^[A-Z0-9]+i?$/.test(term);
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value ? value[key] : undefined), object);
+}
+
+// Longest names first so "insulin glargine" wins over "insulin"
+function buildTermIndex(kb) {
+  const classes = kb?.clinical_guidelines?.medication_classes || {};
+  const terms = [];
+  for (const [classKey, definition] of Object.entries(classes)) {
+    for (const drug of definition.drugs || []) terms.push({ term: drug, classKey, generic: false });
+    for (const term of definition.class_terms || []) terms.push({ term, classKey, generic: true });
+  }
+  terms.sort((a, b) => b.term.length - a.term.length);
+  return terms;
+}
+
+function details(window, abbreviations) {
+  const dose = window.match(DOSE_PATTERN);
+  const routeAbbreviation = window.match(ROUTE_ABBREVIATION);
+  const route = routeAbbreviation || window.match(ROUTE_WORD);
+  const frequencyAbbreviation = window.match(FREQUENCY_ABBREVIATION);
+  const frequency = frequencyAbbreviation || window.match(FREQUENCY_WORD);
+  return {
+    dose: dose ? `${dose[1]} ${dose[2]}` : null,
+    route: route ? route[1] : null,
+    routeDescription: routeAbbreviation ? primaryMeaning(abbreviations[routeAbbreviation[1]]) || null : null,
+    frequency: frequency ? frequency[1] : null,
+    frequencyDescription: frequencyAbbreviation ? primaryMeaning(abbreviations[frequencyAbbreviation[1].toUpperCase()]) || null : null
+  };
+}
+
+// One entry per drug with dose, route and frequency from the text that
+// follows its mention on the same line, up to the next drug named
+function extractMedications(text, kb) {
+  if (!text) return [];
+  const terms = buildTermIndex(kb);
+  if (terms.length === 0) return [];
+  const classes = kb.clinical_guidelines.medication_classes;
+  const abbreviations = kb?.terminology?.abbreviations || {};
+
+  const pattern = new RegExp(`\\b(${terms.map(t => escapeRegex(t.term)).join('|')})\\b`, 'gi');
+  const mentions = [];
+  let m;
+  while ((m = pattern.exec(text)) !== null) {
+    const entry = terms.find(t => t.term.toLowerCase() === m[1].toLowerCase());
+    if (isAbbreviation(entry.term) && m[1] !== entry.term) continue;
+    mentions.push({ ...entry, matched: m[1], start: m.index, end: m.index + m[1].length });
+  }
+
+  const byDrug = new Map();
+  mentions.forEach((mention, i) => {
+    const lineEnd = text.indexOf('\n', mention.end);
+    const next = mentions[i + 1];
+    const windowEnd = Math.min(
+      lineEnd === -1 ? text.length : lineEnd,
+      next ? next.start : text.length,
+      mention.end + 80
+    );
+    const window = text.substring(mention.end, windowEnd);
+    const lineStart = text.lastIndexOf('\n', mention.start - 1) + 1;
+    const before = text.substring(Math.max(lineStart, mention.start - 40), mention.start);
+    const found = details(window, abbreviations);
+    const status = STOPPED_BEFORE.test(before) || STOPPED_AFTER.test(window) ? 'discontinued' : 'active';
+
+    const key = mention.term.toLowerCase();
+    const existing = byDrug.get(key);
+    if (!existing) {
+      byDrug.set(key, {
+        drug: mention.generic ? mention.term : mention.term.toLowerCase(),
+        classKey: mention.classKey,
+        className: classes[mention.classKey].name,
+        generic: mention.generic,
+        ...found,
+        status,
+        mentions: 1,
+        index: mention.start,
+        end: mention.end
+      });
+      return;
+    }
+    // Later mentions fill in missing details; the latest mention sets the status
+    for (const field of Object.keys(found)) {
+      if (!existing[field] && found[field]) existing[field] = found[field];
+    }
+    existing.status = status;
+    existing.mentions++;
+  });
+
+  return Array.from(byDrug.values()).sort((a, b) => a.index - b.index);
+}
+
+// Class of a coded medication's name ("Lisinopril 10 MG Oral Tablet"): the
+// longest drug or class term it contains, matched as extractMedications does
+function classifyMedication(kb, name) {
+  const classes = kb?.clinical_guidelines?.medication_classes || {};
+  for (const entry of buildTermIndex(kb)) {
+    const pattern = new RegExp(`\\b${escapeRegex(entry.term)}\\b`, isAbbreviation(entry.term) ? '' : 'i');
+    if (pattern.test(name)) {
+      return {
+        drug: entry.generic ? entry.term : entry.term.toLowerCase(),
+        classKey: entry.classKey,
+        className: classes[entry.classKey].name,
+        generic: entry.generic
+      };
+    }
+  }
+  return null;
+}
+
+function describeMedication(medication) {
+  return [medication.drug, medication.dose, medication.route, medication.frequency].filter(Boolean).join(' ');
+}
+
+// Alerts for active medications whose class has a rule matching the
+// patient's eGFR (or eGFR decline) in the knowledge base
+function checkRenalDosing(kb, medications = [], clinicalData = {}) {
+  const classes = kb?.clinical_guidelines?.medication_classes || {};
+  const adjustments = kb?.clinical_guidelines?.medication_adjustments || {};
+  const gfr = typeof clinicalData.gfr === 'number' ? clinicalData.gfr : null;
+  const decline = clinicalData.gfrTrend && clinicalData.gfrTrend.sufficientData ? clinicalData.gfrTrend.percentDecline : null;
+  const gfrLabel = clinicalData.gfrSource === 'calculated' ? `calculated eGFR ${gfr}` : `eGFR ${gfr}`;
+
+  const alerts = [];
+  for (const medication of medications) {
+    if (medication.status === 'discontinued') continue;
+    for (const alert of (classes[medication.classKey] || {}).alerts || []) {
+      const basis = [];
+      if (alert.gfr_below !== undefined || alert.gfr_min !== undefined) {
+        if (gfr === null) continue;
+        if (alert.gfr_below !== undefined && !(gfr < alert.gfr_below)) continue;
+        if (alert.gfr_min !== undefined && !(gfr >= alert.gfr_min)) continue;
+        basis.push(gfrLabel);
+      }
+      if (alert.gfr_decline_percent_at_least !== undefined) {
+        if (decline === null || decline < alert.gfr_decline_percent_at_least) continue;
+        basis.push(`eGFR declined ${decline}%`);
+      }
+      if (basis.length === 0) continue;
+
+      const guidance = getPath(adjustments, alert.guidance) || alert.guidance;
+      alerts.push({
+        drug: medication.drug,
+        medication: describeMedication(medication),
+        className: medication.className,
+        severity: alert.severity,
+        guidance,
+        basis: basis.join('; '),
+        message: `${describeMedication(medication)} at ${basis.join('; ')}: ${alert.severity.replace(/_/g, ' ')}. Guideline: ${guidance}`
+      });
+    }
+  }
+  return alerts.sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity));
+}
+
+// Documented ACE inhibitor / ARB / SGLT2 inhibitor / ESA therapy is the
+// evidence of optimal management the appeal criteria refer to
+function summarizeOptimalManagement(kb, medications = []) {
+  const classes = kb?.clinical_guidelines?.medication_classes || {};
+  const therapies = medications
+    .filter(m => m.status !== 'discontinued' && classes[m.classKey] && classes[m.classKey].optimal_management)
+    .map(m => ({ drug: m.drug, className: m.className }));
+  return {
+    documented: therapies.length > 0,
+    classes: Array.from(new Set(therapies.map(t => t.className))),
+    therapies
+  };
+}
+
+module.exports = { SEVERITY_ORDER, extractMedications, classifyMedication, describeMedication, checkRenalDosing, summarizeOptimalManagement };
@@ -0,0 +1,150 @@
+const { Op } = require('sequelize');
+
+// In-memory stand-in for a Sequelize model. Mirrors the subset of the model
+// API the routes use (create/findAll/findOne/findByPk/count/destroy and the
+// instance update/destroy/toJSON methods) so handlers work unchanged when no
+// database is reachable.
+
+// Compare a single stored value against a where-clause condition, supporting
+// plain equality, arrays (IN) and the Sequelize operators we rely on.
+function matchesCondition(value, condition) {
+  if (Array.isArray(condition)) {
+    return condition.some(c => matchesCondition(value, c));
+  }
+  if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+    const ops = Object.getOwnPropertySymbols(condition);
+    if (ops.length > 0) {
+      return ops.every(op => {
+        const expected = condition[op];
+        switch (op) {
+          case Op.eq: return matchesCondition(value, expected);
+          case Op.ne: return !matchesCondition(value, expected);
+          case Op.in: return expected.some(e => matchesCondition(value, e));
+          case Op.notIn: return !expected.some(e => matchesCondition(value, e));
+          case Op.gt: return value != null && value > expected;
+          case Op.gte: return value != null && value >= expected;
+          case Op.lt: return value != null && value < expected;
+          case Op.lte: return value != null && value <= expected;
+          case Op.is: return value === expected || (expected === null && value === undefined);
+          case Op.not: return !(value === expected || (expected === null && value === undefined));
+          default:
+            throw new Error(`Unsupported operator in in-memory store: ${String(op)}`);
+        }
+      });
+    }
+  }
+  if (value instanceof Date || condition instanceof Date) {
+    return new Date(value).getTime() === new Date(condition).getTime();
+  }
+  if (condition === null) {
+    return value === null || value === undefined;
+  }
+  // Loose comparison so numeric ids from route params still match
+  return value == condition;
+}
+
+function matchesWhere(record, where) {
+  if (!where) return true;
+  return Object.entries(where).every(([key, condition]) => matchesCondition(record[key], condition));
+}
+
+function compareBy(order) {
+  return (a, b) => {
+    for (const [field, direction = 'ASC'] of order) {
+      const av = a[field] instanceof Date ? a[field].getTime() : a[field];
+      const bv = b[field] instanceof Date ? b[field].getTime() : b[field];
+      if (av === bv) continue;
+      if (av === null || av === undefined) return 1;
+      if (bv === null || bv === undefined) return -1;
+      const cmp = av > bv ? 1 : -1;
+      return String(direction).toUpperCase() === 'DESC' ? -cmp : cmp;
+    }
+    return 0;
+  };
+}
+
+function createInMemoryModel(name, { defaults = {} } = {}) {
+  const store = new Map();
+  let idSeq = 1;
+
+  function snapshot(record) {
+    const plain = {};
+    for (const [key, value] of Object.entries(record)) {
+      if (typeof value !== 'function') plain[key] = value;
+    }
+    return plain;
+  }
+
+  function hydrate(data) {
+    const record = { ...data };
+    // instance methods expected by the handlers
+    Object.defineProperties(record, {
+      update: {
+        value: async function (upd) {
+          for (const [key, value] of Object.entries(upd)) {
+            if (value !== undefined) this[key] = value;
+          }
+          this.updatedAt = new Date();
+          store.set(this.id, this);
+          return this;
+        }
+      },
+      destroy: {
+        value: async function () {
+          store.delete(this.id);
+        }
+      },
+      toJSON: {
+        value: function () {
+          return snapshot(this);
+        }
+      },
+      get: {
+        value: function (key) {
+          return typeof key === 'string' ? this[key] : snapshot(this);
+        }
+      }
+    });
+    return record;
+  }
+
+  function select({ where, order, limit, offset } = {}) {
+    let rows = Array.from(store.values()).filter(r => matchesWhere(r, where));
+    rows.sort(compareBy(order && order.length ? order : [['createdAt', 'ASC'], ['id', 'ASC']]));
+    if (offset) rows = rows.slice(offset);
+    if (limit) rows = rows.slice(0, limit);
+    return rows;
+  }
+
+  return {
+    name,
+    create: async (data) => {
+      const id = idSeq++;
+      const now = new Date();
+      const resolvedDefaults = {};
+      for (const [key, value] of Object.entries(defaults)) {
+        resolvedDefaults[key] = typeof value === 'function' ? value() : value;
+      }
+      const record = hydrate({
+        ...resolvedDefaults,
+        ...Object.fromEntries(Object.entries(data).filter(([, v]) => v !== undefined)),
+        id,
+        createdAt: now,
+        updatedAt: now
+      });
+      store.set(id, record);
+      return record;
+    },
+    findAll: async (opts) => select(opts),
+    findOne: async (opts) => select(opts)[0] || null,
+    findByPk: async (id) => store.get(Number(id)) || null,
+    count: async (opts) => select(opts).length,
+    destroy: async ({ where } = {}) => {
+      const rows = select({ where });
+      rows.forEach(r => store.delete(r.id));
+      return rows.length;
+    }
+  };
+}
+
+module.exports = { createInMemoryModel, matchesWhere };
@@ -0,0 +1,187 @@
+// Merge the findings of every document in an appeal packet (denial letter,
+// lab reports, nephrology notes, letter of medical necessity) into one set.
+// Every observation keeps the document it came from, and values that
+// disagree between documents are returned as conflicts.
+
+const { yearsBetween } = require('./demographics');
+
+// Citations from a merged document also name the document
+const citedIn = (citation, source) => (citation ? { ...citation, ...source } : null);
+
+const sameValue = (a, b) => (typeof a === 'number' && typeof b === 'number'
+  ? Math.round(a * 10) === Math.round(b * 10)
+  : a === b);
+
+// Findings as stored on an older document's clinicalData. Calculated eGFR is
+// dropped because it is re-estimated from the merged creatinine results.
+function findingsFromClinicalData(clinicalData = {}) {
+  const labSeries = {};
+  for (const [lab, observations] of Object.entries(clinicalData.labSeries || {})) {
+    labSeries[lab] = (observations || []).filter(o => !o.calculated);
+  }
+  return {
+    labSeries,
+    demographics: clinicalData.demographics || {
+      age: typeof clinicalData.age === 'number' ? clinicalData.age : null,
+      ageSource: typeof clinicalData.age === 'number' ? 'stated' : null,
+      dateOfBirth: null,
+      sex: clinicalData.sex || null
+    },
+    diabetes: clinicalData.diabetes === true ? true : null,
+    diabetesCitation: clinicalData.diabetesCitation || null,
+    complications: clinicalData.complications || [],
+    medications: clinicalData.medications || [],
+    problems: clinicalData.problems || []
+  };
+}
+
+function mergeLabSeries(documents, conflicts) {
+  const merged = {};
+  for (const { source, findings } of documents) {
+    for (const [lab, observations] of Object.entries(findings.labSeries || {})) {
+      merged[lab] = merged[lab] || [];
+      for (const observation of observations) {
+        const sameDate = observation.date
+          ? merged[lab].filter(o => o.date === observation.date)
+          : [];
+        if (sameDate.some(o => sameValue(o.value, observation.value))) continue;
+
+        // Same lab, same date, different value, reported by another document
+        const disagreeing = sameDate.filter(o => o.source.documentId !== source.documentId);
+        if (disagreeing.length > 0) {
+          const existing = conflicts.find(c => c.field === lab && c.date === observation.date);
+          const entry = { value: observation.value, ...source, citation: citedIn(observation.citation, source) };
+          if (existing) {
+            existing.values.push(entry);
+          } else {
+            conflicts.push({
+              field: lab,
+              date: observation.date,
+              values: [...disagreeing.map(o => ({ value: o.value, ...o.source, citation: o.citation })), entry]
+            });
+          }
+        }
+        merged[lab].push({ ...observation, source, citation: citedIn(observation.citation, source) });
+      }
+    }
+  }
+
+  for (const lab of Object.keys(merged)) {
+    merged[lab].sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+  }
+  return merged;
+}
+
+// A stated age is only comparable at the date it was stated, so the highest
+// (most recent) one is used and differing ages are not treated as conflicts
+function mergeDemographics(documents, conflicts, referenceDate) {
+  const citations = {};
+  const cite = (field, document) => {
+    const citation = ((document.findings.demographics || {}).citations || {})[field];
+    if (citation) citations[field] = citedIn(citation, document.source);
+  };
+  const pick = (field) => {
+    const withValue = documents.filter(d => d.findings.demographics && d.findings.demographics[field]);
+    const values = withValue.map(d => ({ value: d.findings.demographics[field], ...d.source }));
+    const distinct = values.filter((v, i) => values.findIndex(o => o.value === v.value) === i);
+    if (distinct.length > 1) {
+      conflicts.push({ field, date: null, values: distinct });
+    }
+    if (withValue.length) cite(field, withValue[0]);
+    return values.length ? values[0].value : null;
+  };
+
+  const sex = pick('sex');
+  const dateOfBirth = pick('dateOfBirth');
+  if (dateOfBirth) {
+    return { age: yearsBetween(dateOfBirth, referenceDate), ageSource: 'date_of_birth', dateOfBirth, sex, citations };
+  }
+  const stated = documents.filter(d => d.findings.demographics && typeof d.findings.demographics.age === 'number');
+  const oldest = stated.reduce((best, d) => (!best || d.findings.demographics.age > best.findings.demographics.age ? d : best), null);
+  if (oldest) cite('age', oldest);
+  return {
+    age: oldest ? oldest.findings.demographics.age : null,
+    ageSource: oldest ? 'stated' : null,
+    dateOfBirth: null,
+    sex,
+    citations
+  };
+}
+
+// Later documents update the status and fill in missing details
+function mergeMedications(documents) {
+  const byDrug = new Map();
+  for (const { source, findings } of documents) {
+    for (const medication of findings.medications || []) {
+      const key = medication.drug.toLowerCase();
+      const existing = byDrug.get(key);
+      if (!existing) {
+        byDrug.set(key, { ...medication, citation: citedIn(medication.citation, source), sources: [source] });
+        continue;
+      }
+      for (const field of ['dose', 'route', 'routeDescription', 'frequency', 'frequencyDescription']) {
+        if (!existing[field] && medication[field]) existing[field] = medication[field];
+      }
+      existing.status = medication.status;
+      existing.mentions += medication.mentions;
+      existing.sources.push(source);
+    }
+  }
+  return Array.from(byDrug.values());
+}
+
+// documents: [{ documentId, filename, findings }] in upload order
+function mergeFindings(documents) {
+  const tagged = documents.map(d => ({
+    source: { documentId: d.documentId, filename: d.filename },
+    findings: d.findings
+  }));
+  const conflicts = [];
+
+  const labSeries = mergeLabSeries(tagged, conflicts);
+  const dates = Object.values(labSeries).flat().map(o => o.date).filter(Boolean).sort();
+  const referenceDate = dates.length ? dates[dates.length - 1] : new Date().toISOString().substring(0, 10);
+
+  const complications = [];
+  for (const { source, findings } of tagged) {
+    for (const complication of findings.complications || []) {
+      if (!complications.some(c => c.name === complication.name)) {
+        complications.push({ ...complication, citation: citedIn(complication.citation, source) });
+      }
+    }
+  }
+  const diabetic = tagged.find(d => d.findings.diabetes === true);
+
+  // Coded problems (C-CDA) once per code, or per name when uncoded
+  const problems = [];
+  for (const { source, findings } of tagged) {
+    for (const problem of findings.problems || []) {
+      const key = problem.code || problem.name;
+      if (!problems.some(p => (p.code || p.name) === key)) {
+        problems.push({ ...problem, citation: citedIn(problem.citation, source) });
+      }
+    }
+  }
+
+  return {
+    findings: {
+      labSeries,
+      demographics: mergeDemographics(tagged, conflicts, referenceDate),
+      diabetes: diabetic ? true : null,
+      diabetesCitation: diabetic ? citedIn(diabetic.findings.diabetesCitation, diabetic.source) : null,
+      complications,
+      medications: mergeMedications(tagged),
+      problems
+    },
+    conflicts: conflicts.map(c => ({ ...c, description: describeConflict(c) }))
+  };
+}
+
+// "gfr on 2024-01-05: 14 (labs.pdf) vs 16 (letter.pdf)"; sourceName names
+// each value's document
+function describeConflict(conflict, sourceName = source => source.filename) {
+  const values = conflict.values.map(v => `${v.value} (${sourceName(v)})`).join(' vs ');
+  return `${conflict.field}${conflict.date ? ` on ${conflict.date}` : ''}: ${values}`;
+}
+
+module.exports = { findingsFromClinicalData, mergeFindings, describeConflict };
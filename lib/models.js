@@ -0,0 +1,494 @@
+const { DataTypes } = require('sequelize');
+const { createInMemoryModel } = require('./memoryStore');
+
+// Appeal persistence. An Appeal groups the documents uploaded for one case
+// and every decision generated against them, so reviewers can come back to
+// their work instead of re-uploading after each page refresh.
+
+// Columns holding PHI: what staff entered about the patient, and what was
+// read from the documents, directly or in snippets, quotes and text
+// generated from them. They are encrypted when a cipher is given, and purged
+// or anonymized by the retention policy (see retention.js).
+const PHI_FIELDS = {
+  Appeal: ['reference', 'patientName', 'notes'],
+  AppealDocument: ['content', 'extractedText', 'structuredData', 'chunks', 'expandedData', 'clinicalData'],
+  AppealDecision: ['rationale', 'evidence', 'keyFactors', 'recommendations', 'clinicalData', 'verdicts', 'compliance', 'deidentification']
+};
+
+// Getter and setter that keep an attribute encrypted in the database (see
+// fieldEncryption.js); without a cipher values are stored as given
+function encryptedAttribute(cipher, name, encrypt, decrypt) {
+  if (!cipher) return {};
+  return {
+    get() {
+      return cipher[decrypt](this.getDataValue(name));
+    },
+    set(value) {
+      this.setDataValue(name, cipher[encrypt](value));
+    }
+  };
+}
+
+function defineModels(sequelize, { cipher = null } = {}) {
+  const Appeal = sequelize.define('Appeal', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    // TEXT rather than STRING so the encrypted value always fits
+    reference: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      ...encryptedAttribute(cipher, 'reference', 'encryptText', 'decryptText')
+    },
+    patientName: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      ...encryptedAttribute(cipher, 'patientName', 'encryptText', 'decryptText')
+    },
+    notes: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      ...encryptedAttribute(cipher, 'notes', 'encryptText', 'decryptText')
+    },
+    // Lifecycle status; see lib/lifecycle.js
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'received'
+    },
+    // standard or expedited, which sets the turnaround deadline
+    urgency: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: 'standard'
+    },
+    // When the appeal was decided or closed, stopping the turnaround clock
+    resolvedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // When a missed deadline was escalated
+    escalatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    latestDecision: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Decision a human review settled on for the latest AI decision
+    finalDecision: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    // Reviewer the appeal is assigned to
+    assignedTo: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    assignedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Condition pack the appeal is processed with, and how it was chosen
+    conditionPack: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    conditionDetection: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    // Set when the retention policy has purged or anonymized the appeal's
+    // PHI, after its documents and decisions: { action, at, periodDays }
+    retention: {
+      type: DataTypes.JSON,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'appeals'
+  });
+
+  const AppealDocument = sequelize.define('AppealDocument', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    appealId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    filename: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    mimeType: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    fileSize: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // The uploaded file, its text and everything read from it are PHI and
+    // are encrypted when a cipher is given
+    content: {
+      type: DataTypes.BLOB,
+      allowNull: true,
+      ...encryptedAttribute(cipher, 'content', 'encryptBuffer', 'decryptBuffer')
+    },
+    extractedText: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      ...encryptedAttribute(cipher, 'extractedText', 'encryptText', 'decryptText')
+    },
+    // Offset into extractedText at which each PDF page starts
+    pageStarts: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    // Engine, per-page confidence and low-confidence pages when any page
+    // was read with OCR
+    ocr: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    // Results, problems and medications read from a C-CDA document's coded
+    // entries, each with the span of its line in extractedText
+    structuredData: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      ...encryptedAttribute(cipher, 'structuredData', 'encryptJson', 'decryptJson')
+    },
+    // extractedText split into overlapping passages for retrieval
+    chunks: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      ...encryptedAttribute(cipher, 'chunks', 'encryptJson', 'decryptJson')
+    },
+    expandedData: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      ...encryptedAttribute(cipher, 'expandedData', 'encryptJson', 'decryptJson')
+    },
+    clinicalData: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      ...encryptedAttribute(cipher, 'clinicalData', 'encryptJson', 'decryptJson')
+    },
+    // Set when the retention policy has purged or anonymized the document:
+    // { action, at, periodDays }
+    retention: {
+      type: DataTypes.JSON,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'appeal_documents'
+  });
+
+  const AppealDecision = sequelize.define('AppealDecision', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    appealId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    documentId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    decision: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    confidence: {
+      type: DataTypes.FLOAT,
+      allowNull: true
+    },
+    // The rationale, evidence, findings and verdicts quote the documents and
+    // are encrypted as they are
+    rationale: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      ...encryptedAttribute(cipher, 'rationale', 'encryptJson', 'decryptJson')
+    },
+    // Evidence ids behind each rationale item
+    rationaleCitations: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    evidence: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      ...encryptedAttribute(cipher, 'evidence', 'encryptJson', 'decryptJson')
+    },
+    keyFactors: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      ...encryptedAttribute(cipher, 'keyFactors', 'encryptJson', 'decryptJson')
+    },
+    recommendations: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      ...encryptedAttribute(cipher, 'recommendations', 'encryptJson', 'decryptJson')
+    },
+    aiModel: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    aiProvider: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    clinicalData: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      ...encryptedAttribute(cipher, 'clinicalData', 'encryptJson', 'decryptJson')
+    },
+    extractedTextLength: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    verdicts: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      ...encryptedAttribute(cipher, 'verdicts', 'encryptJson', 'decryptJson')
+    },
+    reconciliation: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    compliance: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      ...encryptedAttribute(cipher, 'compliance', 'encryptJson', 'decryptJson')
+    },
+    // Condition pack and knowledge base version the decision was made against
+    conditionPack: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    knowledgeBaseVersion: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // De-identification mode and placeholders of the provider call
+    deidentification: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      ...encryptedAttribute(cipher, 'deidentification', 'encryptJson', 'decryptJson')
+    },
+    // Human review (see review.js) and the decision it settled on
+    humanDecision: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    review: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    // Set when the retention policy has purged or anonymized the decision's
+    // PHI: { action, at, periodDays }
+    retention: {
+      type: DataTypes.JSON,
+      allowNull: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'appeal_decisions'
+  });
+
+  Appeal.hasMany(AppealDocument, { as: 'documents', foreignKey: 'appealId', onDelete: 'CASCADE' });
+  AppealDocument.belongsTo(Appeal, { foreignKey: 'appealId' });
+  Appeal.hasMany(AppealDecision, { as: 'decisions', foreignKey: 'appealId', onDelete: 'CASCADE' });
+  AppealDecision.belongsTo(Appeal, { foreignKey: 'appealId' });
+
+  // Hash-chained audit trail (see auditLog.js). Rows are never updated or
+  // deleted; the hooks below reject any attempt to do so through the model.
+  const AuditEntry = sequelize.define('AuditEntry', {
+    sequence: {
+      type: DataTypes.INTEGER,
+      primaryKey: true
+    },
+    timestamp: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    action: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    appealId: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    actor: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    details: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    previousHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    }
+  }, {
+    timestamps: false,
+    tableName: 'audit_log',
+    hooks: {
+      beforeUpdate: () => { throw new Error('Audit entries are append-only'); },
+      beforeBulkUpdate: () => { throw new Error('Audit entries are append-only'); },
+      beforeDestroy: () => { throw new Error('Audit entries are append-only'); },
+      beforeBulkDestroy: () => { throw new Error('Audit entries are append-only'); }
+    }
+  });
+
+  // The latest audit entry's sequence and hash, kept apart from the log so
+  // that entries removed from its end are noticed (see auditLog.js). One row.
+  const AuditHead = sequelize.define('AuditHead', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true
+    },
+    sequence: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    hash: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    }
+  }, {
+    tableName: 'audit_head'
+  });
+
+  // Knowledge base history (see knowledgeBase.js), numbered per condition
+  // pack. Each row is a complete, immutable version; changes and rollbacks
+  // only ever add rows.
+  const KnowledgeBaseVersion = sequelize.define('KnowledgeBaseVersion', {
+    // Rows from before condition packs belong to the CKD pack
+    pack: {
+      type: DataTypes.STRING,
+      primaryKey: true,
+      defaultValue: 'ckd'
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      primaryKey: true
+    },
+    createdAt: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    author: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    message: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    rollbackOf: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    // Taken from the pack's shipped knowledge-base.json
+    seeded: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    diff: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    content: {
+      type: DataTypes.JSON,
+      allowNull: false
+    }
+  }, {
+    timestamps: false,
+    tableName: 'knowledge_base_versions',
+    hooks: {
+      beforeUpdate: () => { throw new Error('Knowledge base versions are immutable'); },
+      beforeBulkUpdate: () => { throw new Error('Knowledge base versions are immutable'); },
+      beforeDestroy: () => { throw new Error('Knowledge base versions are immutable'); },
+      beforeBulkDestroy: () => { throw new Error('Knowledge base versions are immutable'); }
+    }
+  });
+
+  // Local accounts for POST /auth/login. Users of an OpenID Connect
+  // provider are not stored; their roles come with their tokens.
+  const User = sequelize.define('User', {
+    id: {
+      type: DataTypes.INTEGER,
+      autoIncrement: true,
+      primaryKey: true
+    },
+    username: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      unique: true
+    },
+    name: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    passwordHash: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    roles: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: []
+    },
+    active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    timestamps: true,
+    tableName: 'users'
+  });
+
+  return { Appeal, AppealDocument, AppealDecision, AuditEntry, AuditHead, KnowledgeBaseVersion, User };
+}
+
+// Same appeal and user models as defineModels, backed by process memory.
+// The audit trail and knowledge base history have no in-memory model; they
+// fall back to JSONL files instead.
+function createInMemoryModels() {
+  return {
+    Appeal: createInMemoryModel('Appeal', {
+      defaults: { reference: null, patientName: null, notes: null, status: 'received', urgency: 'standard', resolvedAt: null, escalatedAt: null, latestDecision: null, finalDecision: null, assignedTo: null, assignedAt: null, conditionPack: null, conditionDetection: null, retention: null }
+    }),
+    AppealDocument: createInMemoryModel('AppealDocument', {
+      defaults: { mimeType: null, fileSize: null, content: null, extractedText: null, pageStarts: null, ocr: null, structuredData: null, chunks: null, expandedData: null, clinicalData: null, retention: null }
+    }),
+    AppealDecision: createInMemoryModel('AppealDecision', {
+      defaults: { documentId: null, confidence: null, rationale: null, rationaleCitations: null, evidence: null, keyFactors: null, recommendations: null, aiModel: null, aiProvider: null, clinicalData: null, extractedTextLength: null, verdicts: null, reconciliation: null, compliance: null, conditionPack: null, knowledgeBaseVersion: null, deidentification: null, humanDecision: null, review: null, retention: null }
+    }),
+    User: createInMemoryModel('User', {
+      defaults: { name: null, roles: () => [], active: true }
+    })
+  };
+}
+
+module.exports = { PHI_FIELDS, defineModels, createInMemoryModels };
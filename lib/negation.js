@@ -0,0 +1,40 @@
+// Negation of phrases found in free text, in the manner of NegEx: a match
+// is negated when a cue such as "no", "denies" or "without" comes shortly
+// before it in the same sentence ("no reversible causes identified"), or a
+// cue such as "ruled out" shortly after it ("pre-renal azotemia was ruled
+// out"). "but", "however" and the end of the sentence close a cue's scope.
+
+// How many words before or after a match a cue reaches
+const SCOPE_WORDS = 5;
+
+const PRE_CUES = /\b(no|not|denies|denied|deny|without|never|none|negative for|free of|absence of|absent|ruled out|rules out|rule out|r\/o|no evidence of|no signs? of|no history of|unlikely)\b/i;
+const POST_CUES = /^\W*(?:\w+\W+){0,3}?(ruled out|excluded|not (?:present|found|seen|identified)|absent|unlikely|negative)\b/i;
+const SCOPE_ENDS = /[.;:!?\n]|\b(but|however|although|except)\b/gi;
+
+// The words before a match, back to the start of its sentence or clause
+function clauseBefore(text, start) {
+  const before = text.substring(Math.max(0, start - 200), start);
+  let from = 0;
+  for (const end of before.matchAll(SCOPE_ENDS)) from = end.index + end[0].length;
+  return before.substring(from).split(/\s+/).filter(Boolean).slice(-SCOPE_WORDS).join(' ');
+}
+
+function clauseAfter(text, end) {
+  const after = text.substring(end, end + 200);
+  const stop = after.search(SCOPE_ENDS);
+  return (stop === -1 ? after : after.substring(0, stop)).split(/\s+/).filter(Boolean).slice(0, SCOPE_WORDS + 1).join(' ');
+}
+
+function isNegated(text, start, end) {
+  return PRE_CUES.test(clauseBefore(text, start)) || POST_CUES.test(clauseAfter(text, end));
+}
+
+// Matches of pattern in text that are not negated
+function affirmedMatches(text, pattern) {
+  if (typeof text !== 'string' || !text) return [];
+  const flags = pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`;
+  return Array.from(text.matchAll(new RegExp(pattern.source, flags)))
+    .filter(match => match[0] && !isNegated(text, match.index, match.index + match[0].length));
+}
+
+module.exports = { isNegated, affirmedMatches };
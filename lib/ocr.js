@@ -0,0 +1,123 @@
+const os = require('os');
+const path = require('path');
+const { createWorker } = require('tesseract.js');
+// The pdf.js build pdf-parse itself uses, opened separately to read the
+// images on pages without a text layer
+const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+
+// Local OCR for scanned records: image uploads and PDF pages that have no
+// text layer (faxes, scans) are read with tesseract.js. Each page's mean
+// word confidence (0-100) is kept so reviewers can check pages the engine
+// was unsure of against the original.
+
+const IMAGE_MIME_TYPES = ['image/png', 'image/jpeg', 'image/tiff'];
+
+// ImageKind values in pdf.js
+const GRAYSCALE_1BPP = 1;
+const RGB_24BPP = 2;
+const RGBA_32BPP = 3;
+
+// Decoded pdf.js image as a binary PGM, which tesseract reads directly
+function toPgm({ width, height, kind, data }) {
+  const header = Buffer.from(`P5\n${width} ${height}\n255\n`);
+  const pixels = Buffer.alloc(width * height);
+  if (kind === GRAYSCALE_1BPP) {
+    // Rows are padded to whole bytes; a set bit is white
+    const rowBytes = (width + 7) >> 3;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const bit = (data[y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+        pixels[y * width + x] = bit ? 255 : 0;
+      }
+    }
+  } else {
+    const channels = kind === RGBA_32BPP ? 4 : 3;
+    for (let i = 0; i < width * height; i++) {
+      const o = i * channels;
+      pixels[i] = Math.round(0.299 * data[o] + 0.587 * data[o + 1] + 0.114 * data[o + 2]);
+    }
+  }
+  return Buffer.concat([header, pixels]);
+}
+
+// The largest image on each of the given pages (0-based), as PGM. A scanned
+// page is one full-page image; pages without images are left out.
+async function pdfPageImages(buffer, pageIndexes) {
+  PDFJS.disableWorker = true;
+  // JPEG decoding normally needs a browser Image; decode every image in pdf.js
+  const doc = await PDFJS.getDocument({ data: new Uint8Array(buffer), nativeImageDecoderSupport: 'none' });
+  const images = new Map();
+  try {
+    for (const index of pageIndexes) {
+      const page = await doc.getPage(index + 1);
+      const operators = await page.getOperatorList();
+      let largest = null;
+      for (let i = 0; i < operators.fnArray.length; i++) {
+        if (operators.fnArray[i] !== PDFJS.OPS.paintImageXObject) continue;
+        const image = await new Promise(resolve => page.objs.get(operators.argsArray[i][0], resolve));
+        if (![GRAYSCALE_1BPP, RGB_24BPP, RGBA_32BPP].includes(image.kind)) continue;
+        if (!largest || image.width * image.height > largest.width * largest.height) largest = image;
+      }
+      if (largest) images.set(index, toPgm(largest));
+    }
+  } finally {
+    doc.destroy();
+  }
+  return images;
+}
+
+// One tesseract worker, started on first use and shared by every upload.
+// Recognition is serialized, since a worker reads one image at a time.
+function createOcrEngine({ lang = 'eng', langPath, cachePath = path.join(os.tmpdir(), 'tesseract') } = {}) {
+  let worker = null;
+  let tail = Promise.resolve();
+
+  function getWorker() {
+    if (!worker) {
+      // When language data cannot be loaded tesseract.js reports it only to
+      // errorHandler (rethrowing without one) and never settles createWorker
+      let failStart;
+      const startFailed = new Promise((resolve, reject) => { failStart = reject; });
+      // Later job errors also reach errorHandler; they reject their own job
+      startFailed.catch(() => {});
+      const errorHandler = err => failStart(new Error(`OCR engine failed to start: ${err}`));
+      worker = Promise.race([
+        createWorker(lang, 1, { ...(langPath ? { langPath } : {}), cachePath, errorHandler }),
+        startFailed
+      ]);
+      // A failed start (e.g. missing language data) is retried on the next call
+      worker.catch(() => { worker = null; });
+    }
+    return worker;
+  }
+
+  function recognize(image) {
+    const run = tail.then(async () => {
+      const { data } = await (await getWorker()).recognize(image);
+      return { text: data.text || '', confidence: Math.round(data.confidence) };
+    });
+    tail = run.catch(() => {});
+    return run;
+  }
+
+  return { engine: 'tesseract', lang, recognize };
+}
+
+// Per-document OCR summary stored with the document. Pages below
+// minConfidence, or that could not be read, are listed for review.
+function summarizeOcr(ocr, ocrPages, minConfidence) {
+  if (!ocrPages || ocrPages.length === 0) return null;
+  const pages = ocrPages.map(p => ({
+    ...p,
+    lowConfidence: p.confidence === null || p.confidence < minConfidence
+  }));
+  return {
+    engine: ocr.engine,
+    language: ocr.lang,
+    minConfidence,
+    pages,
+    lowConfidencePages: pages.filter(p => p.lowConfidence).map(p => p.page)
+  };
+}
+
+module.exports = { IMAGE_MIME_TYPES, createOcrEngine, pdfPageImages, summarizeOcr };
@@ -0,0 +1,76 @@
+// PDF text extraction that remembers where each page starts, so a character
+// offset into the extracted text can be cited with its page number. Pages
+// without a text layer are read with OCR when an engine is given.
+
+const pdfParse = require('pdf-parse');
+const { pdfPageImages } = require('./ocr');
+
+// Same text layout as pdf-parse's default page renderer: items on one line
+// are concatenated and a change of y position starts a new line
+function renderPage(pageData) {
+  return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+    .then(textContent => {
+      let lastY;
+      let text = '';
+      for (const item of textContent.items) {
+        text += lastY === item.transform[5] || !lastY ? item.str : '\n' + item.str;
+        lastY = item.transform[5];
+      }
+      return text;
+    });
+}
+
+// Text of the image-only pages, read with OCR. Returns each page's
+// confidence, or the error when the page could not be read, including pages
+// with no image that could be decoded, so none go unreviewed.
+async function ocrPages(buffer, pages, pageCount, ocr) {
+  const blank = [];
+  for (let i = 0; i < pageCount; i++) {
+    if (!(pages[i] || '').trim()) blank.push(i);
+  }
+  if (blank.length === 0) return [];
+
+  const images = await pdfPageImages(buffer, blank);
+  const results = [];
+  for (const index of blank) {
+    const image = images.get(index);
+    if (!image) {
+      results.push({ page: index + 1, confidence: null, error: 'No text layer and no readable image on this page' });
+      continue;
+    }
+    try {
+      const { text, confidence } = await ocr.recognize(image);
+      pages[index] = text.trim();
+      results.push({ page: index + 1, confidence });
+    } catch (err) {
+      results.push({ page: index + 1, confidence: null, error: err.message });
+    }
+  }
+  return results;
+}
+
+// Pages are joined with a blank line, as pdf-parse does
+async function extractPdfText(buffer, { ocr = null } = {}) {
+  const pages = [];
+  // pdf.js misreads some small files handed to it as a Node Buffer ("bad
+  // XRef entry"); a plain Uint8Array copy reads correctly
+  const data = await pdfParse(new Uint8Array(buffer), {
+    pagerender: async pageData => {
+      const text = await renderPage(pageData);
+      pages[pageData.pageIndex] = text;
+      return text;
+    }
+  });
+  const ocrResults = ocr ? await ocrPages(buffer, pages, data.numpages, ocr) : [];
+
+  const pageStarts = [];
+  let text = '';
+  for (let i = 0; i < data.numpages; i++) {
+    if (i > 0) text += '\n\n';
+    pageStarts.push(text.length);
+    text += pages[i] || '';
+  }
+  return { text, pageStarts, pageCount: data.numpages, ocrPages: ocrResults };
+}
+
+module.exports = { extractPdfText };
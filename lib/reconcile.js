@@ -0,0 +1,74 @@
+// Reconcile the LLM verdict with the rules-engine verdict. Both are always
+// computed; the policy (appeal_criteria.reconciliation in the knowledge base)
+// decides which one stands when they differ, so a hallucinated approval can
+// be caught before it reaches a member.
+//
+// Policy fields:
+//   on_disagreement   "REVIEW" (default) | "LLM" | "RULES"
+//   rules_abstain_when_no_criteria_matched
+//                     when true (default) a rules verdict with no fired
+//                     criteria is not counted as a disagreement
+//   rule_vetoes       [{ rule, blocks, outcome }]: if rule fired and the LLM
+//                     said `blocks`, the final decision becomes `outcome`
+//
+// Whenever both sides count towards the decision (agreement, veto,
+// disagreement) its confidence is the lower of the two, so a decision is
+// never more certain than either engine was; the LLM's own confidence is
+// kept next to it.
+
+const DEFAULT_POLICY = {
+  on_disagreement: 'REVIEW',
+  rules_abstain_when_no_criteria_matched: true,
+  rule_vetoes: []
+};
+
+function reconcileDecisions({ llm, rules, policy = {} }) {
+  const effective = { ...DEFAULT_POLICY, ...policy };
+  const result = (decision, confidence, source, reason) => ({
+    decision,
+    confidence,
+    source,
+    reason,
+    agreement: llm ? llm.decision === rules.decision : null,
+    llmConfidence: llm ? llm.confidence : null,
+    rulesConfidence: rules.confidence,
+    policy: effective
+  });
+
+  if (!llm) {
+    return result(rules.decision, rules.confidence, 'rules', 'LLM verdict unavailable; rules-engine decision used');
+  }
+
+  const firedIds = new Set(rules.firedRules.map(r => r.id));
+  for (const veto of effective.rule_vetoes) {
+    if (firedIds.has(veto.rule) && llm.decision === veto.blocks) {
+      const fired = rules.firedRules.find(r => r.id === veto.rule);
+      return result(
+        veto.outcome,
+        Math.min(llm.confidence, rules.confidence),
+        'rules_veto',
+        `Rule "${fired.criterion}" vetoed the LLM ${llm.decision}; decision set to ${veto.outcome}`
+      );
+    }
+  }
+
+  if (llm.decision === rules.decision) {
+    return result(llm.decision, Math.min(llm.confidence, rules.confidence), 'agreement', `LLM and rules engine agree on ${llm.decision}`);
+  }
+
+  if (effective.rules_abstain_when_no_criteria_matched && rules.basis === 'no_criteria_matched') {
+    return result(llm.decision, llm.confidence, 'llm', 'No rule criteria matched; LLM decision used');
+  }
+
+  const disagreement = `LLM said ${llm.decision}, rules engine said ${rules.decision}`;
+  switch (String(effective.on_disagreement).toUpperCase()) {
+    case 'LLM':
+      return result(llm.decision, llm.confidence, 'llm', `${disagreement}; policy prefers the LLM`);
+    case 'RULES':
+      return result(rules.decision, rules.confidence, 'rules', `${disagreement}; policy prefers the rules engine`);
+    default:
+      return result('REVIEW', Math.min(llm.confidence, rules.confidence), 'disagreement', `${disagreement}; sent to manual review`);
+  }
+}
+
+module.exports = { DEFAULT_POLICY, reconcileDecisions };
@@ -0,0 +1,128 @@
+const { createDeidentifier } = require('./deidentify');
+const { chunkText } = require('./retrieval');
+const { PHI_FIELDS } = require('./models');
+
+// Retention of uploaded documents. After the retention period a document is
+// either purged, keeping only its name, type and size, or anonymized, keeping
+// its text and findings with PHI replaced by placeholders. The raw file is
+// dropped either way. Decisions quote their documents, so the same period
+// after they were made their PHI fields are purged or anonymized too; the
+// decision itself and its review stay. Once all of that is done, the appeal's
+// own patient name, reference and notes go the same way; the appeal, its
+// status and decisions, and the audit trail are kept.
+
+const RETENTION_ACTIONS = ['purge', 'anonymize'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// When a document becomes due, counted from its upload
+const retentionDueAt = (createdAt, periodDays) => new Date(new Date(createdAt).getTime() + periodDays * DAY_MS);
+
+// Everything read from the file goes; the metadata stays
+const purgedFields = () => ({
+  ...Object.fromEntries(PHI_FIELDS.AppealDocument.map(field => [field, null])),
+  pageStarts: null,
+  ocr: null
+});
+
+// A decision's lists stay lists, so it still displays
+const DECISION_LIST_FIELDS = ['rationale', 'evidence', 'keyFactors', 'recommendations'];
+
+const purgedDecisionFields = () => ({
+  ...Object.fromEntries(PHI_FIELDS.AppealDecision.map(field => [field, DECISION_LIST_FIELDS.includes(field) ? [] : null])),
+  rationaleCitations: []
+});
+
+const purgedAppealFields = () => Object.fromEntries(PHI_FIELDS.Appeal.map(field => [field, null]));
+
+// Text offsets in extracted findings, moved along with the redacted text
+const OFFSET_KEYS = ['start', 'end', 'index'];
+
+function moveOffsets(value, mapOffset, redact) {
+  if (typeof value === 'string') return redact(value);
+  if (Array.isArray(value)) return value.map(item => moveOffsets(item, mapOffset, redact));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) =>
+      [key, OFFSET_KEYS.includes(key) && typeof v === 'number' ? mapOffset(v) : moveOffsets(v, mapOffset, redact)]));
+  }
+  return value;
+}
+
+// Fields replacing an anonymized document's. patientName is the appeal's;
+// names and dates of birth in the document itself are found as in the
+// de-identification of LLM prompts. Returns the fields and the redaction
+// summary (placeholders and counts, no original values).
+function anonymizedFields(doc, { patientName = null } = {}) {
+  const patient = doc.structuredData && doc.structuredData.patient;
+  const deidentifier = createDeidentifier({
+    names: [patientName, patient && patient.name],
+    datesOfBirth: [patient && patient.dateOfBirth]
+  });
+  const text = doc.extractedText || '';
+  deidentifier.learn(text);
+  const { text: redacted, mapOffset } = deidentifier.redactDocument(text);
+  const pageStarts = doc.pageStarts ? doc.pageStarts.map(mapOffset) : null;
+  const redactFindings = value => moveOffsets(value, mapOffset, deidentifier.redact);
+
+  return {
+    fields: {
+      content: null,
+      extractedText: redacted,
+      pageStarts,
+      // The structured patient keeps only its sex
+      structuredData: doc.structuredData
+        ? redactFindings({ ...doc.structuredData, patient: patient ? { sex: patient.sex || null } : null })
+        : null,
+      chunks: chunkText(redacted, { pageStarts }),
+      expandedData: doc.expandedData ? redactFindings(doc.expandedData) : null,
+      clinicalData: doc.clinicalData ? redactFindings(doc.clinicalData) : null
+    },
+    redactions: deidentifier.summary()
+  };
+}
+
+// Fields replacing an anonymized decision's. Its citations pointed into the
+// original documents, so their offsets are dropped. Returns the fields and
+// the redaction summary, as anonymizedFields does.
+function anonymizedDecisionFields(decision, { patientName = null } = {}) {
+  const demographics = decision.clinicalData && decision.clinicalData.demographics;
+  const deidentifier = createDeidentifier({
+    names: [patientName],
+    datesOfBirth: [demographics && demographics.dateOfBirth]
+  });
+  const learnAll = value => moveOffsets(value, offset => offset, text => {
+    deidentifier.learn(text);
+    return text;
+  });
+  PHI_FIELDS.AppealDecision.forEach(field => learnAll(decision[field]));
+
+  const fields = Object.fromEntries(PHI_FIELDS.AppealDecision.map(field =>
+    [field, decision[field] ? moveOffsets(decision[field], () => null, deidentifier.redact) : decision[field]]));
+  return { fields, redactions: deidentifier.summary() };
+}
+
+// Fields replacing an anonymized appeal's: the patient name goes, and the
+// reference and notes keep their text with PHI replaced by placeholders.
+// Returns the fields and the redaction summary, as anonymizedFields does.
+function anonymizedAppealFields(appeal) {
+  const deidentifier = createDeidentifier({ names: [appeal.patientName] });
+  [appeal.reference, appeal.notes].forEach(text => text && deidentifier.learn(text));
+  return {
+    fields: {
+      patientName: null,
+      reference: deidentifier.redact(appeal.reference),
+      notes: deidentifier.redact(appeal.notes)
+    },
+    redactions: deidentifier.summary()
+  };
+}
+
+module.exports = {
+  RETENTION_ACTIONS,
+  retentionDueAt,
+  purgedAppealFields,
+  anonymizedAppealFields,
+  purgedFields,
+  anonymizedFields,
+  purgedDecisionFields,
+  anonymizedDecisionFields
+};
@@ -0,0 +1,138 @@
+// Local passage retrieval over the full text of an appeal's documents. Text is
+// split into overlapping chunks and ranked with BM25, so the prompt can carry
+// the passages most relevant to each appeal criterion instead of the first
+// few hundred characters of the record.
+
+const { pageForOffset } = require('./citations');
+const { primaryMeaning } = require('./abbreviations');
+
+const CHUNK_SIZE = 800;
+const CHUNK_OVERLAP = 200;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+  'of', 'on', 'or', 'the', 'to', 'was', 'were', 'with', 'without', 'despite', 'not', 'no',
+  // Units appear next to every lab value and say nothing about relevance
+  'ml', 'min', '1.73', 'mg', 'dl', 'day'
+]);
+
+// Overlapping chunks that end on whitespace where possible. Offsets are into
+// the document's extractedText, so a passage can be cited like any other span.
+function chunkText(text, { pageStarts = null, size = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) {
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(text.length, start + size);
+    if (end < text.length) {
+      const boundary = text.lastIndexOf('\n', end) > start + size / 2
+        ? text.lastIndexOf('\n', end)
+        : text.lastIndexOf(' ', end);
+      if (boundary > start + size / 2) end = boundary;
+    }
+    const content = text.substring(start, end);
+    if (content.trim()) {
+      chunks.push({ index: chunks.length, start, end, page: pageForOffset(pageStarts, start), text: content });
+    }
+    if (end >= text.length) break;
+    // Step back by the overlap, to the start of a word
+    let next = Math.max(start + 1, end - overlap);
+    const space = text.indexOf(' ', next);
+    if (space !== -1 && space < end) next = space + 1;
+    start = next;
+  }
+  return chunks;
+}
+
+function tokenize(text) {
+  return (String(text).toLowerCase().match(/[a-z0-9]+(?:\.[0-9]+)?/g) || [])
+    .filter(token => token.length > 1 && !STOPWORDS.has(token));
+}
+
+// Abbreviations from the knowledge base also index as their expansion, so a
+// query for "glomerular filtration rate" finds "GFR" and the other way round
+function expandTokens(tokens, synonyms) {
+  const expanded = [];
+  for (const token of tokens) {
+    expanded.push(token);
+    if (synonyms[token]) expanded.push(...synonyms[token]);
+  }
+  return expanded;
+}
+
+function synonymsFromAbbreviations(abbreviations = {}) {
+  const synonyms = {};
+  for (const [abbreviation, entry] of Object.entries(abbreviations)) {
+    const key = abbreviation.toLowerCase();
+    if (key.length < 2) continue;
+    synonyms[key] = tokenize(primaryMeaning(entry));
+  }
+  return synonyms;
+}
+
+// passages: [{ text, ... }]; anything besides text is returned with each hit
+function createBm25Index(passages, { synonyms = {} } = {}) {
+  const documents = passages.map(p => {
+    const terms = new Map();
+    const tokens = expandTokens(tokenize(p.text), synonyms);
+    for (const token of tokens) terms.set(token, (terms.get(token) || 0) + 1);
+    return { passage: p, terms, length: tokens.length };
+  });
+  const averageLength = documents.reduce((sum, d) => sum + d.length, 0) / (documents.length || 1);
+  const documentFrequency = new Map();
+  for (const d of documents) {
+    for (const term of d.terms.keys()) documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  }
+  const idf = term => {
+    const n = documentFrequency.get(term) || 0;
+    return Math.log(1 + (documents.length - n + 0.5) / (n + 0.5));
+  };
+
+  function search(query, limit = 3) {
+    const queryTerms = Array.from(new Set(expandTokens(tokenize(query), synonyms)));
+    return documents
+      .map(d => {
+        let score = 0;
+        for (const term of queryTerms) {
+          const frequency = d.terms.get(term);
+          if (!frequency) continue;
+          score += idf(term) * (frequency * (BM25_K1 + 1)) /
+            (frequency + BM25_K1 * (1 - BM25_B + BM25_B * d.length / (averageLength || 1)));
+        }
+        return { ...d.passage, score: Math.round(score * 1000) / 1000 };
+      })
+      .filter(hit => hit.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  return { size: documents.length, search };
+}
+
+// Best passages for each criterion, each passage listed once, within a
+// character budget. Criteria are taken in order, so earlier ones win ties
+// for the budget.
+function retrievePassages(index, criteria, { perCriterion = 2, maxChars = 12000 } = {}) {
+  const passages = [];
+  const byCriterion = [];
+  let used = 0;
+  for (const criterion of criteria) {
+    const ids = [];
+    for (const hit of index.search(criterion, perCriterion)) {
+      let passage = passages.find(p => p.documentId === hit.documentId && p.index === hit.index);
+      if (!passage) {
+        if (used + hit.text.length > maxChars) continue;
+        used += hit.text.length;
+        passage = { id: `P${passages.length + 1}`, ...hit, criteria: [] };
+        passages.push(passage);
+      }
+      passage.criteria.push(criterion);
+      ids.push(passage.id);
+    }
+    byCriterion.push({ criterion, passages: ids });
+  }
+  return { passages, byCriterion };
+}
+
+module.exports = { chunkText, tokenize, synonymsFromAbbreviations, createBm25Index, retrievePassages };
@@ -0,0 +1,100 @@
+// Human review of AI decisions, as utilization management works: a decision
+// the AI sent to REVIEW, or made with low confidence, waits in the review
+// queue until a reviewer accepts it or overrides it with a reason. An
+// override only becomes the final decision once a second person, a
+// supervisor, signs it off; one they return goes back to the queue. The
+// review is stored with the decision it is about, next to the AI's verdict.
+
+const REVIEW_ACTIONS = ['accept', 'override'];
+// Decisions a human may make; REVIEW is the AI handing the case over
+const FINAL_DECISIONS = ['APPROVE', 'REJECT'];
+
+// Why a decision needs a human, or [] when it does not
+function reviewReasons(record, confidenceThreshold) {
+  const reasons = [];
+  if (record.decision === 'REVIEW') {
+    reasons.push('AI decision is REVIEW');
+  }
+  if (typeof record.confidence === 'number' && record.confidence < confidenceThreshold) {
+    reasons.push(`Confidence ${Math.round(record.confidence * 100)}% is below ${Math.round(confidenceThreshold * 100)}%`);
+  }
+  return reasons;
+}
+
+// Where a decision stands: awaiting_review, awaiting_sign_off, accepted,
+// overridden, or null when it never needed review and has none
+function reviewStatus(record, confidenceThreshold) {
+  const review = record.review;
+  if (review) {
+    if (review.status === 'pending_sign_off') return 'awaiting_sign_off';
+    if (review.status === 'returned') return 'awaiting_review';
+    return review.status;
+  }
+  return reviewReasons(record, confidenceThreshold).length > 0 ? 'awaiting_review' : null;
+}
+
+// A reviewer's accept or override of a decision. Returns { review,
+// humanDecision } or { status, error }.
+function reviewDecision(record, { action, decision, reason }, reviewer) {
+  if (!REVIEW_ACTIONS.includes(action)) {
+    return { status: 400, error: `action must be one of: ${REVIEW_ACTIONS.join(', ')}` };
+  }
+  if (record.review && record.review.status === 'pending_sign_off') {
+    return { status: 409, error: 'The override of this decision is waiting for supervisor sign-off' };
+  }
+  if (record.humanDecision) {
+    return { status: 409, error: `This decision was already reviewed; the final decision is ${record.humanDecision}` };
+  }
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+  const reviewedAt = new Date().toISOString();
+
+  if (action === 'accept') {
+    if (!FINAL_DECISIONS.includes(record.decision)) {
+      return { status: 400, error: `The AI decision is ${record.decision}; override it with ${FINAL_DECISIONS.join(' or ')} instead` };
+    }
+    return {
+      review: { status: 'accepted', action, aiDecision: record.decision, decision: record.decision, reason: trimmedReason || null, reviewer, reviewedAt, signOff: null },
+      humanDecision: record.decision
+    };
+  }
+
+  if (!FINAL_DECISIONS.includes(decision)) {
+    return { status: 400, error: `decision must be one of: ${FINAL_DECISIONS.join(', ')}` };
+  }
+  if (decision === record.decision) {
+    return { status: 400, error: `The AI decision is already ${decision}; accept it instead` };
+  }
+  if (!trimmedReason) {
+    return { status: 400, error: 'A reason is required to override a decision' };
+  }
+  return {
+    review: { status: 'pending_sign_off', action, aiDecision: record.decision, decision, reason: trimmedReason, reviewer, reviewedAt, signOff: null },
+    humanDecision: null
+  };
+}
+
+// A supervisor's sign-off of a pending override, approving it or returning
+// it to the queue. Returns { review, humanDecision } or { status, error }.
+function signOffOverride(record, { approve, comment }, supervisor) {
+  const review = record.review;
+  if (!review || review.status !== 'pending_sign_off') {
+    return { status: 409, error: 'This decision has no override waiting for sign-off' };
+  }
+  if (typeof approve !== 'boolean') {
+    return { status: 400, error: 'approve must be true or false' };
+  }
+  if (review.reviewer === supervisor) {
+    return { status: 403, error: 'An override must be signed off by someone other than the reviewer who made it' };
+  }
+  const trimmedComment = typeof comment === 'string' ? comment.trim() : '';
+  if (!approve && !trimmedComment) {
+    return { status: 400, error: 'A comment is required to return an override' };
+  }
+  const signOff = { supervisor, approved: approve, comment: trimmedComment || null, at: new Date().toISOString() };
+  return {
+    review: { ...review, status: approve ? 'overridden' : 'returned', signOff },
+    humanDecision: approve ? review.decision : null
+  };
+}
+
+module.exports = { REVIEW_ACTIONS, FINAL_DECISIONS, reviewReasons, reviewStatus, reviewDecision, signOffOverride };
@@ -0,0 +1,182 @@
+// Declarative rules engine for the appeal criteria in a condition pack's knowledge base.
+//
+// Each rule in appeal_criteria.rules names the criterion it implements, the
+// outcome it argues for (APPROVE / REJECT / REVIEW), its evidence level
+// (strong / moderate) and a condition tree:
+//
+//   { "all": [ ...conditions ] }  every condition holds
+//   { "any": [ ...conditions ] }  at least one condition holds
+//   { "not": condition }          the condition does not hold
+//   { "fact": "gfr", "operator": "lt", "value": 15 }
+//
+// Facts are derived from the extracted clinical data (see buildFacts), so
+// clinical staff can change thresholds without touching this file.
+
+const { affirmedMatches } = require('./negation');
+
+const OUTCOMES = ['APPROVE', 'REJECT', 'REVIEW'];
+const EVIDENCE_LEVELS = ['strong', 'moderate'];
+
+const OPERATORS = {
+  lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+  lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+  gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+  gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+  between: (actual, [min, max]) => typeof actual === 'number' && actual >= min && actual <= max,
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  in: (actual, expected) => expected.includes(actual),
+  exists: (actual) => actual !== null && actual !== undefined,
+  notExists: (actual) => actual === null || actual === undefined,
+  contains: (actual, expected) => Array.isArray(actual) && actual.includes(expected),
+  // Text matches that are negated ("no reversible causes") do not count
+  matches: (actual, expected) => affirmedMatches(actual, new RegExp(expected, 'i')).length > 0
+};
+
+// Flatten clinical data into the facts rule conditions refer to
+function buildFacts(clinicalData = {}, text = '') {
+  const facts = { ...clinicalData };
+  const complications = (clinicalData.complications || []).map(c => (typeof c === 'string' ? c : c.name));
+  facts.complications = complications;
+  facts.complicationCount = complications.length;
+  facts.conflictCount = (clinicalData.conflicts || []).length;
+
+  const bp = typeof clinicalData.bloodPressure === 'string' && clinicalData.bloodPressure.match(/^(\d+)\/(\d+)$/);
+  facts.systolic = bp ? parseInt(bp[1]) : null;
+  facts.diastolic = bp ? parseInt(bp[2]) : null;
+
+  // Classes of medications currently taken, e.g. "esa" or "ace_inhibitors"
+  facts.medicationClasses = Array.from(new Set((clinicalData.medications || [])
+    .filter(m => m.status !== 'discontinued')
+    .map(m => m.classKey)));
+  facts.text = text || '';
+  return facts;
+}
+
+function getFact(facts, path) {
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), facts);
+}
+
+// Evaluate a condition tree. Returns whether it matched and the facts that
+// made it match, which become the evidence shown to reviewers.
+function evaluateCondition(condition, facts) {
+  if (condition.all) {
+    const used = {};
+    for (const child of condition.all) {
+      const result = evaluateCondition(child, facts);
+      if (!result.matched) return { matched: false, used: {} };
+      Object.assign(used, result.used);
+    }
+    return { matched: true, used };
+  }
+  if (condition.any) {
+    for (const child of condition.any) {
+      const result = evaluateCondition(child, facts);
+      if (result.matched) return result;
+    }
+    return { matched: false, used: {} };
+  }
+  if (condition.not) {
+    return { matched: !evaluateCondition(condition.not, facts).matched, used: {} };
+  }
+
+  const operator = OPERATORS[condition.operator];
+  if (!operator) {
+    throw new Error(`Unknown operator "${condition.operator}"`);
+  }
+  const actual = getFact(facts, condition.fact);
+  if (!operator(actual, condition.value)) {
+    return { matched: false, used: {} };
+  }
+  // Free text is matched but never echoed back as evidence
+  return { matched: true, used: condition.fact === 'text' ? { textMatch: condition.value } : { [condition.fact]: actual } };
+}
+
+function describeEvidence(used) {
+  return Object.entries(used)
+    .map(([fact, value]) => {
+      if (fact === 'textMatch') return 'documented in record';
+      if (value === null || value === undefined) return `${fact}: not documented`;
+      return `${fact}: ${Array.isArray(value) ? value.join(', ') || 'none' : value}`;
+    })
+    .join('; ');
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+// Combine fired rules into one decision:
+//   1. strong rules win; strong rules that disagree force REVIEW
+//   2. otherwise any REVIEW rule forces REVIEW
+//   3. otherwise moderate rules that agree decide; disagreement forces REVIEW
+//   4. nothing fired: REVIEW
+function combine(fired) {
+  const outcomesOf = rules => [...new Set(rules.map(r => r.outcome))];
+  const strong = fired.filter(r => r.evidence === 'strong');
+  const review = fired.filter(r => r.outcome === 'REVIEW');
+  const moderate = fired.filter(r => r.evidence === 'moderate' && r.outcome !== 'REVIEW');
+
+  if (strong.length > 0) {
+    const outcomes = outcomesOf(strong);
+    if (outcomes.length === 1) {
+      return { decision: outcomes[0], confidence: round(Math.min(0.95, 0.85 + 0.05 * (strong.length - 1))), basis: 'strong_evidence' };
+    }
+    return { decision: 'REVIEW', confidence: 0.5, basis: 'conflicting_strong_evidence' };
+  }
+  if (review.length > 0) {
+    return { decision: 'REVIEW', confidence: 0.6, basis: 'review_required' };
+  }
+  if (moderate.length > 0) {
+    const outcomes = outcomesOf(moderate);
+    if (outcomes.length === 1) {
+      return { decision: outcomes[0], confidence: round(Math.min(0.8, 0.65 + 0.05 * (moderate.length - 1))), basis: 'moderate_evidence' };
+    }
+    return { decision: 'REVIEW', confidence: 0.5, basis: 'conflicting_moderate_evidence' };
+  }
+  return { decision: 'REVIEW', confidence: 0.5, basis: 'no_criteria_matched' };
+}
+
+// Run every rule from the knowledge base against the clinical data
+function evaluateRules(kb, clinicalData, text) {
+  const rules = (kb.appeal_criteria && kb.appeal_criteria.rules) || [];
+  const facts = buildFacts(clinicalData, text);
+  const fired = [];
+  const errors = [];
+
+  for (const rule of rules) {
+    if (!OUTCOMES.includes(rule.outcome) || !EVIDENCE_LEVELS.includes(rule.evidence) || !rule.when) {
+      errors.push({ rule: rule.id, error: 'Rule must define outcome, evidence and when' });
+      continue;
+    }
+    try {
+      const { matched, used } = evaluateCondition(rule.when, facts);
+      if (matched) {
+        const evidenceText = describeEvidence(used);
+        fired.push({
+          id: rule.id,
+          criterion: rule.criterion,
+          outcome: rule.outcome,
+          evidence: rule.evidence,
+          facts: used,
+          explanation: evidenceText ? `${rule.criterion} (${evidenceText})` : rule.criterion
+        });
+      }
+    } catch (err) {
+      errors.push({ rule: rule.id, error: err.message });
+    }
+  }
+
+  const combined = combine(fired);
+  const rationale = fired.length > 0
+    ? fired.map(r => `${r.outcome} [${r.evidence}]: ${r.explanation}`)
+    : ['No appeal criteria from the knowledge base matched the extracted clinical data'];
+
+  return {
+    ...combined,
+    rationale,
+    firedRules: fired,
+    rulesEvaluated: rules.length,
+    errors
+  };
+}
+
+module.exports = { OPERATORS, buildFacts, evaluateCondition, evaluateRules };
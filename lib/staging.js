@@ -0,0 +1,105 @@
+// KDIGO CKD staging. GFR categories (G1-G5) come from terminology.stages
+// and albuminuria categories (A1-A3) from terminology.albuminuria_categories,
+// so thresholds live in the knowledge base rather than in code.
+
+const inRange = (value, min, below) =>
+  value >= (min ?? -Infinity) && (below === null || below === undefined || value < below);
+
+function gfrCategory(kb, gfr) {
+  if (typeof gfr !== 'number') return null;
+  const stages = kb?.terminology?.stages || {};
+  for (const [name, stage] of Object.entries(stages)) {
+    if (stage.kdigo_category && inRange(gfr, stage.gfr_min, stage.gfr_below)) {
+      return {
+        category: stage.kdigo_category,
+        name,
+        description: stage.description,
+        range: stage.gfr_range,
+        criteria: stage.criteria
+      };
+    }
+  }
+  return null;
+}
+
+// UACR is preferred; 24-hour protein excretion is used when it is the only
+// measure of albuminuria in the record
+function albuminuriaCategory(kb, { uacr, proteinuria }) {
+  const categories = kb?.terminology?.albuminuria_categories || {};
+  const measure = typeof uacr === 'number'
+    ? { basis: 'uacr', value: uacr, unit: 'mg/g', min: 'uacr_min_mg_g', below: 'uacr_below_mg_g' }
+    : typeof proteinuria === 'number'
+      ? { basis: 'proteinuria', value: proteinuria, unit: 'g/day', min: 'proteinuria_min_g_day', below: 'proteinuria_below_g_day' }
+      : null;
+  if (!measure) return null;
+
+  for (const [category, definition] of Object.entries(categories)) {
+    if (inRange(measure.value, definition[measure.min], definition[measure.below])) {
+      return {
+        category,
+        description: definition.description,
+        range: definition.uacr_range,
+        basis: measure.basis,
+        value: measure.value,
+        unit: measure.unit
+      };
+    }
+  }
+  return null;
+}
+
+// G1 and G2 only meet the definition of CKD with a marker of kidney damage
+// such as albuminuria; null when that cannot be told from the record
+function meetsCkdDefinition(g, a) {
+  if (!g) return null;
+  if (g.category !== 'G1' && g.category !== 'G2') return true;
+  if (!a) return null;
+  return a.category !== 'A1';
+}
+
+// Stage summary attached to clinicalData.ckdStage
+function stageCkd(kb, clinicalData = {}) {
+  const g = gfrCategory(kb, clinicalData.gfr);
+  const a = albuminuriaCategory(kb, clinicalData);
+  if (!g && !a) return null;
+
+  return {
+    gCategory: g ? g.category : null,
+    aCategory: a ? a.category : null,
+    label: [g && g.category, a && a.category].filter(Boolean).join(' '),
+    stage: g ? g.name : null,
+    description: [g && g.description, a && a.description].filter(Boolean).join('; '),
+    gfrRange: g ? g.range : null,
+    albuminuriaRange: a ? a.range : null,
+    gfrSource: g ? clinicalData.gfrSource || 'reported' : null,
+    albuminuriaBasis: a ? a.basis : null,
+    meetsCkdDefinition: meetsCkdDefinition(g, a)
+  };
+}
+
+// Staging for condition packs that categorise one extracted value, such as
+// LVEF for heart failure or HbA1c for diabetes. Categories are the entries
+// of terminology.stages with a code and a min/below range on that value.
+function stageByThresholds(kb, clinicalData = {}, { basis, label }) {
+  const value = clinicalData[basis];
+  if (typeof value !== 'number') return null;
+  const stages = kb?.terminology?.stages || {};
+  for (const [name, stage] of Object.entries(stages)) {
+    if (stage.code && (stage.min !== undefined || stage.below !== undefined) && inRange(value, stage.min, stage.below)) {
+      return {
+        code: stage.code,
+        label: label ? `${label}: ${stage.code}` : stage.code,
+        stage: name,
+        description: stage.description,
+        range: stage.range || null,
+        criteria: stage.criteria || null,
+        basis,
+        value,
+        citation: (clinicalData.citations || {})[basis] || null
+      };
+    }
+  }
+  return null;
+}
+
+module.exports = { gfrCategory, albuminuriaCategory, stageCkd, stageByThresholds };
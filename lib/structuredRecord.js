@@ -0,0 +1,213 @@
+const { uacrObservation } = require('./labSeries');
+const { classifyMedication } = require('./medications');
+const { yearsBetween } = require('./demographics');
+
+// Coded records (C-CDA documents, FHIR bundles) read into one shape: the
+// patient plus results, problems and medications. A record is stored as text,
+// one line per entry, which is what is searched and cited, and each entry
+// keeps the span of its line so findings cite it like any other document.
+
+// LOINC codes of the labs in labSeries.js; the first code is the one exports
+// use. Condition packs map their own extractors with `loinc` in pack.json.
+const LAB_LOINC_CODES = {
+  gfr: ['98979-8', '62238-1', '33914-3', '48642-3', '48643-1', '50044-7', '50210-4', '69405-9', '88293-6', '88294-4', '98980-6'],
+  creatinine: ['2160-0', '38483-4'],
+  bun: ['3094-0', '6299-2'],
+  proteinuria: ['2889-4'],
+  uacr: ['9318-7', '14959-1', '32294-1', '14958-3'],
+  bloodPressure: ['85354-9', '55284-4'],
+  hba1c: ['4548-4', '17856-6'],
+  hemoglobin: ['718-7'],
+  ldl: ['2089-1', '13457-7', '18262-6'],
+  calcium: ['17861-6'],
+  phosphorus: ['2777-1'],
+  pth: ['2731-8'],
+  vitaminD: ['1989-3', '62292-8'],
+  ferritin: ['2276-4'],
+  ironSaturation: ['2502-3']
+};
+
+// Components of a blood pressure panel
+const SYSTOLIC_LOINC = '8480-6';
+const DIASTOLIC_LOINC = '8462-4';
+
+// Units the text patterns would not accept, converted to the ones they do
+const UNIT_CONVERSIONS = {
+  creatinine: { 'umol/L': value => Math.round(value / 88.4 * 100) / 100 },
+  proteinuria: { 'mg/(24.h)': value => value / 1000, 'mg/d': value => value / 1000 }
+};
+
+// Problems that mean the patient is diabetic, by SNOMED CT or ICD-10 code
+const DIABETES_SNOMED_CODES = ['73211009', '44054006', '46635009', '11530004', '190372001'];
+const DIABETES_ICD10_PREFIXES = ['E08', 'E09', 'E10', 'E11', 'E13'];
+
+function describeResult(result) {
+  const value = typeof result.systolic === 'number'
+    ? `${result.systolic}/${result.diastolic} mm[Hg]`
+    : result.value !== null ? `${result.value}${result.unit && result.unit !== '1' ? ` ${result.unit}` : ''}` : result.text || 'no value';
+  return `${result.date ? `${result.date} ` : ''}${result.name}${result.loinc ? ` [LOINC ${result.loinc}]` : ''}: ${value}`;
+}
+
+function describeProblem(problem) {
+  const code = problem.code ? ` (${problem.codeSystem} ${problem.code})` : '';
+  const dates = [problem.onset && `onset ${problem.onset}`, problem.resolved && `resolved ${problem.resolved}`].filter(Boolean);
+  return `${problem.name}${code}: ${[problem.status, ...dates].join(', ')}`;
+}
+
+function describeMedicationEntry(medication) {
+  const code = medication.rxnorm ? ` (RxNorm ${medication.rxnorm})` : '';
+  const details = [medication.dose, medication.route, medication.frequency].filter(Boolean).join(' ');
+  return `${medication.name}${code}: ${[details, medication.status, medication.start && `since ${medication.start}`].filter(Boolean).join(', ')}`;
+}
+
+const DESCRIBE_ENTRY = { results: describeResult, problems: describeProblem, medications: describeMedicationEntry };
+
+// Render a record as text. sections are { kind, title, entries }, where kind
+// is results, problems or medications, or { title, narrative } for free text.
+// Returns the text and the structured data stored with the document: the
+// entries of every section by kind, each with its span in the text.
+function renderRecord({ format, title, date, patient, sections }) {
+  const structured = { format, title, date, patient, results: [], problems: [], medications: [] };
+
+  let text = '';
+  const line = (content) => {
+    const start = text.length;
+    text += `${content}\n`;
+    return { start, end: start + content.length };
+  };
+
+  line(`${title}${date ? ` (${date})` : ''}`);
+  if (patient) {
+    const start = text.length;
+    const spans = {};
+    let content = `Patient: ${patient.name || 'unknown'}`;
+    const field = (key, label, value) => {
+      content += `, ${label}: `;
+      spans[key] = { start: start + content.length, end: start + content.length + value.length };
+      content += value;
+    };
+    if (patient.dateOfBirth) field('dateOfBirth', 'DOB', patient.dateOfBirth);
+    if (patient.sex) field('sex', 'sex', patient.sex);
+    line(content);
+    patient.spans = spans;
+  }
+
+  for (const section of sections) {
+    const entries = section.entries || [];
+    if (entries.length === 0 && !section.narrative) continue;
+    text += '\n';
+    line(section.title || section.kind || 'Section');
+    for (const entry of entries) {
+      entry.span = line(DESCRIBE_ENTRY[section.kind](entry));
+      structured[section.kind].push(entry);
+    }
+    if (section.narrative) line(section.narrative);
+  }
+
+  return { text: text.trim(), structured };
+}
+
+function resultObservation(lab, result) {
+  const conversion = (UNIT_CONVERSIONS[lab] || {})[result.unit];
+  const observation = lab === 'bloodPressure'
+    ? { value: `${result.systolic}/${result.diastolic}`, systolic: result.systolic, diastolic: result.diastolic }
+    : lab === 'uacr' && result.unit
+      ? uacrObservation(result.value, result.unit)
+      : conversion
+        ? { value: conversion(result.value), reportedValue: result.value, reportedUnit: result.unit }
+        : { value: result.value };
+  return { ...observation, date: result.date, loinc: result.loinc, index: result.span.start, end: result.span.end };
+}
+
+const hasValue = (lab, result) => (lab === 'bloodPressure'
+  ? typeof result.systolic === 'number' && typeof result.diastolic === 'number'
+  : result.value !== null);
+
+const isDiabetes = problem => (problem.codeSystem === 'SNOMED CT' && DIABETES_SNOMED_CODES.includes(problem.code)) ||
+  ((problem.codeSystem || '').startsWith('ICD-10') && DIABETES_ICD10_PREFIXES.some(prefix => (problem.code || '').startsWith(prefix))) ||
+  problem.name.toLowerCase().includes('diabetes');
+
+// Findings from a record's structured data, in the shape extractFindings
+// returns for text (character spans, not yet cited). Medications are matched
+// to the knowledge base's classes and complications to its terminology, as
+// for text; extractors are the condition pack's, matched by LOINC code.
+function structuredFindings(structured, kb, extractors = []) {
+  const labLoinc = { ...LAB_LOINC_CODES };
+  for (const extractor of extractors) labLoinc[extractor.name] = extractor.loinc || [];
+
+  const labSeries = Object.fromEntries(Object.keys(labLoinc).map(lab => [lab, []]));
+  for (const result of structured.results) {
+    const lab = result.loinc && Object.keys(labLoinc).find(key => labLoinc[key].includes(result.loinc));
+    if (lab && hasValue(lab, result)) labSeries[lab].push(resultObservation(lab, result));
+  }
+
+  const labDates = Object.values(labSeries).flat().map(o => o.date).filter(Boolean).sort();
+  const patient = structured.patient || {};
+  const referenceDate = labDates[labDates.length - 1] || structured.date || new Date().toISOString().substring(0, 10);
+  const demographics = {
+    age: patient.dateOfBirth ? yearsBetween(patient.dateOfBirth, referenceDate) : null,
+    ageSource: patient.dateOfBirth ? 'date_of_birth' : null,
+    dateOfBirth: patient.dateOfBirth || null,
+    sex: patient.sex || null,
+    spans: patient.spans || {}
+  };
+
+  const problems = structured.problems.map(problem => ({
+    name: problem.name,
+    code: problem.code,
+    codeSystem: problem.codeSystem,
+    status: problem.status,
+    onset: problem.onset,
+    resolved: problem.resolved,
+    index: problem.span.start,
+    end: problem.span.end
+  }));
+  const active = problems.filter(p => p.status === 'active');
+  const diabetic = active.find(isDiabetes);
+
+  const complications = [];
+  for (const [complication, details] of Object.entries(kb.terminology.complications)) {
+    const problem = active.find(p => p.name.toLowerCase().includes(complication.toLowerCase()));
+    if (problem) {
+      complications.push({ name: complication, description: details.description, index: problem.index, end: problem.end });
+    }
+  }
+
+  // One entry per drug; a later entry for the same drug sets its status
+  const byDrug = new Map();
+  for (const entry of structured.medications) {
+    const match = classifyMedication(kb, entry.name);
+    if (!match) continue;
+    const existing = byDrug.get(match.drug);
+    if (existing) {
+      existing.status = entry.status;
+      existing.mentions++;
+      continue;
+    }
+    byDrug.set(match.drug, {
+      ...match,
+      dose: entry.dose,
+      route: entry.route,
+      routeDescription: null,
+      frequency: entry.frequency,
+      frequencyDescription: null,
+      status: entry.status,
+      mentions: 1,
+      rxnorm: entry.rxnorm,
+      index: entry.span.start,
+      end: entry.span.end
+    });
+  }
+
+  return {
+    labSeries,
+    demographics,
+    diabetes: diabetic ? true : null,
+    diabetesSpan: diabetic ? { start: diabetic.index, end: diabetic.end } : null,
+    complications,
+    medications: Array.from(byDrug.values()),
+    problems
+  };
+}
+
+module.exports = { LAB_LOINC_CODES, SYSTOLIC_LOINC, DIASTOLIC_LOINC, renderRecord, structuredFindings };
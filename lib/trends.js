@@ -0,0 +1,120 @@
+// eGFR trend analysis over dated observations. Thresholds come from
+// clinical_guidelines.progression_criteria in the knowledge base.
+
+const DEFAULT_CRITERIA = {
+  rapid_decline_ml_min_per_year: 5,
+  significant_decline_percent: 25,
+  recent_change_window_days: 180,
+  recent_change_percent: 20,
+  stable_max_change_percent: 10,
+  stable_min_span_days: 180
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Least-squares slope of value over time, in units per year
+function slopePerYear(points) {
+  const xs = points.map(p => p.time / (365.25 * DAY_MS));
+  const ys = points.map(p => p.value);
+  const n = points.length;
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+  let num = 0;
+  let den = 0;
+  for (let i = 0; i < n; i++) {
+    num += (xs[i] - meanX) * (ys[i] - meanY);
+    den += (xs[i] - meanX) ** 2;
+  }
+  return den === 0 ? 0 : num / den;
+}
+
+function analyzeGfrTrend(observations = [], criteria = {}) {
+  const c = { ...DEFAULT_CRITERIA, ...criteria };
+
+  // One point per date; repeated mentions of the same result are collapsed
+  const byDate = new Map();
+  for (const o of observations) {
+    if (o.date && typeof o.value === 'number' && !byDate.has(o.date)) {
+      byDate.set(o.date, { date: o.date, value: o.value, time: Date.parse(o.date) });
+    }
+  }
+  const points = Array.from(byDate.values()).sort((a, b) => a.time - b.time);
+  // Estimated values (see egfr.js) are carried through so the trend is labelled
+  const calculated = observations.some(o => o.calculated);
+
+  if (points.length < 2) {
+    return {
+      sufficientData: false,
+      calculated,
+      observationCount: points.length,
+      points: points.map(({ date, value }) => ({ date, value })),
+      progressing: false,
+      recentChange: false,
+      stable: false,
+      flags: []
+    };
+  }
+
+  const first = points[0];
+  const last = points[points.length - 1];
+  const spanDays = (last.time - first.time) / DAY_MS;
+  const slope = slopePerYear(points);
+  const percentChange = first.value === 0 ? 0 : ((last.value - first.value) / first.value) * 100;
+  const percentDecline = -percentChange;
+
+  const progressing = slope <= -c.rapid_decline_ml_min_per_year || percentDecline >= c.significant_decline_percent;
+
+  // Largest change between the latest result and any result shortly before it
+  let recentChangePercent = 0;
+  for (const p of points.slice(0, -1)) {
+    if ((last.time - p.time) / DAY_MS <= c.recent_change_window_days && p.value !== 0) {
+      const change = ((last.value - p.value) / p.value) * 100;
+      if (Math.abs(change) > Math.abs(recentChangePercent)) recentChangePercent = change;
+    }
+  }
+  const recentChange = Math.abs(recentChangePercent) >= c.recent_change_percent;
+
+  const stable = !progressing && !recentChange &&
+    Math.abs(percentChange) <= c.stable_max_change_percent && spanDays >= c.stable_min_span_days;
+
+  const flags = [];
+  if (progressing) {
+    flags.push({
+      criterion: 'Clear progression despite optimal medical management',
+      evidence: `eGFR fell from ${first.value} (${first.date}) to ${last.value} (${last.date}): ${round(percentDecline, 1)}% decline, ${round(slope, 1)} mL/min/1.73m²/year`
+    });
+  }
+  if (recentChange) {
+    flags.push({
+      criterion: 'Recent changes in kidney function',
+      evidence: `eGFR changed ${round(recentChangePercent, 1)}% within ${c.recent_change_window_days} days before ${last.date}`
+    });
+  }
+  if (stable) {
+    flags.push({
+      criterion: 'Stable kidney function over time',
+      evidence: `eGFR within ${round(Math.abs(percentChange), 1)}% over ${Math.round(spanDays)} days`
+    });
+  }
+
+  return {
+    sufficientData: true,
+    calculated,
+    observationCount: points.length,
+    points: points.map(({ date, value }) => ({ date, value })),
+    baseline: { date: first.date, value: first.value },
+    latest: { date: last.date, value: last.value },
+    spanDays: Math.round(spanDays),
+    slopePerYear: round(slope),
+    percentChange: round(percentChange, 1),
+    percentDecline: round(percentDecline, 1),
+    recentChangePercent: round(recentChangePercent, 1),
+    progressing,
+    recentChange,
+    stable,
+    flags
+  };
+}
+
+module.exports = { DEFAULT_CRITERIA, analyzeGfrTrend, slopePerYear };
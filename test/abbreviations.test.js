@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { meaningsOf, primaryMeaning, expandAbbreviations } = require('../lib/abbreviations');
+
+const ABBREVIATIONS = {
+  GFR: 'Glomerular Filtration Rate',
+  CKD: 'Chronic Kidney Disease',
+  'CKD-EPI': 'CKD Epidemiology Collaboration',
+  Ca: 'Calcium',
+  K: 'Potassium',
+  Ferritin: 'Ferritin',
+  PT: [
+    { meaning: 'Prothrombin Time', context: ['INR', 'warfarin'] },
+    { meaning: 'Physical Therapy', context: ['mobility', 'exercise'] }
+  ]
+};
+
+test('an entry is one meaning or a list of candidates, the first being the default', () => {
+  assert.equal(primaryMeaning('Glomerular Filtration Rate'), 'Glomerular Filtration Rate');
+  assert.equal(primaryMeaning(ABBREVIATIONS.PT), 'Prothrombin Time');
+  assert.deepEqual(meaningsOf(['A', 'B']).map(m => m.meaning), ['A', 'B']);
+});
+
+test('the first occurrence of each abbreviation is expanded in place', () => {
+  const { expandedText, expansions } = expandAbbreviations('CKD stage 4. GFR 28, GFR 24 later.', ABBREVIATIONS);
+  assert.equal(expandedText, 'CKD [Chronic Kidney Disease] stage 4. GFR [Glomerular Filtration Rate] 28, GFR 24 later.');
+  assert.deepEqual(expansions.map(e => [e.abbreviation, e.count]), [['CKD', 1], ['GFR', 2]]);
+  assert.equal(expansions[1].citation.quote, 'GFR');
+});
+
+test('longer abbreviations win, case matters and single letters need a value', () => {
+  const { expansions } = expandAbbreviations('eGFR by CKD-EPI. Ca 9.1, CA-125 normal. K 5.1; vitamin K. Ferritin 80.', ABBREVIATIONS);
+  assert.deepEqual(expansions.map(e => `${e.abbreviation}:${e.count}`), ['CKD-EPI:1', 'Ca:1', 'K:1']);
+});
+
+test('ambiguous abbreviations are resolved by their context', () => {
+  const coagulation = expandAbbreviations('PT 14 s, INR 1.2 on warfarin.', ABBREVIATIONS).expansions[0];
+  assert.equal(coagulation.fullName, 'Prothrombin Time');
+  assert.equal(coagulation.positions[0].resolvedBy, 'context');
+  const therapy = expandAbbreviations('Referred to PT for mobility.', ABBREVIATIONS).expansions[0];
+  assert.equal(therapy.fullName, 'Physical Therapy');
+  const undecided = expandAbbreviations('PT scheduled.', ABBREVIATIONS).expansions[0];
+  assert.equal(undecided.fullName, 'Prothrombin Time');
+  assert.equal(undecided.positions[0].resolvedBy, 'default');
+  assert.equal(undecided.ambiguous, true);
+});
@@ -0,0 +1,156 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The whole server, offline: mock LLM provider, in-memory store and audit and
+// knowledge base files in a temporary directory
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ckd-appeals-test-'));
+Object.assign(process.env, {
+  LLM_PROVIDER: 'mock',
+  DATABASE_URL: '',
+  SUPABASE_URL: '',
+  AUTH_JWT_SECRET: 'test-secret',
+  AUTH_ADMIN_USERNAME: 'admin',
+  AUTH_ADMIN_PASSWORD: 'admin-password-for-tests',
+  AUDIT_LOG_PATH: path.join(dir, 'audit-log.jsonl'),
+  KB_VERSIONS_PATH: path.join(dir, 'knowledge-base-versions.jsonl')
+});
+const { app } = require('../index');
+
+let server;
+let baseUrl;
+
+async function call(method, url, { token, json, form } = {}) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(json ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: json ? JSON.stringify(json) : form
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function login(username, password) {
+  // The bootstrap admin is created once the store has loaded
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const { status, body } = await call('POST', '/auth/login', { json: { username, password } });
+    if (status === 200) return body.token;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error(`Could not sign in as ${username}`);
+}
+
+async function uploadText(token, filename, text) {
+  const form = new FormData();
+  form.append('documents', new Blob([text], { type: 'text/plain' }), filename);
+  return call('POST', '/upload', { token, form });
+}
+
+let token;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const admin = await login('admin', 'admin-password-for-tests');
+  const created = await call('POST', '/auth/users', {
+    token: admin,
+    json: { username: 'casey', password: 'casey-password-for-tests', roles: ['intake', 'reviewer'] }
+  });
+  assert.equal(created.status, 201);
+  token = await login('casey', 'casey-password-for-tests');
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('health reports the mock provider', async () => {
+  const { status, body } = await call('GET', '/health');
+  assert.equal(status, 200);
+  assert.equal(body.llm.provider, 'mock');
+});
+
+test('a stage G5 appeal is analyzed and approved', async () => {
+  const uploaded = await uploadText(token, 'labs.txt', 'Patient 70-year-old male.\n2024-05-01 eGFR 12 mL/min/1.73m2\nhyperkalemia noted\n');
+  assert.equal(uploaded.status, 200);
+
+  const { status, body } = await call('POST', '/analyze', { token, json: { appealId: uploaded.body.appealId } });
+  assert.equal(status, 200);
+  const { decision } = body;
+  assert.equal(decision.decision, 'APPROVE');
+  assert.equal(decision.aiProvider, 'mock');
+  assert.equal(decision.clinicalData.gfr, 12);
+  assert.equal(decision.clinicalData.ckdStage.gCategory, 'G5');
+  assert.equal(decision.reconciliation.source, 'agreement');
+  assert.equal(decision.confidence, Math.min(decision.reconciliation.llmConfidence, decision.reconciliation.rulesConfidence));
+  assert.ok(decision.rationale.length > 0);
+
+  const appeal = await call('GET', `/appeals/${uploaded.body.appealId}`, { token });
+  assert.equal(appeal.body.appeal.status, 'analyzed');
+});
+
+test('the prompt is de-identified and the audit trail holds no PHI', async () => {
+  const uploaded = await uploadText(token, 'Jane_Doe_notes.txt', 'Patient: Jane Doe, DOB: 03/14/1958, MRN: 88123456\n2024-01-10 eGFR 38 mL/min/1.73m2\n2024-06-12 eGFR 33 mL/min/1.73m2, UACR 420 mg/g\nAnemia noted.\n');
+  const { status, body } = await call('POST', '/analyze', { token, json: { appealId: uploaded.body.appealId } });
+  assert.equal(status, 200);
+  const replaced = body.decision.deidentification.placeholders.map(entry => entry.type);
+  assert.ok(['NAME', 'DOB', 'MRN', 'DOC'].every(type => replaced.includes(type)));
+
+  const audit = fs.readFileSync(process.env.AUDIT_LOG_PATH, 'utf8');
+  assert.doesNotMatch(audit, /Jane|Doe|88123456|1958/);
+});
+
+test('submitted clinical data is checked, and missing lists default to empty', async () => {
+  const minimal = await call('POST', '/analyze', { token, json: { clinicalData: { gfr: 10 }, extractedText: 'eGFR 10' } });
+  assert.equal(minimal.status, 200);
+  assert.equal(minimal.body.decision.clinicalData.ckdStage.gCategory, 'G5');
+
+  const badNumber = await call('POST', '/analyze', { token, json: { clinicalData: { gfr: 'ten' }, extractedText: 'eGFR 10' } });
+  assert.equal(badNumber.status, 400);
+  assert.equal(badNumber.body.error, 'clinicalData.gfr must be a number');
+
+  const badList = await call('POST', '/analyze', { token, json: { clinicalData: { gfr: 10, complications: 'anemia' }, extractedText: 'eGFR 10' } });
+  assert.equal(badList.status, 400);
+  assert.match(badList.body.error, /clinicalData\.complications/);
+});
+
+test('FHIR import takes its fields from the body, never the URL', async () => {
+  const bundle = {
+    resourceType: 'Bundle',
+    id: 'labs-1',
+    type: 'collection',
+    entry: [
+      { resource: { resourceType: 'Patient', name: [{ given: ['Ada'], family: 'Lane' }] } },
+      {
+        resource: {
+          resourceType: 'Observation',
+          code: { coding: [{ system: 'http://loinc.org', code: '33914-3', display: 'eGFR' }] },
+          valueQuantity: { value: 14, unit: 'mL/min/1.73m2' },
+          effectiveDateTime: '2024-05-01'
+        }
+      }
+    ]
+  };
+
+  const inUrl = await call('POST', '/fhir/import?patientName=Ada%20Lane', { token, json: bundle });
+  assert.equal(inUrl.status, 400);
+  assert.match(inUrl.body.error, /patientName/);
+
+  const plain = await call('POST', '/fhir/import', { token, json: bundle });
+  assert.equal(plain.status, 200);
+  const fromBundle = await call('GET', `/appeals/${plain.body.appealId}`, { token });
+  assert.equal(fromBundle.body.appeal.patientName, 'Ada Lane');
+
+  const wrapped = await call('POST', '/fhir/import', { token, json: { bundle, patientName: 'A. Lane', reference: 'REF-7' } });
+  assert.equal(wrapped.status, 200);
+  const { appeal } = (await call('GET', `/appeals/${wrapped.body.appealId}`, { token })).body;
+  assert.equal(appeal.patientName, 'A. Lane');
+  assert.equal(appeal.reference, 'REF-7');
+});
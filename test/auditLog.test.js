@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAuditLog, createFileAuditStore } = require('../lib/auditLog');
+
+function tempLog(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'audit-log.jsonl');
+  return { filePath, open: () => createAuditLog(createFileAuditStore(filePath)) };
+}
+
+async function appendThree(auditLog) {
+  for (const action of ['document_upload', 'ai_decision_generated', 'decision_accepted']) {
+    await auditLog.append({ action, actor: 'r1', appealId: 1 });
+  }
+}
+
+test('entries are chained and the chain verifies', async t => {
+  const { open } = tempLog(t);
+  const auditLog = open();
+  await appendThree(auditLog);
+  const result = await auditLog.verify();
+  assert.equal(result.valid, true);
+  assert.equal(result.checked, 3);
+  assert.equal(result.head.sequence, 3);
+  assert.equal(result.head.hash, result.headHash);
+});
+
+test('an edited entry breaks the chain', async t => {
+  const { filePath, open } = tempLog(t);
+  await appendThree(open());
+  const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+  lines[1] = lines[1].replace('"actor":"r1"', '"actor":"r2"');
+  fs.writeFileSync(filePath, lines.join('\n') + '\n');
+  const result = await open().verify();
+  assert.equal(result.valid, false);
+  assert.equal(result.brokenAt, 2);
+});
+
+test('entries removed from the end are detected by the head', async t => {
+  const { filePath, open } = tempLog(t);
+  await appendThree(open());
+  const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+  fs.writeFileSync(filePath, lines.slice(0, 2).join('\n') + '\n');
+  const result = await open().verify();
+  assert.equal(result.valid, false);
+  assert.match(result.reason, /removed from the end/);
+});
+
+test('a reopened log continues the chain from its last entry', async t => {
+  const { open } = tempLog(t);
+  await appendThree(open());
+  const reopened = open();
+  const entry = await reopened.append({ action: 'login', actor: 'r1' });
+  assert.equal(entry.sequence, 4);
+  assert.equal((await reopened.verify()).valid, true);
+});
+
+test('a limit returns the most recent entries, and order and offset page through them', async t => {
+  const { open } = tempLog(t);
+  const auditLog = open();
+  await appendThree(auditLog);
+  await appendThree(auditLog);
+
+  const sequences = entries => entries.map(entry => entry.sequence);
+  assert.deepEqual(sequences(await auditLog.query({})), [1, 2, 3, 4, 5, 6]);
+  assert.deepEqual(sequences(await auditLog.query({ limit: '2' })), [6, 5]);
+  assert.deepEqual(sequences(await auditLog.query({ limit: '2', offset: '2' })), [4, 3]);
+  assert.deepEqual(sequences(await auditLog.query({ limit: '2', order: 'asc' })), [1, 2]);
+  assert.deepEqual(sequences(await auditLog.query({ action: 'decision_accepted', limit: '1' })), [6]);
+});
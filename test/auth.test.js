@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const {
+  hasPermission,
+  rolesWithPermission,
+  parseRoles,
+  hashPassword,
+  verifyPassword,
+  createAuthenticator
+} = require('../lib/auth');
+const { createDevIdentityProvider } = require('../lib/devIdentityProvider');
+
+const SECRET = 'test-secret-that-is-long-enough-for-hs256';
+
+test('permissions come from every role a user holds', () => {
+  const user = { roles: ['intake', 'reviewer'] };
+  assert.equal(hasPermission(user, 'documents:upload'), true);
+  assert.equal(hasPermission(user, 'appeals:decide'), true);
+  assert.equal(hasPermission(user, 'appeals:override'), false);
+  assert.equal(hasPermission(null, 'appeals:read'), false);
+  assert.deepEqual(rolesWithPermission('audit:read'), ['supervisor', 'admin']);
+  assert.deepEqual(parseRoles(['reviewer', 'reviewer']), ['reviewer']);
+  assert.equal(parseRoles(['superuser']), null);
+});
+
+test('passwords are salted scrypt hashes', () => {
+  const stored = hashPassword('correct horse');
+  assert.match(stored, /^scrypt\$/);
+  assert.notEqual(stored, hashPassword('correct horse'));
+  assert.equal(verifyPassword('correct horse', stored), true);
+  assert.equal(verifyPassword('wrong horse', stored), false);
+  assert.equal(verifyPassword('correct horse', 'plaintext'), false);
+});
+
+test('local tokens carry the user\'s current roles and stop working on deactivation', async () => {
+  const users = new Map([['alice', { username: 'alice', name: 'Alice', roles: ['reviewer'], active: true }]]);
+  const authenticator = createAuthenticator({ secret: SECRET, findUser: async username => users.get(username) || null });
+  const { token } = authenticator.issueToken(users.get('alice'));
+  assert.deepEqual((await authenticator.verify(token)).roles, ['reviewer']);
+
+  users.get('alice').roles = ['reviewer', 'supervisor'];
+  assert.deepEqual((await authenticator.verify(token)).roles, ['reviewer', 'supervisor']);
+  users.get('alice').active = false;
+  await assert.rejects(authenticator.verify(token), /deactivated/);
+});
+
+test('tokens from other issuers, or forged, are refused', async () => {
+  const authenticator = createAuthenticator({ secret: SECRET, findUser: async () => null });
+  await assert.rejects(authenticator.verify('not-a-token'), /malformed/);
+  await assert.rejects(authenticator.verify(jwt.sign({ iss: 'elsewhere' }, SECRET)), /untrusted issuer/);
+  const forged = jwt.sign({ roles: ['admin'] }, 'another-secret', { issuer: 'ckd-appeals', subject: 'alice' });
+  await assert.rejects(authenticator.verify(forged), /signature/);
+});
+
+test('OpenID Connect tokens are verified against the provider\'s published keys', async () => {
+  let provider = null;
+  const server = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(req.url.endsWith('/jwks') ? provider.jwks() : provider.discovery()));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    const issuer = `http://127.0.0.1:${server.address().port}`;
+    provider = createDevIdentityProvider({ issuer, audience: 'appeals' });
+    const authenticator = createAuthenticator({
+      secret: SECRET,
+      findUser: async () => null,
+      oidc: { issuer, audience: 'appeals', rolesClaim: 'roles' }
+    });
+    const { token } = provider.issueToken({ username: 'bob', roles: ['supervisor', 'unknown-role'] });
+    const user = await authenticator.verify(token);
+    assert.equal(user.username, 'bob');
+    assert.deepEqual(user.roles, ['supervisor']);
+
+    const forOtherAudience = createAuthenticator({
+      secret: SECRET,
+      findUser: async () => null,
+      oidc: { issuer, audience: 'another-service', rolesClaim: 'roles' }
+    });
+    await assert.rejects(forOtherAudience.verify(token), /audience/);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  pageForOffset,
+  createCitation,
+  buildEvidence,
+  evidenceForFacts,
+  citedEvidenceIds
+} = require('../lib/citations');
+
+const TEXT = 'Nephrology note.\fLabs 2024-01-10: eGFR 24 mL/min/1.73m2, creatinine 2.4 mg/dL.';
+const PAGE_STARTS = [0, 17];
+
+test('offsets map to the page they fall on', () => {
+  assert.equal(pageForOffset(PAGE_STARTS, 5), 1);
+  assert.equal(pageForOffset(PAGE_STARTS, 17), 2);
+  assert.equal(pageForOffset(null, 5), null);
+});
+
+test('a citation quotes the value and shows the text around it', () => {
+  const start = TEXT.indexOf('eGFR 24');
+  const citation = createCitation(TEXT, start, start + 'eGFR 24'.length, PAGE_STARTS);
+  assert.equal(citation.quote, 'eGFR 24');
+  assert.equal(citation.page, 2);
+  assert.match(citation.snippet, /Labs 2024-01-10: eGFR 24 mL/);
+  assert.equal(createCitation(TEXT, undefined, 4, PAGE_STARTS), null);
+});
+
+test('cited values are numbered and matched to rule facts', () => {
+  const gfrStart = TEXT.indexOf('eGFR 24');
+  const creatinineStart = TEXT.indexOf('creatinine');
+  const evidence = buildEvidence({
+    gfr: 24,
+    creatinine: 2.4,
+    bun: 40,
+    citations: {
+      gfr: createCitation(TEXT, gfrStart, gfrStart + 7, PAGE_STARTS),
+      creatinine: createCitation(TEXT, creatinineStart, creatinineStart + 21, PAGE_STARTS)
+    },
+    medications: [{ drug: 'lisinopril', status: 'discontinued', citation: createCitation(TEXT, 0, 10, PAGE_STARTS) }]
+  });
+  // BUN has no citation, so it is not evidence
+  assert.deepEqual(evidence.map(e => [e.id, e.label]), [
+    ['E1', 'GFR 24 mL/min/1.73m²'],
+    ['E2', 'Creatinine 2.4 mg/dL'],
+    ['E3', 'Medication: lisinopril (discontinued)']
+  ]);
+  assert.deepEqual(evidenceForFacts({ 'ckdStage.gCategory': 'G4', optimalManagement: false }, evidence), ['E1', 'E3']);
+});
+
+test('rationale items cite evidence by id, ignoring ids that do not exist', () => {
+  const evidence = [{ id: 'E1' }, { id: 'E2' }, { id: 'E3' }];
+  assert.deepEqual(citedEvidenceIds('eGFR 24 [E1], rising creatinine [E2, E3] and [E9]', evidence), ['E1', 'E2', 'E3']);
+  assert.deepEqual(citedEvidenceIds('No citation', evidence), []);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const kb = require('../conditions/ckd/knowledge-base.json');
+const { extractLabSeries } = require('../lib/labSeries');
+const { parseTarget, parseInterval, checkCompliance } = require('../lib/compliance');
+
+const clinicalDataFor = (text, extra = {}) => ({ labSeries: extractLabSeries(text), ...extra });
+const target = (report, id) => report.targets.find(t => t.id === id);
+
+test('targets and intervals are parsed as the knowledge base writes them', () => {
+  assert.deepEqual(parseTarget('<130/80 mmHg', kb), { systolicBelow: 130, diastolicBelow: 80 });
+  assert.deepEqual(parseTarget('10-12 g/dL', kb), { min: 10, max: 12 });
+  assert.deepEqual(parseTarget('>20%', kb), { above: 20 });
+  assert.deepEqual(parseTarget('2-9 times upper limit of normal', kb), { min: 130, max: 585 });
+  assert.equal(parseInterval('Every 3-6 months'), 183);
+  assert.equal(parseInterval('Annually'), 365);
+  assert.equal(parseInterval('As needed'), null);
+});
+
+test('the latest result decides whether a target is met', () => {
+  const text = '2023-01-10 BP 150/95 mmHg\n2024-01-10 BP 124/76 mmHg, LDL 130 mg/dL';
+  const report = checkCompliance(kb, clinicalDataFor(text), text);
+  assert.equal(target(report, 'blood_pressure').status, 'met');
+  assert.equal(target(report, 'ldl').status, 'missed');
+  assert.equal(target(report, 'hba1c').status, 'not_applicable');
+  assert.equal(target(report, 'calcium').status, 'undocumented');
+});
+
+test('a missed target without documented therapy counts as an untried alternative', () => {
+  const text = '2024-01-10 LDL 130 mg/dL';
+  const untreated = checkCompliance(kb, clinicalDataFor(text), text);
+  assert.equal(untreated.alternativeTreatments.notAttemptedCount, 1);
+  const treatedText = `${text}. Started atorvastatin 40 mg.`;
+  const treated = checkCompliance(kb, clinicalDataFor(treatedText), treatedText);
+  assert.equal(target(treated, 'ldl').therapyDocumented.toLowerCase(), 'atorvastatin');
+  assert.equal(treated.alternativeTreatments.notAttemptedCount, 0);
+});
+
+test('monitoring gaps longer than the stage allows are overdue', () => {
+  const text = '2023-01-10 eGFR 35 mL/min/1.73m2\n2024-03-10 eGFR 33 mL/min/1.73m2';
+  const report = checkCompliance(kb, clinicalDataFor(text, { ckdStage: { gCategory: 'G3b' } }), text);
+  assert.equal(report.monitoring.schedule, 'CKD_Stage_3');
+  const gfr = report.monitoring.items.find(item => item.item === 'gfr');
+  assert.equal(gfr.status, 'overdue');
+  assert.equal(gfr.longestGapDays, 425);
+  assert.equal(report.summary.monitoringRespected, false);
+});
+
+test('non-adherence is documented only when affirmed', () => {
+  assert.equal(checkCompliance(kb, {}, 'Patient stopped taking lisinopril.').nonCompliance.documented, true);
+  assert.equal(checkCompliance(kb, {}, 'Denies missed appointments.').nonCompliance.documented, false);
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { loadConditionPacks } = require('../lib/conditionPacks');
+
+const packs = loadConditionPacks(path.join(__dirname, '..', 'conditions'));
+
+test('overlapping detection terms count once, for the longest term', () => {
+  const { scores } = packs.detect('Chronic kidney disease stage 4, followed by nephrology.');
+  assert.equal(scores.ckd.score, 2);
+  assert.deepEqual(scores.ckd.matched, ['chronic kidney disease', 'nephrology']);
+});
+
+test('routine kidney labs do not pull a chart into the CKD pack', () => {
+  const { pack, scores } = packs.detect('Type 2 diabetes. HbA1c 9.1%. Creatinine 0.9 mg/dL, GFR > 90.');
+  assert.equal(pack.id, 'diabetes');
+  assert.equal(scores.ckd.score, 0);
+});
+
+test('text that names no condition falls back to the default pack', () => {
+  const result = packs.detect('Routine follow-up visit.');
+  assert.equal(result.pack.id, 'ckd');
+  assert.equal(result.method, 'default');
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDeidentifier } = require('../lib/deidentify');
+
+test('labelled PHI is replaced and mapped back', () => {
+  const deidentifier = createDeidentifier();
+  const redacted = deidentifier.redact('Patient: Jane Doe, DOB: 03/14/1958, MRN: 12345678. Phone (555) 123-4567.');
+  assert.doesNotMatch(redacted, /Jane|Doe|1958|12345678|555/);
+  assert.match(redacted, /\[NAME_1\]/);
+  assert.match(redacted, /\[MRN_1\]/);
+  assert.equal(deidentifier.reidentify('Decision for [NAME_1]'), 'Decision for Jane Doe');
+});
+
+test('clinical values and service dates are kept', () => {
+  const deidentifier = createDeidentifier();
+  const text = '2024-06-12 eGFR 33 mL/min/1.73m2, UACR 420 mg/g';
+  assert.equal(deidentifier.redact(text), text);
+});
+
+test('values learned from the record are redacted without their labels', () => {
+  const deidentifier = createDeidentifier({ names: ['Jane Doe'] });
+  deidentifier.learn('Patient: Jane Doe\nMRN: AB-99812\nMember ID: XZ4471920');
+  const redacted = deidentifier.redact('Ms. Doe (AB-99812) was seen; claim filed under xz4471920.');
+  assert.doesNotMatch(redacted, /Doe|AB-99812|xz4471920/i);
+});
+
+test('a value keeps its placeholder everywhere', () => {
+  const deidentifier = createDeidentifier({ names: ['John Smith'] });
+  const first = deidentifier.redact('Patient: John Smith');
+  const second = deidentifier.redact('Smith reports fatigue');
+  assert.match(first, /\[NAME_1\]/);
+  assert.match(second, /\[NAME_1\]/);
+});
+
+test('documents are named by placeholder, not filename', () => {
+  const deidentifier = createDeidentifier();
+  const label = deidentifier.documentLabel(7, 'John_Smith_labs.txt');
+  assert.equal(label, '[DOC_1]');
+  assert.equal(deidentifier.documentLabel(7, 'John_Smith_labs.txt'), label);
+  assert.equal(deidentifier.reidentify(`See ${label}`), 'See John_Smith_labs.txt');
+  assert.ok(deidentifier.summary().every(entry => !('original' in entry)));
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { documentFormat, htmlToText, rtfToText } = require('../lib/documentFormats');
+const { parseCcda } = require('../lib/ccda');
+
+const CCDA = `<?xml version="1.0" encoding="UTF-8"?>
+<ClinicalDocument xmlns="urn:hl7-org:v3" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <title>Nephrology summary</title>
+  <effectiveTime value="20240115103000-0500"/>
+  <recordTarget><patientRole><patient>
+    <name><given>Jane</given><family>Doe</family></name>
+    <administrativeGenderCode code="F"/>
+    <birthTime value="19580302"/>
+  </patient></patientRole></recordTarget>
+  <component><structuredBody>
+    <component><section>
+      <code code="30954-2" codeSystem="2.16.840.1.113883.6.1"/>
+      <title>Results</title>
+      <entry><organizer classCode="BATTERY" moodCode="EVN">
+        <effectiveTime value="20240110"/>
+        <component><observation classCode="OBS" moodCode="EVN">
+          <code code="62238-1" codeSystem="2.16.840.1.113883.6.1" displayName="eGFR (CKD-EPI)"/>
+          <value xsi:type="PQ" value="18" unit="mL/min/{1.73_m2}"/>
+        </observation></component>
+      </organizer></entry>
+    </section></component>
+    <component><section>
+      <code code="11450-4" codeSystem="2.16.840.1.113883.6.1"/>
+      <title>Problems</title>
+      <entry><act classCode="ACT" moodCode="EVN"><statusCode code="completed"/>
+        <entryRelationship typeCode="SUBJ"><observation classCode="OBS" moodCode="EVN">
+          <effectiveTime><low value="20220101"/><high value="20220301"/></effectiveTime>
+          <value xsi:type="CD" code="14140009" codeSystem="2.16.840.1.113883.6.96" displayName="Hyperkalemia"/>
+        </observation></entryRelationship></act></entry>
+    </section></component>
+    <component><section>
+      <code code="10160-0" codeSystem="2.16.840.1.113883.6.1"/>
+      <title>Medications</title>
+      <entry><substanceAdministration classCode="SBADM" moodCode="EVN">
+        <statusCode code="active"/>
+        <effectiveTime xsi:type="IVL_TS"><low value="20220105"/></effectiveTime>
+        <effectiveTime xsi:type="PIVL_TS"><period value="24" unit="h"/></effectiveTime>
+        <routeCode displayName="Oral"/>
+        <doseQuantity value="10" unit="mg"/>
+        <consumable><manufacturedProduct><manufacturedMaterial>
+          <code code="314076" codeSystem="2.16.840.1.113883.6.88" displayName="Lisinopril 10 MG Oral Tablet"/>
+        </manufacturedMaterial></manufacturedProduct></consumable>
+      </substanceAdministration></entry>
+    </section></component>
+    <component><section>
+      <title>Assessment</title>
+      <text><paragraph>Progressive CKD.</paragraph><paragraph>Refer for transplant evaluation.</paragraph></text>
+    </section></component>
+  </structuredBody></component>
+</ClinicalDocument>`;
+
+test('formats are known by MIME type, or by extension when the type is generic', () => {
+  assert.equal(documentFormat({ mimetype: 'application/pdf', originalname: 'a.pdf' }), 'pdf');
+  assert.equal(documentFormat({ mimetype: 'text/xml', originalname: 'record' }), 'ccda');
+  assert.equal(documentFormat({ mimetype: 'application/octet-stream', originalname: 'Letter.RTF' }), 'rtf');
+  assert.equal(documentFormat({ mimetype: 'application/zip', originalname: 'a.pdf' }), null);
+});
+
+test('HTML keeps its visible text, a table row on one line', () => {
+  const html = '<html><head><style>p { color: red }</style></head><body><h1>Labs</h1>' +
+    '<table><tr><td>eGFR</td><td>18&nbsp;mL/min/1.73m&sup2;</td></tr></table><ul><li>Lisinopril</li></ul>' +
+    '<script>alert(1)</script><!-- note --></body></html>';
+  assert.equal(htmlToText(html), 'Labs\n\neGFR 18 mL/min/1.73m²\n\n- Lisinopril');
+});
+
+test('RTF keeps its body text and skips font tables', () => {
+  const rtf = '{\\rtf1\\ansi{\\fonttbl{\\f0 Arial;}}{\\*\\generator Word;}\\f0 eGFR 18\\par Creatinine 3.1 mg/dL \\endash  rising\\par\\u8805?30 days}';
+  assert.equal(rtfToText(rtf), 'eGFR 18\nCreatinine 3.1 mg/dL – rising\n≥30 days');
+});
+
+test('coded C-CDA entries are read as structured data and rendered one per line', () => {
+  const { text, structured } = parseCcda(CCDA);
+  const { name, dateOfBirth, sex } = structured.patient;
+  assert.deepEqual({ name, dateOfBirth, sex }, { name: 'Jane Doe', dateOfBirth: '1958-03-02', sex: 'female' });
+  assert.equal(structured.date, '2024-01-15');
+  const [egfr] = structured.results;
+  assert.deepEqual([egfr.loinc, egfr.date, egfr.value], ['62238-1', '2024-01-10', 18]);
+  assert.equal(text.substring(egfr.span.start, egfr.span.end), '2024-01-10 eGFR (CKD-EPI) [LOINC 62238-1]: 18 mL/min/{1.73_m2}');
+  assert.equal(structured.problems[0].status, 'resolved');
+  const [lisinopril] = structured.medications;
+  assert.deepEqual([lisinopril.rxnorm, lisinopril.dose, lisinopril.route, lisinopril.frequency, lisinopril.status],
+    ['314076', '10 mg', 'Oral', 'daily', 'active']);
+  assert.match(text, /Assessment\nProgressive CKD\.\nRefer for transplant evaluation\./);
+});
+
+test('XML that is not a CDA document is refused', () => {
+  assert.throws(() => parseCcda('<note><to>Jane</to></note>'), /HL7 CDA/);
+  assert.throws(() => parseCcda('<ClinicalDocument'), /Invalid XML|HL7 CDA/);
+});
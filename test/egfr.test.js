@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateEgfr, resolveEquation, estimateGfrSeries } = require('../lib/egfr');
+
+test('CKD-EPI 2021 matches the published reference values', () => {
+  assert.equal(calculateEgfr({ creatinine: 1.0, age: 50, sex: 'male' }), 92);
+  assert.equal(calculateEgfr({ creatinine: 1.0, age: 60, sex: 'female' }), 64);
+});
+
+test('MDRD is available by name', () => {
+  assert.equal(calculateEgfr({ creatinine: 1.0, age: 60, sex: 'female' }, 'mdrd'), 57);
+  assert.equal(resolveEquation('CKD-EPI'), 'ckd-epi-2021');
+  assert.throws(() => resolveEquation('cockcroft-gault'), /Unknown eGFR equation/);
+});
+
+test('no estimate outside the range the equations were fit on', () => {
+  assert.equal(calculateEgfr({ creatinine: 1.0, age: 17, sex: 'male' }), null);
+  assert.equal(calculateEgfr({ creatinine: 0, age: 50, sex: 'male' }), null);
+  assert.equal(calculateEgfr({ creatinine: 1.0, age: 50, sex: null }), null);
+});
+
+test('a creatinine series is estimated as calculated values', () => {
+  const demographics = { age: 60, sex: 'female', ageSource: 'stated', dateOfBirth: null };
+  const { series, summary } = estimateGfrSeries([{ value: 1.0, date: '2024-01-10', index: 0 }], demographics);
+  assert.equal(summary.calculated, true);
+  assert.equal(series[0].value, 64);
+  assert.equal(series[0].calculated, true);
+  assert.equal(series[0].creatinine, 1.0);
+});
+
+test('nothing is estimated without age and sex', () => {
+  const { series, summary } = estimateGfrSeries([{ value: 1.0, date: null, index: 0 }], { age: null, sex: null, dateOfBirth: null });
+  assert.deepEqual(series, []);
+  assert.deepEqual(summary.missing, ['age', 'sex']);
+});
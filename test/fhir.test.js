@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFhirBundle, decisionBundle } = require('../lib/fhir');
+
+const LOINC = 'http://loinc.org';
+
+const BUNDLE = {
+  resourceType: 'Bundle',
+  id: 'b1',
+  type: 'collection',
+  timestamp: '2024-01-15T10:00:00Z',
+  entry: [
+    { fullUrl: 'urn:uuid:p1', resource: { resourceType: 'Patient', id: 'p1', name: [{ given: ['Jane'], family: 'Doe' }], birthDate: '1958-03-02', gender: 'female' } },
+    { resource: { resourceType: 'Observation', status: 'final', code: { coding: [{ system: LOINC, code: '62238-1', display: 'eGFR' }] }, effectiveDateTime: '2024-01-10T08:00:00Z', valueQuantity: { value: 18, unit: 'mL/min/1.73m2' } } },
+    { resource: { resourceType: 'Observation', status: 'entered-in-error', code: { coding: [{ system: LOINC, code: '62238-1' }] }, effectiveDateTime: '2024-01-11', valueQuantity: { value: 99 } } },
+    { resource: { resourceType: 'Observation', status: 'final', code: { coding: [{ system: LOINC, code: '8480-6' }] }, effectiveDateTime: '2024-01-10', valueQuantity: { value: 142 } } },
+    { resource: { resourceType: 'Observation', status: 'final', code: { coding: [{ system: LOINC, code: '8462-4' }] }, effectiveDateTime: '2024-01-10', valueQuantity: { value: 88 } } },
+    { resource: { resourceType: 'Condition', code: { coding: [{ system: 'http://snomed.info/sct', code: '431857002', display: 'Chronic kidney disease stage 4' }] }, clinicalStatus: { coding: [{ code: 'active' }] }, onsetDateTime: '2021-03-01' } },
+    { resource: { resourceType: 'Condition', code: { text: 'Gout' }, verificationStatus: { coding: [{ code: 'refuted' }] } } },
+    { fullUrl: 'urn:uuid:m1', resource: { resourceType: 'Medication', id: 'm1', code: { coding: [{ system: 'http://www.nlm.nih.gov/research/umls/rxnorm', code: '314076', display: 'Lisinopril 10 MG Oral Tablet' }] } } },
+    { resource: { resourceType: 'MedicationStatement', status: 'active', medicationReference: { reference: 'urn:uuid:m1' }, dosage: [{ timing: { repeat: { frequency: 1, period: 1, periodUnit: 'd' } }, doseAndRate: [{ doseQuantity: { value: 10, unit: 'mg' } }] }] } },
+    { resource: { resourceType: 'Encounter', id: 'e1' } }
+  ]
+};
+
+test('a Bundle is read into the structured record, skipping what does not count', () => {
+  const { text, structured, skipped } = parseFhirBundle(BUNDLE);
+  assert.equal(structured.patient.name, 'Jane Doe');
+  assert.equal(structured.date, '2024-01-15');
+  const egfr = structured.results.filter(r => r.loinc === '62238-1');
+  assert.deepEqual(egfr.map(r => [r.date, r.value]), [['2024-01-10', 18]]);
+  // Separate systolic and diastolic Observations become one reading
+  const bloodPressure = structured.results.find(r => r.loinc === '85354-9');
+  assert.deepEqual([bloodPressure.systolic, bloodPressure.diastolic], [142, 88]);
+  assert.deepEqual(structured.problems.map(p => p.name), ['Chronic kidney disease stage 4']);
+  const [lisinopril] = structured.medications;
+  assert.deepEqual([lisinopril.rxnorm, lisinopril.dose, lisinopril.frequency], ['314076', '10 mg', 'daily']);
+  assert.deepEqual(skipped, { Encounter: 1 });
+  assert.match(text, /Lisinopril 10 MG Oral Tablet \(RxNorm 314076\)/);
+});
+
+test('bodies that are not Bundles, or have nothing to read, are refused', () => {
+  assert.throws(() => parseFhirBundle({ resourceType: 'Patient' }), /FHIR Bundle/);
+  assert.throws(() => parseFhirBundle({ resourceType: 'Bundle', entry: [BUNDLE.entry[0]] }), /no Observation/);
+});
+
+const LABS = { gfr: { loinc: '62238-1', label: 'eGFR', unit: 'mL/min/1.73m2' } };
+const APPEAL = { id: 7, reference: 'APL-7', patientName: 'Jane Doe', createdAt: '2024-02-01T00:00:00Z' };
+const DECISION = {
+  decision: 'REVIEW',
+  confidence: 0.62,
+  timestamp: '2024-02-02T00:00:00Z',
+  rationale: ['eGFR 18 [E1]'],
+  clinicalData: { labSeries: { gfr: [{ date: '2024-01-10', value: 18 }] }, demographics: { sex: 'female' } }
+};
+
+test('a decision awaiting review is exported as a queued ClaimResponse with its Observations', () => {
+  const bundle = decisionBundle('ClaimResponse', { appeal: APPEAL, decision: DECISION, labs: LABS, systemBase: 'https://appeals.example' });
+  const [claimResponse, patient, observation] = bundle.entry.map(e => e.resource);
+  assert.equal(claimResponse.outcome, 'queued');
+  assert.equal(claimResponse.disposition, 'Appeal referred for clinical review');
+  assert.deepEqual(claimResponse.identifier.map(i => i.value), ['7', 'APL-7']);
+  assert.equal(patient.name[0].text, 'Jane Doe');
+  assert.deepEqual([observation.effectiveDateTime, observation.valueQuantity.value], ['2024-01-10', 18]);
+  assert.equal(claimResponse.patient.reference, `urn:uuid:${patient.id}`);
+});
+
+test('a reviewed decision exports the reviewer\'s outcome, keeping the AI\'s alongside', () => {
+  const reviewed = {
+    ...DECISION,
+    humanDecision: 'APPROVE',
+    review: { reviewer: 'dr.lee', reviewedAt: '2024-02-03T00:00:00Z', action: 'override', reason: 'Progression documented' }
+  };
+  const bundle = decisionBundle('Task', { appeal: APPEAL, decision: reviewed, labs: LABS, patientReference: 'Patient/p1', systemBase: 'https://appeals.example' });
+  const task = bundle.entry[0].resource;
+  assert.equal(task.status, 'completed');
+  assert.equal(task.businessStatus.coding[0].code, 'APPROVE');
+  assert.equal(task.owner.display, 'dr.lee');
+  assert.equal(task.lastModified, '2024-02-03T00:00:00Z');
+  assert.equal(task.output.find(o => o.type.text === 'AI decision').valueCode, 'REVIEW');
+  // The imported Patient is referenced rather than repeated
+  assert.equal(bundle.entry.some(e => e.resource.resourceType === 'Patient'), false);
+  assert.equal(task.for.reference, 'Patient/p1');
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const shipped = require('../conditions/ckd/knowledge-base.json');
+const { createKnowledgeBaseVersions, createFileKnowledgeBaseStore } = require('../lib/knowledgeBase');
+
+const copy = value => JSON.parse(JSON.stringify(value));
+
+function tempHistory(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'kb-versions-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = createFileKnowledgeBaseStore(path.join(dir, 'versions.jsonl'));
+  let file = copy(shipped);
+  return {
+    ship: content => { file = content; },
+    open: () => createKnowledgeBaseVersions(store, { pack: 'ckd', seed: () => copy(file) })
+  };
+}
+
+const withRule = (content, id) => {
+  const changed = copy(content);
+  const rule = { ...changed.appeal_criteria.rules[0], id };
+  changed.appeal_criteria.rules.push(rule);
+  return changed;
+};
+
+test('version 1 is seeded from the shipped file', async t => {
+  const { open } = tempHistory(t);
+  const versions = open();
+  const current = await versions.current();
+  assert.equal(current.version, 1);
+  assert.equal(current.seeded, true);
+  assert.equal((await versions.syncSeed()).status, 'unchanged');
+});
+
+test('a changed shipped file becomes a new version', async t => {
+  const { ship, open } = tempHistory(t);
+  await open().current();
+  ship(withRule(shipped, 'shipped_rule'));
+  const result = await open().syncSeed();
+  assert.equal(result.status, 'updated');
+  assert.equal(result.version.version, 2);
+  assert.equal(result.version.seeded, true);
+  assert.deepEqual(result.version.diff.map(c => c.path), ['/appeal_criteria/rules']);
+  assert.equal((await open().syncSeed()).status, 'unchanged');
+});
+
+test('edits made since seeding are kept over a changed file', async t => {
+  const { ship, open } = tempHistory(t);
+  const versions = open();
+  await versions.commit(content => withRule(content, 'edited_rule'), { author: 'admin', message: 'Local rule' });
+  ship(withRule(shipped, 'shipped_rule'));
+  const result = await open().syncSeed();
+  assert.equal(result.status, 'diverged');
+  assert.equal(result.seededVersion, 1);
+  assert.equal((await versions.current()).version, 2);
+  assert.ok((await versions.current()).content.appeal_criteria.rules.some(r => r.id === 'edited_rule'));
+});
+
+test('an invalid shipped file is not applied', async t => {
+  const { ship, open } = tempHistory(t);
+  await open().current();
+  const broken = copy(shipped);
+  delete broken.appeal_criteria;
+  ship(broken);
+  const result = await open().syncSeed();
+  assert.equal(result.status, 'invalid');
+  assert.equal(result.version.version, 1);
+});
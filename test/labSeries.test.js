@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findDates, extractLabSeries, latestObservation, toIsoDate } = require('../lib/labSeries');
+const { analyzeGfrTrend } = require('../lib/trends');
+
+test('service dates are found in each format, dates of birth are not', () => {
+  const dates = findDates('DOB: 03/14/1958. Seen 2024-01-10, again Jan 5, 2024 and 10 Feb 2024.').map(d => d.date);
+  assert.deepEqual(dates, ['2024-01-10', '2024-01-05', '2024-02-10']);
+  assert.equal(toIsoDate(2024, 2, 30), null);
+  assert.equal(toIsoDate('24', 3, 1), '2024-03-01');
+});
+
+test('every result is kept with the date it was reported under', () => {
+  const text = [
+    '2023-06-01: eGFR 41 mL/min/1.73m2, creatinine 1.6 mg/dL',
+    'Labs 2024-01-15',
+    'eGFR 33 mL/min/1.73m2',
+    'UACR 45 mg/mmol'
+  ].join('\n');
+  const series = extractLabSeries(text);
+  assert.deepEqual(series.gfr.map(o => [o.date, o.value]), [['2023-06-01', 41], ['2024-01-15', 33]]);
+  assert.equal(series.creatinine[0].value, 1.6);
+  assert.equal(series.uacr[0].value, 397.8);
+  assert.equal(series.uacr[0].reportedUnit, 'mg/mmol');
+  assert.equal(latestObservation(series.gfr).value, 33);
+});
+
+test('pack extractors are dated like the built-in labs', () => {
+  const series = extractLabSeries('2024-03-01 potassium 5.9 mmol/L', [
+    { name: 'potassium', pattern: /potassium\s+([0-9.]+)/gi, parse: m => ({ value: parseFloat(m[1]) }) }
+  ]);
+  assert.deepEqual(series.potassium.map(o => [o.date, o.value]), [['2024-03-01', 5.9]]);
+});
+
+test('a steady decline is flagged as progression', () => {
+  const trend = analyzeGfrTrend([
+    { date: '2022-01-01', value: 48 },
+    { date: '2023-01-01', value: 40 },
+    { date: '2024-01-01', value: 31 }
+  ]);
+  assert.equal(trend.progressing, true);
+  assert.equal(trend.stable, false);
+  assert.ok(trend.slopePerYear <= -5);
+  assert.ok(trend.flags.some(flag => /progression/.test(flag.criterion)));
+});
+
+test('steady values over six months are stable, and one result is not a trend', () => {
+  const stable = analyzeGfrTrend([
+    { date: '2023-01-01', value: 42 },
+    { date: '2023-07-01', value: 41 },
+    { date: '2024-01-01', value: 43 }
+  ]);
+  assert.equal(stable.stable, true);
+  assert.equal(stable.progressing, false);
+  assert.equal(analyzeGfrTrend([{ date: '2024-01-01', value: 30 }]).sufficientData, false);
+});
+
+test('a recent drop is flagged even when the overall change is small', () => {
+  const trend = analyzeGfrTrend([
+    { date: '2022-01-01', value: 40 },
+    { date: '2023-10-01', value: 48 },
+    { date: '2024-01-01', value: 37 }
+  ]);
+  assert.equal(trend.recentChange, true);
+  assert.ok(trend.recentChangePercent < -20);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MANUAL_STATUS_PERMISSIONS, transitionError, forwardSteps, slaDueAt, slaStatus } = require('../lib/lifecycle');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test('appeals only move forward, or close while open', () => {
+  assert.equal(transitionError('received', 'documents_complete'), null);
+  assert.equal(transitionError('in_review', 'decided'), null);
+  assert.equal(transitionError('analyzed', 'closed'), null);
+  assert.match(transitionError('documents_complete', 'in_review'), /can only move to: analyzed, closed/);
+  assert.match(transitionError('in_review', 'analyzed'), /can only move to/);
+  assert.match(transitionError('in_review', 'in_review'), /can only move to/);
+  assert.match(transitionError('decided', 'closed'), /can only move to: letter_sent/);
+  assert.match(transitionError('closed', 'received'), /cannot change status/);
+  assert.match(transitionError('received', 'bogus'), /status must be one of/);
+});
+
+test('forward steps catch an appeal up, and never move it back', () => {
+  assert.deepEqual(forwardSteps('received', 'in_review'), ['documents_complete', 'analyzed', 'in_review']);
+  assert.deepEqual(forwardSteps('analyzed', 'decided'), ['in_review', 'decided']);
+  assert.deepEqual(forwardSteps('in_review', 'in_review'), []);
+  assert.equal(forwardSteps('in_review', 'analyzed'), null);
+  assert.equal(forwardSteps('closed', 'decided'), null);
+});
+
+test('sending the letter and closing need the permission to decide', () => {
+  assert.equal(MANUAL_STATUS_PERMISSIONS.documents_complete, 'appeals:write');
+  assert.equal(MANUAL_STATUS_PERMISSIONS.letter_sent, 'appeals:decide');
+  assert.equal(MANUAL_STATUS_PERMISSIONS.closed, 'appeals:decide');
+});
+
+test('expedited appeals are due in 72 hours, standard ones in 30 days', () => {
+  const receivedAt = new Date('2026-01-01T00:00:00Z');
+  assert.equal(slaDueAt(receivedAt, 'expedited').toISOString(), '2026-01-04T00:00:00.000Z');
+  assert.equal(slaDueAt(receivedAt, 'standard').toISOString(), '2026-01-31T00:00:00.000Z');
+});
+
+test('open appeals are on track, at risk or overdue; resolved ones met or missed', () => {
+  const createdAt = new Date('2026-01-01T00:00:00Z');
+  const at = hours => ({ now: new Date(createdAt.getTime() + hours * HOUR_MS), atRiskFraction: 0.2 });
+  const appeal = { urgency: 'expedited', createdAt, resolvedAt: null };
+  assert.equal(slaStatus(appeal, at(10)).state, 'on_track');
+  assert.equal(slaStatus(appeal, at(60)).state, 'at_risk');
+  const overdue = slaStatus(appeal, at(80));
+  assert.equal(overdue.state, 'overdue');
+  assert.equal(overdue.hoursRemaining, -8);
+  assert.equal(slaStatus({ ...appeal, resolvedAt: new Date(createdAt.getTime() + 70 * HOUR_MS) }, at(100)).state, 'met');
+  assert.equal(slaStatus({ ...appeal, resolvedAt: new Date(createdAt.getTime() + 73 * HOUR_MS) }, at(100)).state, 'missed');
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const kb = require('../conditions/ckd/knowledge-base.json');
+const {
+  extractMedications,
+  classifyMedication,
+  checkRenalDosing,
+  summarizeOptimalManagement
+} = require('../lib/medications');
+
+const MED_LIST = [
+  'Medications:',
+  'Lisinopril 20 mg PO daily',
+  'Metformin 1000 mg BID',
+  'Insulin glargine 20 units SC at bedtime',
+  'Furosemide discontinued last month'
+].join('\n');
+
+test('drugs are read with dose, route and frequency', () => {
+  const medications = extractMedications(MED_LIST, kb);
+  assert.deepEqual(medications.map(m => m.drug), ['lisinopril', 'metformin', 'insulin glargine', 'furosemide']);
+  const lisinopril = medications[0];
+  assert.equal(lisinopril.className, 'ACE inhibitor');
+  assert.equal(lisinopril.dose, '20 mg');
+  assert.equal(lisinopril.route, 'PO');
+  assert.equal(lisinopril.frequency, 'daily');
+  assert.equal(medications[1].frequency, 'BID');
+  assert.ok(medications[1].frequencyDescription);
+  assert.equal(medications[3].status, 'discontinued');
+});
+
+test('all-caps class abbreviations only match in capitals', () => {
+  assert.deepEqual(extractMedications('On an ARB since 2022.', kb).map(m => m.drug), ['ARB']);
+  assert.deepEqual(extractMedications('Arb was discussed.', kb), []);
+});
+
+test('coded names are classified by the longest term they contain', () => {
+  assert.equal(classifyMedication(kb, 'Lisinopril 10 MG Oral Tablet').classKey, 'ace_inhibitors');
+  assert.equal(classifyMedication(kb, 'Insulin Glargine 100 UNT/ML').drug, 'insulin glargine');
+  assert.equal(classifyMedication(kb, 'Acetaminophen 500 MG'), null);
+});
+
+test('renal dosing alerts follow eGFR, most severe first', () => {
+  const medications = extractMedications(MED_LIST, kb);
+  const alerts = checkRenalDosing(kb, medications, { gfr: 25 });
+  assert.equal(alerts[0].drug, 'metformin');
+  assert.equal(alerts[0].severity, 'contraindicated');
+  assert.match(alerts[0].message, /eGFR 25/);
+  // Discontinued drugs are not checked
+  assert.equal(alerts.some(alert => alert.drug === 'furosemide'), false);
+  assert.equal(checkRenalDosing(kb, medications, { gfr: 38 }).find(alert => alert.drug === 'metformin').severity, 'dose_adjustment');
+  assert.deepEqual(checkRenalDosing(kb, medications, {}), []);
+});
+
+test('active ACE inhibitor, ARB, SGLT2 inhibitor or ESA therapy is optimal management', () => {
+  const summary = summarizeOptimalManagement(kb, extractMedications('Lisinopril 20 mg daily; empagliflozin 10 mg daily', kb));
+  assert.equal(summary.documented, true);
+  assert.deepEqual(summary.classes, ['ACE inhibitor', 'SGLT2 inhibitor']);
+  assert.equal(summarizeOptimalManagement(kb, extractMedications('Stopped lisinopril.', kb)).documented, false);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findingsFromClinicalData, mergeFindings, describeConflict } = require('../lib/mergeFindings');
+
+const labs = (documentId, filename, labSeries, extra = {}) => ({
+  documentId,
+  filename,
+  findings: { labSeries, demographics: {}, complications: [], medications: [], ...extra }
+});
+
+test('results from every document are merged in date order, each with its source', () => {
+  const { findings, conflicts } = mergeFindings([
+    labs(1, 'labs.pdf', { gfr: [{ date: '2024-03-01', value: 28 }] }),
+    labs(2, 'letter.pdf', { gfr: [{ date: '2023-09-01', value: 34 }, { date: '2024-03-01', value: 28 }] })
+  ]);
+  assert.deepEqual(findings.labSeries.gfr.map(o => [o.date, o.value, o.source.documentId]), [
+    ['2023-09-01', 34, 2],
+    ['2024-03-01', 28, 1]
+  ]);
+  assert.deepEqual(conflicts, []);
+});
+
+test('different values for the same lab and date in two documents are a conflict', () => {
+  const { conflicts } = mergeFindings([
+    labs(1, 'labs.pdf', { gfr: [{ date: '2024-01-05', value: 14 }] }),
+    labs(2, 'letter.pdf', { gfr: [{ date: '2024-01-05', value: 16 }] })
+  ]);
+  assert.equal(conflicts.length, 1);
+  assert.equal(conflicts[0].description, 'gfr on 2024-01-05: 14 (labs.pdf) vs 16 (letter.pdf)');
+  assert.equal(describeConflict(conflicts[0], source => `document ${source.documentId}`), 'gfr on 2024-01-05: 14 (document 1) vs 16 (document 2)');
+});
+
+test('a date of birth gives the age at the latest result; differing sexes conflict', () => {
+  const { findings, conflicts } = mergeFindings([
+    labs(1, 'a.pdf', { gfr: [{ date: '2024-06-01', value: 30 }] }, { demographics: { dateOfBirth: '1958-03-14', sex: 'female' } }),
+    labs(2, 'b.pdf', {}, { demographics: { age: 60, sex: 'male' } })
+  ]);
+  assert.equal(findings.demographics.age, 66);
+  assert.equal(findings.demographics.ageSource, 'date_of_birth');
+  assert.ok(conflicts.some(c => c.field === 'sex'));
+});
+
+test('later documents update a medication and fill in its details', () => {
+  const { findings } = mergeFindings([
+    labs(1, 'a.pdf', {}, { medications: [{ drug: 'lisinopril', dose: null, status: 'active', mentions: 1 }] }),
+    labs(2, 'b.pdf', {}, { medications: [{ drug: 'Lisinopril', dose: '20 mg', status: 'discontinued', mentions: 1 }] })
+  ]);
+  assert.equal(findings.medications.length, 1);
+  assert.equal(findings.medications[0].dose, '20 mg');
+  assert.equal(findings.medications[0].status, 'discontinued');
+  assert.equal(findings.medications[0].sources.length, 2);
+});
+
+test('stored clinical data drops calculated eGFR before merging', () => {
+  const findings = findingsFromClinicalData({
+    labSeries: { gfr: [{ date: '2024-01-01', value: 30, calculated: true }, { date: '2024-02-01', value: 29 }] },
+    age: 70,
+    diabetes: true
+  });
+  assert.deepEqual(findings.labSeries.gfr.map(o => o.value), [29]);
+  assert.equal(findings.demographics.ageSource, 'stated');
+  assert.equal(findings.diabetes, true);
+});
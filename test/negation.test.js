@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { affirmedMatches } = require('../lib/negation');
+
+const found = (text, pattern) => affirmedMatches(text, pattern).map(m => m[0].toLowerCase());
+
+test('cues before a phrase negate it', () => {
+  assert.deepEqual(found('No reversible causes identified.', /reversible causes?/i), []);
+  assert.deepEqual(found('Patient denies missed doses.', /missed doses/i), []);
+  assert.deepEqual(found('Managed without phosphate binders.', /phosphate binders/i), []);
+});
+
+test('cues after a phrase negate it', () => {
+  assert.deepEqual(found('Pre-renal azotemia was ruled out.', /pre-?renal azotemia/i), []);
+});
+
+test('a cue does not reach past the end of its sentence or clause', () => {
+  assert.deepEqual(found('No edema. Reversible cause: dehydration.', /reversible cause/i), ['reversible cause']);
+  assert.deepEqual(found('No nausea, but noncompliant with diet.', /noncompliant/i), ['noncompliant']);
+});
+
+test('affirmed phrases are kept', () => {
+  assert.deepEqual(found('Patient is non-compliant with dialysis.', /non-?compliant/i), ['non-compliant']);
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pdfPageImages, summarizeOcr } = require('../lib/ocr');
+const { extractPdfText } = require('../lib/pdfText');
+
+// A PDF whose pages are text, a scanned image and nothing at all
+function buildPdf() {
+  const pixels = Buffer.alloc(16 * 16, 0x80).toString('latin1');
+  const text = 'BT /F1 12 Tf 72 720 Td (eGFR 24 mL/min/1.73m2) Tj ET';
+  const scan = 'q 200 0 0 200 72 500 cm /Im1 Do Q';
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R 4 0 R 5 0 R] /Count 3 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 6 0 R >> >> /Contents 7 0 R >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /XObject << /Im1 8 0 R >> >> /Contents 9 0 R >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    `<< /Length ${text.length} >>\nstream\n${text}\nendstream`,
+    `<< /Type /XObject /Subtype /Image /Width 16 /Height 16 /ColorSpace /DeviceGray /BitsPerComponent 8 /Length ${pixels.length} >>\nstream\n${pixels}\nendstream`,
+    `<< /Length ${scan.length} >>\nstream\n${scan}\nendstream`
+  ];
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+// Stands in for tesseract, which needs language data
+const fakeOcr = (result = { text: 'Creatinine 2.9 mg/dL', confidence: 62 }) => ({
+  engine: 'fake',
+  lang: 'eng',
+  recognized: [],
+  async recognize(image) {
+    this.recognized.push(image);
+    if (result instanceof Error) throw result;
+    return result;
+  }
+});
+
+test('the image on a scanned page is decoded to a grayscale PGM', async () => {
+  const images = await pdfPageImages(buildPdf(), [1, 2]);
+  assert.deepEqual(Array.from(images.keys()), [1]);
+  const pgm = images.get(1);
+  assert.equal(pgm.subarray(0, 13).toString(), 'P5\n16 16\n255\n');
+  assert.equal(pgm.length, 13 + 16 * 16);
+});
+
+test('pages without a text layer are read with OCR and keep their page offsets', async () => {
+  const ocr = fakeOcr();
+  const { text, pageStarts, pageCount, ocrPages } = await extractPdfText(buildPdf(), { ocr });
+  assert.equal(pageCount, 3);
+  assert.equal(ocr.recognized.length, 1);
+  assert.match(text, /^eGFR 24/);
+  assert.equal(text.substring(pageStarts[1]).trim(), 'Creatinine 2.9 mg/dL');
+  assert.deepEqual(ocrPages[0], { page: 2, confidence: 62 });
+});
+
+test('a page with no text layer and no readable image is recorded with an error', async () => {
+  const { ocrPages } = await extractPdfText(buildPdf(), { ocr: fakeOcr() });
+  assert.equal(ocrPages.length, 2);
+  assert.equal(ocrPages[1].page, 3);
+  assert.equal(ocrPages[1].confidence, null);
+  assert.match(ocrPages[1].error, /no readable image/);
+  assert.deepEqual(summarizeOcr({ engine: 'fake', lang: 'eng' }, ocrPages, 50).lowConfidencePages, [3]);
+});
+
+test('without an engine, image-only pages stay empty', async () => {
+  const { text, ocrPages } = await extractPdfText(buildPdf());
+  assert.doesNotMatch(text, /Creatinine/);
+  assert.deepEqual(ocrPages, []);
+});
+
+test('a page the engine fails on is recorded with its error', async () => {
+  const { ocrPages } = await extractPdfText(buildPdf(), { ocr: fakeOcr(new Error('no language data')) });
+  assert.deepEqual(ocrPages[0], { page: 2, confidence: null, error: 'no language data' });
+});
+
+test('pages below the minimum confidence, or unread, are listed for review', () => {
+  const summary = summarizeOcr({ engine: 'tesseract', lang: 'eng' }, [
+    { page: 1, confidence: 91 },
+    { page: 2, confidence: 55 },
+    { page: 3, confidence: null, error: 'unreadable' }
+  ], 70);
+  assert.deepEqual(summary.lowConfidencePages, [2, 3]);
+  assert.equal(summary.pages[0].lowConfidence, false);
+  assert.equal(summarizeOcr({}, [], 70), null);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { reconcileDecisions } = require('../lib/reconcile');
+
+const rules = (decision, confidence, { basis = 'strong_evidence', firedRules = [] } = {}) =>
+  ({ decision, confidence, basis, firedRules });
+
+test('agreement takes the lower confidence and keeps both', () => {
+  const result = reconcileDecisions({ llm: { decision: 'APPROVE', confidence: 0.95 }, rules: rules('APPROVE', 0.85) });
+  assert.equal(result.decision, 'APPROVE');
+  assert.equal(result.source, 'agreement');
+  assert.equal(result.confidence, 0.85);
+  assert.equal(result.llmConfidence, 0.95);
+  assert.equal(result.rulesConfidence, 0.85);
+});
+
+test('disagreement goes to review by default', () => {
+  const result = reconcileDecisions({ llm: { decision: 'APPROVE', confidence: 0.9 }, rules: rules('REJECT', 0.85) });
+  assert.equal(result.decision, 'REVIEW');
+  assert.equal(result.source, 'disagreement');
+  assert.equal(result.confidence, 0.85);
+  assert.equal(result.agreement, false);
+});
+
+test('the policy can let either side win', () => {
+  const llm = { decision: 'APPROVE', confidence: 0.9 };
+  assert.equal(reconcileDecisions({ llm, rules: rules('REJECT', 0.7), policy: { on_disagreement: 'LLM' } }).decision, 'APPROVE');
+  assert.equal(reconcileDecisions({ llm, rules: rules('REJECT', 0.7), policy: { on_disagreement: 'RULES' } }).decision, 'REJECT');
+});
+
+test('rules abstain when no criteria matched', () => {
+  const result = reconcileDecisions({ llm: { decision: 'APPROVE', confidence: 0.9 }, rules: rules('REVIEW', 0.5, { basis: 'no_criteria_matched' }) });
+  assert.equal(result.decision, 'APPROVE');
+  assert.equal(result.source, 'llm');
+});
+
+test('a fired rule vetoes the LLM decision it blocks', () => {
+  const result = reconcileDecisions({
+    llm: { decision: 'APPROVE', confidence: 0.9 },
+    rules: rules('APPROVE', 0.85, { firedRules: [{ id: 'reversible_cause', criterion: 'Reversible cause' }] }),
+    policy: { rule_vetoes: [{ rule: 'reversible_cause', blocks: 'APPROVE', outcome: 'REVIEW' }] }
+  });
+  assert.equal(result.decision, 'REVIEW');
+  assert.equal(result.source, 'rules_veto');
+});
+
+test('the rules decide alone when the LLM failed', () => {
+  const result = reconcileDecisions({ llm: null, rules: rules('REJECT', 0.85) });
+  assert.equal(result.decision, 'REJECT');
+  assert.equal(result.source, 'rules');
+  assert.equal(result.llmConfidence, null);
+});
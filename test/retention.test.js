@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  retentionDueAt,
+  purgedFields,
+  anonymizedFields,
+  purgedAppealFields,
+  anonymizedAppealFields
+} = require('../lib/retention');
+
+test('a document is due the retention period after its upload', () => {
+  assert.equal(retentionDueAt('2024-01-01T00:00:00Z', 30).toISOString(), '2024-01-31T00:00:00.000Z');
+});
+
+test('a purged document keeps nothing read from the file', () => {
+  const fields = purgedFields();
+  ['content', 'extractedText', 'structuredData', 'clinicalData', 'chunks'].forEach(field => assert.equal(fields[field], null));
+});
+
+test('an anonymized document keeps its text with PHI replaced', () => {
+  const { fields, redactions } = anonymizedFields({
+    extractedText: 'Patient: Jane Doe\nDOB: 03/14/1958\neGFR 24 on 2024-05-01',
+    structuredData: { patient: { name: 'Jane Doe', dateOfBirth: '1958-03-14', sex: 'F' } }
+  }, { patientName: 'Jane Doe' });
+  assert.doesNotMatch(fields.extractedText, /Jane|1958/);
+  assert.match(fields.extractedText, /eGFR 24 on 2024-05-01/);
+  assert.deepEqual(fields.structuredData.patient, { sex: 'F' });
+  assert.equal(fields.content, null);
+  assert.ok(redactions.every(entry => !('original' in entry)));
+});
+
+test('a purged appeal loses its patient name, reference and notes', () => {
+  assert.deepEqual(purgedAppealFields(), { reference: null, patientName: null, notes: null });
+});
+
+test('an anonymized appeal drops the name and redacts its reference and notes', () => {
+  const { fields, redactions } = anonymizedAppealFields({
+    patientName: 'Jane Doe',
+    reference: 'Doe appeal 2024',
+    notes: 'Called Jane Doe on 2024-06-01; MRN: 12345678, labs to follow'
+  });
+  assert.equal(fields.patientName, null);
+  assert.doesNotMatch(fields.reference, /Doe/);
+  assert.doesNotMatch(fields.notes, /Jane|Doe|12345678/);
+  assert.match(fields.notes, /labs to follow/);
+  assert.ok(redactions.some(entry => entry.type === 'NAME'));
+});
+
+test('an appeal without notes anonymizes to empty fields', () => {
+  const { fields } = anonymizedAppealFields({ patientName: null, reference: null, notes: null });
+  assert.deepEqual(fields, { patientName: null, reference: null, notes: null });
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const kb = require('../conditions/ckd/knowledge-base.json');
+const {
+  chunkText,
+  tokenize,
+  synonymsFromAbbreviations,
+  createBm25Index,
+  retrievePassages
+} = require('../lib/retrieval');
+
+test('chunks overlap, end on whitespace and keep their offsets and page', () => {
+  const text = Array.from({ length: 60 }, (_, i) => `word${i}`).join(' ');
+  const chunks = chunkText(text, { size: 100, overlap: 30, pageStarts: [0, 200] });
+  assert.ok(chunks.length > 3);
+  for (const chunk of chunks) {
+    assert.equal(chunk.text, text.substring(chunk.start, chunk.end));
+    assert.match(chunk.text, /^word\d+/);
+  }
+  assert.ok(chunks[1].start < chunks[0].end);
+  assert.equal(chunks[chunks.length - 1].end, text.length);
+  assert.equal(chunks[chunks.length - 1].page, 2);
+});
+
+test('tokens drop stopwords and units but keep decimals', () => {
+  assert.deepEqual(tokenize('eGFR of 24.5 mL/min/1.73 m2 despite ACE inhibitor'), ['egfr', '24.5', 'm2', 'ace', 'inhibitor']);
+});
+
+test('passages rank by relevance, and abbreviations find their expansion', () => {
+  const passages = [
+    { documentId: 1, index: 0, text: 'Diet counselling and exercise were discussed at length.' },
+    { documentId: 1, index: 1, text: 'GFR has fallen steadily over two years despite therapy.' },
+    { documentId: 2, index: 0, text: 'Hemoglobin 9.1 g/dL, anemia treated with iron.' }
+  ];
+  const index = createBm25Index(passages, { synonyms: synonymsFromAbbreviations(kb.terminology.abbreviations) });
+  const hits = index.search('glomerular filtration rate decline');
+  assert.equal(hits[0].documentId, 1);
+  assert.equal(hits[0].index, 1);
+  assert.deepEqual(index.search('dialysis access'), []);
+});
+
+test('each passage is listed once, within the character budget', () => {
+  const passages = [
+    { documentId: 1, index: 0, text: 'anemia hemoglobin low' },
+    { documentId: 1, index: 1, text: 'anemia treated with ESA' },
+    { documentId: 2, index: 0, text: 'blood pressure uncontrolled' }
+  ];
+  const index = createBm25Index(passages);
+  const { passages: selected, byCriterion } = retrievePassages(index, ['anemia', 'anemia hemoglobin', 'blood pressure'], { maxChars: 50 });
+  assert.deepEqual(selected.map(p => p.id), ['P1', 'P2']);
+  assert.deepEqual(byCriterion[1].passages.sort(), ['P1', 'P2']);
+  // The blood pressure passage would go over the budget
+  assert.deepEqual(byCriterion[2].passages, []);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { reviewReasons, reviewStatus, reviewDecision, signOffOverride } = require('../lib/review');
+
+const THRESHOLD = 0.7;
+
+test('REVIEW and low-confidence decisions wait for a human', () => {
+  assert.deepEqual(reviewReasons({ decision: 'APPROVE', confidence: 0.9 }, THRESHOLD), []);
+  assert.equal(reviewReasons({ decision: 'REVIEW', confidence: 0.6 }, THRESHOLD).length, 2);
+  assert.equal(reviewStatus({ decision: 'APPROVE', confidence: 0.5 }, THRESHOLD), 'awaiting_review');
+  assert.equal(reviewStatus({ decision: 'APPROVE', confidence: 0.9 }, THRESHOLD), null);
+});
+
+test('accepting a decision settles it', () => {
+  const result = reviewDecision({ decision: 'APPROVE', confidence: 0.6 }, { action: 'accept' }, 'r1');
+  assert.equal(result.humanDecision, 'APPROVE');
+  assert.equal(result.review.status, 'accepted');
+  assert.equal(result.review.reviewer, 'r1');
+  assert.equal(reviewDecision({ decision: 'REVIEW' }, { action: 'accept' }, 'r1').status, 400);
+});
+
+test('an override needs a reason and a supervisor who did not make it', () => {
+  const record = { decision: 'REVIEW', confidence: 0.6 };
+  assert.equal(reviewDecision(record, { action: 'override', decision: 'APPROVE' }, 'r1').status, 400);
+  const { review, humanDecision } = reviewDecision(record, { action: 'override', decision: 'APPROVE', reason: 'Progressing despite treatment' }, 'r1');
+  assert.equal(humanDecision, null);
+  assert.equal(review.status, 'pending_sign_off');
+
+  const pending = { ...record, review };
+  assert.equal(reviewStatus(pending, THRESHOLD), 'awaiting_sign_off');
+  assert.equal(reviewDecision(pending, { action: 'accept' }, 'r2').status, 409);
+  assert.equal(signOffOverride(pending, { approve: true }, 'r1').status, 403);
+  assert.equal(signOffOverride(pending, { approve: false }, 's1').status, 400);
+
+  const signed = signOffOverride(pending, { approve: true }, 's1');
+  assert.equal(signed.humanDecision, 'APPROVE');
+  assert.equal(signed.review.status, 'overridden');
+  assert.equal(signed.review.signOff.supervisor, 's1');
+});
+
+test('a returned override goes back to the queue', () => {
+  const { review } = reviewDecision({ decision: 'REJECT' }, { action: 'override', decision: 'APPROVE', reason: 'Anemia on ESA' }, 'r1');
+  const returned = signOffOverride({ decision: 'REJECT', review }, { approve: false, comment: 'Need the Hb values' }, 's1');
+  assert.equal(returned.humanDecision, null);
+  assert.equal(reviewStatus({ decision: 'REJECT', review: returned.review }, THRESHOLD), 'awaiting_review');
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const kb = require('../conditions/ckd/knowledge-base.json');
+const { stageCkd } = require('../lib/staging');
+const { evaluateCondition, evaluateRules } = require('../lib/rulesEngine');
+
+const withStage = clinicalData => ({ ...clinicalData, ckdStage: stageCkd(kb, clinicalData) });
+
+test('conditions combine with all, any and not', () => {
+  const facts = { gfr: 12, complications: ['anemia'] };
+  assert.equal(evaluateCondition({ all: [{ fact: 'gfr', operator: 'lt', value: 15 }, { fact: 'complications', operator: 'contains', value: 'anemia' }] }, facts).matched, true);
+  assert.equal(evaluateCondition({ any: [{ fact: 'gfr', operator: 'gt', value: 60 }, { fact: 'gfr', operator: 'between', value: [10, 14] }] }, facts).matched, true);
+  assert.equal(evaluateCondition({ not: { fact: 'gfr', operator: 'lt', value: 15 } }, facts).matched, false);
+});
+
+test('stage G5 is approved on strong evidence', () => {
+  const verdict = evaluateRules(kb, withStage({ gfr: 12 }), '');
+  assert.equal(verdict.decision, 'APPROVE');
+  assert.equal(verdict.basis, 'strong_evidence');
+  assert.equal(verdict.confidence, 0.85);
+  assert.deepEqual(verdict.firedRules.map(r => r.id), ['stage_g5']);
+});
+
+test('early CKD without complications is denied', () => {
+  const verdict = evaluateRules(kb, withStage({ gfr: 75, uacr: 10, complications: [] }), '');
+  assert.equal(verdict.decision, 'REJECT');
+  assert.ok(verdict.firedRules.some(r => r.id === 'stage_g1_g2_without_complications'));
+});
+
+test('strong rules that disagree send the appeal to review', () => {
+  const verdict = evaluateRules(kb, withStage({ gfr: 12 }), 'Pre-renal azotemia, reversible cause identified.');
+  assert.equal(verdict.decision, 'REVIEW');
+  assert.equal(verdict.basis, 'conflicting_strong_evidence');
+});
+
+test('a negated phrase does not fire its rule', () => {
+  const verdict = evaluateRules(kb, withStage({ gfr: 12 }), 'Workup complete; no reversible causes identified.');
+  assert.equal(verdict.decision, 'APPROVE');
+  assert.equal(verdict.basis, 'strong_evidence');
+  assert.ok(!verdict.firedRules.some(r => r.id === 'reversible_cause'));
+  assert.ok(!evaluateRules(kb, withStage({ gfr: 12 }), 'Pre-renal azotemia was ruled out.').firedRules.some(r => r.id === 'reversible_cause'));
+  assert.ok(!evaluateRules(kb, withStage({ gfr: 12 }), 'Not on phosphate binders.').firedRules.some(r => r.id === 'mbd_requiring_treatment'));
+});
+
+test('a record without stage or creatinine is incomplete', () => {
+  const verdict = evaluateRules(kb, {}, '');
+  assert.equal(verdict.decision, 'REVIEW');
+  assert.deepEqual(verdict.firedRules.map(r => r.id), ['incomplete_records']);
+});
+
+test('nothing matched is REVIEW, and malformed rules are reported', () => {
+  const rules = [
+    { id: 'high', criterion: 'High value', outcome: 'APPROVE', evidence: 'strong', when: { fact: 'gfr', operator: 'gt', value: 100 } },
+    { id: 'broken', criterion: 'Broken', outcome: 'MAYBE', evidence: 'strong', when: { fact: 'gfr', operator: 'gt', value: 0 } }
+  ];
+  const verdict = evaluateRules({ appeal_criteria: { rules } }, { gfr: 50 }, '');
+  assert.equal(verdict.decision, 'REVIEW');
+  assert.equal(verdict.basis, 'no_criteria_matched');
+  assert.deepEqual(verdict.errors.map(e => e.rule), ['broken']);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const kb = require('../conditions/ckd/knowledge-base.json');
+const { gfrCategory, albuminuriaCategory, stageCkd } = require('../lib/staging');
+
+test('GFR categories follow KDIGO', () => {
+  const cases = [[95, 'G1'], [75, 'G2'], [60, 'G2'], [50, 'G3a'], [45, 'G3a'], [38, 'G3b'], [20, 'G4'], [15, 'G4'], [12, 'G5']];
+  for (const [gfr, category] of cases) {
+    assert.equal(gfrCategory(kb, gfr).category, category, `eGFR ${gfr}`);
+  }
+  assert.equal(gfrCategory(kb, null), null);
+});
+
+test('albuminuria categories use UACR, or protein excretion without it', () => {
+  assert.equal(albuminuriaCategory(kb, { uacr: 10 }).category, 'A1');
+  assert.equal(albuminuriaCategory(kb, { uacr: 100 }).category, 'A2');
+  assert.equal(albuminuriaCategory(kb, { uacr: 420, proteinuria: 0.1 }).category, 'A3');
+  assert.equal(albuminuriaCategory(kb, { proteinuria: 0.6 }).basis, 'proteinuria');
+  assert.equal(albuminuriaCategory(kb, {}), null);
+});
+
+test('G1 and G2 only meet the definition of CKD with kidney damage', () => {
+  assert.equal(stageCkd(kb, { gfr: 75, uacr: 10 }).meetsCkdDefinition, false);
+  assert.equal(stageCkd(kb, { gfr: 75, uacr: 100 }).meetsCkdDefinition, true);
+  assert.equal(stageCkd(kb, { gfr: 75 }).meetsCkdDefinition, null);
+  assert.equal(stageCkd(kb, { gfr: 38 }).meetsCkdDefinition, true);
+});
+
+test('the stage label combines both categories', () => {
+  const stage = stageCkd(kb, { gfr: 38, uacr: 420, gfrSource: 'calculated' });
+  assert.equal(stage.label, 'G3b A3');
+  assert.equal(stage.stage, 'CKD Stage 3b');
+  assert.equal(stage.gfrSource, 'calculated');
+  assert.equal(stageCkd(kb, {}), null);
+});